@@ -10,7 +10,12 @@ import {
   docRoots as __axDocRoots,
   nodeCache as __axNodeCache,
 } from "./caches.js";
-import { getCdpFrameId, getOrCreateIsolatedWorld, sendCdp } from "./cdp.js";
+import {
+  getBackgroundColors,
+  getCdpFrameTarget,
+  getOrCreateIsolatedWorld,
+  sendCdp,
+} from "./cdp.js";
 import { security } from "../utils/security.js";
 import { performance } from "../utils/performance.js";
 import { logger } from "../utils/logger.js";
@@ -100,14 +105,21 @@ export async function getAccessibilityInfoForElement(
           // Resolve the correct frame for iframe support
           const chromeFrameId = frameId;
           let pageFrameId;
+          // Routes commands to the OOPIF session for cross-origin iframes
+          let sessionOpts = {};
 
           if (typeof chromeFrameId === "number" && chromeFrameId !== 0) {
-            pageFrameId = await getCdpFrameId(tabId, chromeFrameId);
+            const frameTarget = await getCdpFrameTarget(tabId, chromeFrameId);
+            pageFrameId = frameTarget && frameTarget.frameId;
+            if (frameTarget && frameTarget.sessionId) {
+              sessionOpts = { sessionId: frameTarget.sessionId };
+            }
             console.log(
               "Background: Mapped Chrome frameId",
               chromeFrameId,
               "to CDP frameId",
-              pageFrameId
+              pageFrameId,
+              sessionOpts.sessionId ? `(session ${sessionOpts.sessionId})` : ""
             );
           }
 
@@ -122,7 +134,8 @@ export async function getAccessibilityInfoForElement(
             const ctxId = await getOrCreateIsolatedWorld(
               tabId,
               pageFrameId,
-              "AX_Helper"
+              "AX_Helper",
+              sessionOpts
             );
             console.log("Background: Got execution context ID:", ctxId);
 
@@ -279,7 +292,8 @@ export async function getAccessibilityInfoForElement(
                 returnByValue: false,
                 contextId: ctxId,
                 awaitPromise: true,
-              }
+              },
+              sessionOpts
             );
           } else {
             // For main frame: use default context
@@ -463,7 +477,7 @@ export async function getAccessibilityInfoForElement(
               console.log(
                 "Background: Initializing DOM tree with DOM.getDocument"
               );
-              await sendCdp(tabId, "DOM.getDocument", { depth: 0 });
+              await sendCdp(tabId, "DOM.getDocument", { depth: 0 }, sessionOpts);
               console.log("Background: DOM tree initialized successfully");
             } catch (domInitError) {
               console.error(
@@ -474,9 +488,12 @@ export async function getAccessibilityInfoForElement(
 
             // Convert objectId to nodeId using DOM.requestNode
             try {
-              const nodeResult = await sendCdp(tabId, "DOM.requestNode", {
-                objectId: result.result.objectId,
-              });
+              const nodeResult = await sendCdp(
+                tabId,
+                "DOM.requestNode",
+                { objectId: result.result.objectId },
+                sessionOpts
+              );
 
               console.log("Background: DOM.requestNode response:", nodeResult);
               const nodeId = nodeResult.nodeId;
@@ -493,7 +510,8 @@ export async function getAccessibilityInfoForElement(
                   {
                     nodeId,
                     fetchRelatives: true,
-                  }
+                  },
+                  sessionOpts
                 );
 
                 if (nodes && nodes.length > 0) {
@@ -508,7 +526,12 @@ export async function getAccessibilityInfoForElement(
                     "Background: Successfully got accessibility node via direct reference:",
                     node
                   );
-                  return formatAccessibilityNode(node);
+                  return await withBackgroundColors(
+                    formatAccessibilityNode(node, nodes),
+                    tabId,
+                    nodeId,
+                    sessionOpts
+                  );
                 }
               } else {
                 console.log(
@@ -548,34 +571,52 @@ export async function getAccessibilityInfoForElement(
         );
 
         try {
-          // Last resort: try document.activeElement directly
-          const activeResult = await sendCdp(tabId, "Runtime.evaluate", {
-            expression: "document.activeElement",
-            returnByValue: false,
-          });
+          // Last resort: try document.activeElement directly, in the OOPIF
+          // session when the frame is cross-origin
+          const frameTarget = frameId
+            ? await getCdpFrameTarget(tabId, frameId)
+            : undefined;
+          const sessionOpts =
+            frameTarget && frameTarget.sessionId
+              ? { sessionId: frameTarget.sessionId }
+              : {};
+          const activeResult = await sendCdp(
+            tabId,
+            "Runtime.evaluate",
+            {
+              expression: "document.activeElement",
+              returnByValue: false,
+            },
+            sessionOpts
+          );
 
           if (activeResult.result?.objectId) {
             console.log("Background: Found document.activeElement as fallback");
 
             // Initialize DOM if needed
             try {
-              await sendCdp(tabId, "DOM.getDocument", { depth: 0 });
+              await sendCdp(tabId, "DOM.getDocument", { depth: 0 }, sessionOpts);
             } catch (domError) {
               console.log("Background: DOM already initialized");
             }
 
             // Convert objectId to nodeId
-            const nodeResult = await sendCdp(tabId, "DOM.requestNode", {
-              objectId: activeResult.result.objectId,
-            });
+            const nodeResult = await sendCdp(
+              tabId,
+              "DOM.requestNode",
+              { objectId: activeResult.result.objectId },
+              sessionOpts
+            );
 
             const nodeId = nodeResult.nodeId;
             if (nodeId && nodeId > 0) {
               // Get accessibility info
-              const { nodes } = await sendCdp(tabId, "Accessibility.getPartialAXTree", {
-                nodeId,
-                fetchRelatives: true,
-              });
+              const { nodes } = await sendCdp(
+                tabId,
+                "Accessibility.getPartialAXTree",
+                { nodeId, fetchRelatives: true },
+                sessionOpts
+              );
 
               if (nodes && nodes.length > 0) {
                 let node = nodes[0];
@@ -587,7 +628,12 @@ export async function getAccessibilityInfoForElement(
                 console.log(
                   "Background: Got accessibility info from document.activeElement fallback"
                 );
-                return formatAccessibilityNode(node);
+                return await withBackgroundColors(
+                  formatAccessibilityNode(node, nodes),
+                  tabId,
+                  nodeId,
+                  sessionOpts
+                );
               }
             }
           }
@@ -609,9 +655,15 @@ export async function getAccessibilityInfoForElement(
       let documentNodeId;
       const chromeFrameId = frameId;
       let pageFrameId;
+      // Routes node lookups to the OOPIF session for cross-origin iframes
+      let sessionOpts = {};
 
       if (typeof chromeFrameId === "number") {
-        pageFrameId = await getCdpFrameId(tabId, chromeFrameId);
+        const frameTarget = await getCdpFrameTarget(tabId, chromeFrameId);
+        pageFrameId = frameTarget && frameTarget.frameId;
+        if (frameTarget && frameTarget.sessionId) {
+          sessionOpts = { sessionId: frameTarget.sessionId };
+        }
         if (!pageFrameId) {
           console.warn("Failed to map CDP frame for", { chromeFrameId });
         }
@@ -658,10 +710,12 @@ export async function getAccessibilityInfoForElement(
       if (nodeId) {
         // Validate quickly by asking for a small AX slice; if it fails, we'll re-query
         try {
-          const test = await sendCdp(tabId, "Accessibility.getPartialAXTree", {
-            nodeId,
-            fetchRelatives: false,
-          });
+          const test = await sendCdp(
+            tabId,
+            "Accessibility.getPartialAXTree",
+            { nodeId, fetchRelatives: false },
+            sessionOpts
+          );
           if (test && Array.isArray(test.nodes) && test.nodes.length) {
             usedCache = true;
           } else {
@@ -684,25 +738,34 @@ export async function getAccessibilityInfoForElement(
             const ctxId = await getOrCreateIsolatedWorld(
               tabId,
               pageFrameId,
-              "AX_Helper"
+              "AX_Helper",
+              sessionOpts
             );
             const expr = `document.querySelector(${JSON.stringify(
               elementSelector
             )})`;
             console.log("Background: Evaluating expression:", expr);
-            const { result } = await sendCdp(tabId, "Runtime.evaluate", {
-              contextId: ctxId,
-              expression: expr,
-              returnByValue: false,
-              awaitPromise: false,
-            });
+            const { result } = await sendCdp(
+              tabId,
+              "Runtime.evaluate",
+              {
+                contextId: ctxId,
+                expression: expr,
+                returnByValue: false,
+                awaitPromise: false,
+              },
+              sessionOpts
+            );
             console.log("Background: Runtime.evaluate result:", result);
             const objectId = result && result.objectId;
             if (objectId) {
               // Convert objectId to nodeId using DOM.requestNode
-              const nodeResult = await sendCdp(tabId, "DOM.requestNode", {
-                objectId,
-              });
+              const nodeResult = await sendCdp(
+                tabId,
+                "DOM.requestNode",
+                { objectId },
+                sessionOpts
+              );
               nodeId = nodeResult.nodeId;
               console.log(
                 "Background: Frame-world query found nodeId:",
@@ -786,10 +849,12 @@ export async function getAccessibilityInfoForElement(
       }
 
       // Get the accessibility node with all properties
-      const { nodes } = await sendCdp(tabId, "Accessibility.getPartialAXTree", {
-        nodeId,
-        fetchRelatives: true,
-      });
+      const { nodes } = await sendCdp(
+        tabId,
+        "Accessibility.getPartialAXTree",
+        { nodeId, fetchRelatives: true },
+        sessionOpts
+      );
 
       // Optionally get DOM attributes to capture ARIA properties (defer unless needed)
       let attributes = null;
@@ -835,46 +900,18 @@ export async function getAccessibilityInfoForElement(
         value: node.value?.value || "(no value)",
         states: {},
         ariaProperties: {},
+        nameSources: formatNameSources(node.name),
         ignored: node.ignored || false,
         ignoredReasons: node.ignoredReasons || [],
+        backendDOMNodeId: node.backendDOMNodeId || null,
       };
 
-      // Compute nearest group/radiogroup ancestor from AX tree and include its accessible name
-      try {
-        if (Array.isArray(nodes) && nodes.length) {
-          const roleOf = (n) => n?.role?.value || n?.role || "";
-          const nameOf = (n) => {
-            const nn = n?.name;
-            const v = nn && (nn.value ?? nn);
-            return v ? String(v).trim() : "";
-          };
-          // Build map AX nodeId -> node and child->parent links
-          const byId = new Map(nodes.map((n) => [n.nodeId, n]));
-          const parentByChild = new Map();
-          for (const n of nodes) {
-            const children = n.childIds || [];
-            for (const cid of children) parentByChild.set(cid, n.nodeId);
-          }
-          // The first node is the target AX node; walk up to find nearest group
-          let current = node;
-          const wanted = new Set(["group", "radiogroup"]);
-          while (current) {
-            const pid = parentByChild.get(current.nodeId);
-            if (!pid) break;
-            const parent = byId.get(pid);
-            if (!parent) break;
-            const r = roleOf(parent);
-            if (wanted.has(r)) {
-              const label = nameOf(parent);
-              out.group = { role: r, label: label || undefined };
-              break;
-            }
-            current = parent;
-          }
-        }
-      } catch (e) {
-        console.warn("Failed to compute AX group:", e);
-      }
+      // Nearest group/radiogroup ancestor from the AX tree, with its name
+      const group = getAxGroup(node, nodes);
+      if (group) out.group = group;
+
+      // Position in set and level, from the relatives fetched above
+      Object.assign(out, getSetPosition(node, nodes));
 
       // Extract ARIA properties from DOM attributes if we have them
       if (attributes && Array.isArray(attributes)) {
@@ -911,7 +948,12 @@ export async function getAccessibilityInfoForElement(
       // If ariaProperties are still empty and we didn't fetch attributes yet, fetch once
       if (Object.keys(out.ariaProperties).length === 0 && attributes === null) {
         try {
-          const resp = await sendCdp(tabId, "DOM.getAttributes", { nodeId });
+          const resp = await sendCdp(
+            tabId,
+            "DOM.getAttributes",
+            { nodeId },
+            sessionOpts
+          );
           attributes = resp.attributes;
           if (attributes && Array.isArray(attributes)) {
             for (let i = 0; i < attributes.length; i += 2) {
@@ -944,6 +986,8 @@ export async function getAccessibilityInfoForElement(
         }
       });
 
+      await withBackgroundColors(out, tabId, nodeId, sessionOpts);
+
       console.log("Final result:", out);
       return out;
     } catch (error) {
@@ -953,6 +997,89 @@ export async function getAccessibilityInfoForElement(
   });
 }
 
+/**
+ * Get accessibility information for a node the background already knows by
+ * backendNodeId (used to push updates after Accessibility.nodesUpdated)
+ * @param {number} tabId - Chrome tab ID
+ * @param {number} backendNodeId - DOM backend node ID
+ * @param {Object} [opts] - sendCdp options ({ sessionId } for OOPIF frames)
+ * @returns {Promise<Object|null>} Accessibility information, or null if the
+ *   node is gone
+ */
+export async function getAccessibilityInfoForBackendNode(
+  tabId,
+  backendNodeId,
+  opts = {}
+) {
+  const { nodes } = await sendCdp(
+    tabId,
+    "Accessibility.getPartialAXTree",
+    { backendNodeId, fetchRelatives: true },
+    opts
+  );
+  if (!nodes || !nodes.length) return null;
+  const node =
+    nodes.find((n) => n.backendDOMNodeId === backendNodeId && !n.ignored) ||
+    nodes[0];
+  // Same relatives as the initial inspection, so group and set position stay
+  const info = formatAccessibilityNode(node, nodes);
+  const nodeId = await getNodeIdForBackendNode(tabId, backendNodeId, opts);
+  if (nodeId) await withBackgroundColors(info, tabId, nodeId, opts);
+  return info;
+}
+
+/**
+ * Resolve a backendNodeId to a DOM nodeId, requesting the document first if
+ * the session has not done so yet
+ * @param {number} tabId - Chrome tab ID
+ * @param {number} backendNodeId - DOM backend node ID
+ * @param {Object} [opts] - sendCdp options ({ sessionId } for OOPIF frames)
+ * @returns {Promise<number|null>} DOM node ID, or null if it cannot be resolved
+ */
+async function getNodeIdForBackendNode(tabId, backendNodeId, opts = {}) {
+  const push = async () => {
+    const { nodeIds } = await sendCdp(
+      tabId,
+      "DOM.pushNodesByBackendIdsToFrontend",
+      { backendNodeIds: [backendNodeId] },
+      opts
+    );
+    return (nodeIds && nodeIds[0]) || null;
+  };
+  try {
+    return await push();
+  } catch {
+    // "Document needs to be requested first"
+    try {
+      await sendCdp(tabId, "DOM.getDocument", { depth: 0 }, opts);
+      return await push();
+    } catch (e) {
+      console.warn("Could not resolve backend node", backendNodeId, e);
+      return null;
+    }
+  }
+}
+
+/**
+ * Add the background colors behind a node's text, for the inspector's
+ * contrast section. Failures leave the info without them, so the content
+ * script falls back to walking the DOM.
+ * @param {Object} info - Formatted accessibility info (modified in place)
+ * @param {number} tabId - Chrome tab ID
+ * @param {number} nodeId - DOM node ID in the session given by opts
+ * @param {Object} [opts] - sendCdp options ({ sessionId } for OOPIF frames)
+ * @returns {Promise<Object>} The same info object
+ */
+async function withBackgroundColors(info, tabId, nodeId, opts = {}) {
+  try {
+    const colors = await getBackgroundColors(tabId, nodeId, opts);
+    if (colors) info.backgroundColors = colors;
+  } catch (e) {
+    console.warn("CSS.getBackgroundColors failed:", e);
+  }
+  return info;
+}
+
 /**
  * Evicts the oldest entry from the node cache to prevent unbounded growth
  */
@@ -969,13 +1096,172 @@ function evictOldestNodeCacheEntry() {
   if (oldestKey) __axNodeCache.delete(oldestKey);
 }
 
+// Labels for CDP AXValueNativeSourceType values
+const NATIVE_NAME_SOURCE_LABELS = {
+  description: "Description",
+  figcaption: "<figcaption>",
+  label: "<label>",
+  labelfor: "<label for>",
+  labelwrapped: "Wrapping <label>",
+  legend: "<legend>",
+  rubyannotation: "Ruby annotation",
+  tablecaption: "<caption>",
+  title: "title",
+  other: "Native source",
+};
+
+// Labels for CDP AXValueSourceType values without an attribute
+const NAME_SOURCE_TYPE_LABELS = {
+  contents: "Contents",
+  placeholder: "Placeholder",
+  style: "CSS",
+  implicit: "Implicit",
+};
+
+/**
+ * Summarize where an accessible name came from, from the candidate sources
+ * CDP reports with the name (AXValue.sources), in precedence order
+ * @param {Object} name - CDP name AXValue
+ * @returns {Array<{label: string, type: string, value: string,
+ *   attributeValue: string, superseded: boolean, used: boolean,
+ *   invalidReason: string, relatedNodes: Object[]}>} Sources that supplied
+ *   something; used marks the one the name was taken from
+ */
+export function formatNameSources(name) {
+  const sources = name && Array.isArray(name.sources) ? name.sources : [];
+  let usedFound = false;
+  return sources
+    .map((source) => {
+      const attributeValue = source.attributeValue || source.nativeSourceValue;
+      const relatedNodes = (attributeValue?.relatedNodes || []).map((n) => ({
+        idref: n.idref || "",
+        text: n.text || "",
+        backendDOMNodeId: n.backendDOMNodeId || null,
+      }));
+      const value = source.value?.value;
+      const entry = {
+        label:
+          source.attribute ||
+          NATIVE_NAME_SOURCE_LABELS[source.nativeSource] ||
+          NAME_SOURCE_TYPE_LABELS[source.type] ||
+          source.type,
+        type: source.type,
+        value: value == null ? "" : String(value),
+        attributeValue:
+          typeof attributeValue?.value === "string" ? attributeValue.value : "",
+        superseded: !!source.superseded,
+        used: false,
+        invalidReason: source.invalid ? source.invalidReason || "invalid" : "",
+        relatedNodes,
+      };
+      if (!usedFound && entry.value && !entry.superseded && !source.invalid) {
+        entry.used = usedFound = true;
+      }
+      return entry;
+    })
+    .filter(
+      (entry) =>
+        entry.value ||
+        entry.attributeValue ||
+        entry.relatedNodes.length ||
+        entry.invalidReason
+    );
+}
+
+/**
+ * Find the nearest group or radiogroup ancestor of an AX node among the
+ * relatives returned by getPartialAXTree (fetchRelatives: true)
+ * @param {Object} node - The accessibility node from CDP
+ * @param {Object[]} [relatives] - Nodes returned with it
+ * @returns {{role: string, label: string|undefined}|null} Group, or null
+ */
+export function getAxGroup(node, relatives) {
+  if (!Array.isArray(relatives) || !relatives.length) return null;
+  const roleOf = (n) => n?.role?.value || n?.role || "";
+  const nameOf = (n) => {
+    const nn = n?.name;
+    const v = nn && (nn.value ?? nn);
+    return v ? String(v).trim() : "";
+  };
+  // Build map AX nodeId -> node and child->parent links
+  const byId = new Map(relatives.map((n) => [n.nodeId, n]));
+  const parentByChild = new Map();
+  for (const n of relatives) {
+    for (const cid of n.childIds || []) parentByChild.set(cid, n.nodeId);
+  }
+  const wanted = new Set(["group", "radiogroup"]);
+  let current = node;
+  while (current) {
+    const parent = byId.get(parentByChild.get(current.nodeId));
+    if (!parent) break;
+    const r = roleOf(parent);
+    if (wanted.has(r)) return { role: r, label: nameOf(parent) || undefined };
+    current = parent;
+  }
+  return null;
+}
+
+// Roles screen readers announce with a position ("3 of 7")
+const SET_ITEM_ROLES = new Set([
+  "listitem",
+  "option",
+  "tab",
+  "treeitem",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "radio",
+  "row",
+  "article",
+]);
+
+/**
+ * Derive the position in set and hierarchical level of an AX node. The level
+ * comes from the node's CDP "level" property; the position is the node's
+ * index among its parent's non-ignored children with the same role, which
+ * needs the relatives returned by getPartialAXTree (fetchRelatives: true).
+ * @param {Object} node - The accessibility node from CDP
+ * @param {Object[]} [relatives] - Nodes returned with it (parent, siblings)
+ * @returns {{level: number|null, posinset: number|null,
+ *   setsize: number|null}} Values, null when unknown
+ */
+export function getSetPosition(node, relatives) {
+  const out = { level: null, posinset: null, setsize: null };
+  const roleOf = (n) => n?.role?.value || n?.role || "";
+
+  const levelProp = (node.properties || []).find((p) => p.name === "level");
+  const level = Number(levelProp?.value?.value ?? levelProp?.value);
+  if (Number.isInteger(level) && level > 0) out.level = level;
+
+  const role = roleOf(node);
+  if (!SET_ITEM_ROLES.has(role) || !Array.isArray(relatives)) return out;
+  const byId = new Map(relatives.map((n) => [n.nodeId, n]));
+  const parent = node.parentId
+    ? byId.get(node.parentId)
+    : relatives.find((n) => (n.childIds || []).includes(node.nodeId));
+  if (!parent || !Array.isArray(parent.childIds)) return out;
+
+  const siblings = parent.childIds.map((id) => byId.get(id));
+  // Without every sibling the count would be wrong
+  if (siblings.some((n) => !n)) return out;
+  const items = siblings.filter((n) => !n.ignored && roleOf(n) === role);
+  const index = items.findIndex((n) => n.nodeId === node.nodeId);
+  if (index !== -1) {
+    out.posinset = index + 1;
+    out.setsize = items.length;
+  }
+  return out;
+}
+
 /**
  * Format accessibility node for direct reference method
  * This helper extracts and formats the key accessibility information from a CDP node
  * @param {Object} node - The accessibility node from CDP
+ * @param {Object[]} [relatives] - Nodes fetched with it, used for the
+ *   group and position in set (see getAxGroup and getSetPosition)
  * @returns {Object} Formatted accessibility information
  */
-function formatAccessibilityNode(node) {
+export function formatAccessibilityNode(node, relatives) {
   const out = {
     role: null,
     name: null,
@@ -984,8 +1270,10 @@ function formatAccessibilityNode(node) {
     states: {},
     ariaProperties: {},
     group: null,
+    nameSources: formatNameSources(node.name),
     ignored: node.ignored || false,
     ignoredReasons: node.ignoredReasons || [],
+    backendDOMNodeId: node.backendDOMNodeId || null,
   };
 
   // Extract role
@@ -1027,6 +1315,9 @@ function formatAccessibilityNode(node) {
     });
   }
 
+  out.group = getAxGroup(node, relatives);
+  Object.assign(out, getSetPosition(node, relatives));
+
   console.log("Background: Formatted accessibility node:", out);
   return out;
 }
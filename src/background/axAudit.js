@@ -0,0 +1,184 @@
+/**
+ * Accessibility Tree Audit
+ *
+ * The page audit's name check, run against Accessibility.getFullAXTree
+ * instead of the DOM: names are the ones Chrome computed, ignored and pruned
+ * nodes are never flagged, and every frame is audited (cross-origin iframes
+ * through their auto-attached sessions). The rule-based DOM checks (roles and ARIA
+ * attributes) stay in content-audit.js, which runs in every frame.
+ *
+ * Results use the content audit's shape ({ ruleId, wcag, wcagName, level,
+ * severity, role, message, fix }) plus backendDOMNodeId, a short element
+ * description and, for iframe sessions, the frame URL.
+ */
+
+import { getAllCdpFrames, getFullAXTree, sendCdp } from "./cdp.js";
+
+// Same cap as the content audit
+const MAX_RESULTS = 500;
+
+// Roles whose accessible name is required (aria-query's
+// accessibleNameRequired), with Chrome's "image" for img
+const NAME_REQUIRED_ROLES = new Set([
+  "alertdialog",
+  "application",
+  "button",
+  "checkbox",
+  "columnheader",
+  "combobox",
+  "dialog",
+  "grid",
+  "heading",
+  "image",
+  "img",
+  "link",
+  "listbox",
+  "marquee",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "meter",
+  "option",
+  "progressbar",
+  "radio",
+  "radiogroup",
+  "region",
+  "rowheader",
+  "searchbox",
+  "slider",
+  "spinbutton",
+  "switch",
+  "table",
+  "tabpanel",
+  "textbox",
+  "tooltip",
+  "tree",
+  "treegrid",
+  "treeitem",
+]);
+
+// Of those, the roles that can take their name from their contents
+const NAME_FROM_CONTENTS_ROLES = new Set([
+  "button",
+  "checkbox",
+  "columnheader",
+  "heading",
+  "link",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "option",
+  "radio",
+  "rowheader",
+  "switch",
+  "tooltip",
+  "treeitem",
+]);
+
+/**
+ * Unwrap a CDP AXValue ({ type, value }) to a primitive
+ * @param {*} v - AXValue or primitive
+ * @returns {*} Unwrapped value
+ */
+function axValue(v) {
+  if (v && typeof v === "object" && "value" in v) return v.value;
+  return v;
+}
+
+/**
+ * Run the AX tree rules on one document's nodes
+ * @param {Object[]} rawNodes - AXNodes from Accessibility.getFullAXTree
+ * @returns {Object[]} Findings ({ ruleId, wcag, ..., backendDOMNodeId })
+ */
+export function auditAXNodes(rawNodes) {
+  const results = [];
+  rawNodes.forEach((node) => {
+    if (node.ignored) return;
+    const role = axValue(node.role);
+    if (!NAME_REQUIRED_ROLES.has(role)) return;
+    if (String(axValue(node.name) || "").trim()) return;
+    results.push({
+      ruleId: "missing-accessible-name",
+      wcag: "4.1.2",
+      wcagName: "Name, Role, Value",
+      level: "A",
+      severity: "serious",
+      role,
+      message: `Element with role "${role}" has no accessible name`,
+      fix: NAME_FROM_CONTENTS_ROLES.has(role)
+        ? "Add visible text content, an aria-label, or an aria-labelledby reference to visible text."
+        : "Add a <label>, an aria-label, or an aria-labelledby reference to visible text.",
+      backendDOMNodeId: node.backendDOMNodeId || null,
+    });
+  });
+  return results;
+}
+
+/**
+ * Describe a DOM node for a result (e.g. "button#save.primary")
+ * @param {number} tabId - Chrome tab ID
+ * @param {number} backendNodeId - DOM backend node ID
+ * @param {Object} [opts] - sendCdp options ({ sessionId } for OOPIF frames)
+ * @returns {Promise<string>} Description, empty if the node is gone
+ */
+async function describeElement(tabId, backendNodeId, opts = {}) {
+  if (!backendNodeId) return "";
+  try {
+    const { node } = await sendCdp(
+      tabId,
+      "DOM.describeNode",
+      { backendNodeId },
+      opts
+    );
+    const attrs = new Map();
+    const list = node.attributes || [];
+    for (let i = 0; i < list.length; i += 2) attrs.set(list[i], list[i + 1]);
+    let text = node.localName || node.nodeName.toLowerCase();
+    if (attrs.get("id")) text += `#${attrs.get("id")}`;
+    const className = (attrs.get("class") || "").trim().split(/\s+/)[0];
+    if (className) text += `.${className}`;
+    return text;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Audit the accessibility tree of every frame in a tab, cross-origin iframes
+ * through their auto-attached sessions
+ * @param {number} tabId - Chrome tab ID (debugger must already be attached)
+ * @returns {Promise<{results: Object[], frames: number, truncated: boolean}>}
+ *   Findings and the number of frames audited
+ */
+export async function getAXAudit(tabId) {
+  const frames = await getAllCdpFrames(tabId);
+  const results = [];
+  let audited = 0;
+  let truncated = false;
+  for (const frame of frames) {
+    const opts = frame.sessionId ? { sessionId: frame.sessionId } : {};
+    let nodes;
+    try {
+      nodes = await getFullAXTree(tabId, { frameId: frame.id }, opts);
+    } catch (error) {
+      // Only the top document is required; iframes may have gone away
+      if (!frame.parentId) throw error;
+      continue;
+    }
+    audited++;
+    for (const finding of auditAXNodes(nodes)) {
+      if (results.length >= MAX_RESULTS) {
+        truncated = true;
+        break;
+      }
+      finding.element = await describeElement(
+        tabId,
+        finding.backendDOMNodeId,
+        opts
+      );
+      if (frame.parentId) finding.frameUrl = frame.url;
+      results.push(finding);
+    }
+  }
+  return { results, frames: audited, truncated };
+}
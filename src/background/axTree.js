@@ -0,0 +1,66 @@
+/**
+ * Full-page Accessibility Tree
+ *
+ * Retrieves the complete accessibility tree of a tab via
+ * Accessibility.getFullAXTree and reduces each CDP AXNode to the compact
+ * shape the tree explorer renders. Ignored nodes are kept (with their
+ * ignoredReasons) so the explorer can show why a node is not exposed.
+ */
+
+import { getFullAXTree } from "./cdp.js";
+import { performance } from "../utils/performance.js";
+
+/**
+ * Unwrap a CDP AXValue ({ type, value }) to a primitive
+ * @param {*} v - AXValue or primitive
+ * @returns {*} Unwrapped value
+ */
+function axValue(v) {
+  if (v && typeof v === "object" && "value" in v) return v.value;
+  return v;
+}
+
+/**
+ * Format a CDP AXNode for the tree explorer
+ * @param {Object} node - AXNode from Accessibility.getFullAXTree
+ * @returns {Object} Compact tree node
+ */
+export function formatTreeNode(node) {
+  const name = axValue(node.name);
+  const out = {
+    id: node.nodeId,
+    parentId: node.parentId || null,
+    childIds: Array.isArray(node.childIds) ? node.childIds : [],
+    backendDOMNodeId: node.backendDOMNodeId || null,
+    role: axValue(node.role) || "(no role)",
+    name: name ? String(name).trim() : "",
+    ignored: !!node.ignored,
+    ignoredReasons: [],
+  };
+
+  if (Array.isArray(node.ignoredReasons)) {
+    out.ignoredReasons = node.ignoredReasons.map((reason) => {
+      const v = axValue(reason.value);
+      // Most reasons are boolean flags; a few (e.g. ariaHiddenElement) carry related nodes
+      return v === true || v === undefined || v === null
+        ? reason.name
+        : `${reason.name}: ${typeof v === "object" ? JSON.stringify(v) : v}`;
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Get the full accessibility tree for a tab, formatted for the explorer
+ * @param {number} tabId - Chrome tab ID (debugger must already be attached)
+ * @returns {Promise<{nodes: Object[], rootId: string|null}>} Formatted tree
+ */
+export async function getFormattedAccessibilityTree(tabId) {
+  return await performance.measure("axTreeRetrieval", async () => {
+    const raw = await getFullAXTree(tabId);
+    const nodes = raw.map(formatTreeNode);
+    const root = nodes.find((n) => !n.parentId) || null;
+    return { nodes, rootId: root ? root.id : null };
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * Event-driven Accessibility Updates
+ *
+ * Watches the node the inspector currently shows (by backendNodeId) and
+ * listens for CDP Accessibility.nodesUpdated / Accessibility.loadComplete,
+ * so changed AX info is pushed to the content script as soon as Chrome
+ * reports it instead of the content script polling until the tree settles.
+ *
+ * Pushed message: { type: "AX_NODE_UPDATED", backendNodeId, info } sent to
+ * the frame that requested the node.
+ */
+
+import { connectionManager } from "./connectionManager.js";
+import { getAccessibilityInfoForBackendNode } from "./accessibilityInfo.js";
+import { getCdpFrameTarget } from "./cdp.js";
+import { docRoots, nodeCache } from "./caches.js";
+import { AX_UPDATE_DEBOUNCE_MS } from "./constants.js";
+
+export class AXUpdateWatcher {
+  constructor() {
+    this.watches = new Map(); // tabId -> { frameId, backendNodeId, sessionId, timer }
+    this.listeners = new Set();
+    this.setupEventHandlers();
+  }
+
+  setupEventHandlers() {
+    chrome.debugger.onEvent.addListener((source, method, params) => {
+      if (!source.tabId) return;
+      if (method === "Accessibility.nodesUpdated") {
+        this.handleNodesUpdated(source, params);
+      } else if (method === "Accessibility.loadComplete") {
+        this.handleLoadComplete(source);
+      }
+    });
+
+    // Events stop with the debugger; forget the watch
+    chrome.debugger.onDetach.addListener((source) => {
+      if (source.tabId) this.unwatch(source.tabId);
+    });
+  }
+
+  /**
+   * Watch a node for AX changes, replacing any previous watch in the tab
+   * @param {number} tabId - Chrome tab ID
+   * @param {number} frameId - Chrome frame ID of the requesting content script
+   * @param {number} backendNodeId - DOM backend node ID of the inspected node
+   */
+  async watch(tabId, frameId, backendNodeId) {
+    if (!backendNodeId) {
+      this.unwatch(tabId);
+      return;
+    }
+    const current = this.watches.get(tabId);
+    if (
+      current &&
+      current.frameId === frameId &&
+      current.backendNodeId === backendNodeId
+    ) {
+      return;
+    }
+
+    // Events for OOPIF frames arrive with that frame's sessionId
+    let sessionId;
+    if (frameId) {
+      const target = await getCdpFrameTarget(tabId, frameId);
+      sessionId = target && target.sessionId;
+    }
+    this.unwatch(tabId);
+    this.watches.set(tabId, { frameId, backendNodeId, sessionId, timer: null });
+  }
+
+  /**
+   * Stop watching in a tab
+   * @param {number} tabId - Chrome tab ID
+   */
+  unwatch(tabId) {
+    const current = this.watches.get(tabId);
+    if (current && current.timer) clearTimeout(current.timer);
+    this.watches.delete(tabId);
+  }
+
+  /**
+   * Register a callback run before an update is pushed (e.g. to drop
+   * micro-cached results for the frame)
+   * @param {Function} listener - (tabId, frameId) => void
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * Schedule a push when the watched node is among the updated nodes
+   * @param {Object} source - Debuggee ({ tabId, sessionId })
+   * @param {Object} params - { nodes: AXNode[] }
+   */
+  handleNodesUpdated(source, params) {
+    const current = this.watches.get(source.tabId);
+    if (!current || current.sessionId !== source.sessionId) return;
+    const nodes = (params && params.nodes) || [];
+    if (!nodes.some((n) => n.backendDOMNodeId === current.backendNodeId)) {
+      return;
+    }
+    if (current.timer) clearTimeout(current.timer);
+    current.timer = setTimeout(() => {
+      current.timer = null;
+      this.pushUpdate(source.tabId, current);
+    }, AX_UPDATE_DEBOUNCE_MS);
+  }
+
+  /**
+   * A document finished loading: node IDs cached for the tab are stale and a
+   * watched node in that document no longer exists
+   * @param {Object} source - Debuggee ({ tabId, sessionId })
+   */
+  handleLoadComplete(source) {
+    const tabId = source.tabId;
+    for (const cache of [docRoots, nodeCache]) {
+      for (const key of Array.from(cache.keys())) {
+        if (key.startsWith(`${tabId}:`)) cache.delete(key);
+      }
+    }
+    const current = this.watches.get(tabId);
+    if (current && current.sessionId === source.sessionId) this.unwatch(tabId);
+  }
+
+  /**
+   * Fetch the watched node's info and send it to the frame that asked for it
+   * @param {number} tabId - Chrome tab ID
+   * @param {Object} watched - Watch entry
+   */
+  async pushUpdate(tabId, watched) {
+    if (this.watches.get(tabId) !== watched) return;
+    try {
+      const info = await connectionManager.executeWithDebugger(tabId, () =>
+        getAccessibilityInfoForBackendNode(
+          tabId,
+          watched.backendNodeId,
+          watched.sessionId ? { sessionId: watched.sessionId } : {}
+        )
+      );
+      // The inspector may have moved on while the info was fetched
+      if (!info || this.watches.get(tabId) !== watched) return;
+
+      this.listeners.forEach((listener) => {
+        try {
+          listener(tabId, watched.frameId);
+        } catch (e) {
+          console.warn("AX update listener failed:", e);
+        }
+      });
+      await chrome.tabs.sendMessage(
+        tabId,
+        {
+          type: "AX_NODE_UPDATED",
+          backendNodeId: watched.backendNodeId,
+          info,
+        },
+        { frameId: watched.frameId }
+      );
+    } catch (error) {
+      // Node removed, frame gone or debugger detached; the next inspection
+      // starts a new watch
+      console.warn(`AX update push failed for tab ${tabId}:`, error.message);
+      if (this.watches.get(tabId) === watched) this.unwatch(tabId);
+    }
+  }
+}
+
+export const axUpdates = new AXUpdateWatcher();
@@ -1,15 +1,20 @@
 import { CDP_VERSION, CONTEXT_TTL_MS } from "./constants.js";
-import { contextCache } from "./state.js";
+import { contextCache, frameSessions } from "./state.js";
 import { chromeAsync } from "../utils/chromeAsync.js";
 
+// opts.sessionId routes the command to a flattened child session (an
+// out-of-process iframe auto-attached by the connection manager) instead of
+// the tab's root session.
 export async function sendCdp(tabId, method, params, opts = {}) {
   // Determine correlationId from opts or global marker set by connection manager
   const corr = (opts && opts.correlationId) || globalThis.__NEXUS_LAST_CORR;
+  const sessionId = opts && opts.sessionId;
+  const target = sessionId ? { tabId, sessionId } : { tabId };
   try {
     if (corr) {
       console.log(`sendCdp: ${method} for tab ${tabId} [corr=${corr}]`, params);
     }
-    return await chromeAsync.debugger.sendCommand({ tabId }, method, params);
+    return await chromeAsync.debugger.sendCommand(target, method, params);
   } finally {
     if (corr) {
       console.log(`sendCdp: ${method} completed for tab ${tabId} [corr=${corr}]`);
@@ -24,8 +29,8 @@ export async function ensureDomains(tabId, opts = {}) {
   await sendCdp(tabId, "Accessibility.enable", {}, opts);
 }
 
-export async function getFrameTree(tabId) {
-  const { frameTree } = await sendCdp(tabId, "Page.getFrameTree");
+export async function getFrameTree(tabId, opts = {}) {
+  const { frameTree } = await sendCdp(tabId, "Page.getFrameTree", {}, opts);
   return flattenFrameTree(frameTree);
 }
 
@@ -36,16 +41,18 @@ function flattenFrameTree(node, acc = []) {
   return acc;
 }
 
-export function cacheKey(tabId, frameId, worldName) {
-  return `${tabId}:${frameId}:${worldName || ""}`;
+export function cacheKey(tabId, frameId, worldName, sessionId) {
+  const base = `${tabId}:${frameId}:${worldName || ""}`;
+  return sessionId ? `${base}:${sessionId}` : base;
 }
 
 export async function getOrCreateIsolatedWorld(
   tabId,
   frameId,
-  worldName = "AX_Helper"
+  worldName = "AX_Helper",
+  opts = {}
 ) {
-  const key = cacheKey(tabId, frameId, worldName);
+  const key = cacheKey(tabId, frameId, worldName, opts.sessionId);
   const now = Date.now();
   const cached = contextCache.get(key);
   if (cached && now - cached.t < CONTEXT_TTL_MS) return cached.id;
@@ -56,7 +63,8 @@ export async function getOrCreateIsolatedWorld(
     {
       frameId,
       worldName,
-    }
+    },
+    opts
   );
   contextCache.set(key, { id: executionContextId, t: now });
   return executionContextId;
@@ -91,70 +99,202 @@ export async function getPartialAXTree(
   return nodes;
 }
 
-// Map a Chrome extension numeric frameId (from sender.frameId/webNavigation) to a CDP Page.FrameId
-export async function getCdpFrameId(tabId, chromeFrameId, hintUrl) {
+// Collect CDP frames from the tab's root session and from every auto-attached
+// OOPIF session. A frame reported by both belongs to the child session, which
+// owns its document; each entry carries the sessionId to route commands with.
+export async function getAllCdpFrames(tabId) {
+  const byId = new Map();
+  for (const frame of await getFrameTree(tabId)) {
+    byId.set(frame.id, { ...frame, sessionId: undefined });
+  }
+  const sessions = frameSessions.get(tabId);
+  if (sessions) {
+    const seen = new Set();
+    for (const { sessionId, ready } of sessions.values()) {
+      if (seen.has(sessionId)) continue;
+      seen.add(sessionId);
+      try {
+        await ready;
+        for (const frame of await getFrameTree(tabId, { sessionId })) {
+          byId.set(frame.id, { ...frame, sessionId });
+        }
+      } catch {
+        // Session went away (iframe navigated or removed)
+      }
+    }
+  }
+  return Array.from(byId.values());
+}
+
+// Like getCdpFrameId, but also returns the session that owns the frame
+// ({ frameId, sessionId }); sessionId is undefined for frames reachable
+// through the tab's root session.
+export async function getCdpFrameTarget(tabId, chromeFrameId, hintUrl) {
   try {
     const [framesNav, framesCdp] = await Promise.all([
       chrome.webNavigation.getAllFrames({ tabId }),
-      getFrameTree(tabId),
+      getAllCdpFrames(tabId),
     ]);
     const nav = framesNav.find((f) => f.frameId === chromeFrameId);
     // Prefer the url from navigation if available; otherwise use provided hint
     const targetUrl = nav?.url || hintUrl;
     if (!targetUrl) return undefined;
-    // Try exact URL match first
-    let match = framesCdp.find((f) => f.url === targetUrl);
-    if (match) return match.id;
-    // Fallback: strip hash for fuzzy match; keep query as some sites rely on it
-    const strip = (u) => {
+    const match = matchCdpFrame(framesCdp, targetUrl);
+    if (match) return { frameId: match.id, sessionId: match.sessionId };
+  } catch {}
+  return undefined;
+}
+
+// Map a Chrome extension numeric frameId (from sender.frameId/webNavigation) to a CDP Page.FrameId
+export async function getCdpFrameId(tabId, chromeFrameId, hintUrl) {
+  const target = await getCdpFrameTarget(tabId, chromeFrameId, hintUrl);
+  return target && target.frameId;
+}
+
+// Pick the frame (CDP or webNavigation shaped) whose url best matches targetUrl
+export function matchCdpFrame(framesCdp, targetUrl) {
+  // Try exact URL match first
+  let match = framesCdp.find((f) => f.url === targetUrl);
+  if (match) return match;
+  // Fallback: strip hash for fuzzy match; keep query as some sites rely on it
+  const strip = (u) => {
+    try {
+      const url = new URL(u);
+      url.hash = "";
+      return url.toString();
+    } catch {
+      return u.split("#")[0];
+    }
+  };
+  const target = strip(targetUrl);
+  match = framesCdp.find((f) => strip(f.url) === target);
+  if (match) return match;
+  // Fallback by origin: pick the only frame that shares the same origin
+  try {
+    const originOf = (u) => {
+      const url = new URL(u);
+      return url.origin;
+    };
+    const wantedOrigin = originOf(targetUrl);
+    const byOrigin = framesCdp.filter((f) => {
       try {
-        const url = new URL(u);
-        url.hash = "";
-        return url.toString();
+        return originOf(f.url) === wantedOrigin;
       } catch {
-        return u.split("#")[0];
+        return false;
       }
-    };
-    const target = strip(targetUrl);
-    match = framesCdp.find((f) => strip(f.url) === target);
-    if (match) return match.id;
-    // Fallback by origin: pick the only frame that shares the same origin
-    try {
-      const originOf = (u) => {
+    });
+    if (byOrigin.length === 1) return byOrigin[0];
+    // As a last resort, choose the longest path-prefix match on same origin
+    if (byOrigin.length > 1) {
+      const pathOf = (u) => {
         const url = new URL(u);
-        return url.origin;
+        return url.pathname;
       };
-      const wantedOrigin = originOf(targetUrl);
-      const byOrigin = framesCdp.filter((f) => {
+      const targetPath = pathOf(targetUrl);
+      let best = null;
+      let bestScore = -1;
+      for (const f of byOrigin) {
         try {
-          return originOf(f.url) === wantedOrigin;
-        } catch {
-          return false;
-        }
-      });
-      if (byOrigin.length === 1) return byOrigin[0].id;
-      // As a last resort, choose the longest path-prefix match on same origin
-      if (byOrigin.length > 1) {
-        const pathOf = (u) => {
-          const url = new URL(u);
-          return url.pathname;
-        };
-        const targetPath = pathOf(targetUrl);
-        let best = null;
-        let bestScore = -1;
-        for (const f of byOrigin) {
-          try {
-            const p = pathOf(f.url);
-            const score = targetPath.startsWith(p) ? p.length : -1;
-            if (score > bestScore) {
-              bestScore = score;
-              best = f;
-            }
-          } catch {}
-        }
-        if (best) return best.id;
+          const p = pathOf(f.url);
+          const score = targetPath.startsWith(p) ? p.length : -1;
+          if (score > bestScore) {
+            bestScore = score;
+            best = f;
+          }
+        } catch {}
       }
-    } catch {}
+      if (best) return best;
+    }
   } catch {}
   return undefined;
 }
+
+export async function getFullAXTree(tabId, params = {}, opts = {}) {
+  const { nodes } = await sendCdp(
+    tabId,
+    "Accessibility.getFullAXTree",
+    params,
+    opts
+  );
+  return nodes || [];
+}
+
+// Highlight a DOM node (by backendNodeId) with the Overlay domain and scroll it into view
+export async function highlightBackendNode(tabId, backendNodeId) {
+  await sendCdp(tabId, "Overlay.enable", {});
+  try {
+    await sendCdp(tabId, "DOM.scrollIntoViewIfNeeded", { backendNodeId });
+  } catch {
+    // Nodes without layout (display:none, <head> content) cannot be scrolled to
+  }
+  await sendCdp(tabId, "Overlay.highlightNode", {
+    backendNodeId,
+    highlightConfig: {
+      showInfo: true,
+      showAccessibilityInfo: true,
+      contentColor: { r: 104, g: 58, b: 183, a: 0.25 },
+      borderColor: { r: 104, g: 58, b: 183, a: 0.9 },
+    },
+  });
+}
+
+// Simulate a vision deficiency ("none" clears it)
+export async function setEmulatedVisionDeficiency(tabId, type, opts = {}) {
+  await sendCdp(tabId, "Emulation.setEmulatedVisionDeficiency", { type }, opts);
+}
+
+// Emulate CSS media features; an empty list restores the real values
+export async function setEmulatedMedia(tabId, features, opts = {}) {
+  await sendCdp(tabId, "Emulation.setEmulatedMedia", { features }, opts);
+}
+
+// Dispatch a key event to the focused frame (Input.dispatchKeyEvent)
+export async function dispatchKeyEvent(tabId, params, opts = {}) {
+  await sendCdp(tabId, "Input.dispatchKeyEvent", params, opts);
+}
+
+// Move keyboard focus to a DOM node (by backendNodeId). Elements that are not
+// focusable (headings, landmarks) get a temporary tabindex="-1", removed on blur.
+export async function focusBackendNode(tabId, backendNodeId) {
+  const { object } = await sendCdp(tabId, "DOM.resolveNode", { backendNodeId });
+  if (!object || !object.objectId) return false;
+  try {
+    const { result } = await sendCdp(tabId, "Runtime.callFunctionOn", {
+      objectId: object.objectId,
+      functionDeclaration: `function () {
+        if (!(this instanceof Element)) return false;
+        if (this.tabIndex < 0 && !this.hasAttribute("tabindex")) {
+          this.setAttribute("tabindex", "-1");
+          this.addEventListener("blur", () => this.removeAttribute("tabindex"), { once: true });
+        }
+        this.scrollIntoView({ block: "center" });
+        this.focus({ preventScroll: true });
+        return true;
+      }`,
+      returnByValue: true,
+    });
+    return !!(result && result.value);
+  } finally {
+    await sendCdp(tabId, "Runtime.releaseObject", {
+      objectId: object.objectId,
+    }).catch(() => {});
+  }
+}
+
+export async function hideHighlight(tabId) {
+  await sendCdp(tabId, "Overlay.hideHighlight", {});
+}
+
+// Background colors behind a node's text (CSS domain). Returns null when the
+// node has no visible text; an empty backgroundColors list means the
+// background was too complex (e.g. an image) for Chrome to summarize.
+export async function getBackgroundColors(tabId, nodeId, opts = {}) {
+  await sendCdp(tabId, "CSS.enable", {}, opts);
+  const res = await sendCdp(tabId, "CSS.getBackgroundColors", { nodeId }, opts);
+  if (!res || !Array.isArray(res.backgroundColors)) return null;
+  return {
+    backgroundColors: res.backgroundColors,
+    computedFontSize: res.computedFontSize,
+    computedFontWeight: res.computedFontWeight,
+  };
+}
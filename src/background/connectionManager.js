@@ -13,6 +13,13 @@ import { logger } from "../utils/logger.js";
 import { security, debuggerRateLimit } from "../utils/security.js";
 import { performance } from "../utils/performance.js";
 import { DEBUGGER_CONNECTION_RETRIES } from "./constants.js";
+import { contextCache, frameSessions } from "./state.js";
+import { applyEmulation, isEmulationActive } from "./emulation.js";
+import {
+  assertDebuggerAllowed,
+  checkDebuggerAllowed,
+  describeBlockedUrl,
+} from "./siteRules.js";
 
 export class DebuggerConnectionManager {
   constructor() {
@@ -29,6 +36,7 @@ export class DebuggerConnectionManager {
         const connection = this.getConnectionState(source.tabId);
         connection.state = "DETACHED";
         connection.frameContexts.clear();
+        this.clearSessions(source.tabId);
         this.clearCaches(source.tabId);
         console.log(
           `Debugger detached from tab ${source.tabId}, reason: ${reason}`
@@ -36,6 +44,16 @@ export class DebuggerConnectionManager {
       }
     });
 
+    // Track out-of-process iframe sessions reported by Target.setAutoAttach
+    chrome.debugger.onEvent.addListener((source, method, params) => {
+      if (!source.tabId) return;
+      if (method === "Target.attachedToTarget") {
+        this.handleAttachedToTarget(source.tabId, params, source.sessionId);
+      } else if (method === "Target.detachedFromTarget") {
+        this.handleDetachedFromTarget(source.tabId, params);
+      }
+    });
+
     // Handle alarm-based detach scheduling
     if (!globalThis.__NEXUS_ALARM_LISTENER_CONN_MGR) {
       chrome.alarms.onAlarm.addListener((alarm) => {
@@ -145,6 +163,15 @@ export class DebuggerConnectionManager {
   async ensureAttached(tabId, opts = {}) {
     const connection = this.getConnectionState(tabId);
 
+    // Per-site rules: never attach to a blocked URL, and let go of a tab
+    // that navigated to one while attached
+    try {
+      await assertDebuggerAllowed(tabId);
+    } catch (error) {
+      if (connection.state === "ATTACHED") await this.detach(tabId);
+      throw error;
+    }
+
     if (connection.state === "ATTACHED") {
       this.clearDetachTimer(tabId);
       connection.lastActivity = Date.now();
@@ -179,6 +206,8 @@ export class DebuggerConnectionManager {
           await sendCdp(tabId, "Accessibility.enable", {});
           await sendCdp(tabId, "Page.enable", {});
           await sendCdp(tabId, "Runtime.enable", {});
+          await this.enableAutoAttach(tabId);
+          await this.restoreEmulation(tabId);
 
           const connection = this.getConnectionState(tabId);
           connection.state = "ATTACHED";
@@ -205,6 +234,157 @@ export class DebuggerConnectionManager {
     );
   }
 
+  /**
+   * Auto-attach to out-of-process iframes (OOPIFs) with flattened sessions,
+   * so cross-origin frames such as payment widgets or video players can be
+   * reached through sessionId-aware sendCdp calls
+   * @param {number} tabId - Chrome tab ID
+   * @param {string} [sessionId] - Parent session (nested OOPIFs); root if omitted
+   */
+  async enableAutoAttach(tabId, sessionId) {
+    try {
+      await sendCdp(
+        tabId,
+        "Target.setAutoAttach",
+        { autoAttach: true, waitForDebuggerOnStart: false, flatten: true },
+        sessionId ? { sessionId } : {}
+      );
+    } catch (error) {
+      // Older Chrome versions do not support flat sessions for extensions;
+      // same-process frames keep working through the root session.
+      console.warn(`Target.setAutoAttach failed for tab ${tabId}:`, error.message);
+    }
+  }
+
+  /**
+   * Re-apply the tab's vision deficiency / media emulation, which CDP drops
+   * on detach and does not carry into new iframe sessions
+   * @param {number} tabId - Chrome tab ID
+   * @param {string} [sessionId] - Iframe session; root if omitted
+   */
+  async restoreEmulation(tabId, sessionId) {
+    if (!(await isEmulationActive(tabId))) return;
+    try {
+      await applyEmulation(tabId, sessionId ? { sessionId } : {});
+    } catch (error) {
+      console.warn(`Failed to restore emulation for tab ${tabId}:`, error.message);
+    }
+  }
+
+  /**
+   * Register an auto-attached iframe target and enable the domains the
+   * inspector needs in its session. Iframes whose URL the debugger rules
+   * block (e.g. a bank widget embedded in an allowed page) are detached
+   * instead; their ready promise rejects.
+   * @param {number} tabId - Chrome tab ID
+   * @param {Object} params - Target.attachedToTarget event params
+   * @param {string} [parentSessionId] - Session that reported the target
+   *   (nested OOPIFs); root if omitted
+   */
+  handleAttachedToTarget(tabId, params, parentSessionId) {
+    const { sessionId, targetInfo } = params || {};
+    if (!sessionId || !targetInfo || targetInfo.type !== "iframe") return;
+
+    const opts = { sessionId };
+    const ready = (async () => {
+      const decision = await checkDebuggerAllowed(targetInfo.url);
+      if (!decision.allowed) {
+        await this.releaseBlockedTarget(tabId, targetInfo, sessionId, parentSessionId);
+        throw new Error(describeBlockedUrl(decision));
+      }
+      try {
+        await sendCdp(tabId, "DOM.enable", {}, opts);
+        await sendCdp(tabId, "Accessibility.enable", {}, opts);
+        await sendCdp(tabId, "Page.enable", {}, opts);
+        await sendCdp(tabId, "Runtime.enable", {}, opts);
+        await this.enableAutoAttach(tabId, sessionId);
+        await this.restoreEmulation(tabId, sessionId);
+      } catch (error) {
+        console.warn(
+          `Failed to prepare iframe session ${sessionId} in tab ${tabId}:`,
+          error.message
+        );
+      }
+    })();
+    // Callers that await ready handle the rejection; nobody else has to
+    ready.catch(() => {});
+
+    if (!frameSessions.has(tabId)) frameSessions.set(tabId, new Map());
+    // An iframe target's id is the frame id of the OOPIF's root frame
+    frameSessions.get(tabId).set(targetInfo.targetId, { sessionId, ready });
+    console.log(
+      `Attached to iframe target ${targetInfo.targetId} in tab ${tabId} (session ${sessionId})`
+    );
+  }
+
+  /**
+   * Forget and detach an iframe session the debugger rules block
+   * @param {number} tabId - Chrome tab ID
+   * @param {Object} targetInfo - Target.attachedToTarget targetInfo
+   * @param {string} sessionId - The iframe's session
+   * @param {string} [parentSessionId] - Session that attached it; root if omitted
+   */
+  async releaseBlockedTarget(tabId, targetInfo, sessionId, parentSessionId) {
+    const sessions = frameSessions.get(tabId);
+    if (sessions && sessions.get(targetInfo.targetId)?.sessionId === sessionId) {
+      sessions.delete(targetInfo.targetId);
+    }
+    console.log(
+      `Detaching blocked iframe target ${targetInfo.targetId} in tab ${tabId}`
+    );
+    try {
+      await sendCdp(
+        tabId,
+        "Target.detachFromTarget",
+        { sessionId },
+        parentSessionId ? { sessionId: parentSessionId } : {}
+      );
+    } catch (error) {
+      // The frame may already be gone
+      console.warn(
+        `Failed to detach iframe session ${sessionId} in tab ${tabId}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Forget a detached iframe session and the contexts created in it
+   * @param {number} tabId - Chrome tab ID
+   * @param {Object} params - Target.detachedFromTarget event params
+   */
+  handleDetachedFromTarget(tabId, params) {
+    const sessionId = params && params.sessionId;
+    const sessions = frameSessions.get(tabId);
+    if (!sessionId || !sessions) return;
+    for (const [frameId, entry] of Array.from(sessions.entries())) {
+      if (entry.sessionId === sessionId) sessions.delete(frameId);
+    }
+    for (const key of Array.from(contextCache.keys())) {
+      if (key.endsWith(`:${sessionId}`)) contextCache.delete(key);
+    }
+  }
+
+  /**
+   * Get the flattened session that owns a CDP frame
+   * @param {number} tabId - Chrome tab ID
+   * @param {string} frameId - CDP frame ID
+   * @returns {string|undefined} Session ID, or undefined for frames in the
+   *   tab's root session
+   */
+  getSessionForFrame(tabId, frameId) {
+    const entry = frameSessions.get(tabId)?.get(frameId);
+    return entry ? entry.sessionId : undefined;
+  }
+
+  /**
+   * Forget all iframe sessions of a tab
+   * @param {number} tabId - Chrome tab ID
+   */
+  clearSessions(tabId) {
+    frameSessions.delete(tabId);
+  }
+
   /**
    * Schedule automatic detach after idle period
    * @param {number} tabId - Chrome tab ID
@@ -234,6 +414,8 @@ export class DebuggerConnectionManager {
   async handleScheduledDetach(tabId) {
     const connection = this.getConnectionState(tabId);
     if (!connection || connection.state !== "ATTACHED") return;
+    // Detaching would drop the emulation the user asked to keep
+    if (await isEmulationActive(tabId)) return;
 
     const idleTime = Date.now() - connection.lastActivity;
     const maxIdleTime = 30000; // 30 seconds
@@ -267,6 +449,7 @@ export class DebuggerConnectionManager {
         const connection = this.getConnectionState(tabId);
         connection.state = "DETACHED";
         connection.frameContexts.clear();
+        this.clearSessions(tabId);
         this.clearCaches(tabId);
         this.clearDetachTimer(tabId);
       });
@@ -312,6 +495,7 @@ export class DebuggerConnectionManager {
     ) {
       connection.state = "DETACHED";
       connection.frameContexts.clear();
+      this.clearSessions(tabId);
       this.clearCaches(tabId);
     }
   }
@@ -451,6 +635,7 @@ export class DebuggerConnectionManager {
    */
   async createIsolatedWorld(tabId, frameId, worldName = "NexusAccessibility") {
     try {
+      const sessionId = this.getSessionForFrame(tabId, frameId);
       const { executionContextId } = await sendCdp(
         tabId,
         "Page.createIsolatedWorld",
@@ -458,7 +643,8 @@ export class DebuggerConnectionManager {
           frameId,
           worldName: `${worldName}_${Date.now()}`,
           grantUniversalAccess: false,
-        }
+        },
+        sessionId ? { sessionId } : {}
       );
 
       const connection = this.getConnectionState(tabId);
@@ -485,6 +671,7 @@ export class DebuggerConnectionManager {
       attachingTabs: 0,
       detachedTabs: 0,
       totalFrameContexts: 0,
+      totalFrameSessions: 0,
     };
 
     for (const connection of this.connections.values()) {
@@ -501,6 +688,9 @@ export class DebuggerConnectionManager {
       }
       stats.totalFrameContexts += connection.frameContexts.size;
     }
+    for (const sessions of frameSessions.values()) {
+      stats.totalFrameSessions += sessions.size;
+    }
 
     return stats;
   }
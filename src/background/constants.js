@@ -8,6 +8,36 @@ export const CONTEXT_TTL_MS = 5000; // 5s context cache per frame
 // Micro-cache TTLs
 export const DIRECT_CACHE_TTL_MS = 150; // ms - micro-cache for direct-reference results
 
+// Accessibility.nodesUpdated bursts for the inspected node are coalesced
+export const AX_UPDATE_DEBOUNCE_MS = 50;
+
+// Emulation.setEmulatedVisionDeficiency types offered in the popup
+// ("none" clears the simulation)
+export const VISION_DEFICIENCIES = [
+  "none",
+  "protanopia",
+  "deuteranopia",
+  "tritanopia",
+  "achromatopsia",
+  "blurredVision",
+];
+
+// Emulation.setEmulatedMedia features and the values that can be emulated
+export const EMULATED_MEDIA_FEATURES = {
+  "prefers-reduced-motion": ["reduce", "no-preference"],
+  "forced-colors": ["active", "none"],
+  "prefers-contrast": ["more", "less", "no-preference"],
+};
+
+// Keyboard script replay: delay before each step's snapshot, kept in sync
+// with SETTLE_MS in src/content/content-recorder.js
+export const KEY_REPLAY_SETTLE_MS = 300;
+
+// Replay takes two debugger operations per step (the key and the
+// snapshot), and debuggerRateLimit allows 50 per minute per tab. Kept in
+// sync with MAX_STEPS in src/content/content-recorder.js.
+export const MAX_KEY_SCRIPT_STEPS = 20;
+
 // Import shared constants for consistency
 // Note: Can't import ES modules here due to service worker context limitations
 // These constants should be kept in sync with src/utils/constants.js
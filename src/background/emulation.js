@@ -0,0 +1,189 @@
+/**
+ * Vision Deficiency and Media Feature Emulation
+ *
+ * Applies the simulations chosen in the popup (Emulation.
+ * setEmulatedVisionDeficiency and Emulation.setEmulatedMedia) and keeps them
+ * per tab until they are cleared. CDP drops emulation when the debugger
+ * detaches, so the connection manager re-applies the stored settings on
+ * attach and to every auto-attached iframe session, and does not idle-detach
+ * a tab while emulation is active.
+ *
+ * Settings are mirrored to chrome.storage.session (one key per tab) and read
+ * back when the service worker starts, so a worker restart keeps them.
+ */
+
+import { setEmulatedVisionDeficiency, setEmulatedMedia } from "./cdp.js";
+import { tabEmulation, frameSessions } from "./state.js";
+import { VISION_DEFICIENCIES, EMULATED_MEDIA_FEATURES } from "./constants.js";
+
+const NO_EMULATION = { visionDeficiency: "none", media: {} };
+const STORAGE_PREFIX = "emulation:";
+
+/**
+ * Validate emulation settings. Media features without a value are dropped.
+ * @param {Object} settings - { visionDeficiency, media: { feature: value } }
+ * @returns {{visionDeficiency: string, media: Object}} Normalized settings
+ * @throws {Error} On unknown deficiencies, features or values
+ */
+export function normalizeEmulation(settings = {}) {
+  const visionDeficiency = settings.visionDeficiency || "none";
+  if (!VISION_DEFICIENCIES.includes(visionDeficiency)) {
+    throw new Error(`Unsupported vision deficiency: ${visionDeficiency}`);
+  }
+  const media = {};
+  Object.entries(settings.media || {}).forEach(([name, value]) => {
+    if (!value) return;
+    const allowed = EMULATED_MEDIA_FEATURES[name];
+    if (!allowed) throw new Error(`Unsupported media feature: ${name}`);
+    if (!allowed.includes(value)) {
+      throw new Error(`Unsupported value for ${name}: ${value}`);
+    }
+    media[name] = value;
+  });
+  return { visionDeficiency, media };
+}
+
+/**
+ * Read the settings stored before the service worker (re)started back into
+ * tabEmulation. Invalid entries are dropped.
+ * @returns {Promise<void>}
+ */
+export async function loadStoredEmulation() {
+  let stored = {};
+  try {
+    stored = (await chrome.storage.session.get(null)) || {};
+  } catch (error) {
+    console.warn("Failed to read stored emulation:", error.message);
+    return;
+  }
+  Object.entries(stored).forEach(([key, settings]) => {
+    if (!key.startsWith(STORAGE_PREFIX)) return;
+    const tabId = Number(key.slice(STORAGE_PREFIX.length));
+    try {
+      // Settings changed since startup are newer than the stored ones
+      if (Number.isInteger(tabId) && !tabEmulation.has(tabId)) {
+        tabEmulation.set(tabId, normalizeEmulation(settings));
+      }
+    } catch (error) {
+      chrome.storage.session.remove(key).catch(() => {});
+    }
+  });
+}
+
+const storedEmulationLoaded = loadStoredEmulation();
+
+/**
+ * Store or remove a tab's settings in chrome.storage.session to match
+ * tabEmulation
+ * @param {number} tabId - Chrome tab ID
+ */
+async function persistEmulation(tabId) {
+  const key = `${STORAGE_PREFIX}${tabId}`;
+  try {
+    const settings = tabEmulation.get(tabId);
+    if (settings) await chrome.storage.session.set({ [key]: settings });
+    else await chrome.storage.session.remove(key);
+  } catch (error) {
+    console.warn(`Failed to store emulation for tab ${tabId}:`, error.message);
+  }
+}
+
+/**
+ * Get the emulation settings of a tab
+ * @param {number} tabId - Chrome tab ID
+ * @returns {Promise<{visionDeficiency: string, media: Object}>} Settings
+ */
+export async function getEmulation(tabId) {
+  await storedEmulationLoaded;
+  const settings = tabEmulation.get(tabId) || NO_EMULATION;
+  return { visionDeficiency: settings.visionDeficiency, media: { ...settings.media } };
+}
+
+/**
+ * Whether a tab has any emulation applied
+ * @param {number} tabId - Chrome tab ID
+ * @returns {Promise<boolean>} True while a deficiency or media feature is
+ *   emulated
+ */
+export async function isEmulationActive(tabId) {
+  await storedEmulationLoaded;
+  return tabEmulation.has(tabId);
+}
+
+/**
+ * Send a tab's stored settings to one CDP session
+ * @param {number} tabId - Chrome tab ID (debugger must already be attached)
+ * @param {Object} [opts] - sendCdp options (sessionId for iframe sessions)
+ */
+export async function applyEmulation(tabId, opts = {}) {
+  const { visionDeficiency, media } = await getEmulation(tabId);
+  await setEmulatedVisionDeficiency(tabId, visionDeficiency, opts);
+  await setEmulatedMedia(
+    tabId,
+    Object.entries(media).map(([name, value]) => ({ name, value })),
+    opts
+  );
+}
+
+/**
+ * Apply a tab's stored settings to its root session and every known
+ * iframe session
+ * @param {number} tabId - Chrome tab ID (debugger must already be attached)
+ */
+async function applyToAllSessions(tabId) {
+  await applyEmulation(tabId);
+  for (const { sessionId, ready } of frameSessions.get(tabId)?.values() || []) {
+    try {
+      await ready;
+      await applyEmulation(tabId, { sessionId });
+    } catch (error) {
+      // The iframe may have navigated away; its replacement gets the
+      // settings when it is auto-attached
+      console.warn(`Failed to apply emulation to session ${sessionId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Store and apply emulation settings for a tab. Settings that emulate
+ * nothing clear the tab's emulation.
+ * @param {number} tabId - Chrome tab ID (debugger must already be attached)
+ * @param {Object} settings - { visionDeficiency, media: { feature: value } }
+ * @returns {Promise<{visionDeficiency: string, media: Object}>} Applied settings
+ */
+export async function setEmulation(tabId, settings) {
+  const normalized = normalizeEmulation(settings);
+  await storedEmulationLoaded;
+  if (
+    normalized.visionDeficiency === "none" &&
+    !Object.keys(normalized.media).length
+  ) {
+    tabEmulation.delete(tabId);
+  } else {
+    tabEmulation.set(tabId, normalized);
+  }
+  await persistEmulation(tabId);
+  await applyToAllSessions(tabId);
+  return getEmulation(tabId);
+}
+
+/**
+ * Remove all emulation from a tab
+ * @param {number} tabId - Chrome tab ID (debugger must already be attached)
+ */
+export async function clearEmulation(tabId) {
+  await storedEmulationLoaded;
+  tabEmulation.delete(tabId);
+  await persistEmulation(tabId);
+  await applyToAllSessions(tabId);
+}
+
+/**
+ * Forget a tab's settings without sending CDP commands (tab closed)
+ * @param {number} tabId - Chrome tab ID
+ */
+export async function forgetEmulation(tabId) {
+  await storedEmulationLoaded;
+  tabEmulation.delete(tabId);
+  await persistEmulation(tabId);
+}
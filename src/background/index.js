@@ -1,6 +1,7 @@
 import { CacheManager } from "./cache-manager.js";
 import { connectionManager } from "./connectionManager.js";
 import { MessageHandler } from "./message-handler.js";
+import { forgetEmulation } from "./emulation.js";
 import TestUtils from "../utils/testUtils.js";
 
 // Initialize managers
@@ -19,6 +20,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
 // Clean up on tab close
 chrome.tabs.onRemoved.addListener((tabId) => {
+  forgetEmulation(tabId).catch(() => {});
   try { connectionManager.detach(tabId); } catch (_) {}
 });
 
@@ -98,20 +100,29 @@ try {
   console.warn("[BACKGROUND-INDEX] Failed to attach connectionManager:", e);
 }
 
-// Keyboard command handler (Alt+T -> delegate toggle to content script so it shares logic with popup)
+// Keyboard command handlers: delegate to the content script so toggles share logic with the popup.
+// Alt+T toggles the inspector in every frame; Alt+O toggles the tab order overlay, which the top
+// frame draws for the whole page (including same-origin iframes); Alt+P toggles pick mode in every
+// frame, each picking within its own document.
+const COMMAND_MESSAGES = {
+  'toggle-inspector': { msg: { type: 'COMMAND_TOGGLE_INSPECTOR' }, options: {} },
+  'toggle-tab-order': { msg: { type: 'COMMAND_TOGGLE_TAB_ORDER' }, options: { frameId: 0 } },
+  'toggle-pick-mode': { msg: { type: 'COMMAND_TOGGLE_PICK_MODE' }, options: {} },
+};
+
 try {
   if (chrome && chrome.commands && chrome.commands.onCommand) {
     chrome.commands.onCommand.addListener(async (command) => {
       try { console.log('[NEXUS][CMD] onCommand fired', command, Date.now()); } catch(e) {}
-      if (command !== 'toggle-inspector') return;
+      const route = COMMAND_MESSAGES[command];
+      if (!route) return;
       try {
         const tabs = await new Promise((resolve) => {
           try { chrome.tabs.query({ active: true, lastFocusedWindow: true }, resolve); } catch (e) { resolve([]); }
         });
-        const msg = { type: 'COMMAND_TOGGLE_INSPECTOR' };
         for (const t of tabs) {
           if (t && t.id != null) {
-            try { chrome.tabs.sendMessage(t.id, msg); } catch (e) {}
+            try { chrome.tabs.sendMessage(t.id, route.msg, route.options); } catch (e) {}
           }
         }
       } catch (err) {
@@ -0,0 +1,204 @@
+/**
+ * Keyboard Script Replay
+ *
+ * Replays a keyboard script recorded by the content script (see
+ * content/content-recorder.js) through CDP Input.dispatchKeyEvent. The
+ * script's starting focus is restored first; after each key the top frame
+ * takes a fresh inspection snapshot, which is compared with the recorded
+ * one so changed announcements show up as regressions.
+ *
+ * Keys are dispatched one debugger operation at a time: the snapshot is
+ * requested through the inspector's usual getBackendNodeIdAndAccessibleInfo
+ * path, which needs the per-tab debugger queue to be free.
+ */
+
+import { dispatchKeyEvent } from "./cdp.js";
+import { connectionManager } from "./connectionManager.js";
+import { chromeAsync } from "../utils/chromeAsync.js";
+import { KEY_REPLAY_SETTLE_MS, MAX_KEY_SCRIPT_STEPS } from "./constants.js";
+
+// Snapshot fields compared between recording and replay
+const SNAPSHOT_FIELDS = [
+  { key: "screenReader", label: "Screen reader output" },
+  { key: "role", label: "Role" },
+  { key: "name", label: "Name" },
+  { key: "states", label: "States" },
+];
+
+// CDP modifier bits, in the order they are spelled in key labels
+const MODIFIER_LABELS = [
+  [2, "Ctrl"],
+  [1, "Alt"],
+  [8, "Shift"],
+  [4, "Meta"],
+];
+
+/**
+ * Validate a keyboard script
+ * @param {Object} script - { start, steps: [{ key, code, keyCode, modifiers,
+ *   text, snapshot }] }
+ * @returns {{start: Object|null, steps: Object[]}} The script's start and steps
+ * @throws {Error} On malformed scripts
+ */
+export function normalizeKeyScript(script) {
+  if (!script || typeof script !== "object" || !Array.isArray(script.steps)) {
+    throw new Error("Invalid keyboard script");
+  }
+  if (!script.steps.length) throw new Error("Keyboard script has no steps");
+  if (script.steps.length > MAX_KEY_SCRIPT_STEPS) {
+    throw new Error(
+      `Keyboard script has more than ${MAX_KEY_SCRIPT_STEPS} steps`
+    );
+  }
+  script.steps.forEach((step, index) => {
+    if (
+      !step ||
+      typeof step.key !== "string" ||
+      !step.key ||
+      typeof step.code !== "string" ||
+      !Number.isInteger(step.keyCode) ||
+      !Number.isInteger(step.modifiers) ||
+      step.modifiers < 0 ||
+      step.modifiers > 15 ||
+      (step.text !== undefined && typeof step.text !== "string")
+    ) {
+      throw new Error(`Invalid key in step ${index + 1}`);
+    }
+  });
+  return { start: script.start || null, steps: script.steps };
+}
+
+/**
+ * Label a step's key with its modifiers (e.g. "Shift+Tab")
+ * @param {Object} step - Script step
+ * @returns {string} Key label
+ */
+export function formatKeyStep(step) {
+  const parts = MODIFIER_LABELS.filter(([bit]) => step.modifiers & bit).map(
+    ([, label]) => label
+  );
+  parts.push(step.key === " " ? "Space" : step.key);
+  return parts.join("+");
+}
+
+/**
+ * Build the Input.dispatchKeyEvent parameters for a step. Keys that insert
+ * text are sent as keyDown with text, others as rawKeyDown.
+ * @param {Object} step - Script step
+ * @returns {Object[]} Key down and key up parameters
+ */
+export function keyEventParams(step) {
+  const base = {
+    key: step.key,
+    code: step.code,
+    windowsVirtualKeyCode: step.keyCode,
+    nativeVirtualKeyCode: step.keyCode,
+    modifiers: step.modifiers,
+  };
+  const down = step.text
+    ? { type: "keyDown", ...base, text: step.text, unmodifiedText: step.text }
+    : { type: "rawKeyDown", ...base };
+  return [down, { type: "keyUp", ...base }];
+}
+
+/**
+ * Flatten a snapshot field to comparable text
+ * @param {Object} snapshot - Inspection snapshot
+ * @param {string} key - Field
+ * @returns {string} Text
+ */
+function fieldText(snapshot, key) {
+  const value = snapshot ? snapshot[key] : undefined;
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .map((name) => `${name}=${value[name]}`)
+      .join("; ");
+  }
+  return value == null ? "" : String(value);
+}
+
+/**
+ * Compare a recorded snapshot with the one taken during replay
+ * @param {Object} expected - Recorded snapshot
+ * @param {Object|null} actual - Replayed snapshot (null if none was taken)
+ * @returns {Array<{field: string, label: string, expected: string,
+ *   actual: string}>} Differences, empty when the step matches
+ */
+export function compareKeySnapshots(expected, actual) {
+  return SNAPSHOT_FIELDS.map(({ key, label }) => ({
+    field: key,
+    label,
+    expected: fieldText(expected, key),
+    actual: fieldText(actual, key),
+  })).filter((d) => d.expected !== d.actual);
+}
+
+/**
+ * Send one step's key down and key up
+ * @param {number} tabId - Chrome tab ID (debugger must already be attached)
+ * @param {Object} step - Script step
+ */
+export async function dispatchKeyStep(tabId, step) {
+  for (const params of keyEventParams(step)) {
+    await dispatchKeyEvent(tabId, params);
+  }
+}
+
+/**
+ * Replay a keyboard script and compare each step's snapshot
+ * @param {number} tabId - Chrome tab ID
+ * @param {Object} script - Recorded script (see normalizeKeyScript)
+ * @param {Object} [opts] - { settleMs } delay before each snapshot
+ * @returns {Promise<{status: string, startFound: boolean, mismatches: number,
+ *   steps: Object[]}>} One result per step: { index, key, captured, expected,
+ *   actual, differences }. Steps recorded without a snapshot (captured:
+ *   false) are replayed but not compared.
+ */
+export async function replayKeyScript(tabId, script, opts = {}) {
+  const { start, steps } = normalizeKeyScript(script);
+  const settleMs = opts.settleMs ?? KEY_REPLAY_SETTLE_MS;
+
+  const prepared = await chromeAsync.tabs.sendMessage(
+    tabId,
+    { type: "PREPARE_KEY_REPLAY", selector: (start && start.selector) || "" },
+    { frameId: 0 }
+  );
+  if (!prepared || prepared.status === "error") {
+    throw new Error("Nexus is not running in this tab");
+  }
+  if (prepared.status === "recording") {
+    throw new Error("Stop recording before replaying a script");
+  }
+
+  const results = [];
+  for (const [index, step] of steps.entries()) {
+    await connectionManager.executeWithDebugger(
+      tabId,
+      async () => await dispatchKeyStep(tabId, step)
+    );
+    await new Promise((resolve) => setTimeout(resolve, settleMs));
+    const resp = await chromeAsync.tabs.sendMessage(
+      tabId,
+      { type: "GET_KEY_SNAPSHOT" },
+      { frameId: 0 }
+    );
+    const actual = resp && resp.status === "ok" ? resp.snapshot : null;
+    const captured = !!step.snapshot;
+    results.push({
+      index,
+      key: formatKeyStep(step),
+      captured,
+      expected: step.snapshot || null,
+      actual,
+      differences: captured ? compareKeySnapshots(step.snapshot, actual) : [],
+    });
+  }
+
+  return {
+    status: "completed",
+    startFound: prepared.status === "ready",
+    mismatches: results.filter((r) => r.differences.length).length,
+    steps: results,
+  };
+}
@@ -2,12 +2,23 @@ import { MessageValidator } from "./message-validator.js";
 import { getAccessibilityInfoForElement } from "./accessibilityInfo.js";
 import { nodeCache as __axNodeCache } from "./caches.js";
 import { connectionManager } from "./connectionManager.js";
+import { axUpdates } from "./axUpdates.js";
 import {
   getOrCreateIsolatedWorld,
+  getCdpFrameTarget,
+  matchCdpFrame,
   evalInWorld,
   resolveNode,
   getPartialAXTree,
+  highlightBackendNode,
+  hideHighlight,
+  focusBackendNode,
 } from "./cdp.js";
+import { getFormattedAccessibilityTree } from "./axTree.js";
+import { getPageOutline } from "./pageOutline.js";
+import { getAXAudit } from "./axAudit.js";
+import { getEmulation, setEmulation, clearEmulation } from "./emulation.js";
+import { replayKeyScript } from "./keyReplay.js";
 import { DIRECT_CACHE_TTL_MS } from "./constants.js";
 
 export class MessageHandler {
@@ -17,6 +28,24 @@ export class MessageHandler {
     // key navigation. Keyed by `element-direct-${tabId}-${frameId}` and
     // stores { value, t } where t is timestamp in ms.
     this.directCache = new Map();
+    // Pushed AX updates supersede micro-cached results for that frame
+    axUpdates.subscribe((tabId, frameId) => {
+      this.directCache.delete(`element-direct-${tabId}-${frameId || 0}`);
+    });
+  }
+
+  /**
+   * Watch the node behind an inspection result so later AX changes are
+   * pushed to the requesting frame (see axUpdates.js)
+   * @param {number} tabId - Chrome tab ID
+   * @param {number} frameId - Chrome frame ID
+   * @param {Object} result - Accessibility info
+   */
+  watchInspectedNode(tabId, frameId, result) {
+    if (!result || result.error) return;
+    axUpdates
+      .watch(tabId, frameId || 0, result.backendDOMNodeId)
+      .catch((e) => console.warn("Failed to watch inspected node:", e));
   }
 
   async handle(msg, sender) {
@@ -42,9 +71,39 @@ export class MessageHandler {
         case "getAccessibilityTree":
           return await this.handleGetAccessibilityTree(msg, sender);
 
+        case "highlightAXNode":
+          return await this.handleHighlightAXNode(msg, sender);
+
+        case "clearAXHighlight":
+          return await this.handleClearAXHighlight(msg, sender);
+
+        case "getPageOutline":
+          return await this.handleGetPageOutline(msg, sender);
+
+        case "runAXAudit":
+          return await this.handleRunAXAudit(msg, sender);
+
+        case "getEmulation":
+          return await this.handleGetEmulation(msg, sender);
+
+        case "setEmulation":
+          return await this.handleSetEmulation(msg, sender);
+
+        case "clearEmulation":
+          return await this.handleClearEmulation(msg, sender);
+
+        case "replayKeyScript":
+          return await this.handleReplayKeyScript(msg, sender);
+
+        case "focusAXNode":
+          return await this.handleFocusAXNode(msg, sender);
+
         case "getBackendNodeIdAndAccessibleInfo":
           return await this.handleGetElementInfo(msg, sender);
 
+        case "getDevtoolsElementInfo":
+          return await this.handleGetDevtoolsElementInfo(msg, sender);
+
         case "AX_INSPECTOR_SHOWN":
           return await this.handleInspectorShown(msg, sender);
 
@@ -164,9 +223,17 @@ export class MessageHandler {
   }
 
   async handleGetAccessibilityTree(msg, sender) {
-    const tabId = sender.tab.id;
+    // Content scripts send from a tab; the popup passes the target tabId explicitly
+    const tabId = sender.tab?.id || msg.tabId;
+    if (!tabId) {
+      return { status: "no_tab_id" };
+    }
     const cacheKey = `tree-${tabId}`;
 
+    if (msg.refresh) {
+      this.cache.delete(cacheKey);
+    }
+
     // Check cache first
     const cached = this.cache.get(cacheKey);
     if (cached) {
@@ -175,19 +242,11 @@ export class MessageHandler {
 
     try {
       // Use connectionManager to ensure attachment & serialized access
-      const { nodes } = await connectionManager.executeWithDebugger(
+      const result = await connectionManager.executeWithDebugger(
         tabId,
-        async () => {
-          const { nodes } = await chrome.debugger.sendCommand(
-            { tabId },
-            "Accessibility.getFullAXTree",
-            {}
-          );
-          return { nodes };
-        }
+        async () => await getFormattedAccessibilityTree(tabId)
       );
 
-      const result = { nodes };
       this.cache.set(cacheKey, result);
       return result;
     } catch (error) {
@@ -195,6 +254,154 @@ export class MessageHandler {
     }
   }
 
+  async handleHighlightAXNode(msg, sender) {
+    const tabId = sender.tab?.id || msg.tabId;
+    if (!tabId) {
+      return { status: "no_tab_id" };
+    }
+
+    try {
+      await connectionManager.executeWithDebugger(tabId, async () => {
+        await highlightBackendNode(tabId, msg.backendDOMNodeId);
+      });
+      return { status: "highlighted", backendDOMNodeId: msg.backendDOMNodeId };
+    } catch (error) {
+      throw new Error(`Failed to highlight node: ${error.message}`);
+    }
+  }
+
+  async handleClearAXHighlight(msg, sender) {
+    const tabId = sender.tab?.id || msg.tabId;
+    if (!tabId) {
+      return { status: "no_tab_id" };
+    }
+
+    // Nothing to clear when the debugger is no longer attached (detach removes overlays)
+    const connection = connectionManager.getConnectionState(tabId);
+    if (connection.state !== "ATTACHED") {
+      return { status: "not_attached" };
+    }
+
+    try {
+      await connectionManager.executeWithDebugger(tabId, async () => {
+        await hideHighlight(tabId);
+      });
+      return { status: "cleared" };
+    } catch (error) {
+      return { status: "error", error: error.message };
+    }
+  }
+
+  async handleGetPageOutline(msg, sender) {
+    const tabId = sender.tab?.id || msg.tabId;
+    if (!tabId) {
+      return { status: "no_tab_id" };
+    }
+
+    try {
+      return await connectionManager.executeWithDebugger(
+        tabId,
+        async () => await getPageOutline(tabId)
+      );
+    } catch (error) {
+      throw new Error(`Failed to get page outline: ${error.message}`);
+    }
+  }
+
+  async handleRunAXAudit(msg, sender) {
+    const tabId = sender.tab?.id || msg.tabId;
+    if (!tabId) {
+      return { status: "no_tab_id" };
+    }
+
+    try {
+      return await connectionManager.executeWithDebugger(
+        tabId,
+        async () => await getAXAudit(tabId)
+      );
+    } catch (error) {
+      throw new Error(
+        `Failed to audit the accessibility tree: ${error.message}`
+      );
+    }
+  }
+
+  async handleGetEmulation(msg, sender) {
+    const tabId = sender.tab?.id || msg.tabId;
+    if (!tabId) {
+      return { status: "no_tab_id" };
+    }
+    return await getEmulation(tabId);
+  }
+
+  async handleSetEmulation(msg, sender) {
+    const tabId = sender.tab?.id || msg.tabId;
+    if (!tabId) {
+      return { status: "no_tab_id" };
+    }
+
+    try {
+      return await connectionManager.executeWithDebugger(
+        tabId,
+        async () =>
+          await setEmulation(tabId, {
+            visionDeficiency: msg.visionDeficiency,
+            media: msg.media,
+          })
+      );
+    } catch (error) {
+      throw new Error(`Failed to apply emulation: ${error.message}`);
+    }
+  }
+
+  async handleClearEmulation(msg, sender) {
+    const tabId = sender.tab?.id || msg.tabId;
+    if (!tabId) {
+      return { status: "no_tab_id" };
+    }
+
+    try {
+      await connectionManager.executeWithDebugger(
+        tabId,
+        async () => await clearEmulation(tabId)
+      );
+      return { status: "cleared", ...(await getEmulation(tabId)) };
+    } catch (error) {
+      throw new Error(`Failed to clear emulation: ${error.message}`);
+    }
+  }
+
+  async handleReplayKeyScript(msg, sender) {
+    const tabId = sender.tab?.id || msg.tabId;
+    if (!tabId) {
+      return { status: "no_tab_id" };
+    }
+
+    try {
+      // Each key takes its own debugger operation (see keyReplay.js)
+      return await replayKeyScript(tabId, msg.script);
+    } catch (error) {
+      throw new Error(`Failed to replay keyboard script: ${error.message}`);
+    }
+  }
+
+  async handleFocusAXNode(msg, sender) {
+    const tabId = sender.tab?.id || msg.tabId;
+    if (!tabId) {
+      return { status: "no_tab_id" };
+    }
+
+    try {
+      const focused = await connectionManager.executeWithDebugger(
+        tabId,
+        async () => await focusBackendNode(tabId, msg.backendDOMNodeId)
+      );
+      return { status: focused ? "focused" : "not_focused" };
+    } catch (error) {
+      throw new Error(`Failed to focus node: ${error.message}`);
+    }
+  }
+
   async handleGetElementInfo(msg, sender) {
     try {
       const tabId = sender.tab?.id;
@@ -250,6 +457,7 @@ export class MessageHandler {
             // ignore
           }
 
+          this.watchInspectedNode(tabId, frameId, result);
           return result;
       }
 
@@ -258,8 +466,8 @@ export class MessageHandler {
         msg.elementSelector
       }`;
 
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
+      // Check cache first, unless the caller asked for a fresh lookup
+      const cached = msg.refresh ? null : this.cache.get(cacheKey);
       if (cached) {
         return cached;
       }
@@ -292,6 +500,7 @@ export class MessageHandler {
 
       // Cache the result
       this.cache.set(cacheKey, result);
+      this.watchInspectedNode(tabId, frameId, result);
       return result;
     } catch (error) {
       console.error("Background: Error in handleGetElementInfo:", error);
@@ -300,6 +509,62 @@ export class MessageHandler {
     }
   }
 
+  /**
+   * Get accessibility info for the element selected in the DevTools Elements
+   * panel ($0). DevTools pages have no sender tab, so the inspected tab and
+   * the selected element's frame URL come with the message.
+   */
+  async handleGetDevtoolsElementInfo(msg, sender) {
+    const tabId = msg.tabId;
+    const frameId = msg.frameUrl
+      ? await this.findDevtoolsFrame(tabId, msg.frameUrl)
+      : 0;
+
+    try {
+      return await connectionManager.executeWithDebugger(
+        tabId,
+        async ({ connection }) => {
+          // Cross-origin (OOPIF) frames are reached through their own session
+          if (frameId && !(await getCdpFrameTarget(tabId, frameId, msg.frameUrl))) {
+            throw new Error("the selected element's frame is not reachable");
+          }
+          return await getAccessibilityInfoForElement(
+            tabId,
+            frameId,
+            msg.elementSelector,
+            connection
+          );
+        }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get element info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the Chrome frame of a DevTools selection from its document URL,
+   * matched like CDP frames (exact URL, then without the fragment, then by
+   * origin and path)
+   * @param {number} tabId - Inspected tab
+   * @param {string} frameUrl - URL of the selected element's document
+   * @returns {Promise<number>} Chrome frame ID
+   * @throws {Error} When no frame or several frames have that URL
+   */
+  async findDevtoolsFrame(tabId, frameUrl) {
+    const frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+    const match = matchCdpFrame(frames, frameUrl);
+    if (!match) {
+      throw new Error("The selected element's frame is no longer in the page");
+    }
+    // DevTools only reports the URL, so frames sharing it are ambiguous
+    if (frames.filter((f) => f.url === match.url).length > 1) {
+      throw new Error(
+        "Several frames have the selected element's URL; inspect the element from the page instead"
+      );
+    }
+    return match.frameId;
+  }
+
   async handleInspectorShown(msg, sender) {
     // Relay inspector-coordination messages across all frames in the tab
     try {
@@ -327,6 +592,7 @@ export class MessageHandler {
     try {
       const tabId = sender.tab?.id || msg.tabId;
       if (tabId) {
+        axUpdates.unwatch(tabId);
         // Schedule a detach rather than forcing immediate detach to avoid
         // attach/detach churn when users quickly refocus the page.
         // Delegate to connectionManager idle detach scheduling
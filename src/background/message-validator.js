@@ -1,7 +1,23 @@
+import {
+  VISION_DEFICIENCIES,
+  EMULATED_MEDIA_FEATURES,
+  MAX_KEY_SCRIPT_STEPS,
+} from "./constants.js";
+
 export class MessageValidator {
   static ALLOWED_ACTIONS = [
     "getAccessibilityTree",
+    "highlightAXNode",
+    "clearAXHighlight",
+    "getPageOutline",
+    "runAXAudit",
+    "getEmulation",
+    "setEmulation",
+    "clearEmulation",
+    "replayKeyScript",
+    "focusAXNode",
     "getBackendNodeIdAndAccessibleInfo",
+    "getDevtoolsElementInfo",
     "AX_INSPECTOR_SHOWN",
     "NEXUS_TAB_INIT",
     "INSPECTOR_STATE_CHANGE",
@@ -62,12 +78,94 @@ export class MessageValidator {
           if (typeof msg.elementSelector !== "string") {
             throw new Error("Invalid elementSelector");
           }
+          if (msg.refresh !== undefined && typeof msg.refresh !== "boolean") {
+            throw new Error("Invalid refresh flag");
+          }
         }
         break;
       case "getAccessibilityTree":
         if (msg.tabId && typeof msg.tabId !== "number") {
           throw new Error("Invalid tabId");
         }
+        if (msg.refresh !== undefined && typeof msg.refresh !== "boolean") {
+          throw new Error("Invalid refresh flag");
+        }
+        break;
+      case "highlightAXNode":
+        if (msg.tabId && typeof msg.tabId !== "number") {
+          throw new Error("Invalid tabId");
+        }
+        if (!Number.isInteger(msg.backendDOMNodeId) || msg.backendDOMNodeId <= 0) {
+          throw new Error("Invalid backendDOMNodeId");
+        }
+        break;
+      case "clearAXHighlight":
+      case "getPageOutline":
+      case "runAXAudit":
+      case "getEmulation":
+      case "clearEmulation":
+        if (msg.tabId && typeof msg.tabId !== "number") {
+          throw new Error("Invalid tabId");
+        }
+        break;
+      case "setEmulation":
+        if (msg.tabId && typeof msg.tabId !== "number") {
+          throw new Error("Invalid tabId");
+        }
+        if (
+          msg.visionDeficiency !== undefined &&
+          !VISION_DEFICIENCIES.includes(msg.visionDeficiency)
+        ) {
+          throw new Error("Invalid visionDeficiency");
+        }
+        if (msg.media !== undefined) {
+          if (!msg.media || typeof msg.media !== "object") {
+            throw new Error("Invalid media");
+          }
+          for (const [name, value] of Object.entries(msg.media)) {
+            const allowed = EMULATED_MEDIA_FEATURES[name];
+            if (!allowed || (value && !allowed.includes(value))) {
+              throw new Error(`Invalid media feature: ${name}`);
+            }
+          }
+        }
+        break;
+      case "getDevtoolsElementInfo":
+        // Names any tab, so only extension pages (the DevTools panel and
+        // sidebar) may send it; content scripts have a sender tab
+        if (sender && sender.tab) {
+          throw new Error("getDevtoolsElementInfo is only accepted from extension pages");
+        }
+        if (!Number.isInteger(msg.tabId) || msg.tabId < 0) {
+          throw new Error("Invalid tabId");
+        }
+        if (typeof msg.elementSelector !== "string" || !msg.elementSelector) {
+          throw new Error("Invalid elementSelector");
+        }
+        if (msg.frameUrl !== undefined && typeof msg.frameUrl !== "string") {
+          throw new Error("Invalid frameUrl");
+        }
+        break;
+      case "replayKeyScript":
+        if (msg.tabId && typeof msg.tabId !== "number") {
+          throw new Error("Invalid tabId");
+        }
+        if (
+          !msg.script ||
+          typeof msg.script !== "object" ||
+          !Array.isArray(msg.script.steps) ||
+          msg.script.steps.length > MAX_KEY_SCRIPT_STEPS
+        ) {
+          throw new Error("Invalid keyboard script");
+        }
+        break;
+      case "focusAXNode":
+        if (msg.tabId && typeof msg.tabId !== "number") {
+          throw new Error("Invalid tabId");
+        }
+        if (!Number.isInteger(msg.backendDOMNodeId) || msg.backendDOMNodeId <= 0) {
+          throw new Error("Invalid backendDOMNodeId");
+        }
         break;
       case "invalidateAccessibilityCache":
         if (typeof msg.elementSelector !== "string") {
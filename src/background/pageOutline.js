@@ -0,0 +1,150 @@
+/**
+ * Page Outline (headings and landmarks)
+ *
+ * Builds the heading outline and landmark list of a tab from
+ * Accessibility.getFullAXTree, so both reflect what assistive technology
+ * sees (h1–h6 and role="heading" with aria-level alike), and flags common
+ * structure problems: skipped heading levels, more than one main landmark
+ * and duplicate landmarks that are not told apart by a label.
+ */
+
+import { getFullAXTree } from "./cdp.js";
+
+// Landmark roles as exposed in the AX tree. region and form are only
+// landmarks when they have an accessible name.
+const LANDMARK_ROLES = [
+  "banner",
+  "main",
+  "navigation",
+  "complementary",
+  "contentinfo",
+  "search",
+  "form",
+  "region",
+];
+const NAMED_ONLY_ROLES = ["form", "region"];
+
+/**
+ * Unwrap a CDP AXValue ({ type, value }) to a primitive
+ * @param {*} v - AXValue or primitive
+ * @returns {*} Unwrapped value
+ */
+function axValue(v) {
+  if (v && typeof v === "object" && "value" in v) return v.value;
+  return v;
+}
+
+/**
+ * Read a named AX property (e.g. "level") from a node
+ * @param {Object} node - AXNode
+ * @param {string} name - Property name
+ * @returns {*} Property value or undefined
+ */
+function axProperty(node, name) {
+  const prop = (node.properties || []).find((p) => p.name === name);
+  return prop ? axValue(prop.value) : undefined;
+}
+
+/**
+ * Build the heading outline and landmark list from raw AX nodes
+ * @param {Object[]} rawNodes - AXNodes from Accessibility.getFullAXTree
+ * @returns {{headings: Object[], landmarks: Object[], issueCount: number}}
+ *   Entries in document order; each carries an issues array of messages
+ */
+export function buildPageOutline(rawNodes) {
+  const byId = new Map(rawNodes.map((n) => [n.nodeId, n]));
+  const root = rawNodes.find((n) => !n.parentId);
+  const headings = [];
+  const landmarks = [];
+
+  // Depth-first walk keeps document order and tracks landmark nesting
+  const walk = (node, landmarkDepth) => {
+    if (!node) return;
+    const role = axValue(node.role);
+    const name = String(axValue(node.name) || "").trim();
+    let depth = landmarkDepth;
+
+    if (!node.ignored && role === "heading") {
+      const level = Number(axProperty(node, "level")) || 2;
+      headings.push({
+        backendDOMNodeId: node.backendDOMNodeId || null,
+        level,
+        name,
+        issues: [],
+      });
+    } else if (
+      !node.ignored &&
+      LANDMARK_ROLES.includes(role) &&
+      (name || !NAMED_ONLY_ROLES.includes(role))
+    ) {
+      landmarks.push({
+        backendDOMNodeId: node.backendDOMNodeId || null,
+        role,
+        name,
+        depth: landmarkDepth,
+        issues: [],
+      });
+      depth = landmarkDepth + 1;
+    }
+
+    (node.childIds || []).forEach((id) => walk(byId.get(id), depth));
+  };
+  walk(root, 0);
+
+  // Skipped heading levels (e.g. h2 followed by h4)
+  let previousLevel = 0;
+  headings.forEach((heading) => {
+    if (previousLevel && heading.level > previousLevel + 1) {
+      heading.issues.push(
+        `Skipped heading level: h${previousLevel} followed by h${heading.level}`
+      );
+    }
+    if (!heading.name) heading.issues.push("Empty heading");
+    previousLevel = heading.level;
+  });
+
+  // More than one main, and duplicates without distinguishing labels
+  const byRole = new Map();
+  landmarks.forEach((landmark) => {
+    if (!byRole.has(landmark.role)) byRole.set(landmark.role, []);
+    byRole.get(landmark.role).push(landmark);
+  });
+  byRole.forEach((group, role) => {
+    if (group.length < 2) return;
+    if (role === "main") {
+      group.forEach((l) =>
+        l.issues.push(`Multiple main landmarks (${group.length}) on the page`)
+      );
+      return;
+    }
+    const nameCounts = new Map();
+    group.forEach((l) =>
+      nameCounts.set(l.name, (nameCounts.get(l.name) || 0) + 1)
+    );
+    group.forEach((l) => {
+      if (!l.name) {
+        l.issues.push(
+          `Unlabeled ${role} landmark; ${group.length} ${role} landmarks need unique labels`
+        );
+      } else if (nameCounts.get(l.name) > 1) {
+        l.issues.push(`Duplicate ${role} landmark label "${l.name}"`);
+      }
+    });
+  });
+
+  const issueCount = [...headings, ...landmarks].reduce(
+    (sum, entry) => sum + entry.issues.length,
+    0
+  );
+  return { headings, landmarks, issueCount };
+}
+
+/**
+ * Get the page outline for a tab
+ * @param {number} tabId - Chrome tab ID (debugger must already be attached)
+ * @returns {Promise<Object>} Outline (see buildPageOutline)
+ */
+export async function getPageOutline(tabId) {
+  const raw = await getFullAXTree(tabId);
+  return buildPageOutline(raw);
+}
@@ -0,0 +1,82 @@
+/**
+ * Debugger URL Rules
+ *
+ * Enforces the allow/deny list of URL patterns (chrome.storage.sync
+ * "debuggerUrlRules", see utils/site-settings.js) before Nexus attaches the
+ * debugger to a tab or keeps an auto-attached iframe session, so sites such
+ * as online banking or internal admin tools are never inspected through
+ * CDP, even when embedded in an allowed page. The rules are cached and
+ * dropped whenever they change.
+ */
+
+import "../utils/site-settings.js";
+import { chromeAsync } from "../utils/chromeAsync.js";
+
+const { DEBUGGER_RULES_KEY, checkDebuggerUrl, normalizeDebuggerRules } =
+  globalThis.NexusSiteSettings;
+
+let cachedRules = null;
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes[DEBUGGER_RULES_KEY]) cachedRules = null;
+});
+
+/**
+ * Get the stored debugger URL rules
+ * @returns {Promise<{allow: string[], deny: string[]}>} Rules
+ */
+export async function getDebuggerRules() {
+  if (!cachedRules) {
+    const data = await chromeAsync.storage.sync.get({
+      [DEBUGGER_RULES_KEY]: null,
+    });
+    try {
+      cachedRules = normalizeDebuggerRules(data[DEBUGGER_RULES_KEY]);
+    } catch (error) {
+      console.warn("Ignoring malformed debugger URL rules:", error.message);
+      cachedRules = { allow: [], deny: [] };
+    }
+  }
+  return cachedRules;
+}
+
+/**
+ * Check a page or frame URL against the stored debugger rules
+ * @param {string} url - URL to check
+ * @returns {Promise<{allowed: boolean, pattern: string, reason: string}>}
+ *   Decision (see checkDebuggerUrl); URLs that are empty are allowed
+ */
+export async function checkDebuggerAllowed(url) {
+  if (!url) return { allowed: true, pattern: "", reason: "" };
+  return checkDebuggerUrl(url, await getDebuggerRules());
+}
+
+/**
+ * Describe why the rules block a URL
+ * @param {Object} decision - Blocking decision from checkDebuggerAllowed
+ * @returns {string} Error message
+ */
+export function describeBlockedUrl(decision) {
+  return decision.reason === "deny"
+    ? `Debugger blocked on this site by the rule "${decision.pattern}"`
+    : "Debugger blocked on this site: it is not in the allow list";
+}
+
+/**
+ * Throw if the rules forbid attaching the debugger to a tab's current URL
+ * @param {number} tabId - Chrome tab ID
+ * @throws {Error} When the tab's URL is blocked
+ */
+export async function assertDebuggerAllowed(tabId) {
+  let url = "";
+  try {
+    const tab = await chromeAsync.tabs.get(tabId);
+    url = (tab && (tab.url || tab.pendingUrl)) || "";
+  } catch (e) {
+    // Tabs that cannot be read cannot be attached to either
+    return;
+  }
+
+  const decision = await checkDebuggerAllowed(url);
+  if (!decision.allowed) throw new Error(describeBlockedUrl(decision));
+}
@@ -2,3 +2,8 @@
 export const sessionQueues = new Map(); // tabId -> Promise
 export const attachedTabs = new Map(); // tabId -> { attached, domainsEnabled, lastUsedAt }
 export const contextCache = new Map(); // `${tabId}:${frameId}` -> { contextId, t }
+// Auto-attached out-of-process iframe targets (see connectionManager.js)
+export const frameSessions = new Map(); // tabId -> Map(cdpFrameId -> { sessionId, ready })
+// Vision deficiency / media emulation chosen in the popup (see emulation.js,
+// which mirrors it to chrome.storage.session and reloads it on startup)
+export const tabEmulation = new Map(); // tabId -> { visionDeficiency, media }
@@ -6,6 +6,7 @@
  *
  * Dependencies:
  * - inspector-utils.js (for data processing utilities)
+ * - inspector-sr-profiles.js (for screen reader verbosity profiles)
  *
  * Global API: window.NexusInspector.Content
  */
@@ -15,6 +16,7 @@
 
   // Access utilities
   const utils = window.NexusInspector.Utils;
+  const profiles = window.NexusInspector.SRProfiles;
 
   // HTML Templates for consistency and maintainability
   const Templates = {
@@ -46,6 +48,9 @@
    * Content generation functions for inspectors
    */
   const InspectorContent = {
+    // Selected screen reader profile id (see setScreenReaderProfile)
+    screenReaderProfile: profiles.DEFAULT_PROFILE,
+
     /**
      * Normalize boolean values from different sources
      * @param {*} value - Value to normalize
@@ -93,12 +98,50 @@
     },
 
 
+    /**
+     * Set the screen reader profile used by getScreenReaderOutput
+     * @param {string} id - Profile id (see inspector-sr-profiles.js)
+     */
+    setScreenReaderProfile(id) {
+      this.screenReaderProfile = profiles.get(id).id;
+    },
+
+    /**
+     * Get the position in set ("2 of 5") for an element, when known
+     * @param {Object} info - Accessibility information object
+     * @returns {{pos: number, size: number}|null} Position or null
+     */
+    getPositionInSet(info) {
+      const aria = info.ariaProperties || {};
+      const pos = Number(
+        utils.deepUnwrap(info.posinset ?? aria["aria-posinset"])
+      );
+      const size = Number(utils.deepUnwrap(info.setsize ?? aria["aria-setsize"]));
+      if (!Number.isFinite(pos) || pos < 1) return null;
+      if (!Number.isFinite(size) || size < 1) return null;
+      return { pos, size };
+    },
+
+    /**
+     * Get the hierarchical level ("level 2") of an element, when known
+     * @param {Object} info - Accessibility information object
+     * @returns {number|null} Level or null
+     */
+    getLevel(info) {
+      const aria = info.ariaProperties || {};
+      const level = Number(
+        utils.deepUnwrap(info.level ?? aria["aria-level"] ?? info.states?.level)
+      );
+      return Number.isInteger(level) && level > 0 ? level : null;
+    },
+
     /**
      * Generate screen reader output HTML
      * @param {Object} info - Accessibility information object
+     * @param {string} [profileId] - Profile id; defaults to the selected profile
      * @returns {string} Screen reader output HTML
      */
-    getScreenReaderOutput(info) {
+    getScreenReaderOutput(info, profileId) {
       // Input validation
       if (!info || typeof info !== "object") {
         console.warn(
@@ -107,6 +150,8 @@
         return '<span class="sr-error">Unable to generate screen reader output</span>';
       }
 
+      const profile = profiles.get(profileId || this.screenReaderProfile);
+
       // Debug logging to understand the data structure
       console.debug("[Inspector] Accessibility info received:", {
         role: info.role,
@@ -114,33 +159,54 @@
         ariaProperties: info.ariaProperties,
         normalizedExpanded: info.normalizedExpanded,
         states: info.states,
+        profile: profile.id,
       });
 
-      // Base: role, name, description - always deepUnwrap to convert AX values to text
+      // Base: role and name (in profile order), then description - always
+      // deepUnwrap to convert AX values to text
       const base = [];
+      let roleText = null;
+      let nameText = null;
+      let descText = null;
       try {
-        const roleText = info.role ? utils.deepUnwrap(info.role) : null;
-        const nameText = info.name ? utils.deepUnwrap(info.name) : null;
-        const descText = info.description ? utils.deepUnwrap(info.description) : null;
-
-        if (roleText) {
-          base.push(this.createSafeSpan("sr-role", roleText));
-        }
-        if (nameText && nameText !== "(no accessible name)") {
-          base.push(this.createSafeSpan("sr-name", nameText));
-        }
-        if (descText && descText !== "(no description)") {
-          base.push(this.createSafeSpan("sr-desc", descText));
-        }
+        roleText = info.role ? utils.deepUnwrap(info.role) : null;
+        nameText = info.name ? utils.deepUnwrap(info.name) : null;
+        descText = info.description ? utils.deepUnwrap(info.description) : null;
       } catch (e) {
         // If deepUnwrap fails for any reason, fallback to original values
-        if (info.role) base.push(this.createSafeSpan("sr-role", String(info.role)));
-        if (info.name && info.name !== "(no accessible name)") base.push(this.createSafeSpan("sr-name", String(info.name)));
-        if (info.description && info.description !== "(no description)") base.push(this.createSafeSpan("sr-desc", String(info.description)));
+        roleText = info.role ? String(info.role) : null;
+        nameText = info.name ? String(info.name) : null;
+        descText = info.description ? String(info.description) : null;
+      }
+
+      const spokenRole = profiles.speakRole(profile, roleText);
+      const roleSpan = spokenRole
+        ? this.createSafeSpan("sr-role", spokenRole)
+        : null;
+      const nameSpan =
+        nameText && nameText !== "(no accessible name)"
+          ? this.createSafeSpan("sr-name", nameText)
+          : null;
+      const ordered = profile.nameFirst
+        ? [nameSpan, roleSpan]
+        : [roleSpan, nameSpan];
+      ordered.forEach((span) => {
+        if (span) base.push(span);
+      });
+      if (
+        profile.readDescription &&
+        descText &&
+        descText !== "(no description)"
+      ) {
+        base.push(this.createSafeSpan("sr-desc", descText));
       }
 
       // Extras: states, aria-derived states, group, value, required
       const extras = [];
+      const words = profile.states;
+      const pushState = (className, word) => {
+        if (word) extras.push(this.createSafeSpan(className, word));
+      };
 
       if (
         info.ariaProperties ||
@@ -174,18 +240,17 @@
         // Normalize and add expanded/collapsed state
         const normalizedExpanded = this.normalizeBooleanValue(expandedValue);
         if (normalizedExpanded === true) {
-          extras.push(`<span class="sr-state">expanded</span>`);
+          pushState("sr-state", words.expanded);
         } else if (normalizedExpanded === false) {
-          extras.push(`<span class="sr-state">collapsed</span>`);
+          pushState("sr-state", words.collapsed);
         }
 
         // Handle aria-pressed
         if (info.ariaProperties && "aria-pressed" in info.ariaProperties) {
           const prs = utils.deepUnwrap(info.ariaProperties["aria-pressed"]);
-          extras.push(
-            `<span class="sr-state">${
-              utils.isTrue(prs) ? "pressed" : "not pressed"
-            }</span>`
+          pushState(
+            "sr-state",
+            utils.isTrue(prs) ? words.pressed : words.notPressed
           );
         }
 
@@ -194,15 +259,13 @@
           const checked = utils.deepUnwrap(info.states.checked);
           const normalizedChecked = this.normalizeBooleanValue(checked);
           if (normalizedChecked === true) {
-            extras.push(`<span class="sr-state">checked</span>`);
-          } else if (normalizedChecked === false) {
-            extras.push(`<span class="sr-state">unchecked</span>`);
+            pushState("sr-state", words.checked);
           } else if (normalizedChecked === "mixed") {
-            extras.push(`<span class="sr-state">mixed</span>`);
+            pushState("sr-state", words.mixed);
           } else {
-            // Fallback to unchecked for unrecognized values to match screen reader behavior
+            // Unrecognized values fall back to unchecked to match screen reader behavior
             // Per ARIA spec, checkboxes without explicit aria-checked default to false/unchecked
-            extras.push(`<span class="sr-state">unchecked</span>`);
+            pushState("sr-state", words.unchecked);
           }
         }
 
@@ -210,7 +273,7 @@
         if (info.states) {
           const dis = utils.deepUnwrap(info.states.disabled);
           if (utils.isTrue(dis)) {
-            extras.push(`<span class="sr-state">disabled</span>`);
+            pushState("sr-state", words.disabled);
           }
 
           // Handle required state
@@ -221,7 +284,7 @@
             );
           const req = utils.deepUnwrap(info.states.required);
           if (utils.isTrue(req) || ariaReq) {
-            extras.push(`<span class="sr-required">required</span>`);
+            pushState("sr-required", words.required);
           }
         }
       }
@@ -229,22 +292,39 @@
       // Value
       if (info.value && info.value !== "(no value)") {
         const v = utils.deepUnwrap(info.value);
-        extras.push(`<span class="sr-value">${String(v)}</span>`);
+        extras.push(this.createSafeSpan("sr-value", String(v)));
       }
 
-      // Group
+      // Position in set
+      const position = this.getPositionInSet(info);
+      if (position) {
+        extras.push(
+          this.createSafeSpan(
+            "sr-position",
+            profile.formatPosition(position.pos, position.size)
+          )
+        );
+      }
+
+      // Hierarchical level (headings, tree items, nested list items)
+      const level = this.getLevel(info);
+      if (level) {
+        extras.push(this.createSafeSpan("sr-level", profile.formatLevel(level)));
+      }
+
+      // Group: some screen readers announce the container before the element
+      let groupSpan = null;
       if (info.group && info.group.role) {
-        if (info.group.label) {
-          extras.push(
-            `<span class="sr-group">${info.group.role}, ${info.group.label}</span>`
-          );
-        } else {
-          extras.push(`<span class="sr-group">${info.group.role}</span>`);
-        }
+        const groupText = profile.formatGroup(
+          profiles.speakRole(profile, info.group.role) || info.group.role,
+          info.group.label
+        );
+        if (groupText) groupSpan = this.createSafeSpan("sr-group", groupText);
       }
+      if (groupSpan && !profile.groupFirst) extras.push(groupSpan);
 
       // Compose: base joined by space; if extras exist, add a comma, then extras joined by ", "
-      const baseStr = base.join(" ");
+      const baseStr = base.join(profile.nameFirst ? ", " : " ");
       let result = "";
 
       if (extras.length > 0) {
@@ -252,6 +332,9 @@
       } else {
         result = baseStr;
       }
+      if (groupSpan && profile.groupFirst) {
+        result = result ? `${groupSpan}, ${result}` : groupSpan;
+      }
 
       // Active descendant (screen reader preview simplified to JUST the descendant's accessible name)
       // Prefer enhanced `activeDescendant` object but fallback to raw states/aria data
@@ -407,6 +490,19 @@
         pairs.push({ label: "Group", value: g });
       }
 
+      const position = this.getPositionInSet(accessibilityInfo);
+      if (position) {
+        pairs.push({
+          label: "Position",
+          value: `${position.pos} of ${position.size}`,
+        });
+      }
+
+      const level = this.getLevel(accessibilityInfo);
+      if (level) {
+        pairs.push({ label: "Level", value: String(level) });
+      }
+
       if (
         accessibilityInfo.value &&
         accessibilityInfo.value !== null &&
@@ -449,11 +545,308 @@
       }
     },
 
+    /**
+     * Create the "changed since the previous inspection" section HTML
+     * @param {Object} options - Options including changes from the history
+     * @returns {string} Changes section HTML, or empty string without changes
+     */
+    createChangesSection(options) {
+      const changes = options && options.changes;
+      if (!Array.isArray(changes) || changes.length === 0) return "";
+
+      const describe = (value) => (value === "" ? "(none)" : value);
+      const items = changes
+        .map((change) => {
+          const text =
+            change.key === "name" || change.key === "description"
+              ? `${change.label} changed: "${describe(change.before)}" \u2192 "${describe(change.after)}"`
+              : `${change.label}: ${describe(change.before)} \u2192 ${describe(change.after)}`;
+          return `<li>${utils.escapeHtml(text)}</li>`;
+        })
+        .join("");
+
+      return `
+        <div class="nexus-accessibility-ui-inspector-changes">
+          <p class="nexus-accessibility-ui-inspector-changes-title">Changed since previous inspection</p>
+          <ul>${items}</ul>
+        </div>
+      `;
+    },
+
+    /**
+     * Create ARIA attribute warnings section HTML
+     * @param {Object} info - Accessibility information object
+     * @returns {string} Warnings section HTML, or empty string without issues
+     */
+    createWarningsSection(info) {
+      const issues = info.ariaIssues;
+      if (!Array.isArray(issues) || issues.length === 0) return "";
+
+      const items = issues
+        .map((issue) => `<li>${utils.escapeHtml(issue.message)}</li>`)
+        .join("");
+
+      return `
+        <div class="nexus-accessibility-ui-inspector-warnings">
+          <p class="nexus-accessibility-ui-inspector-warnings-title">ARIA warnings (${issues.length})</p>
+          <ul>${items}</ul>
+        </div>
+      `;
+    },
+
+    /**
+     * Create the focus-loss / keyboard-trap warning HTML
+     * @param {Object} options - Options including focusWarning (an entry
+     *   from the focus monitor in content-events.js)
+     * @returns {string} Warning HTML, or empty string without a warning
+     */
+    createFocusWarningSection(options) {
+      const warning = options && options.focusWarning;
+      if (!warning || !warning.message) return "";
+
+      const title = warning.type === "keyboard-trap" ? "Keyboard trap" : "Focus lost";
+      const elements = (warning.elements || [])
+        .map((selector) => `<li><code>${utils.escapeHtml(selector)}</code></li>`)
+        .join("");
+
+      return `
+        <div class="nexus-accessibility-ui-inspector-warnings">
+          <p class="nexus-accessibility-ui-inspector-warnings-title">${utils.escapeHtml(title)}</p>
+          <p>${utils.escapeHtml(warning.message)}</p>
+          ${elements ? `<ul>${elements}</ul>` : ""}
+        </div>
+      `;
+    },
+
+    /**
+     * Create the collapsible "Name sources" section HTML: every candidate
+     * source of the accessible name, its value, whether it was used or
+     * superseded, and the related nodes (e.g. aria-labelledby targets)
+     * @param {Object} info - Accessibility information object
+     * @param {Object} options - Options including nameSourcesOpen
+     * @returns {string} Name sources HTML, or empty string without sources
+     */
+    createNameSourcesSection(info, options) {
+      const sources = info.nameSources;
+      if (!Array.isArray(sources) || sources.length === 0) return "";
+
+      const items = sources
+        .map((source) => {
+          let status = "Not used";
+          if (source.invalidReason) status = `Invalid: ${source.invalidReason}`;
+          else if (source.used) status = "Used";
+          else if (source.superseded) status = "Superseded";
+
+          const shown = source.value || source.attributeValue;
+          const value = shown ? `“${shown}”` : "(empty)";
+          const related = (source.relatedNodes || [])
+            .map((node) => {
+              const ref = node.idref ? `#${node.idref}` : "Node";
+              return `<li>${utils.escapeHtml(
+                `${ref}: ${node.text ? `“${node.text}”` : "(no text)"}`
+              )}</li>`;
+            })
+            .join("");
+          const cls = source.used
+            ? "name-source-used"
+            : source.superseded
+            ? "name-source-superseded"
+            : "";
+
+          return `<li${cls ? ` class="${cls}"` : ""}><span class="name-source-label">${utils.escapeHtml(
+            source.label
+          )}</span> ${utils.escapeHtml(value)} <span class="name-source-status">${utils.escapeHtml(
+            status
+          )}</span>${related ? `<ul>${related}</ul>` : ""}</li>`;
+        })
+        .join("");
+
+      const open = options && options.nameSourcesOpen ? " open" : "";
+      return `
+        <details class="nexus-accessibility-ui-inspector-name-sources" data-nexus-name-sources${open}>
+          <summary>Name sources (${sources.length})</summary>
+          <ol>${items}</ol>
+        </details>
+      `;
+    },
+
+    /**
+     * Create color contrast section HTML (WCAG 1.4.3 / 1.4.6)
+     * @param {Object} info - Accessibility information object
+     * @returns {string} Contrast section HTML, or empty string when unavailable
+     */
+    createContrastSection(info) {
+      const contrast = info.contrast;
+      if (!contrast || typeof contrast.ratio !== "number") return "";
+
+      const thresholds = contrast.thresholds || {};
+      const rows = [
+        { key: "aaNormal", label: "AA Normal" },
+        { key: "aaLarge", label: "AA Large" },
+        { key: "aaaNormal", label: "AAA Normal" },
+        { key: "aaaLarge", label: "AAA Large" },
+      ];
+
+      let ratioText = `${contrast.ratio.toFixed(2)}:1 \u2014 ${contrast.foreground} on ${contrast.background}`;
+      if (contrast.uncertain) ratioText += " (estimated)";
+      const sizeText = `${Math.round(contrast.fontSize * 10) / 10}px, weight ${
+        contrast.fontWeight
+      } (${contrast.isLargeText ? "large" : "normal"} text)`;
+
+      const resultRows = rows
+        .map(({ key, label }) => {
+          const pass = !!contrast.results?.[key];
+          const status = pass ? "pass" : "fail";
+          const required = thresholds[key] ? ` (${thresholds[key]}:1)` : "";
+          return `<dt>${utils.escapeHtml(label)}</dt><dd class="contrast-${status}">${
+            pass ? "Pass" : "Fail"
+          }${utils.escapeHtml(required)}</dd>`;
+        })
+        .join("");
+
+      return (
+        `<dl class="nexus-accessibility-ui-inspector-contrast">` +
+        `<dt>Contrast</dt><dd>${utils.escapeHtml(ratioText)}</dd>` +
+        `<dt>Text Size</dt><dd>${utils.escapeHtml(sizeText)}</dd>` +
+        resultRows +
+        `</dl>`
+      );
+    },
+
+    /**
+     * Create inspection history controls HTML (Back / position / Forward)
+     * @param {Object} options - Options including history state and the
+     *   onHistoryNavigate callback
+     * @returns {string} History controls HTML, or empty string without history
+     */
+    createHistorySection(options) {
+      const history = options && options.history;
+      if (
+        !history ||
+        !history.total ||
+        typeof options.onHistoryNavigate !== "function"
+      ) {
+        return "";
+      }
+      const back = history.canGoBack ? "" : " disabled";
+      const forward = history.canGoForward ? "" : " disabled";
+      const stale = history.stale
+        ? `<span class="nexus-accessibility-ui-inspector-history-stale">Element no longer in the page</span>`
+        : "";
+      return `
+        <div class="nexus-accessibility-ui-inspector-history" role="group" aria-label="Inspection history">
+          <button type="button" data-nexus-history="-1" aria-keyshortcuts="Alt+Comma"${back}>Back</button>
+          <span class="nexus-accessibility-ui-inspector-history-position">${utils.escapeHtml(
+            `${history.position} of ${history.total}`
+          )}</span>
+          <button type="button" data-nexus-history="1" aria-keyshortcuts="Alt+Period"${forward}>Forward</button>
+          ${stale}
+        </div>
+      `;
+    },
+
+    /**
+     * Create the review notes section HTML: the notes attached to the
+     * element (see content-annotations.js) and a form for adding one
+     * @param {Object} options - Options including annotations,
+     *   annotationSeverities and the onAnnotate callback
+     * @returns {string} Notes HTML, or empty string without onAnnotate
+     */
+    createAnnotationsSection(options) {
+      if (!options || typeof options.onAnnotate !== "function") return "";
+      const annotations = Array.isArray(options.annotations)
+        ? options.annotations
+        : [];
+      const severities = options.annotationSeverities || ["note"];
+
+      const items = annotations
+        .map((annotation) => {
+          const status =
+            annotation.status && annotation.status !== "anchored"
+              ? `<span class="nexus-accessibility-ui-inspector-annotations-status">${utils.escapeHtml(
+                  annotation.statusText
+                )}</span>`
+              : "";
+          return `
+            <li>
+              <span class="nexus-accessibility-ui-inspector-annotations-severity severity-${utils.escapeHtml(
+                annotation.severity
+              )}">${utils.escapeHtml(annotation.severity)}</span>
+              <span class="nexus-accessibility-ui-inspector-annotations-note">${utils.escapeHtml(
+                annotation.note
+              )}</span>
+              ${status}
+              <button type="button" data-nexus-annotation-delete="${utils.escapeHtml(
+                annotation.id
+              )}" aria-label="${utils.escapeHtml(
+                `Delete note: ${annotation.note}`
+              )}" aria-describedby="nexus-annotation-delete-error">Delete</button>
+            </li>
+          `;
+        })
+        .join("");
+      const choices = severities
+        .map(
+          (severity) =>
+            `<option value="${utils.escapeHtml(severity)}">${utils.escapeHtml(
+              severity
+            )}</option>`
+        )
+        .join("");
+
+      return `
+        <div class="nexus-accessibility-ui-inspector-annotations" data-nexus-annotations tabindex="-1">
+          <p class="nexus-accessibility-ui-inspector-annotations-title">Notes (${annotations.length})</p>
+          ${items ? `<ul>${items}</ul>` : ""}
+          <p id="nexus-annotation-delete-error" class="nexus-accessibility-ui-inspector-annotations-error"></p>
+          <details>
+            <summary>Add note</summary>
+            <form data-nexus-annotation-form>
+              <label for="nexus-annotation-note">Note</label>
+              <textarea id="nexus-annotation-note" name="note" rows="3" maxlength="1000" required aria-describedby="nexus-annotation-save-error"></textarea>
+              <p id="nexus-annotation-save-error" class="nexus-accessibility-ui-inspector-annotations-error"></p>
+              <label for="nexus-annotation-severity">Severity</label>
+              <select id="nexus-annotation-severity" name="severity">${choices}</select>
+              <button type="submit">Save note</button>
+            </form>
+          </details>
+        </div>
+      `;
+    },
+
+    /**
+     * Create report export buttons HTML
+     * @param {Object} options - Options including the onExport callback
+     * @returns {string} Actions HTML, or empty string without onExport
+     */
+    createActionsSection(options) {
+      if (!options || typeof options.onExport !== "function") return "";
+      const buttons = [
+        { format: "json", label: "JSON" },
+        { format: "csv", label: "CSV" },
+        { format: "html", label: "HTML" },
+      ]
+        .map(
+          ({ format, label }) =>
+            `<button type="button" data-nexus-export="${format}">${label}</button>`
+        )
+        .join("");
+      return `
+        <div class="nexus-accessibility-ui-inspector-actions" role="group" aria-label="Export report">
+          <span class="nexus-accessibility-ui-inspector-actions-label">Export</span>
+          ${buttons}
+        </div>
+      `;
+    },
+
     /**
      * Generate complete inspector content
      * @param {Object} info - Accessibility information object
      * @param {boolean} miniMode - Whether to show mini version
-     * @param {Object} options - Options including onClose and enabled callbacks
+     * @param {Object} options - Options including onClose, enabled, onExport,
+     *   onHistoryNavigate and onAnnotate callbacks, the history state,
+     *   changes, the focus warning, the element's review notes and whether
+     *   the name sources section is expanded
      * @returns {string} Complete inspector HTML content
      */
     generateInspectorContent(info, miniMode, options = {}) {
@@ -479,12 +872,33 @@
             ${bodyClose}
           `;
         } else {
-          // Full mode: screen reader output + properties
+          // Full mode: screen reader output + changes + focus and ARIA
+          // warnings + properties + name sources + contrast + review notes
+          // + history controls + export
+          const changesSection = this.createChangesSection(options);
+          const focusWarningSection = this.createFocusWarningSection(options);
+          const warningsSection = this.createWarningsSection(info);
           const propertiesSection = this.createPropertiesSection(info);
+          const nameSourcesSection = this.createNameSourcesSection(
+            info,
+            options
+          );
+          const contrastSection = this.createContrastSection(info);
+          const annotationsSection = this.createAnnotationsSection(options);
+          const historySection = this.createHistorySection(options);
+          const actionsSection = this.createActionsSection(options);
           inspectorContent = `
             ${bodyOpen}
               ${screenReaderSection}
+              ${changesSection}
+              ${focusWarningSection}
+              ${warningsSection}
               ${propertiesSection}
+              ${nameSourcesSection}
+              ${contrastSection}
+              ${annotationsSection}
+              ${historySection}
+              ${actionsSection}
             ${bodyClose}
           `;
         }
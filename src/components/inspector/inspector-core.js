@@ -6,6 +6,7 @@
  *
  * Dependencies:
  * - inspector-utils.js (for data processing utilities)
+ * - inspector-sr-profiles.js (for the screen reader profile preference)
  * - inspector-content.js (for content generation)
  * - inspector-positioning.js (for positioning logic)
  * - inspector-events.js (for event handling)
@@ -19,6 +20,9 @@
 
   const USE_SHADOW_DOM = true; // Set to false for instant rollback
 
+  // How long rows that changed since the previous inspection stay marked
+  const CHANGE_HIGHLIGHT_MS = 2000;
+
   // Quick runtime signal for debugging: this will appear in the page console
   // when the content script is injected. Leave as info so it doesn't alarm.
   try {
@@ -59,6 +63,9 @@
       this._margin = 32; // Spacing between inspector and focused element
       this._scrollHandler = null;
 
+      // Keep the "Name sources" section expanded across re-renders
+      this._nameSourcesOpen = false;
+
       // Store last info for mini mode toggle
       this._lastInfo = null;
       this._lastTarget = null;
@@ -79,21 +86,65 @@
     }
 
     _loadPreferences() {
+      const profileKey = window.NexusInspector.SRProfiles.STORAGE_KEY;
+      const sites = window.NexusSiteSettings;
+      const defaults = {
+        [profileKey]: window.NexusInspector.SRProfiles.DEFAULT_PROFILE,
+        [sites.SITE_SETTINGS_KEY]: {},
+      };
+      // This site's overrides win over the global preferences
+      const getOverride = (data) =>
+        sites.getSiteOverride(
+          data[sites.SITE_SETTINGS_KEY],
+          sites.getTopPageUrl()
+        ) || {};
+      const applyProfile = (data, override) => {
+        content.setScreenReaderProfile(
+          override.screenReaderProfile || data[profileKey]
+        );
+      };
+
       // Use both new and legacy storage for compatibility during transition
       chrome.storage.sync.get(
         {
           inspectorState: null,
           miniMode: false, // fallback for legacy
+          ...defaults,
         },
         (data) => {
-          if (data.inspectorState) {
-            this.miniMode = data.inspectorState === "mini";
+          const override = getOverride(data);
+          const state = override.inspectorState || data.inspectorState;
+          if (state) {
+            this.miniMode = state === "mini";
           } else {
             // Legacy fallback
             this.miniMode = !!data.miniMode;
           }
+          applyProfile(data, override);
         }
       );
+
+      // Follow profile changes made from the popup while the page is open
+      this._storageListener = (changes, area) => {
+        if (area !== "sync") return;
+        if (!changes[profileKey] && !changes[sites.SITE_SETTINGS_KEY]) return;
+        chrome.storage.sync.get(defaults, (data) => {
+          applyProfile(data, getOverride(data));
+          this._rerenderVisible();
+        });
+      };
+      chrome.storage.onChanged.addListener(this._storageListener);
+    }
+
+    /**
+     * Re-render the visible inspector with its last info (e.g. after a
+     * preference change that affects generated content)
+     */
+    _rerenderVisible() {
+      if (!this.inspector || this.inspector.style.display !== "block") return;
+      if (this._lastInfo && this._lastTarget && this._lastOptions) {
+        this.showInspector(this._lastInfo, this._lastTarget, this._lastOptions);
+      }
     }
 
     ensureStylesInjected() {
@@ -203,7 +254,7 @@
     }
 
     async showInspector(info, target, options = {}) {
-  const { onClose, enabled, forceRender } = options;
+  const { onClose, enabled, forceRender, onExport, history, onHistoryNavigate, changes, focusWarning, annotations, annotationSeverities, onAnnotate } = options;
 
       // Debug logging
       try {
@@ -240,7 +291,19 @@
       const inspectorContent = content.generateInspectorContent(
         info,
         this.miniMode,
-        { onClose, enabled }
+        {
+          onClose,
+          enabled,
+          onExport,
+          history,
+          onHistoryNavigate,
+          changes,
+          focusWarning,
+          annotations,
+          annotationSeverities,
+          onAnnotate,
+          nameSourcesOpen: this._nameSourcesOpen,
+        }
       );
       // Diagnostic logging: compare generated render pieces with the AX info
       try {
@@ -759,6 +822,9 @@
         } catch (err) {}
       }
 
+      this._bindActionButtons();
+      this._highlightChangedRows(this._lastOptions && this._lastOptions.changes);
+
   // Close button removed: Alt+T toggles inspector; ESC no longer closes.
       // Install (once) a capture-phase keydown listener. Must NOT interfere with page Escape
       // handlers unless the inspector itself currently has focus (requirements: inspector must
@@ -793,6 +859,147 @@
       }
     }
 
+    /**
+     * Wire the export, history and review note controls of the current
+     * render to the onExport / onHistoryNavigate / onAnnotate /
+     * onAnnotationDelete callbacks, and remember whether the name sources
+     * section is expanded. Elements are re-created on every render, so
+     * listeners never accumulate.
+     */
+    _bindActionButtons() {
+      const root = this._shadow || this.inspector;
+      const options = this._lastOptions || {};
+      if (!root) return;
+      const bind = (selector, handler) => {
+        if (typeof handler !== "function") return;
+        root.querySelectorAll(selector).forEach((button) => {
+          button.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            try {
+              handler(button);
+            } catch (err) {
+              console.warn("[AX Inspector] Action failed", err);
+            }
+          });
+        });
+      };
+      bind("[data-nexus-export]", options.onExport && ((button) =>
+        options.onExport(button.getAttribute("data-nexus-export"))));
+      bind("[data-nexus-history]", options.onHistoryNavigate && ((button) =>
+        this.navigateHistory(Number(button.getAttribute("data-nexus-history")))));
+
+      // Review notes: the callbacks re-render the inspector once stored, so
+      // focus returns to the notes section. Failures are described next to
+      // the control that failed (no live regions in the inspector), and
+      // focus moves to it so screen readers read the error.
+      const notesSection = () =>
+        (this._shadow || this.inspector).querySelector("[data-nexus-annotations]");
+      const showNoteError = (action, field) => (error) => {
+        const section = notesSection();
+        const message = section && section.querySelector(`#nexus-annotation-${action}-error`);
+        if (message) message.textContent = `Unable to ${action} the note: ${error.message}`;
+        if (field && field.isConnected) {
+          if (field.localName === "textarea") field.setAttribute("aria-invalid", "true");
+          field.focus();
+        }
+        console.warn("[AX Inspector] Annotation failed", error);
+      };
+      const focusNotes = () => {
+        const section = notesSection();
+        if (section) section.focus();
+      };
+      bind("[data-nexus-annotation-delete]", options.onAnnotationDelete && ((button) =>
+        Promise.resolve(options.onAnnotationDelete(button.getAttribute("data-nexus-annotation-delete")))
+          .then(focusNotes, showNoteError("delete", button))));
+      if (typeof options.onAnnotate === "function") {
+        root.querySelectorAll("[data-nexus-annotation-form]").forEach((form) => {
+          form.addEventListener("submit", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            Promise.resolve(options.onAnnotate(form.elements.note.value, form.elements.severity.value))
+              .then(focusNotes, showNoteError("save", form.elements.note));
+          });
+        });
+      }
+      root.querySelectorAll("[data-nexus-name-sources]").forEach((details) => {
+        details.addEventListener("toggle", () => {
+          this._nameSourcesOpen = details.open;
+        });
+      });
+    }
+
+    /**
+     * Briefly mark the property rows (and state badges) that changed since
+     * the previous inspection of the same element
+     * @param {Array} changes - Changes from the inspection history
+     */
+    _highlightChangedRows(changes) {
+      clearTimeout(this._changeHighlightTimer);
+      const root = this._shadow || this.inspector;
+      if (!root || !Array.isArray(changes) || changes.length === 0) return;
+
+      const labels = new Set();
+      const states = new Set();
+      changes.forEach((change) => {
+        if (change.kind === "field") labels.add(change.label.toLowerCase());
+        if (change.kind === "state") {
+          labels.add("states");
+          states.add(change.key.toLowerCase());
+        }
+      });
+
+      const marked = [];
+      root
+        .querySelectorAll(".nexus-accessibility-ui-inspector-body > dl:not([class]) > dt")
+        .forEach((dt) => {
+          if (!labels.has(dt.textContent.trim().toLowerCase())) return;
+          const dd = dt.nextElementSibling;
+          const badges = dd ? dd.querySelectorAll(".state-badge") : [];
+          if (badges.length) {
+            badges.forEach((badge) => {
+              const name = badge.textContent.split(":")[0].trim().toLowerCase();
+              if (states.has(name)) marked.push(badge);
+            });
+          } else if (dd) {
+            marked.push(dd);
+          }
+          marked.push(dt);
+        });
+
+      marked.forEach((el) => el.classList.add("nexus-changed"));
+      this._changeHighlightTimer = setTimeout(() => {
+        marked.forEach((el) => el.classList.remove("nexus-changed"));
+      }, CHANGE_HIGHLIGHT_MS);
+    }
+
+    /**
+     * Step through the inspection history (Back/Forward buttons, Alt+, / Alt+.)
+     * @param {number} delta - -1 for back, 1 for forward
+     * @returns {boolean} True if a snapshot was shown
+     */
+    navigateHistory(delta) {
+      const navigate = this._lastOptions && this._lastOptions.onHistoryNavigate;
+      if (typeof navigate !== "function") return false;
+      const shown = navigate(delta);
+      if (shown) this._refocusHistoryControl(delta);
+      return shown;
+    }
+
+    /**
+     * Keep keyboard focus on the history control that was just used, when
+     * focus was inside the inspector (the re-render replaced the button)
+     * @param {number} delta - Direction of the last step
+     */
+    _refocusHistoryControl(delta) {
+      const root = this._shadow || this.inspector;
+      if (!root || !this.focus || !this.focus.isFocusAccepted()) return;
+      const button = root.querySelector(`[data-nexus-history="${delta}"]`);
+      const fallback = root.querySelector(".nexus-accessibility-ui-inspector-sr");
+      const next = button && !button.disabled ? button : fallback;
+      if (next) next.focus({ preventScroll: true });
+    }
+
     /**
      * Reposition inspector and connector when inspector has been escaped to top document.
      * Computes absolute coordinates for the target (based on frameElement position)
@@ -920,15 +1127,7 @@
       } catch (_) {}
 
       // Re-render current inspector if visible
-      if (this.inspector && this.inspector.style.display === "block") {
-        if (this._lastInfo && this._lastTarget && this._lastOptions) {
-          this.showInspector(
-            this._lastInfo,
-            this._lastTarget,
-            this._lastOptions
-          );
-        }
-      }
+      this._rerenderVisible();
     }
 
     _ensureObserver() {
@@ -969,6 +1168,11 @@
       this.events.cleanup();
       this.focus.cleanup();
 
+      if (this._storageListener) {
+        chrome.storage.onChanged.removeListener(this._storageListener);
+        this._storageListener = null;
+      }
+
       // Clean up inspector elements
       if (this.inspector) {
         this.inspector.remove();
@@ -1072,12 +1276,34 @@
         parts.push(this._serializeForSignature(info.value));
         parts.push(this._serializeForSignature(info.states));
         parts.push(this._serializeForSignature(info.properties));
+
+        // Contrast: ratio and resolved colors are enough to detect a change
+        const c = info.contrast;
+        parts.push(
+          this._serializeForSignature(
+            c ? { ratio: c.ratio, fg: c.foreground, bg: c.background } : null
+          )
+        );
+        parts.push(
+          this._serializeForSignature(
+            (info.ariaIssues || []).map((issue) => issue.message)
+          )
+        );
+        parts.push(
+          this._serializeForSignature(
+            (info.nameSources || []).map((source) => [
+              source.label,
+              source.value,
+              source.used,
+            ])
+          )
+        );
       } else {
         parts.push("null");
       }
 
       const targetKey = target ? `${target.tagName || ''}-${target.id || ''}-${target.className || ''}` : 'null';
-      const optionsKey = `${options.enabled ? '1' : '0'}|${this.miniMode ? '1' : '0'}|${options.correlationId || ''}`;
+      const optionsKey = `${options.enabled ? '1' : '0'}|${this.miniMode ? '1' : '0'}|${options.correlationId || ''}|${content.screenReaderProfile}|${options.history ? options.history.position : ''}|${options.focusWarning ? options.focusWarning.seq : ''}|${(options.annotations || []).map((a) => `${a.id}:${a.updated}:${a.status}`).join(',')}`;
 
       const raw = `${parts.join('|')}|${targetKey}|${optionsKey}`;
       return this._djb2Hash(raw);
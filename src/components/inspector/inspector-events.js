@@ -125,6 +125,30 @@
         this._handleMiniModeToggle(e);
         return;
       }
+
+      // Alt+, / Alt+. shortcuts for stepping through the inspection history
+      const historyDelta = this._getHistoryDelta(e);
+      if (
+        historyDelta &&
+        this.core.inspector &&
+        this.core.inspector.style.display === "block"
+      ) {
+        this.core.navigateHistory(historyDelta);
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    }
+
+    /**
+     * Check for the history shortcuts: Alt+, (back) and Alt+. (forward)
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {number} -1 for back, 1 for forward, 0 otherwise
+     */
+    _getHistoryDelta(e) {
+      if (!e.altKey || e.shiftKey || e.ctrlKey || e.metaKey) return 0;
+      if (e.code === "Comma") return -1;
+      if (e.code === "Period") return 1;
+      return 0;
     }
 
     /**
@@ -0,0 +1,213 @@
+/**
+ * Inspector Screen Reader Profiles Module
+ *
+ * Defines the verbosity profiles used by getScreenReaderOutput to
+ * approximate how different screen readers phrase the same element: the
+ * order of role and name, state wording, whether descriptions are read and
+ * how groups, positions ("2 of 5") and levels ("level 2") are announced.
+ *
+ * These are approximations of each screen reader's default verbosity, not
+ * exact transcripts; real output also depends on user settings and browser.
+ *
+ * Dependencies: None
+ *
+ * Global API: window.NexusInspector.SRProfiles
+ */
+
+(function () {
+  "use strict";
+
+  const DEFAULT_PROFILE = "default";
+
+  // Storage key (chrome.storage.sync) holding the selected profile id
+  const STORAGE_KEY = "screenReaderProfile";
+
+  const PROFILES = {
+    // Original Nexus phrasing: role, name, description, then states
+    default: {
+      id: "default",
+      label: "Nexus (generic)",
+      nameFirst: false,
+      readDescription: true,
+      roleNames: {},
+      states: {
+        expanded: "expanded",
+        collapsed: "collapsed",
+        pressed: "pressed",
+        notPressed: "not pressed",
+        checked: "checked",
+        unchecked: "unchecked",
+        mixed: "mixed",
+        disabled: "disabled",
+        required: "required",
+      },
+      groupFirst: false,
+      formatGroup: (role, label) => (label ? `${role}, ${label}` : role),
+      formatPosition: (pos, size) => `${pos} of ${size}`,
+      formatLevel: (level) => `level ${level}`,
+    },
+
+    // NVDA: context first ("Shipping grouping"), then name before role
+    nvda: {
+      id: "nvda",
+      label: "NVDA",
+      nameFirst: true,
+      readDescription: true,
+      roleNames: {
+        checkbox: "check box",
+        combobox: "combo box",
+        textbox: "edit",
+        searchbox: "edit",
+        radio: "radio button",
+        group: "grouping",
+        radiogroup: "grouping",
+        listbox: "list",
+        option: "",
+        menuitem: "",
+      },
+      states: {
+        expanded: "expanded",
+        collapsed: "collapsed",
+        pressed: "pressed",
+        notPressed: "not pressed",
+        checked: "checked",
+        unchecked: "not checked",
+        mixed: "half checked",
+        disabled: "unavailable",
+        required: "required",
+      },
+      groupFirst: true,
+      formatGroup: (role, label) => (label ? `${label} ${role}` : ""),
+      formatPosition: (pos, size) => `${pos} of ${size}`,
+      formatLevel: (level) => `level ${level}`,
+    },
+
+    // JAWS: name before role, "not checked"/"partially checked" wording
+    jaws: {
+      id: "jaws",
+      label: "JAWS",
+      nameFirst: true,
+      readDescription: true,
+      roleNames: {
+        checkbox: "check box",
+        combobox: "combo box",
+        textbox: "edit",
+        searchbox: "edit",
+        radio: "radio button",
+        option: "",
+      },
+      states: {
+        expanded: "expanded",
+        collapsed: "collapsed",
+        pressed: "pressed",
+        notPressed: "not pressed",
+        checked: "checked",
+        unchecked: "not checked",
+        mixed: "partially checked",
+        disabled: "unavailable",
+        required: "required",
+      },
+      groupFirst: true,
+      formatGroup: (role, label) => (label ? `${label} ${role}` : ""),
+      formatPosition: (pos, size) => `${pos} of ${size}`,
+      formatLevel: (level) => `level ${level}`,
+    },
+
+    // VoiceOver (macOS): "Name, role", "dimmed" for disabled
+    voiceover: {
+      id: "voiceover",
+      label: "VoiceOver",
+      nameFirst: true,
+      readDescription: true,
+      roleNames: {
+        textbox: "edit text",
+        searchbox: "search text field",
+        combobox: "combo box",
+        radio: "radio button",
+        option: "",
+      },
+      states: {
+        expanded: "expanded",
+        collapsed: "collapsed",
+        pressed: "selected",
+        notPressed: "",
+        checked: "checked",
+        unchecked: "unchecked",
+        mixed: "mixed",
+        disabled: "dimmed",
+        required: "required",
+      },
+      groupFirst: false,
+      formatGroup: (role, label) => (label ? `${label}, ${role}` : ""),
+      formatPosition: (pos, size) => `${pos} of ${size}`,
+      formatLevel: (level) => `level ${level}`,
+    },
+
+    // TalkBack: name before role, no descriptions, "in list" positions
+    talkback: {
+      id: "talkback",
+      label: "TalkBack",
+      nameFirst: true,
+      readDescription: false,
+      roleNames: {
+        textbox: "edit box",
+        searchbox: "edit box",
+        combobox: "drop down list",
+        option: "",
+        listitem: "",
+      },
+      states: {
+        expanded: "expanded",
+        collapsed: "collapsed",
+        pressed: "on",
+        notPressed: "off",
+        checked: "checked",
+        unchecked: "not checked",
+        mixed: "partially checked",
+        disabled: "disabled",
+        required: "required",
+      },
+      groupFirst: false,
+      formatGroup: (role, label) => label || "",
+      formatPosition: (pos, size) => `in list, item ${pos} of ${size}`,
+      formatLevel: (level) => `level ${level}`,
+    },
+  };
+
+  /**
+   * Get a profile by id, falling back to the default profile
+   * @param {string} id - Profile id
+   * @returns {Object} Profile definition
+   */
+  function get(id) {
+    return PROFILES[id] || PROFILES[DEFAULT_PROFILE];
+  }
+
+  /**
+   * Get the spoken role for a profile (also applied to group roles before
+   * formatGroup is called). An empty string means the role is
+   * not announced (e.g. NVDA does not say "option" inside a listbox).
+   * @param {Object} profile - Profile definition
+   * @param {string} role - ARIA/AX role
+   * @returns {string} Spoken role text
+   */
+  function speakRole(profile, role) {
+    if (!role) return "";
+    return Object.prototype.hasOwnProperty.call(profile.roleNames, role)
+      ? profile.roleNames[role]
+      : role;
+  }
+
+  // Initialize global namespace
+  if (!window.NexusInspector) {
+    window.NexusInspector = {};
+  }
+
+  window.NexusInspector.SRProfiles = {
+    DEFAULT_PROFILE,
+    STORAGE_KEY,
+    PROFILES,
+    get,
+    speakRole,
+  };
+})();
@@ -4,7 +4,8 @@
  * This module handles fetching accessibility information from Chrome DevTools Protocol
  * and provides fallback local computation when CDP is unavailable.
  *
- * Dependencies: content-utils.js, content-cache.js
+ * Dependencies: content-utils.js, content-cache.js, content-contrast.js,
+ * validation/core.js
  */
 
 (function () {
@@ -54,17 +55,24 @@
     );
   }
 
+  // Node the background watches for pushed updates (AX_NODE_UPDATED):
+  // { targetRef: WeakRef<Element>, backendNodeId }
+  let watchedNode = null;
+
   /**
-   * Wait for accessibility update with retry logic
+   * Request accessibility information for an element from the background.
+   * This is a single request: the background watches the returned node and
+   * pushes fresh info (see applyPushedUpdate) when CDP reports the node
+   * changed, so there is no polling while the AX tree settles.
    * @param {Element} target - The target element
-   * @param {number} maxAttempts - Maximum number of retry attempts
-   * @returns {Promise<Object>} Accessibility information
+   * @param {Object} [opts] - { correlationId, bySelector }. bySelector looks
+   *   the element up by its selector instead of the element stored for CDP
+   *   (used for picked elements, which never receive focus), bypassing the
+   *   background's selector result cache.
+   * @returns {Promise<Object|null>} Accessibility information, or null if a
+   *   newer request superseded this one
    */
-    async function waitForAccessibilityUpdate(
-    target,
-    maxAttempts = window.NexusConstants?.RETRY_ATTEMPTS?.ACCESSIBILITY_UPDATE || 8,
-    opts = {}
-  ) {
+  async function requestAccessibilityInfo(target, opts = {}) {
     const cache = CE.cache;
 
     // Allowed actions (mirror of MessageValidator.ALLOWED_ACTIONS)
@@ -128,138 +136,93 @@
       cache.setPendingRequest(currentRequest);
     }
 
-    // Short stabilization delays to allow CDP to settle for rapidly changing DOM.
-    // Prefer explicit short retries for the first few attempts.
-    const shortRetryDelays =
-      (window.NexusConstants && window.NexusConstants.TIMEOUTS && window.NexusConstants.TIMEOUTS.ACCESSIBILITY_SHORT_RETRY_DELAYS) ||
-      [0, 40, 120];
-
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      // Check if this request was cancelled
-      if (currentRequest.cancelled) {
-        console.log("[NEXUS] Request cancelled");
-        return null;
-      }
-
-      try {
-        // Use CDP approach with direct element reference
-        const selector = CE.utils.getUniqueSelector(target);
+    try {
+      // Use CDP approach with direct element reference
+      const selector = CE.utils.getUniqueSelector(target);
 
-          const msg = {
+      const msg = opts.bySelector
+        ? {
+            action: "getBackendNodeIdAndAccessibleInfo",
+            elementSelector: selector,
+            refresh: true,
+          }
+        : {
             action: "getBackendNodeIdAndAccessibleInfo",
             useDirectReference: true,
             elementSelector: selector,
             frameId: 0, // Background script will determine the correct frame
           };
-          if (opts && opts.correlationId) msg.correlationId = opts.correlationId;
-
-          const response = await validatedSend(msg, "getBackendNodeIdAndAccessibleInfo");
-
-        console.log("[NEXUS] CDP Response:", {
-          role: response?.role,
-        });
-
-        if (currentRequest.cancelled) return null;
+      if (opts && opts.correlationId) msg.correlationId = opts.correlationId;
 
-        if (response && response.accessibleNode) {
-          return response;
-        }
+      const response = await validatedSend(msg, "getBackendNodeIdAndAccessibleInfo");
 
-        // Check if we have meaningful data
-        const hasData =
-          (response?.role && response.role !== "(no role)") ||
-          (response?.name && response.name !== "(no accessible name)") ||
-          (response?.states && Object.keys(response.states).length > 0) ||
-          (response?.ariaProperties &&
-            Object.keys(response.ariaProperties).length > 0);
-
-        if (hasData) {
-          console.log(`Got accessibility data on attempt ${attempt + 1}:`, {
-            role: response?.role,
-            name: response?.name,
-            statesCount: Object.keys(response?.states || {}).length,
-            ariaCount: Object.keys(response?.ariaProperties || {}).length,
-          });
-          return response;
-        }
+      console.log("[NEXUS] CDP Response:", {
+        role: response?.role,
+      });
 
-        // Use explicit short delays for the first few attempts, then fall back
-        // to the previous incremental delay behaviour.
-        if (attempt < maxAttempts - 1) {
-          let delay = null;
-          if (attempt < shortRetryDelays.length) {
-            delay = shortRetryDelays[attempt];
-          } else {
-            delay =
-              (window.NexusConstants?.TIMEOUTS?.ACCESSIBILITY_RETRY_BASE || 50) *
-              (attempt + 1);
-          }
+      if (currentRequest.cancelled) {
+        console.log("[NEXUS] Request cancelled");
+        return null;
+      }
 
-          console.log(
-            `No meaningful data on attempt ${attempt + 1}, waiting ${delay}ms...`,
-            {
-              role: response?.role,
-              name: response?.name,
-            }
-          );
+      watchedNode =
+        response && !response.error && response.backendDOMNodeId
+          ? { targetRef: new WeakRef(target), backendNodeId: response.backendDOMNodeId }
+          : null;
 
-          if (delay > 0) {
-            await new Promise((resolve) => setTimeout(resolve, delay));
-          } else {
-            // zero delay - yield to event loop
-            await Promise.resolve();
-          }
-        }
-      } catch (error) {
-        if (currentRequest.cancelled) return null;
-        console.error("[NEXUS] Attempt failed:", error);
-
-        // Wait before retry with exponential backoff
-        if (attempt < maxAttempts - 1) {
-          const backoffBase =
-            window.NexusConstants?.TIMEOUTS?.EXPONENTIAL_BACKOFF_BASE || 100;
-          await new Promise((resolve) =>
-            setTimeout(resolve, backoffBase * Math.pow(2, attempt))
-          );
-        }
+      return response;
+    } catch (error) {
+      if (currentRequest.cancelled) return null;
+      throw new Error(`Failed to get accessibility info: ${error.message}`);
+    } finally {
+      if (cache && cache.getPendingRequest() === currentRequest) {
+        cache.clearPendingRequest();
       }
     }
+  }
 
-    // Clean up
-    if (cache && cache.getPendingRequest() === currentRequest) {
-      cache.clearPendingRequest();
+  /**
+   * Apply accessibility info pushed by the background after CDP reported a
+   * change to the watched node (Accessibility.nodesUpdated)
+   * @param {Object} msg - { backendNodeId, info }
+   * @returns {boolean} True if the update was applied
+   */
+  function applyPushedUpdate(msg) {
+    if (!watchedNode || !msg || msg.backendNodeId !== watchedNode.backendNodeId) {
+      return false;
+    }
+    const target = watchedNode.targetRef.deref();
+    if (!target || !target.isConnected) {
+      watchedNode = null;
+      return false;
     }
 
-    // Final attempt
-    console.log("Final attempt after all retries...");
-    try {
-      const selector = CE.utils.getUniqueSelector(target);
-
-      const msgFinal = {
-        action: "getBackendNodeIdAndAccessibleInfo",
-        useDirectReference: true,
-        elementSelector: selector,
-        frameId: 0,
-      };
-      if (opts && opts.correlationId) msgFinal.correlationId = opts.correlationId;
-
-      const response = await validatedSend(msgFinal, "finalAttempt-getBackendNodeIdAndAccessibleInfo");
-
-      console.log("Final attempt result:", {
-        role: response?.role,
-        name: response?.name,
-      });
-
-      return response;
-    } catch (error) {
-      throw new Error("Failed to get accessibility info after all attempts");
+    const result = processAccessibilityInfo(msg.info, target);
+    // getAccessibleInfo prefers local info for generic shadow DOM hosts
+    if (result.role === "generic" && CE.utils.isInShadowRoot(target)) {
+      return false;
+    }
+    if (CE.cache) CE.cache.setCached(target, result);
+
+    // Only refresh an inspector that shows this element, and leave it alone
+    // while older history snapshots are being browsed
+    const focusState = CE.events ? CE.events.getFocusState() : {};
+    const showing =
+      CE.inspector &&
+      CE.inspector.isInspectorVisible() &&
+      focusState.inspectedElement === target;
+    const atLatest = !CE.history || !CE.history.getState().canGoForward;
+    if (showing && atLatest) {
+      CE.inspector.showInspector(result, target);
     }
+    return true;
   }
 
   /**
    * Get accessible information for an element
    * @param {Element} target - The target element
    * @param {boolean} forceUpdate - Whether to force update ignoring cache
+   * @param {Object} [opts] - Request options (see requestAccessibilityInfo)
    * @returns {Promise<Object>} Accessibility information
    */
   async function getAccessibleInfo(target, forceUpdate = false, opts = {}) {
@@ -314,7 +277,7 @@
       console.log("DOM aria-expanded value before fetch:", domExpanded);
 
       try {
-  const info = await waitForAccessibilityUpdate(target, undefined, opts);
+        const info = await requestAccessibilityInfo(target, opts);
 
         // Handle structured error response
         if (info && info.error) {
@@ -440,6 +403,8 @@
       states,
       ariaProperties,
       normalizedExpanded,
+      // Candidate name sources from CDP (see formatNameSources)
+      nameSources: Array.isArray(info?.nameSources) ? info.nameSources : [],
       ignored: info?.ignored || false,
       ignoredReasons: info?.ignoredReasons || [],
     };
@@ -460,9 +425,35 @@
     // Add group information
     result.group = info?.group ?? computeGroupInfo(target);
 
+    // Position in set ("3 of 7") and hierarchical level
+    Object.assign(result, computeSetInfo(target, info));
+
+    // Text contrast, preferring CDP background colors when supplied
+    result.contrast = CE.contrast
+      ? CE.contrast.analyze(target, info?.backgroundColors)
+      : null;
+
+    // aria-* attribute problems, shown as inspector warnings
+    result.ariaIssues = getAriaIssues(target);
+
     return result;
   }
 
+  /**
+   * Check the element's aria-* attributes against the ARIA role definitions
+   * @param {Element} target - The target element
+   * @returns {Object[]} Issues from ValidationCore.validateAriaAttributes
+   */
+  function getAriaIssues(target) {
+    if (!(target instanceof Element) || !window.ValidationCore) return [];
+    try {
+      return window.ValidationCore.validateAriaAttributes(target).issues;
+    } catch (error) {
+      console.warn("[ContentExtension.accessibility] ARIA checks failed:", error);
+      return [];
+    }
+  }
+
   /**
    * Normalize checkbox states from DOM properties
    * @param {Object} result - The accessibility result object
@@ -537,6 +528,263 @@
     return undefined;
   }
 
+  // Containers whose items are counted for the position in set, by item role
+  const SET_CONTAINER_ROLES = {
+    listitem: ["list", "group"],
+    option: ["listbox", "group"],
+    tab: ["tablist"],
+    treeitem: ["tree", "group"],
+    menuitem: ["menu", "menubar", "group"],
+    menuitemcheckbox: ["menu", "menubar", "group"],
+    menuitemradio: ["menu", "menubar", "group"],
+    radio: ["radiogroup"],
+    row: ["grid", "treegrid", "table", "rowgroup"],
+    article: ["feed"],
+  };
+
+  // Native elements whose implicit role is a set item role; explicit roles
+  // are matched with [role~="..."]
+  const NATIVE_SET_ITEMS = {
+    listitem: "li",
+    option: "option",
+    radio: 'input[type="radio" i]',
+    row: "tr",
+    article: "article",
+  };
+
+  // Set items per container and role, dropped on the next DOM mutation so
+  // focus changes inside large lists and grids do not re-scan the container
+  let setItemsCache = new WeakMap();
+  let setItemsObserver = null;
+
+  /**
+   * Drop the cached set items and stop watching until the next lookup
+   */
+  function dropSetItemsCache() {
+    setItemsCache = new WeakMap();
+    if (setItemsObserver) {
+      setItemsObserver.disconnect();
+      setItemsObserver = null;
+    }
+  }
+
+  /**
+   * Check whether a mutation changed the page rather than Nexus UI (the
+   * inspector host and the overlays, all with "nexus-" ids), which is
+   * added and removed on every inspection and never part of a set
+   * @param {MutationRecord} record - Mutation
+   * @returns {boolean} True for page changes
+   */
+  function isPageMutation(record) {
+    const isNexusNode = (node) =>
+      node.nodeType === 1 && String(node.id).startsWith("nexus-");
+    if (record.type !== "childList") return !isNexusNode(record.target);
+    return [...record.addedNodes, ...record.removedNodes].some(
+      (node) => !isNexusNode(node)
+    );
+  }
+
+  /**
+   * Watch the document for changes that invalidate the cached set items
+   */
+  function watchSetItems() {
+    if (setItemsObserver || typeof MutationObserver === "undefined") return;
+    setItemsObserver = new MutationObserver((records) => {
+      if (records.some(isPageMutation)) dropSetItemsCache();
+    });
+    setItemsObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["role", "hidden", "aria-hidden", "type"],
+    });
+  }
+
+  /**
+   * Get the role used for position and level computation
+   * @param {Element} el - The element
+   * @returns {string} Role (first explicit token or the native role)
+   */
+  function getSetRole(el) {
+    const [explicit] = CE.utils.safeGetAttribute(el, "role").trim().split(/\s+/);
+    if (explicit) return explicit;
+    if (el.tagName === "OPTION") return "option";
+    if (/^H[1-6]$/.test(el.tagName)) return "heading";
+    return computeFallbackRole(el) || "";
+  }
+
+  /**
+   * Parse a positive integer attribute
+   * @param {Element} el - The element
+   * @param {string} attr - Attribute name
+   * @returns {number|null} Value, or null if missing or invalid
+   */
+  function getPositiveIntAttribute(el, attr) {
+    const value = Number(CE.utils.safeGetAttribute(el, attr));
+    return Number.isInteger(value) && value > 0 ? value : null;
+  }
+
+  /**
+   * Find the items of a container's set: candidates matching the item role,
+   * minus items of nested sets and hidden items
+   * @param {Element} container - Set container
+   * @param {string} role - Item role
+   * @param {Function} isContainer - Whether a node is a set container
+   * @returns {{items: Element[], visible: Set<Element>}} Items in DOM order
+   *   and the ones that are not hidden
+   */
+  function collectSetItems(container, role, isContainer) {
+    const selector = [NATIVE_SET_ITEMS[role], `[role~="${role}"]`]
+      .filter(Boolean)
+      .join(", ");
+    const items = Array.from(container.querySelectorAll(selector)).filter(
+      (node) => {
+        if (getSetRole(node) !== role) return false;
+        // Skip items of nested sets
+        let owner = node.parentElement;
+        while (owner && owner !== container && !isContainer(owner)) {
+          owner = owner.parentElement;
+        }
+        return owner === container;
+      }
+    );
+    const visible = new Set(
+      items.filter((node) => !node.closest("[hidden], [aria-hidden='true']"))
+    );
+    return { items, visible };
+  }
+
+  /**
+   * Get a container's set items, cached until the document changes
+   * (containers in shadow roots are not watched and never cached)
+   * @param {Element} container - Set container
+   * @param {string} role - Item role
+   * @param {Function} isContainer - Whether a node is a set container
+   * @returns {{items: Element[], visible: Set<Element>}} Set items
+   */
+  function getSetItems(container, role, isContainer) {
+    if (container.getRootNode() !== document) {
+      return collectSetItems(container, role, isContainer);
+    }
+    // Mutations made in this task have not reached the observer callback yet
+    if (
+      setItemsObserver &&
+      setItemsObserver.takeRecords().some(isPageMutation)
+    ) {
+      dropSetItemsCache();
+    }
+    let byRole = setItemsCache.get(container);
+    if (!byRole) {
+      byRole = new Map();
+      setItemsCache.set(container, byRole);
+    }
+    if (!byRole.has(role)) {
+      byRole.set(role, collectSetItems(container, role, isContainer));
+      watchSetItems();
+    }
+    return byRole.get(role);
+  }
+
+  /**
+   * Count an element's position among the items of its set in the DOM
+   * (fallback when CDP did not supply one)
+   * @param {Element} el - The element
+   * @param {string} role - Its role
+   * @returns {{posinset: number, setsize: number}|null} Position or null
+   */
+  function computeDomSetPosition(el, role) {
+    let items = null;
+    if (role === "radio" && el.tagName === "INPUT" && el.name) {
+      // Native radios form a set by name within their form
+      const scope = el.form || el.getRootNode();
+      const selector = `input[type="radio"][name="${CSS.escape(el.name)}"]`;
+      items = Array.from(scope.querySelectorAll(selector)).filter(
+        (node) => node === el || !node.closest("[hidden], [aria-hidden='true']")
+      );
+    } else if (SET_CONTAINER_ROLES[role]) {
+      const containerRoles = SET_CONTAINER_ROLES[role];
+      const isContainer = (node) => {
+        const r = getSetRole(node);
+        return (
+          containerRoles.includes(r) ||
+          (role === "option" && node.tagName === "SELECT")
+        );
+      };
+      let container = el.parentElement;
+      while (container && !isContainer(container)) {
+        container = container.parentElement;
+      }
+      if (!container) return null;
+      const { items: all, visible } = getSetItems(container, role, isContainer);
+      // A hidden element that is inspected anyway still counts itself
+      items = all.filter((node) => node === el || visible.has(node));
+    }
+    if (!items) return null;
+    const index = items.indexOf(el);
+    return index === -1 ? null : { posinset: index + 1, setsize: items.length };
+  }
+
+  /**
+   * Compute the hierarchical level from the DOM (fallback when CDP did not
+   * supply one): heading rank, tree item depth or list nesting depth
+   * @param {Element} el - The element
+   * @param {string} role - Its role
+   * @returns {number|null} Level or null
+   */
+  function computeDomLevel(el, role) {
+    if (role === "heading") {
+      const match = /^H([1-6])$/.exec(el.tagName);
+      return match ? Number(match[1]) : 2; // ARIA default heading level
+    }
+    if (role !== "treeitem" && role !== "listitem") return null;
+    const parentRole = role === "treeitem" ? "treeitem" : "listitem";
+    let level = 1;
+    let node = el.parentElement;
+    while (node) {
+      if (getSetRole(node) === parentRole) level++;
+      if (role === "treeitem" && getSetRole(node) === "tree") break;
+      node = node.parentElement;
+    }
+    // Top-level list items are not announced with a level
+    return role === "listitem" && level === 1 ? null : level;
+  }
+
+  /**
+   * Compute position in set and hierarchical level. Explicit aria-posinset,
+   * aria-setsize and aria-level win (virtualized lists rely on them), then
+   * CDP-derived values, then the DOM.
+   * @param {Element} el - The element
+   * @param {Object} [info] - Raw accessibility info from CDP
+   * @returns {{posinset: number|null, setsize: number|null,
+   *   level: number|null}} Set information, null when unknown
+   */
+  function computeSetInfo(el, info) {
+    const out = {
+      posinset: info?.posinset ?? null,
+      setsize: info?.setsize ?? null,
+      level: info?.level ?? null,
+    };
+    if (!(el instanceof Element)) return out;
+    try {
+      const role = getSetRole(el);
+      if (out.posinset === null || out.setsize === null) {
+        const position = computeDomSetPosition(el, role);
+        if (position) Object.assign(out, position);
+      }
+      if (out.level === null) out.level = computeDomLevel(el, role);
+
+      const posinset = getPositiveIntAttribute(el, "aria-posinset");
+      const setsize = getPositiveIntAttribute(el, "aria-setsize");
+      const level = getPositiveIntAttribute(el, "aria-level");
+      if (posinset) out.posinset = posinset;
+      if (setsize) out.setsize = setsize;
+      if (level) out.level = level;
+    } catch (e) {
+      console.warn("computeSetInfo failed:", e);
+    }
+    return out;
+  }
+
   /**
    * Get local accessible information as fallback
    * @param {Element} el - The element to get info for
@@ -581,6 +829,9 @@
       states: statesAndProps.states,
       ariaProperties: statesAndProps.ariaProperties,
       group: computeGroupInfo(el),
+      ...computeSetInfo(el),
+      contrast: CE.contrast ? CE.contrast.analyze(el) : null,
+      ariaIssues: getAriaIssues(el),
       ignored: false,
       ignoredReasons: [],
     };
@@ -816,6 +1067,8 @@
     if (CE.cache) {
       CE.cache.clearPendingRequest();
     }
+    watchedNode = null;
+    dropSetItemsCache();
   }
 
   /**
@@ -823,8 +1076,9 @@
    * @param {boolean} enabled - Whether extension is enabled
    */
   function onStateChange(enabled) {
-    if (!enabled && CE.cache) {
-      CE.cache.clearPendingRequest();
+    if (!enabled) {
+      if (CE.cache) CE.cache.clearPendingRequest();
+      watchedNode = null;
     }
   }
 
@@ -837,9 +1091,11 @@
     // Main functions
     getAccessibleInfo,
     getLocalAccessibleInfo,
+    applyPushedUpdate,
 
     // Utility functions
     computeGroupInfo,
+    computeSetInfo,
     computeFallbackAccessibleName,
     computeFallbackDescription,
     computeFallbackRole,
@@ -849,7 +1105,7 @@
     collectStatesAndProperties,
 
     // Internal functions (exposed for testing)
-    waitForAccessibilityUpdate,
+    requestAccessibilityInfo,
     processAccessibilityInfo,
     normalizeCheckboxStates,
   };
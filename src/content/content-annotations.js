@@ -0,0 +1,674 @@
+/**
+ * Content Script Element Annotations
+ *
+ * Review notes attached to elements during an audit ("name should include
+ * the product title"), each with a severity. Notes are stored per page URL
+ * (origin, path and query; the hash is ignored) in chrome.storage.local and
+ * re-anchored on every visit:
+ *
+ *   1. The stored selector, preferring stable hooks (id, data-testid, name,
+ *      aria-label) over a positional path, if the element it finds still
+ *      matches the fingerprint (tag, role and accessible name or text).
+ *   2. Otherwise the element of the same tag and role whose name or text
+ *      matches the fingerprint ("moved").
+ *   3. Otherwise the element the selector finds, if its tag still matches
+ *      ("changed").
+ *   4. Otherwise the note is kept but not shown on the page ("orphaned").
+ *
+ * While the inspector is on, annotated elements get a marker with the
+ * number of notes, colored by the highest severity. The marker overlay is
+ * aria-hidden and ignores pointer events. Elements inside shadow roots
+ * cannot be annotated.
+ *
+ * Dependencies: content-utils.js, content-accessibility.js
+ */
+
+(function () {
+  "use strict";
+
+  // Ensure our namespace exists
+  window.ContentExtension = window.ContentExtension || {};
+  const CE = window.ContentExtension;
+
+  const STORAGE_PREFIX = "nexusAnnotations:";
+  const OVERLAY_ID = "nexus-annotation-markers";
+
+  // Lowest to highest; the audit severities plus a plain review note
+  const SEVERITIES = ["note", "minor", "moderate", "serious", "critical"];
+
+  const STATUS_TEXT = {
+    anchored: "",
+    moved: "found by its text and role",
+    changed: "element content changed",
+    orphaned: "element not found",
+  };
+
+  // Attributes that usually survive redesigns, tried before a path
+  const STABLE_ATTRIBUTES = [
+    "data-testid",
+    "data-test",
+    "data-qa",
+    "data-cy",
+    "name",
+    "aria-label",
+  ];
+
+  const MAX_NOTE_LENGTH = 1000;
+  const MAX_ANNOTATIONS = 200;
+  const FINGERPRINT_TEXT_LENGTH = 80;
+
+  // Fallback search is limited to this many elements of the same tag
+  const MAX_CANDIDATES = 2000;
+
+  let annotations = [];
+  let pageKey = ""; // page whose annotations are loaded or being loaded
+  let loadedKey = null; // page whose annotations are in `annotations`
+  let loading = Promise.resolve([]);
+  let resolved = new Map(); // id -> { element, status }
+  let visible = false;
+  let host = null;
+  let shadow = null;
+  let redrawFrame = null;
+  let mutationTimer = null;
+  let observer = null;
+  let storageListener = null;
+
+  /**
+   * Get the storage key for the current page
+   * @returns {string} Key (origin, path and query)
+   */
+  function getPageKey() {
+    const { origin, pathname, search } = window.location;
+    return `${STORAGE_PREFIX}${origin}${pathname}${search}`;
+  }
+
+  /**
+   * Collapse whitespace and cut text to the fingerprint length
+   * @param {string} text - Text
+   * @returns {string} Normalized text
+   */
+  function normalizeText(text) {
+    return String(text || "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, FINGERPRINT_TEXT_LENGTH);
+  }
+
+  /**
+   * Describe an element independently of its position in the DOM
+   * @param {Element} el - Element
+   * @returns {{tag: string, role: string, name: string, text: string}}
+   *   Fingerprint
+   */
+  function getFingerprint(el) {
+    const a11y = CE.accessibility || {};
+    let role = el.getAttribute("role") || "";
+    let name = "";
+    try {
+      if (!role && a11y.computeFallbackRole) {
+        role = a11y.computeFallbackRole(el) || "";
+      }
+      if (a11y.computeFallbackAccessibleName) {
+        name = a11y.computeFallbackAccessibleName(el) || "";
+      }
+    } catch (e) {}
+    return {
+      tag: el.localName,
+      role: String(role).split(/\s+/)[0],
+      name: normalizeText(name),
+      text: normalizeText(el.textContent),
+    };
+  }
+
+  /**
+   * Check whether a selector matches exactly one element
+   * @param {string} selector - CSS selector
+   * @returns {boolean} True if unique
+   */
+  function isUnique(selector) {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Build a selector for an element, preferring stable attributes over
+   * class names and positions
+   * @param {Element} el - Element
+   * @returns {string} CSS selector
+   */
+  function getAnchorSelector(el) {
+    const idSelector = el.id ? `#${CSS.escape(el.id)}` : "";
+    if (idSelector && isUnique(idSelector)) return idSelector;
+    for (const attr of STABLE_ATTRIBUTES) {
+      const value = el.getAttribute(attr);
+      if (!value) continue;
+      const selector = `${el.localName}[${attr}="${CSS.escape(value)}"]`;
+      if (isUnique(selector)) return selector;
+    }
+
+    // Positional path, starting from the nearest ancestor with a unique id
+    const path = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      if (node !== el && node.id && isUnique(`#${CSS.escape(node.id)}`)) {
+        path.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let nth = 1;
+      let sibling = node;
+      while ((sibling = sibling.previousElementSibling)) {
+        if (sibling.localName === node.localName) nth++;
+      }
+      path.unshift(`${node.localName}:nth-of-type(${nth})`);
+      node = node.parentElement;
+    }
+    return path.join(" > ");
+  }
+
+  /**
+   * Check whether an element still looks like the annotated one
+   * @param {Element} el - Candidate element
+   * @param {Object} fp - Stored fingerprint
+   * @returns {boolean} True on a match
+   */
+  function matchesFingerprint(el, fp) {
+    const current = getFingerprint(el);
+    if (current.tag !== fp.tag || current.role !== fp.role) return false;
+    if (!fp.name && !fp.text) return true;
+    return (
+      (!!fp.name && current.name === fp.name) ||
+      (!!fp.text && current.text === fp.text)
+    );
+  }
+
+  /**
+   * Find the element an annotation belongs to (see the module comment)
+   * @param {Object} annotation - Stored annotation
+   * @returns {{element: Element|null, status: string}} Resolution
+   */
+  function resolveAnnotation(annotation) {
+    const fp = annotation.fingerprint || {};
+    let bySelector = null;
+    try {
+      bySelector = document.querySelector(annotation.selector);
+    } catch (e) {}
+    if (bySelector && matchesFingerprint(bySelector, fp)) {
+      return { element: bySelector, status: "anchored" };
+    }
+
+    if (fp.tag && (fp.name || fp.text)) {
+      const candidates = document.getElementsByTagName(fp.tag);
+      const limit = Math.min(candidates.length, MAX_CANDIDATES);
+      for (let i = 0; i < limit; i++) {
+        const candidate = candidates[i];
+        if (candidate !== bySelector && matchesFingerprint(candidate, fp)) {
+          return { element: candidate, status: "moved" };
+        }
+      }
+    }
+
+    if (bySelector && bySelector.localName === fp.tag) {
+      return { element: bySelector, status: "changed" };
+    }
+    return { element: null, status: "orphaned" };
+  }
+
+  /**
+   * Get the resolution of an annotation, re-resolving ones whose element
+   * left the DOM. Orphaned notes are retried after DOM changes (see
+   * onMutations).
+   * @param {Object} annotation - Stored annotation
+   * @returns {{element: Element|null, status: string}} Resolution
+   */
+  function getResolution(annotation) {
+    const cached = resolved.get(annotation.id);
+    if (cached && (!cached.element || cached.element.isConnected)) {
+      return cached;
+    }
+    const resolution = resolveAnnotation(annotation);
+    resolved.set(annotation.id, resolution);
+    return resolution;
+  }
+
+  /**
+   * Keep the well-formed entries of a stored list. Other tabs and frames
+   * write the same key, so nothing read from storage is trusted as is.
+   * @param {*} list - Stored value
+   * @returns {Object[]} Annotations
+   */
+  function readStored(list) {
+    if (!Array.isArray(list)) return [];
+    return list.filter(
+      (a) =>
+        !!a &&
+        typeof a.id === "string" &&
+        !!a.id &&
+        typeof a.selector === "string" &&
+        !!a.selector &&
+        typeof a.note === "string" &&
+        SEVERITIES.includes(a.severity)
+    );
+  }
+
+  /**
+   * Read this page's annotations from storage
+   * @returns {Promise<Object[]>} Annotations
+   */
+  function load() {
+    const key = getPageKey();
+    pageKey = key;
+    loading = new Promise((resolve) => {
+      try {
+        chrome.storage.local.get({ [key]: [] }, (data) => {
+          // The URL changed again meanwhile: the newer load wins
+          if (pageKey !== key) {
+            resolve(loading);
+            return;
+          }
+          annotations = readStored(data && data[key]);
+          loadedKey = key;
+          resolved = new Map();
+          scheduleRedraw();
+          resolve(annotations);
+        });
+      } catch (e) {
+        resolve(annotations);
+      }
+    });
+    return loading;
+  }
+
+  /**
+   * Write this page's annotations to storage
+   * @returns {Promise<void>}
+   */
+  function save() {
+    return new Promise((resolve, reject) => {
+      const done = () =>
+        chrome.runtime.lastError
+          ? reject(new Error(chrome.runtime.lastError.message))
+          : resolve();
+      if (annotations.length) {
+        chrome.storage.local.set({ [pageKey]: annotations }, done);
+      } else {
+        chrome.storage.local.remove(pageKey, done);
+      }
+    });
+  }
+
+  /**
+   * Re-read the annotations when the page URL changed without a reload
+   * (single-page apps)
+   * @returns {Promise<Object[]>} Resolves once this page's annotations are
+   *   loaded
+   */
+  function syncPageKey() {
+    return getPageKey() !== pageKey ? load() : loading;
+  }
+
+  /**
+   * Get the loaded annotations of the current page. While another page's
+   * are still in memory (a load is in flight), the page has none yet.
+   * @returns {Object[]} Annotations
+   */
+  function getLoaded() {
+    syncPageKey();
+    return loadedKey === pageKey ? annotations : [];
+  }
+
+  /**
+   * Annotate an element
+   * @param {Element} element - Annotated element
+   * @param {string} note - Note text
+   * @param {string} [severity="note"] - One of SEVERITIES
+   * @returns {Promise<Object>} The stored annotation
+   */
+  async function add(element, note, severity = "note") {
+    const text = String(note || "").trim();
+    if (!element || element.nodeType !== 1) {
+      throw new Error("No element to annotate");
+    }
+    if (element.getRootNode() !== document) {
+      throw new Error("Elements inside shadow roots cannot be annotated");
+    }
+    if (!text) throw new Error("The note is empty");
+    if (text.length > MAX_NOTE_LENGTH) {
+      throw new Error(`Notes are limited to ${MAX_NOTE_LENGTH} characters`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity: ${severity}`);
+    }
+    await syncPageKey();
+    if (loadedKey !== pageKey) {
+      throw new Error("The notes of this page could not be loaded");
+    }
+    if (annotations.length >= MAX_ANNOTATIONS) {
+      throw new Error(`This page already has ${MAX_ANNOTATIONS} notes`);
+    }
+
+    const now = new Date().toISOString();
+    const annotation = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      selector: getAnchorSelector(element),
+      fingerprint: getFingerprint(element),
+      note: text,
+      severity,
+      created: now,
+      updated: now,
+    };
+    annotations = [...annotations, annotation];
+    resolved.set(annotation.id, { element, status: "anchored" });
+    await save();
+    scheduleRedraw();
+    return annotation;
+  }
+
+  /**
+   * Delete an annotation
+   * @param {string} id - Annotation id
+   * @returns {Promise<boolean>} True if it existed
+   */
+  async function remove(id) {
+    await syncPageKey();
+    if (loadedKey !== pageKey) return false;
+    const before = annotations.length;
+    annotations = annotations.filter((a) => a.id !== id);
+    resolved.delete(id);
+    if (annotations.length === before) return false;
+    await save();
+    scheduleRedraw();
+    return true;
+  }
+
+  /**
+   * Describe an annotation with its current resolution
+   * @param {Object} annotation - Stored annotation
+   * @returns {Object} Annotation with status and statusText
+   */
+  function describe(annotation) {
+    const { status } = getResolution(annotation);
+    return { ...annotation, status, statusText: STATUS_TEXT[status] };
+  }
+
+  /**
+   * Get the annotations of an element
+   * @param {Element} element - Element
+   * @returns {Object[]} Annotations (see describe), oldest first
+   */
+  function getForElement(element) {
+    if (!element) return [];
+    return getLoaded()
+      .filter((a) => getResolution(a).element === element)
+      .map(describe);
+  }
+
+  /**
+   * Get every annotation of this page
+   * @returns {Object[]} Annotations (see describe), oldest first
+   */
+  function getAll() {
+    return getLoaded().map(describe);
+  }
+
+  /**
+   * Format annotations as one line of text for reports
+   * @param {Object[]} list - Annotations
+   * @returns {string} "severity: note; ..."
+   */
+  function formatAnnotations(list) {
+    return list
+      .map((a) => {
+        const status = STATUS_TEXT[a.status];
+        return `${a.severity}: ${a.note}${status ? ` (${status})` : ""}`;
+      })
+      .join("; ");
+  }
+
+  /**
+   * Build report entries (see utils/report-exporter.js) for every
+   * annotation of this page, one per note
+   * @returns {Object[]} Entries
+   */
+  function getEntries() {
+    return getAll().map((a) => {
+      const fp = a.fingerprint || {};
+      return {
+        time: a.updated,
+        url: window.location.href,
+        selector: a.selector,
+        role: fp.role || "",
+        name: fp.name || "",
+        annotations: formatAnnotations([a]),
+      };
+    });
+  }
+
+  /**
+   * Get the highest severity of a list of annotations
+   * @param {Object[]} list - Annotations
+   * @returns {string} Severity
+   */
+  function highestSeverity(list) {
+    const rank = (severity) => SEVERITIES.indexOf(severity);
+    return list.reduce(
+      (top, a) => (rank(a.severity) > rank(top) ? a.severity : top),
+      SEVERITIES[0]
+    );
+  }
+
+  /**
+   * Create the marker overlay host (closed shadow root so page styles cannot
+   * leak in)
+   */
+  function createOverlay() {
+    host = document.createElement("div");
+    host.id = OVERLAY_ID;
+    host.setAttribute("aria-hidden", "true");
+    host.style.cssText =
+      "position:fixed;inset:0;pointer-events:none;z-index:2147483645;";
+    shadow = host.attachShadow({ mode: "closed" });
+    document.documentElement.appendChild(host);
+  }
+
+  /**
+   * Draw a marker on every annotated element in the viewport
+   */
+  function draw() {
+    const groups = new Map();
+    getLoaded().forEach((a) => {
+      const { element } = getResolution(a);
+      if (!element) return;
+      if (!groups.has(element)) groups.set(element, []);
+      groups.get(element).push(a);
+    });
+
+    if (!groups.size) {
+      if (host) host.remove();
+      host = null;
+      shadow = null;
+      return;
+    }
+    if (!host || !host.isConnected) createOverlay();
+
+    const markers = [];
+    groups.forEach((list, element) => {
+      const rect = element.getBoundingClientRect();
+      if (!rect.width && !rect.height) return;
+      if (rect.bottom < 0 || rect.top > window.innerHeight) return;
+      const severity = highestSeverity(list);
+      const left = Math.max(0, Math.round(rect.right) - 10);
+      const top = Math.max(0, Math.round(rect.top) - 10);
+      markers.push(
+        `<div class="outline ${severity}" style="left:${Math.round(
+          rect.left
+        )}px;top:${Math.round(rect.top)}px;width:${Math.round(
+          rect.width
+        )}px;height:${Math.round(rect.height)}px"></div>` +
+          `<div class="marker ${severity}" style="left:${left}px;top:${top}px">${list.length}</div>`
+      );
+    });
+
+    shadow.innerHTML = `
+      <style>
+        :host { all: initial; }
+        .outline {
+          position: fixed;
+          box-sizing: border-box;
+          border: 2px dashed #683ab7;
+          border-radius: 2px;
+        }
+        .marker {
+          position: fixed;
+          min-width: 20px;
+          padding: 1px 4px;
+          box-sizing: border-box;
+          border: 2px solid #fff;
+          border-radius: 10px;
+          background: #683ab7;
+          color: #fff;
+          font: 600 12px/16px Inter, system-ui, sans-serif;
+          text-align: center;
+          box-shadow: 0 1px 3px rgba(45, 25, 88, 0.5);
+        }
+        .marker.minor { background: #7c5c00; }
+        .marker.moderate { background: #924400; }
+        .marker.serious, .marker.critical { background: #b8002f; }
+        .outline.minor { border-color: #7c5c00; }
+        .outline.moderate { border-color: #924400; }
+        .outline.serious, .outline.critical { border-color: #b8002f; }
+      </style>
+      ${markers.join("")}
+    `;
+  }
+
+  /**
+   * Re-resolve and redraw the markers on the next animation frame
+   */
+  function scheduleRedraw() {
+    if (!visible || redrawFrame) return;
+    redrawFrame = requestAnimationFrame(() => {
+      redrawFrame = null;
+      if (!visible) return;
+      syncPageKey();
+      draw();
+    });
+  }
+
+  /**
+   * Re-anchor notes after DOM changes, coalescing bursts of mutations
+   * @param {MutationRecord[]} records - Mutations
+   */
+  function onMutations(records) {
+    // Ignore the marker overlay being added or removed
+    const isOverlay = (node) => node.id === OVERLAY_ID;
+    const ownRecord = (r) =>
+      [...r.addedNodes, ...r.removedNodes].every(isOverlay);
+    if (records.every(ownRecord)) return;
+    clearTimeout(mutationTimer);
+    mutationTimer = setTimeout(() => {
+      // Orphaned and moved notes may now find their element
+      resolved.forEach((resolution, id) => {
+        if (resolution.status !== "anchored") resolved.delete(id);
+      });
+      scheduleRedraw();
+    }, 500);
+  }
+
+  /**
+   * Show the markers
+   */
+  function showMarkers() {
+    if (visible) return;
+    visible = true;
+    // The DOM was not watched while hidden
+    resolved = new Map();
+    window.addEventListener("scroll", scheduleRedraw, true);
+    window.addEventListener("resize", scheduleRedraw);
+    observer = new MutationObserver(onMutations);
+    observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+    });
+    scheduleRedraw();
+  }
+
+  /**
+   * Hide the markers
+   */
+  function hideMarkers() {
+    if (!visible) return;
+    visible = false;
+    window.removeEventListener("scroll", scheduleRedraw, true);
+    window.removeEventListener("resize", scheduleRedraw);
+    if (observer) observer.disconnect();
+    observer = null;
+    clearTimeout(mutationTimer);
+    if (redrawFrame) {
+      cancelAnimationFrame(redrawFrame);
+      redrawFrame = null;
+    }
+    if (host) host.remove();
+    host = null;
+    shadow = null;
+  }
+
+  /**
+   * Load this page's notes and follow changes made in other tabs and frames
+   */
+  function initialize() {
+    load();
+    storageListener = (changes, area) => {
+      if (area !== "local" || !changes[pageKey]) return;
+      annotations = readStored(changes[pageKey].newValue);
+      loadedKey = pageKey;
+      resolved = new Map();
+      scheduleRedraw();
+    };
+    chrome.storage.onChanged.addListener(storageListener);
+  }
+
+  /**
+   * Show markers only while the inspector is on
+   * @param {boolean} enabled - Whether the extension is enabled
+   */
+  function onStateChange(enabled) {
+    if (enabled) showMarkers();
+    else hideMarkers();
+  }
+
+  /**
+   * Clean up markers and listeners
+   */
+  function cleanup() {
+    hideMarkers();
+    if (storageListener) {
+      chrome.storage.onChanged.removeListener(storageListener);
+      storageListener = null;
+    }
+  }
+
+  // Export the annotations module
+  CE.annotations = {
+    initialize,
+    cleanup,
+    onStateChange,
+
+    SEVERITIES,
+    add,
+    remove,
+    getForElement,
+    getAll,
+    getEntries,
+    formatAnnotations,
+
+    // Internal functions (exposed for testing)
+    getAnchorSelector,
+    getFingerprint,
+    resolveAnnotation,
+  };
+
+  console.log("[ContentExtension.annotations] Module loaded");
+})();
@@ -0,0 +1,447 @@
+/**
+ * Content Script Page Audit
+ *
+ * Walks the page DOM (including open shadow roots) and runs a set of
+ * rule-based accessibility checks against each element's computed role and
+ * name. Role metadata comes from the bundled aria-query library; accessible
+ * names and roles come from dom-accessibility-api. Each result carries the
+ * WCAG success criterion it maps to, a severity, a selector and a fix.
+ * The popup skips the name rule when the background has already checked
+ * names against Chrome's accessibility tree (see background/axAudit.js).
+ *
+ * Dependencies: content-utils.js, libs/aria-query.js,
+ * libs/dom-accessibility-api.js
+ */
+
+(function () {
+  "use strict";
+
+  // Ensure our namespace exists
+  window.ContentExtension = window.ContentExtension || {};
+  const CE = window.ContentExtension;
+
+  // Stop collecting once this many results have been produced so a broken
+  // page cannot produce an unbounded response for the popup.
+  const MAX_RESULTS = 500;
+
+  const WCAG = {
+    "1.3.1": { name: "Info and Relationships", level: "A" },
+    "4.1.2": { name: "Name, Role, Value", level: "A" },
+  };
+
+  // Severity order used for sorting (most severe first)
+  const SEVERITY_ORDER = ["critical", "serious", "moderate", "minor"];
+
+  // Tags that never produce accessibility tree nodes of their own
+  const SKIPPED_TAGS = new Set([
+    "script",
+    "style",
+    "noscript",
+    "template",
+    "head",
+    "meta",
+    "link",
+    "title",
+    "base",
+  ]);
+
+  /**
+   * Check that the bundled libraries the audit depends on are loaded
+   * @returns {boolean} True if aria-query and dom-accessibility-api are available
+   */
+  function librariesAvailable() {
+    return !!(
+      window.AriaQuery &&
+      window.AriaQuery.roles &&
+      window.AriaQuery.aria &&
+      window.DOMAccessibilityAPI &&
+      typeof window.DOMAccessibilityAPI.computeAccessibleName === "function"
+    );
+  }
+
+  /**
+   * Get aria-query metadata for a concrete (non-abstract) role
+   * @param {string} role - Role name
+   * @returns {Object|null} Role definition or null if unknown/abstract
+   */
+  function getRoleDefinition(role) {
+    if (!role) return null;
+    const def = window.AriaQuery.roles.get(role);
+    return def && !def.abstract ? def : null;
+  }
+
+  /**
+   * Get the explicit role tokens of an element
+   * @param {Element} el - Element to inspect
+   * @returns {string[]} Lower-cased role tokens
+   */
+  function getRoleTokens(el) {
+    const attr = el.getAttribute("role");
+    if (!attr) return [];
+    return attr.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Get the role the element is exposed with: the first valid explicit role
+   * token, otherwise the implicit role
+   * @param {Element} el - Element to inspect
+   * @returns {string} Role name or empty string
+   */
+  function getEffectiveRole(el) {
+    const explicit = getRoleTokens(el).find((t) => getRoleDefinition(t));
+    if (explicit) return explicit;
+    try {
+      return window.DOMAccessibilityAPI.getRole(el) || "";
+    } catch (e) {
+      return "";
+    }
+  }
+
+  /**
+   * Check whether an element is hidden from assistive technology
+   * @param {Element} el - Element to inspect
+   * @returns {boolean} True if the element is not rendered or aria-hidden
+   */
+  function isHiddenFromAT(el) {
+    if (el.closest('[aria-hidden="true"]')) return true;
+    if (el.closest("[hidden]")) return true;
+    try {
+      const style = window.getComputedStyle(el);
+      if (style.display === "none" || style.visibility === "hidden") {
+        return true;
+      }
+    } catch (e) {}
+    return el.getClientRects().length === 0;
+  }
+
+  /**
+   * Collect all elements in a root, descending into open shadow roots
+   * @param {Document|ShadowRoot} root - Root to walk
+   * @param {Element|null} exclude - Subtree to skip (the inspector host)
+   * @returns {Element[]} Elements in document order
+   */
+  function collectElements(root, exclude) {
+    const out = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+      acceptNode(node) {
+        if (exclude && node === exclude) return NodeFilter.FILTER_REJECT;
+        if (SKIPPED_TAGS.has(node.localName)) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    });
+    let node = walker.nextNode();
+    while (node) {
+      out.push(node);
+      if (node.shadowRoot) {
+        out.push(...collectElements(node.shadowRoot, exclude));
+      }
+      node = walker.nextNode();
+    }
+    return out;
+  }
+
+  /**
+   * Find the elements an element owns: its descendants plus aria-owns targets
+   * @param {Element} el - Owning element
+   * @returns {Element[]} Owned elements
+   */
+  function getOwnedElements(el) {
+    const owned = Array.from(el.querySelectorAll("*"));
+    const owns = el.getAttribute("aria-owns");
+    if (owns) {
+      const root = el.getRootNode();
+      owns
+        .trim()
+        .split(/\s+/)
+        .forEach((id) => {
+          const target = root.getElementById
+            ? root.getElementById(id)
+            : document.getElementById(id);
+          if (target) owned.push(target, ...target.querySelectorAll("*"));
+        });
+    }
+    return owned;
+  }
+
+  /**
+   * Audit rules. Each rule's check receives an element context and returns
+   * zero or more { message, fix } findings.
+   */
+  const rules = [
+    {
+      id: "invalid-role",
+      wcag: "4.1.2",
+      severity: "critical",
+      description: "Role attribute must contain a valid, non-abstract ARIA role",
+      check(ctx) {
+        const tokens = getRoleTokens(ctx.el);
+        if (tokens.length === 0) return [];
+        const invalid = tokens.filter((t) => !getRoleDefinition(t));
+        if (invalid.length === 0) return [];
+        if (invalid.length === tokens.length) {
+          return [
+            {
+              message: `role="${tokens.join(" ")}" contains no valid ARIA role`,
+              fix: "Use a role from the WAI-ARIA specification (abstract roles such as \"widget\" are not allowed) or remove the role attribute.",
+            },
+          ];
+        }
+        if (invalid.includes(tokens[0])) {
+          return [
+            {
+              message: `First role token "${tokens[0]}" is not a valid ARIA role; browsers fall back to "${ctx.role}"`,
+              fix: `Remove the invalid token and use role="${ctx.role}" directly.`,
+              severity: "minor",
+            },
+          ];
+        }
+        return [];
+      },
+    },
+    {
+      id: "missing-accessible-name",
+      wcag: "4.1.2",
+      severity: "serious",
+      description: "Elements whose role requires an accessible name must have one",
+      check(ctx) {
+        if (!ctx.definition || !ctx.definition.accessibleNameRequired) return [];
+        if (ctx.hidden) return [];
+        if (ctx.name) return [];
+        return [
+          {
+            message: `Element with role "${ctx.role}" has no accessible name`,
+            fix: ctx.definition.nameFrom.includes("contents")
+              ? "Add visible text content, an aria-label, or an aria-labelledby reference to visible text."
+              : "Add a <label>, an aria-label, or an aria-labelledby reference to visible text.",
+          },
+        ];
+      },
+    },
+    {
+      id: "unsupported-aria-attribute",
+      wcag: "4.1.2",
+      severity: "moderate",
+      description: "aria-* attributes must exist and be supported by the element's role",
+      check(ctx) {
+        const findings = [];
+        for (const attr of Array.from(ctx.el.attributes)) {
+          const name = attr.name.toLowerCase();
+          if (!name.startsWith("aria-")) continue;
+          if (!window.AriaQuery.aria.has(name)) {
+            findings.push({
+              message: `${name} is not a WAI-ARIA attribute`,
+              fix: `Remove ${name} or correct its spelling.`,
+              severity: "serious",
+            });
+            continue;
+          }
+          if (!ctx.definition) continue;
+          if (ctx.definition.prohibitedProps.includes(name)) {
+            findings.push({
+              message: `${name} is prohibited on role "${ctx.role}"`,
+              fix: `Remove ${name}, or give the element a role that supports it.`,
+              severity: "serious",
+            });
+          } else if (!(name in ctx.definition.props)) {
+            findings.push({
+              message: `${name} is not supported by role "${ctx.role}"`,
+              fix: `Remove ${name}, or use a role that supports it.`,
+            });
+          }
+        }
+        return findings;
+      },
+    },
+    {
+      id: "required-aria-attribute",
+      wcag: "4.1.2",
+      severity: "serious",
+      description: "Explicit roles must have their required ARIA attributes",
+      check(ctx) {
+        if (!ctx.explicit || !ctx.definition) return [];
+        // Native form controls supply their own state (e.g. checked, value)
+        if (["input", "select", "textarea"].includes(ctx.el.localName)) {
+          return [];
+        }
+        const missing = Object.keys(ctx.definition.requiredProps).filter(
+          (prop) => !ctx.el.hasAttribute(prop)
+        );
+        if (missing.length === 0) return [];
+        return [
+          {
+            message: `Role "${ctx.role}" is missing required ${missing.join(", ")}`,
+            fix: `Add ${missing.join(", ")} and keep ${missing.length > 1 ? "them" : "it"} updated as the widget changes.`,
+          },
+        ];
+      },
+    },
+    {
+      id: "required-owned-elements",
+      wcag: "1.3.1",
+      severity: "serious",
+      description: "Explicit roles must own the elements their role requires",
+      check(ctx) {
+        if (!ctx.explicit || !ctx.definition) return [];
+        const required = ctx.definition.requiredOwnedElements || [];
+        if (required.length === 0) return [];
+        // Content that is still loading may legitimately be empty
+        if (ctx.el.getAttribute("aria-busy") === "true") return [];
+        const allowed = new Set(required.map((chain) => chain[0]));
+        const ownsRequired = getOwnedElements(ctx.el).some((child) =>
+          allowed.has(getEffectiveRole(child))
+        );
+        if (ownsRequired) return [];
+        const list = Array.from(allowed).join(", ");
+        return [
+          {
+            message: `Role "${ctx.role}" does not own any required ${list} element`,
+            fix: `Add children with role ${list}, or reference them with aria-owns.`,
+          },
+        ];
+      },
+    },
+    {
+      id: "duplicate-id-reference",
+      wcag: "4.1.2",
+      severity: "serious",
+      description: "IDs referenced by aria-labelledby or aria-describedby must be unique",
+      check(ctx) {
+        const findings = [];
+        ["aria-labelledby", "aria-describedby"].forEach((attr) => {
+          const value = ctx.el.getAttribute(attr);
+          if (!value) return;
+          value
+            .trim()
+            .split(/\s+/)
+            .forEach((id) => {
+              const count = ctx.idCounts.get(id) || 0;
+              if (count > 1) {
+                findings.push({
+                  message: `${attr} references id "${id}", which is used by ${count} elements`,
+                  fix: `Give each element a unique id so ${attr} resolves to the intended text.`,
+                });
+              } else if (count === 0 && attr === "aria-labelledby") {
+                findings.push({
+                  message: `${attr} references id "${id}", which does not exist`,
+                  fix: `Point ${attr} at an existing element or remove the reference.`,
+                  severity: "moderate",
+                });
+              }
+            });
+        });
+        return findings;
+      },
+    },
+  ];
+
+  /**
+   * Count how many elements use each id, per document/shadow root
+   * @param {Element[]} elements - Elements collected for the audit
+   * @returns {Map<Node, Map<string, number>>} Root -> (id -> count)
+   */
+  function countIds(elements) {
+    const byRoot = new Map();
+    elements.forEach((el) => {
+      if (!el.id) return;
+      const root = el.getRootNode();
+      if (!byRoot.has(root)) byRoot.set(root, new Map());
+      const counts = byRoot.get(root);
+      counts.set(el.id, (counts.get(el.id) || 0) + 1);
+    });
+    return byRoot;
+  }
+
+  /**
+   * Run all audit rules against the current document
+   * @param {Object} [options]
+   * @param {string[]} [options.skipRules] - Rule ids not to run
+   * @returns {{results: Object[], summary: Object, url: string, truncated: boolean}}
+   */
+  function runAudit(options = {}) {
+    if (!librariesAvailable()) {
+      throw new Error("Accessibility libraries are not loaded");
+    }
+
+    const started = performance.now();
+    const exclude = CE.utils ? CE.utils.getInspectorElement() : null;
+    const elements = collectElements(document, exclude);
+    const idCounts = countIds(elements);
+    const skipRules = options.skipRules || [];
+    const activeRules = rules.filter((rule) => !skipRules.includes(rule.id));
+    const results = [];
+    let truncated = false;
+
+    for (const el of elements) {
+      if (results.length >= MAX_RESULTS) {
+        truncated = true;
+        break;
+      }
+
+      const role = getEffectiveRole(el);
+      let name = "";
+      try {
+        name = window.DOMAccessibilityAPI.computeAccessibleName(el).trim();
+      } catch (e) {}
+
+      const ctx = {
+        el,
+        role,
+        name,
+        definition: getRoleDefinition(role),
+        explicit: getRoleTokens(el).includes(role),
+        hidden: isHiddenFromAT(el),
+        idCounts: idCounts.get(el.getRootNode()) || new Map(),
+      };
+
+      for (const rule of activeRules) {
+        let findings;
+        try {
+          findings = rule.check(ctx);
+        } catch (error) {
+          console.warn(`[ContentExtension.audit] Rule ${rule.id} failed:`, error);
+          continue;
+        }
+        findings.forEach((finding) => {
+          results.push({
+            ruleId: rule.id,
+            wcag: rule.wcag,
+            wcagName: WCAG[rule.wcag].name,
+            level: WCAG[rule.wcag].level,
+            severity: finding.severity || rule.severity,
+            selector: CE.utils ? CE.utils.getUniqueSelector(el) : el.localName,
+            role,
+            message: finding.message,
+            fix: finding.fix,
+          });
+        });
+      }
+    }
+
+    results.sort(
+      (a, b) =>
+        SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+    );
+
+    const summary = { total: results.length, elements: elements.length };
+    SEVERITY_ORDER.forEach((s) => {
+      summary[s] = results.filter((r) => r.severity === s).length;
+    });
+
+    console.log(
+      `[ContentExtension.audit] ${results.length} issues in ${elements.length} elements (${Math.round(
+        performance.now() - started
+      )}ms)`
+    );
+
+    return { results, summary, url: window.location.href, truncated };
+  }
+
+  // Export the audit module
+  CE.audit = {
+    runAudit,
+    rules,
+    SEVERITY_ORDER,
+  };
+
+  console.log("[ContentExtension.audit] Module loaded");
+})();
@@ -21,11 +21,19 @@
    * Using separate WeakMap keeps primary cache lean while allowing expiry checks.
    */
   const accessibilityCacheMeta = new WeakMap();
-  // Default TTL (ms) sourced from constants with safe fallback
-  const DEFAULT_CACHE_TTL =
-    (typeof window !== "undefined" &&
-      window.NexusConstants?.CACHE?.DEFAULT_TTL) ||
-    10000; // 10s fallback
+  /**
+   * Default TTL (ms) sourced from constants with safe fallback. Read on
+   * every use: NexusConstants is replaced once config.json and the user's
+   * overrides have loaded (see enhanced-constants.js).
+   * @returns {number} TTL in milliseconds
+   */
+  function getDefaultTtl() {
+    return (
+      (typeof window !== "undefined" &&
+        window.NexusConstants?.CACHE?.DEFAULT_TTL) ||
+      10000 // 10s fallback
+    );
+  }
 
   // Track in-flight fetches to prevent duplicate requests
   const inflightRequests = new WeakMap();
@@ -53,7 +61,7 @@
     const info = accessibilityCache.get(element);
     if (!info) return null;
     const meta = accessibilityCacheMeta.get(element);
-    if (meta && Date.now() - meta.timestamp > (meta.ttl || DEFAULT_CACHE_TTL)) {
+    if (meta && Date.now() - meta.timestamp > (meta.ttl || getDefaultTtl())) {
       // Expired
       accessibilityCache.delete(element);
       accessibilityCacheMeta.delete(element);
@@ -79,7 +87,7 @@
       accessibilityCache.set(element, info);
       accessibilityCacheMeta.set(element, {
         timestamp: Date.now(),
-        ttl: DEFAULT_CACHE_TTL,
+        ttl: getDefaultTtl(),
       });
     }
   }
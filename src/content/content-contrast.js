@@ -0,0 +1,270 @@
+/**
+ * Content Script Color Contrast Analysis
+ *
+ * Computes the contrast ratio between an element's text color and its
+ * effective background, and evaluates it against WCAG 2.x AA/AAA for
+ * normal and large text (SC 1.4.3 and 1.4.6).
+ *
+ * The background is resolved by walking ancestors (across shadow roots),
+ * compositing their background colors and applying each ancestor's
+ * opacity. When the background process supplied CDP CSS.getBackgroundColors
+ * results they are preferred, because Chrome resolves stacking, positioning
+ * and gradients the DOM walk cannot see.
+ *
+ * Dependencies: None
+ */
+
+(function () {
+  "use strict";
+
+  // Ensure our namespace exists
+  window.ContentExtension = window.ContentExtension || {};
+  const CE = window.ContentExtension;
+
+  const THRESHOLDS = {
+    aaNormal: 4.5,
+    aaLarge: 3,
+    aaaNormal: 7,
+    aaaLarge: 4.5,
+  };
+
+  // Large text: at least 18pt (24px), or 14pt (~18.66px) and bold
+  const LARGE_TEXT_PX = 24;
+  const LARGE_BOLD_TEXT_PX = 18.66;
+  const BOLD_WEIGHT = 700;
+
+  const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+  let parseCanvas = null;
+
+  /**
+   * Parse a CSS color into RGBA. rgb()/rgba() are parsed directly; other
+   * syntaxes (hex, named, color(), lab(), oklch()...) are resolved via canvas.
+   * @param {string} value - CSS color
+   * @returns {{r: number, g: number, b: number, a: number}|null} Color or null
+   */
+  function parseColor(value) {
+    if (!value || typeof value !== "string") return null;
+    const v = value.trim().toLowerCase();
+    if (v === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
+
+    const m = v.match(
+      /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/
+    );
+    if (m) {
+      let a = m[4] === undefined ? 1 : parseFloat(m[4]);
+      if (m[4] && m[4].endsWith("%")) a /= 100;
+      return { r: +m[1], g: +m[2], b: +m[3], a };
+    }
+
+    try {
+      if (!parseCanvas) {
+        parseCanvas = document.createElement("canvas");
+        parseCanvas.width = parseCanvas.height = 1;
+      }
+      const ctx = parseCanvas.getContext("2d", { willReadFrequently: true });
+      ctx.clearRect(0, 0, 1, 1);
+      ctx.fillStyle = "rgba(0, 0, 0, 0)";
+      ctx.fillStyle = value;
+      ctx.fillRect(0, 0, 1, 1);
+      const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+      return { r, g, b, a: a / 255 };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Composite a (possibly translucent) color over an opaque backdrop
+   * @param {Object} top - Foreground color
+   * @param {Object} bottom - Opaque backdrop
+   * @returns {Object} Opaque result
+   */
+  function blend(top, bottom) {
+    const a = top.a;
+    return {
+      r: top.r * a + bottom.r * (1 - a),
+      g: top.g * a + bottom.g * (1 - a),
+      b: top.b * a + bottom.b * (1 - a),
+      a: 1,
+    };
+  }
+
+  /**
+   * WCAG relative luminance
+   * @param {Object} c - Opaque color
+   * @returns {number} Luminance 0..1
+   */
+  function luminance(c) {
+    const channel = (v) => {
+      const s = v / 255;
+      return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(c.r) + 0.7152 * channel(c.g) + 0.0722 * channel(c.b);
+  }
+
+  /**
+   * WCAG contrast ratio between two opaque colors
+   * @param {Object} a - Color
+   * @param {Object} b - Color
+   * @returns {number} Ratio 1..21
+   */
+  function contrastRatio(a, b) {
+    const l1 = luminance(a);
+    const l2 = luminance(b);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
+  /**
+   * Format an opaque color as a hex string
+   * @param {Object} c - Color
+   * @returns {string} #rrggbb
+   */
+  function toHex(c) {
+    return (
+      "#" +
+      [c.r, c.g, c.b]
+        .map((v) => Math.round(v).toString(16).padStart(2, "0"))
+        .join("")
+    );
+  }
+
+  /**
+   * Get the parent element, stepping out of shadow roots to their host
+   * @param {Element} el - Element
+   * @returns {Element|null} Parent in the flat tree
+   */
+  function getParent(el) {
+    if (el.parentElement) return el.parentElement;
+    const root = el.getRootNode();
+    return root instanceof ShadowRoot ? root.host : null;
+  }
+
+  /**
+   * Resolve the background behind an element by walking its ancestors
+   * @param {Element} el - Element
+   * @returns {{color: Object, opacity: number, uncertain: boolean}}
+   *   Opaque background, the element's cumulative opacity, and whether an
+   *   image/gradient background made the result an estimate
+   */
+  function resolveDomBackground(el) {
+    // Collect ancestors (element first) with their own opacity
+    const chain = [];
+    for (let node = el; node; node = getParent(node)) {
+      const style = window.getComputedStyle(node);
+      const opacity = parseFloat(style.opacity);
+      chain.push({ style, opacity: Number.isNaN(opacity) ? 1 : opacity });
+    }
+
+    // Opacity of a layer is the product of its own and all ancestor opacities
+    let cumulative = 1;
+    for (let i = chain.length - 1; i >= 0; i--) {
+      cumulative *= chain[i].opacity;
+      chain[i].cumulative = cumulative;
+    }
+
+    let uncertain = false;
+    let color = { ...WHITE };
+    for (let i = chain.length - 1; i >= 0; i--) {
+      const { style } = chain[i];
+      if (style.backgroundImage && style.backgroundImage !== "none") {
+        uncertain = true;
+      }
+      const bg = parseColor(style.backgroundColor);
+      if (bg && bg.a > 0) {
+        color = blend({ ...bg, a: bg.a * chain[i].cumulative }, color);
+      }
+    }
+
+    return { color, opacity: chain.length ? chain[0].cumulative : 1, uncertain };
+  }
+
+  /**
+   * Analyze the text contrast of an element
+   * @param {Element} el - Inspected element
+   * @param {Object} [cdp] - CDP CSS.getBackgroundColors result
+   *   ({ backgroundColors, computedFontSize, computedFontWeight })
+   * @returns {Object|null} Contrast analysis or null if not applicable
+   *   ({ ratio, foreground, background, fontSize, fontWeight, isLargeText,
+   *   source, uncertain, thresholds, results })
+   */
+  function analyze(el, cdp) {
+    try {
+      if (!(el instanceof Element) || !el.isConnected) return null;
+      const style = window.getComputedStyle(el);
+      if (style.display === "none" || style.visibility === "hidden") {
+        return null;
+      }
+
+      const fontSize = parseFloat(cdp?.computedFontSize || style.fontSize) || 16;
+      const fontWeight =
+        parseInt(cdp?.computedFontWeight || style.fontWeight, 10) || 400;
+      const isLargeText =
+        fontSize >= LARGE_TEXT_PX ||
+        (fontSize >= LARGE_BOLD_TEXT_PX && fontWeight >= BOLD_WEIGHT);
+
+      const dom = resolveDomBackground(el);
+      const text = parseColor(style.color) || { r: 0, g: 0, b: 0, a: 1 };
+      // Element and ancestor opacity also fade the text itself
+      const textColor = { ...text, a: text.a * dom.opacity };
+
+      // Prefer CDP colors; with several (gradient stops) report the worst case
+      let source = "dom";
+      let uncertain = dom.uncertain;
+      let backgrounds = [dom.color];
+      const cdpColors = (cdp?.backgroundColors || [])
+        .map(parseColor)
+        .filter(Boolean);
+      if (cdpColors.length) {
+        source = "cdp";
+        uncertain = false;
+        backgrounds = cdpColors.map((c) => blend(c, WHITE));
+      } else if (cdp && Array.isArray(cdp.backgroundColors)) {
+        // CDP returns an empty list when the background is too complex
+        uncertain = true;
+      }
+
+      let worst = null;
+      for (const bg of backgrounds) {
+        const fg = blend(textColor, bg);
+        const ratio = contrastRatio(fg, bg);
+        if (!worst || ratio < worst.ratio) worst = { ratio, fg, bg };
+      }
+
+      const ratio = Math.floor(worst.ratio * 100) / 100;
+      return {
+        ratio,
+        foreground: toHex(worst.fg),
+        background: toHex(worst.bg),
+        fontSize,
+        fontWeight,
+        isLargeText,
+        source,
+        uncertain,
+        thresholds: { ...THRESHOLDS },
+        results: {
+          aaNormal: ratio >= THRESHOLDS.aaNormal,
+          aaLarge: ratio >= THRESHOLDS.aaLarge,
+          aaaNormal: ratio >= THRESHOLDS.aaaNormal,
+          aaaLarge: ratio >= THRESHOLDS.aaaLarge,
+        },
+      };
+    } catch (error) {
+      console.warn("[ContentExtension.contrast] Contrast analysis failed:", error);
+      return null;
+    }
+  }
+
+  // Export the contrast module
+  CE.contrast = {
+    analyze,
+    THRESHOLDS,
+
+    // Internal functions (exposed for testing)
+    parseColor,
+    contrastRatio,
+    resolveDomBackground,
+  };
+
+  console.log("[ContentExtension.contrast] Module loaded");
+})();
@@ -4,6 +4,11 @@
  * This module handles all DOM event listening and management.
  * It manages focus events, keyboard events, and other user interactions.
  *
+ * It also monitors focus for two keyboard problems: focus lost to the
+ * document body (or a removed node) after an interaction, and keyboard traps
+ * where repeated Tab / Shift+Tab presses cycle through a few elements that
+ * are not inside a modal dialog. Both are logged and shown in the inspector.
+ *
  * Dependencies: content-utils.js, content-cache.js
  */
 
@@ -27,6 +32,19 @@
   // Simple trigger counter for retrieval attribution
   let __retrievalCounter = 0;
 
+  // Focus-loss and keyboard-trap monitor
+  const FOCUS_LOSS_CHECK_MS = 150; // let the page's own handlers move focus first
+  const TAB_FOCUS_WINDOW_MS = 500; // a focusin this soon after Tab was caused by it
+  const TRAP_VISITS = 3; // same element reached this often in one Tab run
+  const FOCUS_WARNING_TTL_MS = 15000; // inspector shows the newest issue this long
+  const MAX_FOCUS_ISSUES = 50;
+  const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "CapsLock"];
+  let focusIssues = [];
+  let focusIssueSeq = 0;
+  // Consecutive Tab presses in one direction:
+  // { shiftKey, visits: Map(Element -> count), stuck, pending, reported }
+  let tabRun = null;
+
   /**
    * Call getAccessibleInfo with a lightweight trigger log so we can attribute
    * the origin of retrievals (focus|mutation|key|click|value-change).
@@ -54,6 +72,189 @@
 
     return Promise.resolve(null);
   }
+  /**
+   * Describe the key of a keyboard event for the focus issue log
+   * @param {KeyboardEvent} e - Keyboard event
+   * @returns {string} E.g. "Shift+Tab", "Enter", "Space"
+   */
+  function describeKey(e) {
+    const key = e.key === " " ? "Space" : e.key;
+    return e.shiftKey && key !== "Shift" ? `Shift+${key}` : key;
+  }
+
+  /**
+   * Record a focus issue, log it and show it in the inspector
+   * @param {string} type - "focus-loss" or "keyboard-trap"
+   * @param {string} key - Triggering key ("click" for pointer interactions)
+   * @param {Element[]} elements - Elements involved
+   * @param {string} message - Human-readable description
+   */
+  function recordFocusIssue(type, key, elements, message) {
+    const entry = {
+      seq: ++focusIssueSeq,
+      time: Date.now(),
+      type,
+      key,
+      elements: elements.map((el) =>
+        CE.utils && el && el.nodeType === Node.ELEMENT_NODE
+          ? CE.utils.getUniqueSelector(el)
+          : String((el && el.nodeName) || "")
+      ),
+      message,
+      url: window.location.href,
+    };
+    focusIssues.push(entry);
+    if (focusIssues.length > MAX_FOCUS_ISSUES) {
+      focusIssues.splice(0, focusIssues.length - MAX_FOCUS_ISSUES);
+    }
+    console.warn(`[ContentExtension.events] ${message}`, entry.elements);
+
+    if (CE.inspector && CE.inspector.refreshFocusWarning) {
+      CE.inspector.refreshFocusWarning();
+    }
+  }
+
+  /**
+   * After an interaction, check whether focus ended up on the document body
+   * @param {Element} before - Element focused when the interaction started
+   * @param {string} key - Triggering key, or "click"
+   */
+  function watchForFocusLoss(before, key) {
+    if (!before || before === document.body) return;
+    if (before === document.documentElement) return;
+    setTimeout(() => {
+      // Focus left the page (browser UI, another window or a child frame)
+      if (!document.hasFocus()) return;
+      const active = document.activeElement;
+      if (active && active !== document.body && active !== document.documentElement) {
+        return;
+      }
+      const removed = !before.isConnected;
+      // Clicking non-focusable content legitimately blurs the focused element
+      if (key === "click" && !removed) return;
+      recordFocusIssue(
+        "focus-loss",
+        key,
+        [before],
+        removed
+          ? `Focus lost after ${key}: the focused element was removed from the page`
+          : `Focus lost after ${key}: focus moved to the document body`
+      );
+    }, FOCUS_LOSS_CHECK_MS);
+  }
+
+  /**
+   * Whether an element is inside an open modal dialog, where cycling focus
+   * with Tab is expected
+   * @param {Element} el - Element
+   * @returns {boolean} True inside aria-modal="true" or a modal <dialog>
+   */
+  function isInModalDialog(el) {
+    if (!el || typeof el.closest !== "function") return false;
+    if (el.closest('[aria-modal="true"]')) return true;
+    const dialog = el.closest("dialog");
+    try {
+      return !!dialog && dialog.matches(":modal");
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Track a Tab / Shift+Tab keypress for keyboard trap detection. A press
+   * that leaves focus where the previous one did counts as "stuck".
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  function trackTabKey(e) {
+    const active = document.activeElement;
+    if (!tabRun || tabRun.shiftKey !== e.shiftKey) {
+      tabRun = {
+        shiftKey: e.shiftKey,
+        visits: new Map(),
+        stuck: 0,
+        pending: null,
+        reported: false,
+      };
+      if (active && active !== document.body) tabRun.visits.set(active, 1);
+    } else if (tabRun.pending && tabRun.pending.from === active) {
+      // The previous Tab press did not move focus
+      tabRun.stuck++;
+      if (tabRun.stuck >= TRAP_VISITS - 1 && !tabRun.reported) {
+        reportKeyboardTrap(describeKey(e), [active]);
+      }
+    }
+    tabRun.pending = { from: active, time: Date.now() };
+  }
+
+  /**
+   * Count a focus change caused by Tab; other focus changes end the run
+   * @param {Element} element - Newly focused element
+   */
+  function trackTabFocus(element) {
+    if (
+      !tabRun ||
+      !tabRun.pending ||
+      Date.now() - tabRun.pending.time > TAB_FOCUS_WINDOW_MS
+    ) {
+      tabRun = null;
+      return;
+    }
+    tabRun.pending = null;
+    tabRun.stuck = 0;
+    const visits = (tabRun.visits.get(element) || 0) + 1;
+    tabRun.visits.set(element, visits);
+    if (visits >= TRAP_VISITS && !tabRun.reported) {
+      const cycle = Array.from(tabRun.visits.entries())
+        .filter(([, count]) => count > 1)
+        .map(([el]) => el);
+      reportKeyboardTrap(tabRun.shiftKey ? "Shift+Tab" : "Tab", cycle);
+    }
+  }
+
+  /**
+   * Report a keyboard trap unless the cycle is inside a modal dialog
+   * @param {string} key - "Tab" or "Shift+Tab"
+   * @param {Element[]} elements - Elements focus cycles through
+   */
+  function reportKeyboardTrap(key, elements) {
+    tabRun.reported = true;
+    if (elements.length && elements.every(isInModalDialog)) return;
+    recordFocusIssue(
+      "keyboard-trap",
+      key,
+      elements,
+      elements.length === 1
+        ? `Keyboard trap: ${key} does not move focus away from this element`
+        : `Keyboard trap: ${key} cycles through ${elements.length} elements outside a modal dialog`
+    );
+  }
+
+  /**
+   * Get the newest focus issue if it is recent enough to show in the inspector
+   * @returns {Object|null} Focus issue entry or null
+   */
+  function getFocusWarning() {
+    const latest = focusIssues[focusIssues.length - 1];
+    return latest && Date.now() - latest.time < FOCUS_WARNING_TTL_MS
+      ? latest
+      : null;
+  }
+
+  /**
+   * Get the focus issue log, oldest first
+   * @returns {Object[]} Entries ({ seq, time, type, key, elements, message, url })
+   */
+  function getFocusIssues() {
+    return focusIssues.slice();
+  }
+
+  /**
+   * Clear the focus issue log
+   */
+  function clearFocusIssues() {
+    focusIssues = [];
+  }
+
   /**
    * Monitor shadow DOM active element changes
    */
@@ -198,6 +399,14 @@
       parentHost: e.target?.getRootNode()?.host?.tagName || "none",
     });
 
+    // Keyboard trap monitor: count focus changes caused by Tab
+    trackTabFocus(e.target);
+
+    // Keep the tab order overlay's current stop in sync (independent of inspector state)
+    if (CE.tabOrder && CE.tabOrder.isActive()) {
+      CE.tabOrder.handleFocusChange(e.target);
+    }
+
     // Check if we're focusing the same element we just processed
     if (e.target === lastProcessedElement) {
       console.log(
@@ -485,6 +694,19 @@
 
     const inspectorEl = CE.utils.getInspectorElement();
 
+    // Focus monitor (keys pressed inside the inspector are not page interactions)
+    if (
+      !MODIFIER_KEYS.includes(e.key) &&
+      !(inspectorEl && CE.utils.safeContains(inspectorEl, e.target))
+    ) {
+      if (e.key === "Tab" && !e.ctrlKey && !e.altKey && !e.metaKey) {
+        trackTabKey(e);
+      } else {
+        tabRun = null;
+      }
+      watchForFocusLoss(document.activeElement, describeKey(e));
+    }
+
     if (e.key === "Escape" && !e.shiftKey) {
       // New behavior: never close the inspector on plain Escape.
       // If focus is inside the inspector, move focus back to last inspected element.
@@ -629,6 +851,10 @@
       }
     } catch (_) {}
 
+    // Focus monitor: a click ends any Tab run and may remove the focused element
+    tabRun = null;
+    watchForFocusLoss(document.activeElement, "click");
+
     // We no longer auto-show the inspector on generic clicks. This prevents
     // unwanted element switching while selecting text or interacting with the page.
     // Cache invalidation still happens so subsequent focus/key navigation picks up fresh AX data.
@@ -863,6 +1089,7 @@
     lastFocusedElement = null;
     inspectedElement = null;
     suppressNextFocusIn = false;
+    tabRun = null;
   }
 
   /**
@@ -887,6 +1114,11 @@
     getFocusState,
     setSuppressNextFocusIn,
 
+    // Focus-loss and keyboard-trap monitor
+    getFocusWarning,
+    getFocusIssues,
+    clearFocusIssues,
+
     // Event handlers (exposed for testing)
     onFocusIn,
     onFocusOut,
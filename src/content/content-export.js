@@ -0,0 +1,185 @@
+/**
+ * Content Script Inspection Export
+ *
+ * Turns the inspection history of this frame (see content-history.js) into
+ * downloadable JSON, CSV or HTML reports (see utils/report-exporter.js) so
+ * inspection evidence can be attached to tickets. The inspector's export
+ * buttons download from here; the popup collects entries from every frame.
+ *
+ * Dependencies: content-history.js, utils/report-exporter.js
+ */
+
+(function () {
+  "use strict";
+
+  // Ensure our namespace exists
+  window.ContentExtension = window.ContentExtension || {};
+  const CE = window.ContentExtension;
+
+  // Placeholder values used by the inspector for "nothing there"
+  const EMPTY_VALUES = [
+    "(no role)",
+    "(no accessible name)",
+    "(no description)",
+    "(no value)",
+    "(no group)",
+  ];
+
+  /**
+   * Unwrap an AX value (CDP objects, related nodes, arrays) to text
+   * @param {*} value - Raw value
+   * @returns {string} Text, empty for placeholders
+   */
+  function toText(value) {
+    const utils = window.NexusInspector && window.NexusInspector.Utils;
+    const raw =
+      utils && typeof utils.deepUnwrap === "function"
+        ? utils.deepUnwrap(value)
+        : value;
+    if (raw == null) return "";
+    const text = typeof raw === "object" ? JSON.stringify(raw) : String(raw);
+    return EMPTY_VALUES.includes(text) ? "" : text;
+  }
+
+  /**
+   * Unwrap every value of a states / ARIA properties map
+   * @param {Object} map - Raw map
+   * @returns {Object} Name -> text
+   */
+  function toTextMap(map) {
+    const out = {};
+    if (!map || typeof map !== "object") return out;
+    Object.entries(map).forEach(([key, value]) => {
+      out[key] = toText(value);
+    });
+    return out;
+  }
+
+  /**
+   * Format the group info as "role (label)"
+   * @param {Object|string} group - Group info
+   * @returns {string} Group text
+   */
+  function formatGroup(group) {
+    if (!group) return "";
+    if (typeof group !== "object") return toText(group);
+    if (!group.role) return "";
+    return group.label ? `${group.role} (${toText(group.label)})` : group.role;
+  }
+
+  /**
+   * Format active descendant info as "name (role, states)"
+   * @param {Object} info - Accessibility info
+   * @returns {string} Active descendant text
+   */
+  function formatActiveDescendant(info) {
+    const ad = info.activeDescendant;
+    if (ad && typeof ad === "object") {
+      const name = toText(ad.name);
+      const extra = [ad.role, ...(Array.isArray(ad.states) ? ad.states : [])]
+        .filter(Boolean)
+        .join(", ");
+      return extra ? `${name} (${extra})`.trim() : name;
+    }
+    return toText(ad || info.activeDescendantRaw);
+  }
+
+  /**
+   * Get the plain-text screen reader string the inspector shows for the info
+   * @param {Object} info - Accessibility info
+   * @returns {string} Screen reader output
+   */
+  function getScreenReaderText(info) {
+    const content = window.NexusInspector && window.NexusInspector.Content;
+    if (!content || typeof content.getScreenReaderOutput !== "function") {
+      return "";
+    }
+    // Rendered into an inert template, never into the page
+    const template = document.createElement("template");
+    template.innerHTML = content.getScreenReaderOutput(info);
+    return template.content.textContent.replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Build an export entry from a history snapshot
+   * @param {Object} snapshot - Snapshot from CE.history
+   * @returns {Object} Export entry
+   */
+  function createEntry(snapshot) {
+    const info = snapshot.info || {};
+    const target = CE.history.getTarget(snapshot);
+    const annotations =
+      CE.annotations && target
+        ? CE.annotations.formatAnnotations(CE.annotations.getForElement(target))
+        : "";
+    return {
+      time: new Date(snapshot.time).toISOString(),
+      url: snapshot.url,
+      selector: snapshot.selector,
+      role: toText(info.role),
+      name: toText(info.name),
+      description: toText(info.description),
+      states: toTextMap(info.states),
+      ariaProperties: toTextMap(info.ariaProperties),
+      group: formatGroup(info.group),
+      position:
+        info.posinset && info.setsize ? `${info.posinset} of ${info.setsize}` : "",
+      level: info.level ? String(info.level) : "",
+      activeDescendant: formatActiveDescendant(info),
+      screenReader: getScreenReaderText(info),
+      annotations,
+    };
+  }
+
+  /**
+   * Get export entries for this frame
+   * @param {string} [scope="history"] - "current" for the snapshot the
+   *   inspector currently shows, "history" for every snapshot
+   * @returns {Object[]} Entries, oldest first
+   */
+  function getEntries(scope = "history") {
+    if (!CE.history) return [];
+    const snapshots =
+      scope === "current"
+        ? [CE.history.getCurrent()].filter(Boolean)
+        : CE.history.getSnapshots();
+    return snapshots.map(createEntry);
+  }
+
+  /**
+   * Build and download a report from this frame's entries
+   * @param {string} format - "json", "csv" or "html"
+   * @param {string} [scope="current"] - "current" or "history"
+   * @returns {boolean} True if a report was downloaded
+   */
+  function exportReport(format, scope = "current") {
+    if (!window.NexusReport) {
+      console.warn("[ContentExtension.exporter] Report exporter not available");
+      return false;
+    }
+    const entries = getEntries(scope);
+    if (!entries.length) return false;
+    try {
+      const report = window.NexusReport.build(entries, format, {
+        source: window.location.href,
+      });
+      window.NexusReport.download(report);
+      return true;
+    } catch (error) {
+      console.warn("[ContentExtension.exporter] Export failed:", error);
+      return false;
+    }
+  }
+
+  // Export the exporter module
+  CE.exporter = {
+    getEntries,
+    exportReport,
+
+    // Internal functions (exposed for testing)
+    createEntry,
+    getScreenReaderText,
+  };
+
+  console.log("[ContentExtension.exporter] Module loaded");
+})();
@@ -0,0 +1,628 @@
+/**
+ * Content Script Form Field Audit
+ *
+ * Enumerates the form controls of the page (native inputs, selects and
+ * textareas plus ARIA input widgets, including open shadow roots) and
+ * reports, per control: where its accessible name comes from, visible label
+ * text that is not programmatically associated, how it is marked required
+ * (native `required` vs `aria-required`), `aria-invalid` with the error
+ * message linked via aria-errormessage or aria-describedby, and missing or
+ * invalid `autocomplete` tokens (WCAG 1.3.5).
+ *
+ * Names, roles and ARIA properties come from the inspector's local fallbacks
+ * in content-accessibility.js (computeFallbackAccessibleName,
+ * computeFallbackRole, collectStatesAndProperties), so no debugger round
+ * trip is needed per control. Buttons are not included.
+ *
+ * Dependencies: content-utils.js, content-accessibility.js
+ */
+
+(function () {
+  "use strict";
+
+  // Ensure our namespace exists
+  window.ContentExtension = window.ContentExtension || {};
+  const CE = window.ContentExtension;
+
+  // Stop after this many controls so a huge page cannot produce an
+  // unbounded response for the popup.
+  const MAX_CONTROLS = 300;
+
+  const WCAG = {
+    "1.3.1": "Info and Relationships",
+    "1.3.5": "Identify Input Purpose",
+    "2.5.3": "Label in Name",
+    "3.3.1": "Error Identification",
+    "3.3.2": "Labels or Instructions",
+    "4.1.2": "Name, Role, Value",
+  };
+
+  // Native controls collected by the audit (buttons are left out)
+  const NATIVE_SELECTOR = "input, select, textarea";
+  const SKIPPED_INPUT_TYPES = new Set([
+    "hidden",
+    "submit",
+    "reset",
+    "button",
+    "image",
+  ]);
+
+  // ARIA widgets that take user input
+  const ARIA_INPUT_ROLES = new Set([
+    "textbox",
+    "searchbox",
+    "combobox",
+    "listbox",
+    "spinbutton",
+    "slider",
+    "checkbox",
+    "radio",
+    "switch",
+  ]);
+
+  // Roles whose contents are a valid name source
+  const NAME_FROM_CONTENT_ROLES = new Set(["checkbox", "radio", "switch"]);
+
+  // Input types autocomplete applies to (plus select and textarea)
+  const AUTOCOMPLETE_INPUT_TYPES = new Set([
+    "text",
+    "search",
+    "email",
+    "tel",
+    "url",
+    "password",
+    "number",
+    "date",
+    "month",
+    "week",
+    "time",
+    "datetime-local",
+  ]);
+
+  // Autofill field names (HTML autofill detail tokens)
+  const AUTOFILL_FIELDS = new Set([
+    "name",
+    "honorific-prefix",
+    "given-name",
+    "additional-name",
+    "family-name",
+    "honorific-suffix",
+    "nickname",
+    "username",
+    "new-password",
+    "current-password",
+    "one-time-code",
+    "organization-title",
+    "organization",
+    "street-address",
+    "address-line1",
+    "address-line2",
+    "address-line3",
+    "address-level4",
+    "address-level3",
+    "address-level2",
+    "address-level1",
+    "country",
+    "country-name",
+    "postal-code",
+    "cc-name",
+    "cc-given-name",
+    "cc-additional-name",
+    "cc-family-name",
+    "cc-number",
+    "cc-exp",
+    "cc-exp-month",
+    "cc-exp-year",
+    "cc-csc",
+    "cc-type",
+    "transaction-currency",
+    "transaction-amount",
+    "language",
+    "bday",
+    "bday-day",
+    "bday-month",
+    "bday-year",
+    "sex",
+    "url",
+    "photo",
+  ]);
+
+  // Field names that may take a contact qualifier (home, work, mobile...)
+  const CONTACT_FIELDS = new Set([
+    "tel",
+    "tel-country-code",
+    "tel-national",
+    "tel-area-code",
+    "tel-local",
+    "tel-local-prefix",
+    "tel-local-suffix",
+    "tel-extension",
+    "email",
+    "impp",
+  ]);
+
+  const CONTACT_QUALIFIERS = new Set(["home", "work", "mobile", "fax", "pager"]);
+
+  // Fields that look like they collect user data, matched against the
+  // control's type, name, id and accessible name. Order matters: the first
+  // match wins.
+  const PURPOSE_HINTS = [
+    { type: "email", pattern: /e-?mail/, token: "email" },
+    { type: "tel", pattern: /\b(phone|tel|mobile)\b/, token: "tel" },
+    { pattern: /(first|given)[\s_-]?name|\bfname\b/, token: "given-name" },
+    { pattern: /(last|family|sur)[\s_-]?name|\blname\b/, token: "family-name" },
+    { pattern: /user[\s_-]?name|\blogin\b/, token: "username" },
+    { type: "password", token: "current-password or new-password" },
+    { pattern: /\b(zip|postal|postcode)\b/, token: "postal-code" },
+    { pattern: /\b(street|address)\b/, token: "street-address" },
+    { pattern: /\b(city|town)\b/, token: "address-level2" },
+    { pattern: /\bcountry\b/, token: "country-name" },
+    { pattern: /\b(full[\s_-]?)?name\b/, token: "name" },
+  ];
+
+  const NAME_SOURCE_LABELS = {
+    "aria-labelledby": "aria-labelledby",
+    "aria-label": "aria-label",
+    label: "<label for>",
+    "wrapping-label": "Wrapping <label>",
+    contents: "Contents",
+    title: "title attribute",
+    placeholder: "placeholder attribute",
+    none: "None",
+  };
+
+  // Longest text treated as a visible label next to a control
+  const MAX_LABEL_LENGTH = 80;
+
+  /**
+   * Collect the form controls of a root, descending into open shadow roots
+   * @param {Document|ShadowRoot} root - Root to search
+   * @param {Element|null} exclude - Subtree to skip (the inspector host)
+   * @returns {Element[]} Controls in document order
+   */
+  function collectControls(root, exclude) {
+    const out = [];
+    root.querySelectorAll("*").forEach((el) => {
+      if (exclude && (el === exclude || exclude.contains(el))) return;
+      if (isFormControl(el)) out.push(el);
+      if (el.shadowRoot) out.push(...collectControls(el.shadowRoot, exclude));
+    });
+    return out;
+  }
+
+  /**
+   * Check whether an element is a form control the audit covers
+   * @param {Element} el - Element
+   * @returns {boolean} True for data-entry controls
+   */
+  function isFormControl(el) {
+    if (el.matches(NATIVE_SELECTOR)) {
+      return !(
+        el.localName === "input" &&
+        SKIPPED_INPUT_TYPES.has((el.getAttribute("type") || "").toLowerCase())
+      );
+    }
+    const role = (el.getAttribute("role") || "").trim().split(/\s+/)[0];
+    return ARIA_INPUT_ROLES.has(role);
+  }
+
+  /**
+   * Check whether a control is rendered
+   * @param {Element} el - Control
+   * @returns {boolean} True if the control is not rendered or aria-hidden
+   */
+  function isHidden(el) {
+    if (el.closest('[aria-hidden="true"]')) return true;
+    if (typeof el.checkVisibility === "function") {
+      return !el.checkVisibility({ visibilityProperty: true });
+    }
+    return el.getClientRects().length === 0;
+  }
+
+  /**
+   * Normalize whitespace in text
+   * @param {string} text - Text
+   * @returns {string} Trimmed text with collapsed whitespace
+   */
+  function cleanText(text) {
+    return (text || "").replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Resolve an ID reference list within the control's document or shadow root
+   * @param {Element} el - Referencing element
+   * @param {string} attr - Attribute holding the ID list
+   * @returns {{ids: string[], found: Element[], missing: string[]}} References
+   */
+  function resolveIdRefs(el, attr) {
+    const ids = (el.getAttribute(attr) || "").split(/\s+/).filter(Boolean);
+    const root = el.getRootNode();
+    const lookup = (id) =>
+      typeof root.getElementById === "function"
+        ? root.getElementById(id)
+        : document.getElementById(id);
+    const found = [];
+    const missing = [];
+    ids.forEach((id) => {
+      const target = lookup(id);
+      if (target) found.push(target);
+      else missing.push(id);
+    });
+    return { ids, found, missing };
+  }
+
+  /**
+   * Find the <label for> elements of a control
+   * @param {Element} el - Control
+   * @returns {HTMLLabelElement[]} Associated labels
+   */
+  function getForLabels(el) {
+    if (!el.id) return [];
+    const root = el.getRootNode();
+    if (typeof root.querySelectorAll !== "function") return [];
+    return Array.from(
+      root.querySelectorAll(`label[for="${CSS.escape(el.id)}"]`)
+    );
+  }
+
+  /**
+   * Work out which source gives a control its accessible name. Follows the
+   * order computeFallbackAccessibleName checks, plus the placeholder that
+   * browsers fall back to for text fields.
+   * @param {Element} el - Control
+   * @param {string} role - Control role
+   * @returns {{source: string, name: string}} Name source key and the name
+   */
+  function getNameSource(el, role) {
+    const fallbackName = cleanText(
+      CE.accessibility.computeFallbackAccessibleName(el)
+    );
+    const native = el.matches(NATIVE_SELECTOR);
+
+    let source = "none";
+    if (cleanText(el.getAttribute("aria-label"))) source = "aria-label";
+    else if (
+      resolveIdRefs(el, "aria-labelledby").found.some((ref) =>
+        cleanText(ref.textContent)
+      )
+    ) {
+      source = "aria-labelledby";
+    } else if (
+      native &&
+      getForLabels(el).some((label) => cleanText(label.textContent))
+    ) {
+      source = "label";
+    } else if (native && cleanText(el.closest("label")?.textContent)) {
+      source = "wrapping-label";
+    } else if (!native && NAME_FROM_CONTENT_ROLES.has(role) && fallbackName) {
+      source = "contents";
+    } else if (cleanText(el.getAttribute("title"))) {
+      source = "title";
+    }
+
+    if (source !== "none") {
+      // Text content is not a name source for text fields, selects and
+      // textareas; computeFallbackAccessibleName would return it before the
+      // title, so read the title directly
+      const name =
+        source === "title" ? cleanText(el.getAttribute("title")) : fallbackName;
+      return { source, name };
+    }
+
+    const placeholder = cleanText(el.getAttribute("placeholder"));
+    if (placeholder) return { source: "placeholder", name: placeholder };
+    return { source: "none", name: "" };
+  }
+
+  /**
+   * Find short visible text placed before a control that reads like its label
+   * (a sibling or, for table-like layouts, the parent's previous sibling)
+   * @param {Element} el - Control
+   * @returns {string} Label-like text, or "" if none was found
+   */
+  function findVisibleLabelText(el) {
+    const candidates = [el.previousElementSibling];
+    if (!el.previousElementSibling && el.parentElement) {
+      candidates.push(el.parentElement.previousElementSibling);
+    }
+    // A bare text node directly before the control ("Email: <input>")
+    const prevText = el.previousSibling;
+    if (prevText && prevText.nodeType === Node.TEXT_NODE) {
+      const text = cleanText(prevText.textContent);
+      if (text && text.length <= MAX_LABEL_LENGTH) return text;
+    }
+    for (const candidate of candidates) {
+      if (!candidate || candidate.localName === "br") continue;
+      if (isFormControl(candidate) || candidate.querySelector(NATIVE_SELECTOR)) {
+        continue;
+      }
+      if (isHidden(candidate)) continue;
+      const text = cleanText(candidate.innerText || candidate.textContent);
+      if (text && text.length <= MAX_LABEL_LENGTH) return text;
+    }
+    return "";
+  }
+
+  /**
+   * Check whether the accessible name contains the visible label text
+   * @param {string} name - Accessible name
+   * @param {string} text - Visible text
+   * @returns {boolean} True if the text is part of the name
+   */
+  function nameContainsText(name, text) {
+    const normalize = (s) => cleanText(s.toLowerCase().replace(/[*:]/g, ""));
+    const needle = normalize(text);
+    return !needle || normalize(name).includes(needle);
+  }
+
+  /**
+   * Validate an autocomplete attribute value
+   * @param {string} value - Attribute value
+   * @returns {{valid: boolean, field: string, reason: string}} Field name
+   *   (or "on"/"off") and why the value is invalid
+   */
+  function parseAutocomplete(value) {
+    const tokens = value.toLowerCase().trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length) {
+      return { valid: false, field: "", reason: "empty value" };
+    }
+    if (tokens.length === 1 && (tokens[0] === "on" || tokens[0] === "off")) {
+      return { valid: true, field: tokens[0], reason: "" };
+    }
+
+    if (tokens.at(-1) === "webauthn") tokens.pop();
+    const field = tokens.pop() || "";
+    if (!AUTOFILL_FIELDS.has(field) && !CONTACT_FIELDS.has(field)) {
+      return {
+        valid: false,
+        field,
+        reason: `"${field}" is not an autofill field name`,
+      };
+    }
+    if (tokens.length && CONTACT_QUALIFIERS.has(tokens.at(-1))) {
+      const qualifier = tokens.pop();
+      if (!CONTACT_FIELDS.has(field)) {
+        return {
+          valid: false,
+          field,
+          reason: `"${qualifier}" only applies to contact fields such as tel or email`,
+        };
+      }
+    }
+    if (tokens.length && ["shipping", "billing"].includes(tokens.at(-1))) {
+      tokens.pop();
+    }
+    if (tokens.length && tokens.at(-1).startsWith("section-")) {
+      tokens.pop();
+    }
+    if (tokens.length) {
+      return {
+        valid: false,
+        field,
+        reason: `unexpected token "${tokens.join(" ")}"`,
+      };
+    }
+    return { valid: true, field, reason: "" };
+  }
+
+  /**
+   * Guess the autofill token a control should carry
+   * @param {Element} el - Control
+   * @param {string} name - Accessible name
+   * @returns {string} Suggested token, or "" if the purpose is unclear
+   */
+  function suggestAutocomplete(el, name) {
+    const type = (el.getAttribute("type") || "text").toLowerCase();
+    const text = [el.getAttribute("name"), el.id, name]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    const hint = PURPOSE_HINTS.find(
+      (h) => h.type === type || (h.pattern && h.pattern.test(text))
+    );
+    return hint ? hint.token : "";
+  }
+
+  /**
+   * Check whether autocomplete applies to a control
+   * @param {Element} el - Control
+   * @returns {boolean} True for text-like inputs, selects and textareas
+   */
+  function supportsAutocomplete(el) {
+    if (el.localName === "select" || el.localName === "textarea") return true;
+    if (el.localName !== "input") return false;
+    const type = (el.getAttribute("type") || "text").toLowerCase();
+    return AUTOCOMPLETE_INPUT_TYPES.has(type);
+  }
+
+  /**
+   * Audit a single form control
+   * @param {Element} el - Control
+   * @returns {Object} Control report: { selector, control, role, name,
+   *   nameSource, nameSourceLabel, visibleLabel, required, invalid,
+   *   errorMessage, autocomplete, disabled, issues }
+   */
+  function auditControl(el) {
+    const { states, ariaProperties } =
+      CE.accessibility.collectStatesAndProperties(el);
+    const role = CE.accessibility.computeFallbackRole(el);
+    const native = el.matches(NATIVE_SELECTOR);
+    const issues = [];
+    const addIssue = (wcag, message) =>
+      issues.push({ wcag, wcagName: WCAG[wcag], message });
+
+    // Name and visible label
+    const { source, name } = getNameSource(el, role);
+    const visibleLabel =
+      source === "label" || source === "wrapping-label"
+        ? ""
+        : findVisibleLabelText(el);
+    if (source === "none") {
+      addIssue("4.1.2", "No accessible name");
+    } else if (source === "placeholder") {
+      addIssue(
+        "3.3.2",
+        "Named only by its placeholder, which disappears on input"
+      );
+    } else if (source === "title") {
+      addIssue(
+        "3.3.2",
+        "Named only by its title attribute, which is not visible"
+      );
+    }
+    if (visibleLabel && !nameContainsText(name, visibleLabel)) {
+      addIssue(
+        source === "none" ? "1.3.1" : "2.5.3",
+        `Visible label "${visibleLabel}" is not programmatically associated`
+      );
+    }
+    resolveIdRefs(el, "aria-labelledby").missing.forEach((id) =>
+      addIssue("1.3.1", `aria-labelledby references missing id "${id}"`)
+    );
+
+    // Required state
+    const nativeRequired = native && el.required === true;
+    const ariaRequired = ariaProperties["aria-required"] === "true";
+    let required = "";
+    if (nativeRequired && ariaRequired) required = "both";
+    else if (nativeRequired) required = "native";
+    else if (ariaRequired) required = "aria";
+    const labelText = `${name} ${visibleLabel}`;
+    if (!required && /\*|\brequired\b/i.test(labelText)) {
+      addIssue(
+        "3.3.2",
+        "Label marks the field as required but the control is not"
+      );
+    }
+
+    // Invalid state and error message
+    const invalidValue = ariaProperties["aria-invalid"];
+    const invalid = !!invalidValue && invalidValue !== "false";
+    const errorRefs = resolveIdRefs(el, "aria-errormessage");
+    const describedRefs = resolveIdRefs(el, "aria-describedby");
+    errorRefs.missing
+      .concat(describedRefs.missing)
+      .forEach((id) => addIssue("1.3.1", `References missing id "${id}"`));
+    let errorMessage = "";
+    if (invalid) {
+      errorMessage = cleanText(
+        (errorRefs.found.length ? errorRefs.found : describedRefs.found)
+          .map((ref) => ref.textContent)
+          .join(" ")
+      );
+      if (!errorMessage) {
+        addIssue(
+          "3.3.1",
+          "aria-invalid is set but no error message is linked with aria-errormessage or aria-describedby"
+        );
+      }
+    } else if (errorRefs.ids.length) {
+      addIssue(
+        "3.3.1",
+        "aria-errormessage is only exposed while aria-invalid is true"
+      );
+    }
+
+    // Autocomplete (WCAG 1.3.5)
+    const autocomplete = el.getAttribute("autocomplete");
+    if (autocomplete !== null && supportsAutocomplete(el)) {
+      const parsed = parseAutocomplete(autocomplete);
+      if (!parsed.valid) {
+        addIssue(
+          "1.3.5",
+          `Invalid autocomplete value "${autocomplete}": ${parsed.reason}`
+        );
+      } else if (parsed.field === "off" || parsed.field === "on") {
+        const suggestion = suggestAutocomplete(el, name);
+        if (suggestion) {
+          addIssue(
+            "1.3.5",
+            `autocomplete="${parsed.field}" does not identify the purpose; use "${suggestion}"`
+          );
+        }
+      }
+    } else if (supportsAutocomplete(el)) {
+      const suggestion = suggestAutocomplete(el, name);
+      if (suggestion) {
+        addIssue(
+          "1.3.5",
+          `Missing autocomplete token; expected "${suggestion}"`
+        );
+      }
+    }
+
+    let control = native ? el.localName : `[role=${role}]`;
+    if (el.localName === "input") {
+      const type = (el.getAttribute("type") || "text").toLowerCase();
+      control = `input[type=${type}]`;
+    }
+    return {
+      selector: CE.utils ? CE.utils.getUniqueSelector(el) : el.localName,
+      control,
+      role,
+      name,
+      nameSource: source,
+      nameSourceLabel: NAME_SOURCE_LABELS[source],
+      visibleLabel,
+      required,
+      invalid,
+      errorMessage,
+      autocomplete: autocomplete === null ? "" : autocomplete,
+      disabled: !!states.disabled || ariaProperties["aria-disabled"] === "true",
+      issues,
+    };
+  }
+
+  /**
+   * Audit every rendered form control in the current document
+   * @returns {{controls: Object[], summary: Object, url: string,
+   *   truncated: boolean}} Controls with issues first, then in page order
+   */
+  function runFormAudit() {
+    if (!CE.accessibility) {
+      throw new Error("Accessibility module not loaded");
+    }
+
+    const exclude = CE.utils ? CE.utils.getInspectorElement() : null;
+    const elements = collectControls(document, exclude).filter(
+      (el) => !isHidden(el)
+    );
+    const truncated = elements.length > MAX_CONTROLS;
+    const controls = [];
+
+    elements.slice(0, MAX_CONTROLS).forEach((el) => {
+      try {
+        controls.push(auditControl(el));
+      } catch (error) {
+        console.warn(
+          "[ContentExtension.formAudit] Control check failed:",
+          error
+        );
+      }
+    });
+
+    // Stable sort: controls with issues first, page order otherwise
+    controls.sort((a, b) => (b.issues.length > 0) - (a.issues.length > 0));
+
+    const summary = {
+      controls: controls.length,
+      withIssues: controls.filter((c) => c.issues.length).length,
+      issues: controls.reduce((sum, c) => sum + c.issues.length, 0),
+    };
+
+    return { controls, summary, url: window.location.href, truncated };
+  }
+
+  // Export the form audit module
+  CE.formAudit = {
+    runFormAudit,
+
+    // Internal functions (exposed for testing)
+    auditControl,
+    getNameSource,
+    parseAutocomplete,
+    suggestAutocomplete,
+  };
+
+  console.log("[ContentExtension.formAudit] Module loaded");
+})();
@@ -0,0 +1,262 @@
+/**
+ * Content Script Inspection History
+ *
+ * Keeps a bounded list of inspection snapshots (the accessibility info shown
+ * by the inspector, plus the element it was shown for) so earlier states can
+ * be revisited with the inspector's Back/Forward controls (Alt+, / Alt+.).
+ * A new snapshot is added whenever the inspected element or its info
+ * changes, so a widget's state before and after an interaction are both kept.
+ *
+ * When consecutive snapshots belong to the same element, the newer one
+ * carries the list of changes against the older one (e.g. "expanded:
+ * false → true"), which the inspector shows and highlights.
+ *
+ * Each frame's content script keeps its own history; elements are held
+ * through WeakRefs so the history never keeps removed nodes alive.
+ *
+ * Dependencies: content-utils.js
+ */
+
+(function () {
+  "use strict";
+
+  // Ensure our namespace exists
+  window.ContentExtension = window.ContentExtension || {};
+  const CE = window.ContentExtension;
+
+  // Oldest snapshots are dropped beyond this count
+  const MAX_SNAPSHOTS = 50;
+
+  let snapshots = [];
+  // Index of the snapshot currently shown by the inspector
+  let cursor = -1;
+  let nextId = 1;
+
+  /**
+   * Build a comparison key from the parts of the info the inspector shows
+   * @param {Object} info - Accessibility info
+   * @returns {string} Key
+   */
+  function getInfoKey(info) {
+    try {
+      return JSON.stringify([
+        info.role,
+        info.name,
+        info.description,
+        info.value,
+        info.states,
+        info.ariaProperties,
+        info.group,
+        info.posinset,
+        info.setsize,
+        info.level,
+        info.activeDescendant,
+      ]);
+    } catch (error) {
+      // Unserializable info never matches, so it always gets a snapshot
+      return `unserializable:${nextId}`;
+    }
+  }
+
+  // Top-level fields compared between snapshots, with their inspector labels
+  const DIFF_FIELDS = [
+    { key: "role", label: "Role" },
+    { key: "name", label: "Name" },
+    { key: "description", label: "Description" },
+    { key: "value", label: "Value" },
+    { key: "group", label: "Group" },
+    { key: "posinset", label: "Position in set" },
+    { key: "setsize", label: "Set size" },
+    { key: "level", label: "Level" },
+    { key: "activeDescendant", label: "Active Descendant" },
+  ];
+
+  // Placeholders that mean "no value"
+  const EMPTY_VALUES = [
+    "(no role)",
+    "(no accessible name)",
+    "(no description)",
+    "(no value)",
+    "(no group)",
+  ];
+
+  /**
+   * Unwrap an AX value (or group / active descendant object) to text
+   * @param {*} value - Raw value
+   * @returns {string} Comparable text, empty for placeholders
+   */
+  function toText(value) {
+    if (value == null) return "";
+    if (typeof value === "object" && !Array.isArray(value)) {
+      // Group ({ role, label }) and active descendant ({ role, name, states })
+      if ("role" in value && !("value" in value)) {
+        const parts = [value.role, toText(value.label || value.name)];
+        if (Array.isArray(value.states)) parts.push(value.states.join(", "));
+        return parts.filter(Boolean).join(" ");
+      }
+    }
+    const utils = window.NexusInspector && window.NexusInspector.Utils;
+    const raw =
+      utils && typeof utils.deepUnwrap === "function"
+        ? utils.deepUnwrap(value)
+        : value;
+    if (raw == null) return "";
+    const text = typeof raw === "object" ? JSON.stringify(raw) : String(raw);
+    return EMPTY_VALUES.includes(text) ? "" : text;
+  }
+
+  /**
+   * Compare two snapshots' info of the same element
+   * @param {Object} before - Older accessibility info
+   * @param {Object} after - Newer accessibility info
+   * @returns {Array<{kind: string, key: string, label: string, before: string,
+   *   after: string}>} Changes; kind is "field", "state" or "property"
+   */
+  function computeChanges(before, after) {
+    const changes = [];
+    const add = (kind, key, label, a, b) => {
+      if (a !== b) changes.push({ kind, key, label, before: a, after: b });
+    };
+
+    DIFF_FIELDS.forEach(({ key, label }) => {
+      add("field", key, label, toText(before[key]), toText(after[key]));
+    });
+
+    [
+      ["state", "states"],
+      ["property", "ariaProperties"],
+    ].forEach(([kind, field]) => {
+      const a = before[field] || {};
+      const b = after[field] || {};
+      new Set([...Object.keys(a), ...Object.keys(b)]).forEach((key) => {
+        add(kind, key, key, toText(a[key]), toText(b[key]));
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Record an inspection. Identical re-renders of the latest snapshot are
+   * ignored; anything else is appended and becomes the current snapshot.
+   * @param {Object} info - Accessibility info shown in the inspector
+   * @param {Element} target - Inspected element
+   * @returns {Object|null} The current snapshot
+   */
+  function record(info, target) {
+    if (!info || typeof info !== "object") return null;
+
+    const key = getInfoKey(info);
+    const last = snapshots[snapshots.length - 1];
+    if (last && last.key === key && getTarget(last) === target) {
+      cursor = snapshots.length - 1;
+      return last;
+    }
+
+    const sameTarget = !!last && !!target && getTarget(last) === target;
+    const snapshot = {
+      id: nextId++,
+      time: Date.now(),
+      url: window.location.href,
+      selector: target && CE.utils ? CE.utils.getUniqueSelector(target) : "",
+      info,
+      key,
+      targetRef: target ? new WeakRef(target) : null,
+      changes: sameTarget ? computeChanges(last.info, info) : [],
+    };
+    snapshots.push(snapshot);
+    if (snapshots.length > MAX_SNAPSHOTS) {
+      snapshots.splice(0, snapshots.length - MAX_SNAPSHOTS);
+    }
+    cursor = snapshots.length - 1;
+    return snapshot;
+  }
+
+  /**
+   * Get a snapshot's element if it is still in the DOM
+   * @param {Object} snapshot - History snapshot
+   * @returns {Element|null} Connected element or null
+   */
+  function getTarget(snapshot) {
+    const el = snapshot && snapshot.targetRef ? snapshot.targetRef.deref() : null;
+    return el && el.isConnected ? el : null;
+  }
+
+  /**
+   * Move through the history
+   * @param {number} delta - -1 for back, 1 for forward
+   * @returns {Object|null} The newly current snapshot, or null at either end
+   */
+  function navigate(delta) {
+    const index = cursor + delta;
+    if (index < 0 || index >= snapshots.length) return null;
+    cursor = index;
+    return snapshots[cursor];
+  }
+
+  /**
+   * Get the snapshot currently shown
+   * @returns {Object|null} Snapshot or null
+   */
+  function getCurrent() {
+    return snapshots[cursor] || null;
+  }
+
+  /**
+   * Get all snapshots, oldest first
+   * @returns {Object[]} Snapshots
+   */
+  function getSnapshots() {
+    return snapshots.slice();
+  }
+
+  /**
+   * Get the navigation state shown by the inspector controls
+   * @returns {{position: number, total: number, canGoBack: boolean,
+   *   canGoForward: boolean, stale: boolean}} History state
+   */
+  function getState() {
+    const current = getCurrent();
+    return {
+      position: cursor + 1,
+      total: snapshots.length,
+      canGoBack: cursor > 0,
+      canGoForward: cursor < snapshots.length - 1,
+      stale: !!current && !!current.targetRef && !getTarget(current),
+    };
+  }
+
+  /**
+   * Clear the history
+   */
+  function clear() {
+    snapshots = [];
+    cursor = -1;
+  }
+
+  /**
+   * Clean up the history module
+   */
+  function cleanup() {
+    clear();
+  }
+
+  // Export the history module
+  CE.history = {
+    cleanup,
+
+    record,
+    navigate,
+    getCurrent,
+    getSnapshots,
+    getState,
+    getTarget,
+    clear,
+    MAX_SNAPSHOTS,
+
+    // Internal functions (exposed for testing)
+    computeChanges,
+  };
+
+  console.log("[ContentExtension.history] Module loaded");
+})();
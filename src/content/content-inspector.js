@@ -54,8 +54,9 @@
    * Show inspector with accessibility information
    * @param {Object} info - The accessibility information
    * @param {Element} target - The target element
+   * @param {Object} [extra] - { fromHistory } when replaying a history snapshot
    */
-  function showInspector(info, target) {
+  function showInspector(info, target, extra = {}) {
     if (
       !window.nexusAccessibilityUiInspector ||
       typeof window.nexusAccessibilityUiInspector.showInspector !== "function"
@@ -70,8 +71,44 @@
     const options = {
       onClose: createCloseHandler(target),
       enabled: () => (CE.main ? CE.main.isEnabled() : true),
+      onExport: CE.exporter
+        ? (format) => CE.exporter.exportReport(format, "current")
+        : undefined,
     };
 
+    // Keep the inspection history (Back/Forward and report exports)
+    if (CE.history) {
+      if (!extra.fromHistory) CE.history.record(info, target);
+      options.history = CE.history.getState();
+      const current = CE.history.getCurrent();
+      options.changes = current ? current.changes : [];
+      options.onHistoryNavigate = navigateHistory;
+      options.forceRender = !!extra.fromHistory;
+    }
+
+    // Newest focus-loss / keyboard-trap warning from the focus monitor
+    if (CE.events && CE.events.getFocusWarning) {
+      options.focusWarning = CE.events.getFocusWarning();
+    }
+
+    // Review notes attached to the element; adding or deleting one re-renders
+    // the inspector with the updated list
+    if (CE.annotations && target) {
+      const refresh = () => {
+        options.annotations = CE.annotations.getForElement(target);
+        window.nexusAccessibilityUiInspector.showInspector(info, target, {
+          ...options,
+          forceRender: true,
+        });
+      };
+      options.annotations = CE.annotations.getForElement(target);
+      options.annotationSeverities = CE.annotations.SEVERITIES;
+      options.onAnnotate = (note, severity) =>
+        CE.annotations.add(target, note, severity).then(refresh);
+      options.onAnnotationDelete = (id) =>
+        CE.annotations.remove(id).then(refresh);
+    }
+
   window.nexusAccessibilityUiInspector.showInspector(info, target, options);
   // Persist last options so Shift+Escape reopen cycle can reuse consistent callbacks
   try { CE.inspector._lastShowOptions = options; } catch (_) {}
@@ -80,6 +117,55 @@
     broadcastInspectorShown();
   }
 
+  /**
+   * Step back or forward through the inspection history, re-showing the
+   * snapshot on its element. When that element has left the DOM, the
+   * snapshot is shown on the currently inspected element instead.
+   * @param {number} delta - -1 for back, 1 for forward
+   * @returns {boolean} True if a snapshot was shown
+   */
+  function navigateHistory(delta) {
+    if (!CE.history) return false;
+    const snapshot = CE.history.navigate(delta);
+    if (!snapshot) return false;
+
+    const target = CE.history.getTarget(snapshot);
+    let anchor = target;
+    if (!anchor) {
+      const focusState = CE.events ? CE.events.getFocusState() : {};
+      anchor = [focusState.inspectedElement, focusState.lastFocusedElement].find(
+        (el) => el && el.isConnected
+      );
+    }
+    if (!anchor) {
+      // Nothing to attach the inspector to; stay on the current snapshot
+      CE.history.navigate(-delta);
+      return false;
+    }
+
+    if (target) {
+      try {
+        target.scrollIntoView({ block: "nearest", inline: "nearest" });
+      } catch (e) {}
+    }
+    showInspector(snapshot.info, anchor, { fromHistory: true });
+    return true;
+  }
+
+  /**
+   * Re-show the current inspection so a new focus warning appears at once.
+   * Focus loss usually removes the inspected element; its warning is then
+   * shown with the next inspection.
+   */
+  function refreshFocusWarning() {
+    if (!CE.history || !isInspectorVisible()) return;
+    const snapshot = CE.history.getCurrent();
+    const target = CE.history.getTarget(snapshot);
+    if (snapshot && target) {
+      showInspector(snapshot.info, target, { fromHistory: true });
+    }
+  }
+
   /**
    * Create close handler for inspector
    * @param {Element} originalTarget - The original target element
@@ -281,6 +367,8 @@
     showInspector,
     hideInspector,
     forceHideInspector,
+    navigateHistory,
+    refreshFocusWarning,
 
     // Cross-frame coordination
     handleCrossFrameInspector,
@@ -0,0 +1,387 @@
+/**
+ * Content Script Live Region Monitor
+ *
+ * Watches the document for changes inside live regions (aria-live and the
+ * live roles alert, status, log, marquee and timer) and records the
+ * announcement a screen reader would make for each change. The log honors:
+ *
+ * - politeness: aria-live, falling back to the role's implicit value
+ *   (aria-live="off", marquee and timer are not announced, so not logged)
+ * - aria-atomic: the nearest aria-atomic ancestor up to the region decides
+ *   whether the whole region or only the changed nodes are read
+ * - aria-relevant: additions, removals, text or all (default "additions text")
+ * - aria-busy: changes are held until aria-busy is cleared, then read once
+ *
+ * Every frame keeps its own bounded log; the popup collects them per frame.
+ *
+ * Dependencies: content-utils.js
+ */
+
+(function () {
+  "use strict";
+
+  // Ensure our namespace exists
+  window.ContentExtension = window.ContentExtension || {};
+  const CE = window.ContentExtension;
+
+  // Oldest entries are dropped beyond this count
+  const MAX_LOG_ENTRIES = 200;
+
+  // Implicit aria-live / aria-atomic values of the live roles
+  const LIVE_ROLES = {
+    alert: { politeness: "assertive", atomic: true },
+    status: { politeness: "polite", atomic: true },
+    log: { politeness: "polite", atomic: false },
+    marquee: { politeness: "off", atomic: false },
+    timer: { politeness: "off", atomic: false },
+  };
+
+  const LIVE_SELECTOR = [
+    "[aria-live]",
+    ...Object.keys(LIVE_ROLES).map((role) => `[role~="${role}"]`),
+  ].join(", ");
+
+  const POLITENESS_VALUES = ["off", "polite", "assertive"];
+
+  let observer = null;
+  let log = [];
+  let seq = 0;
+  // Region -> { texts: string[], atomicRoots: Set<Element>, changes: Set<string> }
+  const pendingBusy = new Map();
+
+  /**
+   * Initialize the live region monitor
+   */
+  function initialize() {
+    console.log("[ContentExtension.liveRegions] Initializing live region monitor");
+    startMonitoring();
+  }
+
+  /**
+   * Start observing the document for live region changes
+   */
+  function startMonitoring() {
+    if (observer || !document.documentElement) return;
+    observer = new MutationObserver(handleMutations);
+    observer.observe(document.documentElement, {
+      childList: true,
+      characterData: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["aria-busy"],
+    });
+  }
+
+  /**
+   * Stop observing the document
+   */
+  function stopMonitoring() {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    pendingBusy.clear();
+  }
+
+  /**
+   * Get the first live role token of an element
+   * @param {Element} el - Element to inspect
+   * @returns {string} Live role or empty string
+   */
+  function getLiveRole(el) {
+    const tokens = (el.getAttribute("role") || "").trim().split(/\s+/);
+    return tokens.find((t) => LIVE_ROLES[t]) || "";
+  }
+
+  /**
+   * Find the live region containing a node
+   * @param {Node} node - Changed node
+   * @returns {Element|null} Closest live region element
+   */
+  function findRegion(node) {
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return el ? el.closest(LIVE_SELECTOR) : null;
+  }
+
+  /**
+   * Get the effective politeness of a live region
+   * @param {Element} region - Live region element
+   * @returns {string} "off", "polite" or "assertive"
+   */
+  function getPoliteness(region) {
+    const live = (region.getAttribute("aria-live") || "").trim().toLowerCase();
+    if (POLITENESS_VALUES.includes(live)) return live;
+    const role = getLiveRole(region);
+    return role ? LIVE_ROLES[role].politeness : "off";
+  }
+
+  /**
+   * Get the aria-relevant tokens of a live region
+   * @param {Element} region - Live region element
+   * @returns {Set<string>} Relevant change types
+   */
+  function getRelevant(region) {
+    const value = (region.getAttribute("aria-relevant") || "additions text")
+      .trim()
+      .toLowerCase();
+    const tokens = new Set(value.split(/\s+/));
+    if (tokens.has("all")) return new Set(["additions", "removals", "text"]);
+    return tokens;
+  }
+
+  /**
+   * Find the root that is read when a node inside a region changes: the
+   * nearest ancestor (up to the region) with aria-atomic="true", or null
+   * when only the changed nodes are read
+   * @param {Node} node - Changed node
+   * @param {Element} region - Live region element
+   * @returns {Element|null} Atomic root or null
+   */
+  function getAtomicRoot(node, region) {
+    let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    while (el) {
+      const atomic = el.getAttribute("aria-atomic");
+      if (atomic !== null) return atomic.trim() === "true" ? el : null;
+      if (el === region) break;
+      el = el.parentElement;
+    }
+    const role = getLiveRole(region);
+    return role && LIVE_ROLES[role].atomic ? region : null;
+  }
+
+  /**
+   * Check whether a region (or the changed subtree inside it) is busy
+   * @param {Node} node - Changed node
+   * @param {Element} region - Live region element
+   * @returns {boolean} True if aria-busy="true" applies
+   */
+  function isBusy(node, region) {
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    const busy = el ? el.closest('[aria-busy="true"]') : null;
+    return !!busy && (busy === region || region.contains(busy) || busy.contains(region));
+  }
+
+  /**
+   * Get the text a screen reader would read for a node
+   * @param {Node} node - Text node or element
+   * @returns {string} Normalized text
+   */
+  function getText(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const parent = node.parentElement;
+      if (parent && parent.closest('[aria-hidden="true"]')) return "";
+      return (node.data || "").replace(/\s+/g, " ").trim();
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+    if (node.closest('[aria-hidden="true"]')) return "";
+    const text = node.isConnected ? node.innerText : node.textContent;
+    return (text || "").replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Record an announcement
+   * @param {Element} region - Live region element
+   * @param {string} text - Announced text
+   * @param {Object} details - politeness, atomic, changes, reason
+   */
+  function record(region, text, details) {
+    if (!text) return;
+    const entry = {
+      seq: ++seq,
+      time: Date.now(),
+      politeness: details.politeness,
+      role: getLiveRole(region),
+      atomic: !!details.atomic,
+      changes: Array.from(details.changes || []),
+      reason: details.reason,
+      text,
+      source: CE.utils ? CE.utils.getUniqueSelector(region) : region.localName,
+      url: window.location.href,
+    };
+    log.push(entry);
+    if (log.length > MAX_LOG_ENTRIES) {
+      log.splice(0, log.length - MAX_LOG_ENTRIES);
+    }
+    console.debug("[ContentExtension.liveRegions] Announcement:", entry);
+  }
+
+  /**
+   * Build and record the announcement for a region from its collected changes
+   * @param {Element} region - Live region element
+   * @param {Object} batch - { texts, atomicRoots, changes }
+   * @param {string} reason - Why the announcement was made
+   */
+  function announce(region, batch, reason) {
+    const politeness = getPoliteness(region);
+    if (politeness === "off") return;
+
+    const atomic = batch.atomicRoots.size > 0;
+    const parts = atomic
+      ? Array.from(batch.atomicRoots).map(getText)
+      : batch.texts;
+    const text = parts.filter(Boolean).join(" ");
+    record(region, text, {
+      politeness,
+      atomic,
+      changes: batch.changes,
+      reason,
+    });
+  }
+
+  /**
+   * Add a changed node to a region's batch
+   * @param {Map} batches - Region -> batch for this mutation callback
+   * @param {Element} region - Live region element
+   * @param {Node} node - Changed node (atomic root is resolved from here)
+   * @param {string} change - "additions", "removals" or "text"
+   * @param {string} text - Text contributed by the change
+   */
+  function addChange(batches, region, node, change, text) {
+    if (!getRelevant(region).has(change)) return;
+    if (!batches.has(region)) {
+      batches.set(region, {
+        texts: [],
+        atomicRoots: new Set(),
+        changes: new Set(),
+        busy: false,
+      });
+    }
+    const batch = batches.get(region);
+    batch.changes.add(change);
+    const atomicRoot = getAtomicRoot(node, region);
+    if (atomicRoot && change !== "removals") {
+      batch.atomicRoots.add(atomicRoot);
+    } else if (text) {
+      batch.texts.push(change === "removals" ? `(removed) ${text}` : text);
+    }
+    if (isBusy(node, region)) batch.busy = true;
+  }
+
+  /**
+   * Flush changes held for busy regions once aria-busy is cleared
+   * @param {Element} el - Element whose aria-busy changed
+   */
+  function flushBusy(el) {
+    if (el.getAttribute("aria-busy") === "true") return;
+    pendingBusy.forEach((batch, region) => {
+      if (region === el || el.contains(region) || region.contains(el)) {
+        if (region.closest('[aria-busy="true"]')) return;
+        pendingBusy.delete(region);
+        if (region.isConnected) announce(region, batch, "busy-cleared");
+      }
+    });
+  }
+
+  /**
+   * Handle a batch of DOM mutations
+   * @param {MutationRecord[]} mutations - Mutations from the observer
+   */
+  function handleMutations(mutations) {
+    const batches = new Map();
+
+    for (const mutation of mutations) {
+      try {
+        if (mutation.type === "attributes") {
+          flushBusy(mutation.target);
+          continue;
+        }
+
+        if (mutation.type === "characterData") {
+          const region = findRegion(mutation.target);
+          if (region) {
+            addChange(batches, region, mutation.target, "text", getText(mutation.target));
+          }
+          continue;
+        }
+
+        // childList
+        const region = findRegion(mutation.target);
+        mutation.addedNodes.forEach((node) => {
+          if (region) {
+            const change = node.nodeType === Node.TEXT_NODE ? "text" : "additions";
+            addChange(batches, region, node, change, getText(node));
+          } else if (node.nodeType === Node.ELEMENT_NODE) {
+            // Alerts are announced when inserted with content, even outside a region
+            const alerts = node.matches('[role~="alert"]')
+              ? [node]
+              : Array.from(node.querySelectorAll('[role~="alert"]'));
+            alerts.forEach((alert) => {
+              record(alert, getText(alert), {
+                politeness: getPoliteness(alert),
+                atomic: true,
+                changes: ["additions"],
+                reason: "alert-inserted",
+              });
+            });
+          }
+        });
+        if (region) {
+          mutation.removedNodes.forEach((node) => {
+            addChange(batches, region, mutation.target, "removals", getText(node));
+          });
+        }
+      } catch (error) {
+        console.warn("[ContentExtension.liveRegions] Mutation handling failed:", error);
+      }
+    }
+
+    batches.forEach((batch, region) => {
+      if (batch.busy) {
+        // Merge into held changes; read once aria-busy clears
+        const held = pendingBusy.get(region) || {
+          texts: [],
+          atomicRoots: new Set(),
+          changes: new Set(),
+        };
+        held.texts.push(...batch.texts);
+        batch.atomicRoots.forEach((r) => held.atomicRoots.add(r));
+        batch.changes.forEach((c) => held.changes.add(c));
+        pendingBusy.set(region, held);
+        return;
+      }
+      announce(region, batch, "change");
+    });
+  }
+
+  /**
+   * Get log entries recorded after a sequence number
+   * @param {number} [since=0] - Last sequence number already seen
+   * @returns {Object[]} Log entries
+   */
+  function getLog(since = 0) {
+    return log.filter((entry) => entry.seq > since);
+  }
+
+  /**
+   * Clear the announcement log
+   */
+  function clearLog() {
+    log = [];
+  }
+
+  /**
+   * Clean up the monitor
+   */
+  function cleanup() {
+    stopMonitoring();
+  }
+
+  // Export the live regions module
+  CE.liveRegions = {
+    initialize,
+    cleanup,
+
+    startMonitoring,
+    stopMonitoring,
+    getLog,
+    clearLog,
+
+    // Internal functions (exposed for testing)
+    handleMutations,
+    getPoliteness,
+    getRelevant,
+    getAtomicRoot,
+  };
+
+  console.log("[ContentExtension.liveRegions] Module loaded");
+})();
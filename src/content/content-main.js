@@ -8,11 +8,21 @@
  * 1. content-utils.js - Utility functions and helpers
  * 2. content-cache.js - Caching and performance management
  * 3. content-events.js - Event handling and listeners
- * 4. content-accessibility.js - Accessibility data fetching
- * 5. content-observers.js - DOM mutation observers
- * 6. content-inspector.js - Inspector management
- * 7. content-validation.js - Testing and validation (optional)
- * 8. content-main.js - This file (initialization and coordination)
+ * 4. content-contrast.js - Text color contrast analysis
+ * 5. content-accessibility.js - Accessibility data fetching
+ * 6. content-observers.js - DOM mutation observers
+ * 7. content-inspector.js - Inspector management
+ * 8. content-history.js - Inspection history (Back/Forward)
+ * 9. content-annotations.js - Persistent element notes and markers
+ * 10. content-export.js - Inspection report export
+ * 11. content-audit.js - Page-wide rule-based audit
+ * 12. content-form-audit.js - Form field audit (labels, errors, autocomplete)
+ * 13. content-tab-order.js - Tab order visualization overlay
+ * 14. content-picker.js - Inspect-by-pointer pick mode
+ * 15. content-live-regions.js - Live region announcement monitor
+ * 16. content-recorder.js - Keyboard interaction recorder
+ * 17. content-validation.js - Testing and validation (optional)
+ * 18. content-main.js - This file (initialization and coordination)
  */
 
 (function () {
@@ -90,8 +100,99 @@
             }
           })();
           break;
+        case "GET_LIVE_REGION_LOG":
+          sendResponse({
+            status: CE.liveRegions ? "ok" : "error",
+            entries: CE.liveRegions ? CE.liveRegions.getLog(msg.since || 0) : [],
+            frameId: CE.frameId,
+            url: window.location.href,
+          });
+          break;
+        case "CLEAR_LIVE_REGION_LOG":
+          if (CE.liveRegions) CE.liveRegions.clearLog();
+          sendResponse({ status: "cleared" });
+          break;
+        case "GET_FOCUS_ISSUE_LOG":
+          sendResponse({
+            status: CE.events ? "ok" : "error",
+            entries: CE.events ? CE.events.getFocusIssues() : [],
+            url: window.location.href,
+          });
+          break;
+        case "CLEAR_FOCUS_ISSUE_LOG":
+          if (CE.events) CE.events.clearFocusIssues();
+          sendResponse({ status: "cleared" });
+          break;
+        case "START_KEY_RECORDING":
+          sendResponse(
+            CE.recorder ? CE.recorder.startRecording() : { status: "error" }
+          );
+          break;
+        case "STOP_KEY_RECORDING":
+          if (!CE.recorder) {
+            sendResponse({ status: "error" });
+            break;
+          }
+          CE.recorder.stopRecording().then(sendResponse);
+          return true; // Snapshots may still be pending
+        case "GET_KEY_RECORDING_STATE":
+          sendResponse(
+            CE.recorder
+              ? CE.recorder.getRecordingState()
+              : { recording: false, steps: 0 }
+          );
+          break;
+        case "PREPARE_KEY_REPLAY":
+          sendResponse(
+            CE.recorder
+              ? CE.recorder.prepareReplay(msg.selector || "")
+              : { status: "error" }
+          );
+          break;
+        case "GET_KEY_SNAPSHOT":
+          if (!CE.recorder) {
+            sendResponse({ status: "error" });
+            break;
+          }
+          CE.recorder
+            .captureSnapshot()
+            .then((snapshot) => sendResponse({ status: "ok", snapshot }))
+            .catch((e) => sendResponse({ status: "error", error: e.message }));
+          return true;
+        case "GET_INSPECTION_HISTORY":
+          sendResponse({
+            status: CE.exporter ? "ok" : "error",
+            entries: CE.exporter ? CE.exporter.getEntries(msg.scope) : [],
+            url: window.location.href,
+          });
+          break;
+        case "GET_ANNOTATIONS":
+          sendResponse({
+            status: CE.annotations ? "ok" : "error",
+            entries: CE.annotations ? CE.annotations.getEntries() : [],
+            url: window.location.href,
+          });
+          break;
+        case "AX_NODE_UPDATED":
+          // Background pushed fresh info for the watched node
+          sendResponse({
+            applied: CE.accessibility
+              ? CE.accessibility.applyPushedUpdate(msg)
+              : false,
+          });
+          break;
+        case "COMMAND_TOGGLE_TAB_ORDER":
+          if (CE.tabOrder) {
+            CE.tabOrder.toggle();
+          }
+          break;
+        case "COMMAND_TOGGLE_PICK_MODE":
+          if (CE.picker) {
+            CE.picker.toggle();
+          }
+          break;
         case "INSPECTOR_STATE_CHANGE":
-          updateInspectorState(msg.inspectorState);
+          applyGlobalInspectorState(msg.inspectorState);
           break;
         case "ENABLE_EXTENSION":
           updateInspectorState("on");
@@ -104,6 +205,25 @@
             CE.inspector.handleCrossFrameInspector(msg);
           }
           break;
+        case "RUN_PAGE_AUDIT":
+          try {
+            if (!CE.audit) throw new Error("Audit module not loaded");
+            sendResponse({
+              status: "ok",
+              ...CE.audit.runAudit({ skipRules: msg.skipRules }),
+            });
+          } catch (e) {
+            sendResponse({ status: "error", error: e.message });
+          }
+          break;
+        case "RUN_FORM_AUDIT":
+          try {
+            if (!CE.formAudit) throw new Error("Form audit module not loaded");
+            sendResponse({ status: "ok", ...CE.formAudit.runFormAudit() });
+          } catch (e) {
+            sendResponse({ status: "error", error: e.message });
+          }
+          break;
         case "CLEAR_CACHES":
           (async () => {
             const frameId = (window.frameElement && window.frameElement.id) || 0;
@@ -173,6 +293,10 @@
   let currentInspectorState = "on"; // "off", "on", or "mini"
   let initialized = false;
 
+  // Effective per-site settings for this page (see site-settings.js)
+  let siteSettings = null;
+  let siteSettingsListener = null;
+
   /**
    * Initialize the content script extension
    */
@@ -212,6 +336,10 @@
       CE.observers.initialize();
       CE.inspector.initialize();
 
+      // Optional page-wide monitors
+      if (CE.liveRegions) CE.liveRegions.initialize();
+      if (CE.annotations) CE.annotations.initialize();
+
       // Set up extension state management
       await setupExtensionState();
 
@@ -231,24 +359,27 @@
    * Set up extension state management
    */
   async function setupExtensionState() {
-    // Get initial state directly from storage (migration should be complete)
+    // Get initial state directly from storage (migration should be complete),
+    // with this site's overrides applied
     try {
-      const data = await new Promise((resolve) => {
-        chrome.storage.sync.get({ inspectorState: "on" }, resolve);
-      });
-      updateInspectorState(data.inspectorState);
+      siteSettings = await loadSiteSettings();
+      updateInspectorState(
+        siteSettings.autoStart ? siteSettings.inspectorState : "off"
+      );
     } catch (error) {
       console.error("[ContentExtension] Error loading state:", error);
       // Fallback to default state
       updateInspectorState("on");
     }
 
+    watchSiteSettings();
+
     // Listen for state change messages from popup
     chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       try {
         switch (msg.type) {
           case "INSPECTOR_STATE_CHANGE":
-            updateInspectorState(msg.inspectorState);
+            applyGlobalInspectorState(msg.inspectorState);
             break;
           case "ENABLE_EXTENSION":
             // Legacy support - map to "on" state
@@ -264,6 +395,24 @@
               CE.inspector.handleCrossFrameInspector(msg);
             }
             break;
+          case "RUN_PAGE_AUDIT":
+          case "RUN_FORM_AUDIT":
+          case "COMMAND_TOGGLE_TAB_ORDER":
+          case "COMMAND_TOGGLE_PICK_MODE":
+          case "GET_LIVE_REGION_LOG":
+          case "CLEAR_LIVE_REGION_LOG":
+          case "GET_FOCUS_ISSUE_LOG":
+          case "CLEAR_FOCUS_ISSUE_LOG":
+          case "START_KEY_RECORDING":
+          case "STOP_KEY_RECORDING":
+          case "GET_KEY_RECORDING_STATE":
+          case "PREPARE_KEY_REPLAY":
+          case "GET_KEY_SNAPSHOT":
+          case "GET_INSPECTION_HISTORY":
+          case "GET_ANNOTATIONS":
+          case "AX_NODE_UPDATED":
+            // Handled by the early listener registered at load time
+            break;
           case "CLEAR_CACHES":
             // Background requested that content frames clear their caches and timers
             (async () => {
@@ -337,6 +486,100 @@
     });
   }
 
+  /**
+   * Read the global settings and resolve this page's site overrides and
+   * debugger rules
+   * @param {Object} [globals] - Global values that replace the stored ones
+   *   (e.g. an inspectorState just received from the popup)
+   * @returns {Promise<Object>} Effective settings (see resolveSiteSettings)
+   */
+  async function loadSiteSettings(globals = {}) {
+    const sites = window.NexusSiteSettings;
+    const stored = await new Promise((resolve) => {
+      chrome.storage.sync.get(
+        {
+          inspectorState: "on",
+          screenReaderProfile: "",
+          [sites.SITE_SETTINGS_KEY]: {},
+          [sites.DEBUGGER_RULES_KEY]: null,
+        },
+        resolve
+      );
+    });
+    return sites.resolveSiteSettings(sites.getTopPageUrl(), {
+      ...stored,
+      ...globals,
+    });
+  }
+
+  /**
+   * Apply a global inspector state change (INSPECTOR_STATE_CHANGE from the
+   * popup) through this site's overrides, as setupExtensionState does on
+   * load: a site inspector state or auto-start override wins over it
+   * @param {string} state - New global inspector state
+   */
+  function applyGlobalInspectorState(state) {
+    loadSiteSettings({ inspectorState: state })
+      .then((next) => {
+        siteSettings = next;
+        updateInspectorState(next.autoStart ? next.inspectorState : "off");
+      })
+      .catch((error) => {
+        console.warn("[ContentExtension] Error resolving site settings:", error);
+        updateInspectorState(state);
+      });
+  }
+
+  /**
+   * Check whether the debugger rules block this page
+   * @returns {boolean} True if the inspector must stay off
+   */
+  function isDebuggerBlocked() {
+    return !!siteSettings && !siteSettings.debugger.allowed;
+  }
+
+  /**
+   * Re-apply the site settings when they are edited while the page is open.
+   * Global state changes keep arriving as INSPECTOR_STATE_CHANGE messages.
+   */
+  function watchSiteSettings() {
+    const sites = window.NexusSiteSettings;
+    siteSettingsListener = (changes, area) => {
+      if (
+        area !== "sync" ||
+        (!changes[sites.SITE_SETTINGS_KEY] && !changes[sites.DEBUGGER_RULES_KEY])
+      ) {
+        return;
+      }
+      loadSiteSettings()
+        .then((next) => {
+          const prev = siteSettings;
+          const wasBlocked = isDebuggerBlocked();
+          siteSettings = next;
+          if (!next.debugger.allowed) {
+            if (!wasBlocked) updateInspectorState("off");
+            return;
+          }
+          const overrideState = (settings) =>
+            settings && settings.override
+              ? settings.override.inspectorState
+              : undefined;
+          if (
+            !prev ||
+            wasBlocked ||
+            overrideState(prev) !== overrideState(next) ||
+            prev.autoStart !== next.autoStart
+          ) {
+            updateInspectorState(next.autoStart ? next.inspectorState : "off");
+          }
+        })
+        .catch((error) => {
+          console.warn("[ContentExtension] Error reloading site settings:", error);
+        });
+    };
+    chrome.storage.onChanged.addListener(siteSettingsListener);
+  }
+
   /**
    * Update inspector state across all modules
    */
@@ -349,6 +592,15 @@
       state = "on"; // Default to "on"
     }
 
+    // Sites on the debugger deny list (or missing from the allow list) keep
+    // the inspector off; the background would refuse to attach anyway
+    if (state !== "off" && isDebuggerBlocked()) {
+      console.warn(
+        "[ContentExtension] Inspector stays off: the debugger is blocked on this site"
+      );
+      state = "off";
+    }
+
     // Store current state
     currentInspectorState = state;
 
@@ -461,6 +713,11 @@
     const cleanup = () => {
       console.log("[ContentExtension] Cleaning up...");
 
+      if (siteSettingsListener) {
+        chrome.storage.onChanged.removeListener(siteSettingsListener);
+        siteSettingsListener = null;
+      }
+
       // Clean up all modules
       Object.keys(CE).forEach((moduleName) => {
         const module = CE[moduleName];
@@ -0,0 +1,295 @@
+/**
+ * Content Script Pick Mode
+ *
+ * Inspect-by-pointer for elements that never receive focus (headings,
+ * images, static text, landmarks). While pick mode is on, the element under
+ * the pointer is outlined, and clicking it opens the inspector for it. The
+ * click and the pointer/mouse events around it are swallowed in the capture
+ * phase at the window, so page handlers do not run and focus does not move.
+ * Escape or the toggle command leaves pick mode.
+ *
+ * Picked elements are looked up by selector (the selector-based path of
+ * getAccessibilityInfoForElement), since the direct-reference path follows
+ * the focused element.
+ *
+ * Every frame picks within its own document; the toggle command is sent to
+ * all frames.
+ *
+ * Dependencies: content-utils.js, content-accessibility.js,
+ * content-inspector.js
+ */
+
+(function () {
+  "use strict";
+
+  // Ensure our namespace exists
+  window.ContentExtension = window.ContentExtension || {};
+  const CE = window.ContentExtension;
+
+  const OVERLAY_ID = "nexus-pick-overlay";
+
+  // Events swallowed while picking so page handlers never run
+  const BLOCKED_EVENTS = [
+    "pointerdown",
+    "pointerup",
+    "mousedown",
+    "mouseup",
+    "click",
+    "dblclick",
+    "auxclick",
+    "contextmenu",
+  ];
+
+  const HINT_TEXT =
+    "Nexus pick mode: click an element to inspect it. Press Escape to exit.";
+
+  let active = false;
+  let host = null;
+  let box = null;
+  let label = null;
+  let hovered = null;
+  let picked = null;
+
+  /**
+   * Check whether an event comes from the inspector UI, which stays usable
+   * @param {Event} e - Event
+   * @returns {boolean} True for events inside the inspector
+   */
+  function isInspectorEvent(e) {
+    const inspectorEl = CE.utils ? CE.utils.getInspectorElement() : null;
+    if (!inspectorEl) return false;
+    const path = typeof e.composedPath === "function" ? e.composedPath() : [];
+    return path.includes(inspectorEl);
+  }
+
+  /**
+   * Get the element under the pointer, looking into open shadow roots
+   * @param {Event} e - Pointer event
+   * @returns {Element|null} Element
+   */
+  function getPointerTarget(e) {
+    const path = typeof e.composedPath === "function" ? e.composedPath() : [];
+    const el = path.find((node) => node instanceof Element) || e.target;
+    return el instanceof Element ? el : null;
+  }
+
+  /**
+   * Describe an element for the outline label (e.g. "h2#intro")
+   * @param {Element} el - Element
+   * @returns {string} Label
+   */
+  function describeElement(el) {
+    let text = el.localName;
+    if (el.id) text += `#${el.id}`;
+    else if (el.classList.length) text += `.${el.classList[0]}`;
+    return text;
+  }
+
+  /**
+   * Create the overlay host (closed shadow root so page styles cannot leak in)
+   */
+  function createOverlay() {
+    host = document.createElement("div");
+    host.id = OVERLAY_ID;
+    host.style.cssText =
+      "position:fixed;inset:0;pointer-events:none;z-index:2147483646;";
+    const shadow = host.attachShadow({ mode: "closed" });
+    shadow.innerHTML = `
+      <style>
+        .box { position: fixed; display: none; box-sizing: border-box;
+          border: 2px solid #683ab7; background: rgba(104, 58, 183, 0.12);
+          border-radius: 2px; }
+        .label { position: absolute; left: -2px; bottom: 100%; margin-bottom: 2px;
+          padding: 1px 6px; border-radius: 4px; background: #683ab7; color: #fff;
+          font: 600 11px/1.4 Inter, system-ui, sans-serif; white-space: nowrap; }
+        .hint { position: fixed; top: 8px; left: 50%; transform: translateX(-50%);
+          padding: 6px 12px; border-radius: 6px; background: #2d1958; color: #fff;
+          font: 13px/1.4 Inter, system-ui, sans-serif; }
+      </style>
+      <div class="box" aria-hidden="true"><span class="label"></span></div>
+    `;
+    box = shadow.querySelector(".box");
+    label = shadow.querySelector(".label");
+    // Only the top frame shows the hint. It is visual only: a live region in
+    // the page would add to the page's accessibility tree and announcements.
+    if (window === window.top) {
+      const hint = document.createElement("div");
+      hint.className = "hint";
+      hint.setAttribute("aria-hidden", "true");
+      hint.textContent = HINT_TEXT;
+      shadow.appendChild(hint);
+    }
+    document.documentElement.appendChild(host);
+  }
+
+  /**
+   * Outline an element, or hide the outline
+   * @param {Element|null} el - Element under the pointer
+   */
+  function highlight(el) {
+    if (!box) return;
+    const rect = el ? el.getBoundingClientRect() : null;
+    if (!rect || (!rect.width && !rect.height)) {
+      box.style.display = "none";
+      return;
+    }
+    box.style.display = "block";
+    box.style.left = `${rect.left}px`;
+    box.style.top = `${rect.top}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+    label.textContent = describeElement(el);
+  }
+
+  /**
+   * Track the element under the pointer
+   * @param {PointerEvent} e - Pointer event
+   */
+  function onPointerMove(e) {
+    hovered = isInspectorEvent(e) ? null : getPointerTarget(e);
+    highlight(hovered);
+  }
+
+  /**
+   * Keep the outline on the hovered element while the page scrolls
+   */
+  function onViewportChange() {
+    highlight(hovered && hovered.isConnected ? hovered : null);
+  }
+
+  /**
+   * Swallow pointer events outside the inspector; a click picks
+   * @param {Event} e - Pointer, mouse or click event
+   */
+  function onBlockedEvent(e) {
+    if (isInspectorEvent(e)) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.type === "click") {
+      const target = getPointerTarget(e);
+      if (target && target !== document.documentElement) pick(target);
+    }
+  }
+
+  /**
+   * Leave pick mode on Escape
+   * @param {KeyboardEvent} e - Key event
+   */
+  function onKeyDown(e) {
+    if (e.key !== "Escape") return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    stop();
+  }
+
+  /**
+   * Inspect a picked element
+   * @param {Element} target - Picked element
+   */
+  async function pick(target) {
+    picked = target;
+    if (CE.inspector) CE.inspector.showLoadingInspector(target);
+    try {
+      const info = await CE.accessibility.getAccessibleInfo(target, true, {
+        bySelector: true,
+      });
+      if (picked === target && CE.inspector) {
+        CE.inspector.showInspector(info, target);
+      }
+    } catch (error) {
+      console.warn("[ContentExtension.picker] Inspection failed:", error);
+      if (picked === target && CE.inspector) CE.inspector.hideInspector();
+    }
+  }
+
+  /**
+   * Enter pick mode (only while the inspector is on)
+   * @returns {boolean} True if pick mode is on
+   */
+  function start() {
+    if (active) return true;
+    if (!CE.main || !CE.main.isEnabled()) return false;
+    active = true;
+    createOverlay();
+    window.addEventListener("pointermove", onPointerMove, true);
+    window.addEventListener("keydown", onKeyDown, true);
+    window.addEventListener("scroll", onViewportChange, true);
+    window.addEventListener("resize", onViewportChange);
+    BLOCKED_EVENTS.forEach((type) =>
+      window.addEventListener(type, onBlockedEvent, true)
+    );
+    return true;
+  }
+
+  /**
+   * Leave pick mode. The last picked element stays in the inspector.
+   */
+  function stop() {
+    if (!active) return;
+    active = false;
+    window.removeEventListener("pointermove", onPointerMove, true);
+    window.removeEventListener("keydown", onKeyDown, true);
+    window.removeEventListener("scroll", onViewportChange, true);
+    window.removeEventListener("resize", onViewportChange);
+    BLOCKED_EVENTS.forEach((type) =>
+      window.removeEventListener(type, onBlockedEvent, true)
+    );
+    if (host) host.remove();
+    host = null;
+    box = null;
+    label = null;
+    hovered = null;
+  }
+
+  /**
+   * Toggle pick mode
+   * @returns {boolean} True if pick mode is now on
+   */
+  function toggle() {
+    if (active) {
+      stop();
+      return false;
+    }
+    return start();
+  }
+
+  /**
+   * Check if pick mode is on
+   * @returns {boolean} True if active
+   */
+  function isActive() {
+    return active;
+  }
+
+  /**
+   * Leave pick mode when the inspector is turned off
+   * @param {boolean} enabled - Whether the extension is enabled
+   */
+  function onStateChange(enabled) {
+    if (!enabled) stop();
+  }
+
+  /**
+   * Clean up pick mode
+   */
+  function cleanup() {
+    stop();
+    picked = null;
+  }
+
+  // Export the picker module
+  CE.picker = {
+    cleanup,
+    onStateChange,
+
+    start,
+    stop,
+    toggle,
+    isActive,
+
+    // Internal functions (exposed for testing)
+    describeElement,
+  };
+
+  console.log("[ContentExtension.picker] Module loaded");
+})();
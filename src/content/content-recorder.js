@@ -0,0 +1,248 @@
+/**
+ * Content Script Keyboard Recorder
+ *
+ * Records the keys pressed in the top-level document together with an
+ * inspection snapshot of the focused element after each key (role, name,
+ * states and the screen reader string the inspector shows). The popup saves
+ * the recording as a named script; the background replays it through CDP
+ * (see background/keyReplay.js) and asks this module for a snapshot after
+ * each replayed key, so recorded and replayed snapshots are taken the same
+ * way.
+ *
+ * Recording lives here rather than in the popup because the popup closes as
+ * soon as the page is clicked. Only the top frame records: keys pressed
+ * inside iframes are not captured.
+ *
+ * Dependencies: content-utils.js, content-accessibility.js,
+ * content-export.js
+ */
+
+(function () {
+  "use strict";
+
+  // Ensure our namespace exists
+  window.ContentExtension = window.ContentExtension || {};
+  const CE = window.ContentExtension;
+
+  // Delay before a snapshot is taken, so the widget can react to the key.
+  // Kept in sync with KEY_REPLAY_SETTLE_MS in background/constants.js.
+  const SETTLE_MS = 300;
+
+  // Kept in sync with MAX_KEY_SCRIPT_STEPS in background/constants.js
+  const MAX_STEPS = 20;
+
+  const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "AltGraph", "CapsLock"];
+
+  // CDP Input.dispatchKeyEvent modifier bits
+  const MODIFIER_BITS = { altKey: 1, ctrlKey: 2, metaKey: 4, shiftKey: 8 };
+
+  let recording = null;
+
+  /**
+   * Whether this frame can record (the top-level document only)
+   * @returns {boolean} True in the top frame
+   */
+  function isTopFrame() {
+    return window === window.top;
+  }
+
+  /**
+   * Get the focused element, looking inside open shadow roots
+   * @returns {Element|null} Focused element
+   */
+  function getFocusedElement() {
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) {
+      el = el.shadowRoot.activeElement;
+    }
+    return el;
+  }
+
+  /**
+   * Inspect the focused element
+   * @returns {Promise<{selector: string, role: string, name: string,
+   *   states: Object, screenReader: string}>} Snapshot
+   */
+  async function captureSnapshot() {
+    const target = getFocusedElement();
+    if (!target || target === document.body || !CE.accessibility) {
+      return { selector: "", role: "", name: "", states: {}, screenReader: "" };
+    }
+    const info = await CE.accessibility.getAccessibleInfo(target, true);
+    const entry = CE.exporter.createEntry({
+      time: Date.now(),
+      url: window.location.href,
+      selector: CE.utils.getUniqueSelector(target),
+      info: info || {},
+    });
+    return {
+      selector: entry.selector,
+      role: entry.role,
+      name: entry.name,
+      states: entry.states,
+      screenReader: entry.screenReader,
+    };
+  }
+
+  /**
+   * Build the key description replayed through Input.dispatchKeyEvent
+   * @param {KeyboardEvent} e - Key event
+   * @returns {{key: string, code: string, keyCode: number, modifiers: number,
+   *   text: string}} Key
+   */
+  function describeKeyEvent(e) {
+    let modifiers = 0;
+    Object.entries(MODIFIER_BITS).forEach(([prop, bit]) => {
+      if (e[prop]) modifiers |= bit;
+    });
+    // Keys that insert text; Ctrl/Meta shortcuts never do
+    let text = "";
+    if (!e.ctrlKey && !e.metaKey) {
+      if (e.key.length === 1) text = e.key;
+      else if (e.key === "Enter") text = "\r";
+    }
+    return { key: e.key, code: e.code, keyCode: e.keyCode, modifiers, text };
+  }
+
+  /**
+   * Record a key and schedule its snapshot
+   * @param {KeyboardEvent} e - Key event
+   */
+  function onKeyDown(e) {
+    if (!recording || !e.isTrusted || e.repeat) return;
+    if (MODIFIER_KEYS.includes(e.key)) return;
+    if (recording.steps.length >= MAX_STEPS) {
+      recording.truncated = true;
+      return;
+    }
+
+    const step = describeKeyEvent(e);
+    recording.steps.push(step);
+    const current = recording;
+    current.pending.push(
+      new Promise((resolve) => setTimeout(resolve, SETTLE_MS))
+        .then(captureSnapshot)
+        .then((snapshot) => {
+          step.snapshot = snapshot;
+        })
+        .catch((error) => {
+          console.warn("[ContentExtension.recorder] Snapshot failed:", error);
+          step.snapshot = null;
+        })
+    );
+  }
+
+  /**
+   * Start recording. The snapshot of the element focused now becomes the
+   * script's starting point, which replay restores first.
+   * @returns {{status: string}} Status
+   */
+  function startRecording() {
+    if (!isTopFrame()) return { status: "unsupported_frame" };
+    if (recording) return { status: "already_recording" };
+    recording = {
+      url: window.location.href,
+      steps: [],
+      pending: [],
+      truncated: false,
+      start: null,
+    };
+    const current = recording;
+    current.pending.push(
+      captureSnapshot()
+        .then((snapshot) => {
+          current.start = snapshot;
+        })
+        .catch(() => {
+          current.start = null;
+        })
+    );
+    document.addEventListener("keydown", onKeyDown, true);
+    return { status: "recording" };
+  }
+
+  /**
+   * Stop recording and return the recorded script, once every pending
+   * snapshot has been taken. Steps whose snapshot failed keep their key
+   * (with snapshot: null) so the replayed key sequence stays the same.
+   * @returns {Promise<Object>} { status, url, start, steps, truncated }
+   */
+  async function stopRecording() {
+    if (!recording) return { status: "not_recording" };
+    const current = recording;
+    recording = null;
+    document.removeEventListener("keydown", onKeyDown, true);
+    await Promise.all(current.pending);
+    return {
+      status: "stopped",
+      url: current.url,
+      start: current.start,
+      steps: current.steps,
+      truncated: current.truncated,
+    };
+  }
+
+  /**
+   * Get the recording state shown by the popup
+   * @returns {{recording: boolean, steps: number, maxSteps: number}} State
+   */
+  function getRecordingState() {
+    return {
+      recording: !!recording,
+      steps: recording ? recording.steps.length : 0,
+      maxSteps: MAX_STEPS,
+    };
+  }
+
+  /**
+   * Restore a script's starting point before it is replayed
+   * @param {string} selector - Selector of the element focused at the start,
+   *   empty when nothing was focused
+   * @returns {{status: string}} "ready", "not_found" or "recording"
+   */
+  function prepareReplay(selector) {
+    if (recording) return { status: "recording" };
+    if (!selector) {
+      const focused = document.activeElement;
+      if (focused && focused !== document.body) focused.blur();
+      return { status: "ready" };
+    }
+    let el = null;
+    try {
+      el = document.querySelector(selector);
+    } catch (error) {
+      el = null;
+    }
+    if (!el || typeof el.focus !== "function") return { status: "not_found" };
+    el.focus();
+    return { status: getFocusedElement() === el ? "ready" : "not_found" };
+  }
+
+  /**
+   * Clean up the recorder module
+   */
+  function cleanup() {
+    if (recording) {
+      document.removeEventListener("keydown", onKeyDown, true);
+      recording = null;
+    }
+  }
+
+  // Export the recorder module
+  CE.recorder = {
+    cleanup,
+
+    startRecording,
+    stopRecording,
+    getRecordingState,
+    captureSnapshot,
+    prepareReplay,
+    SETTLE_MS,
+    MAX_STEPS,
+
+    // Internal functions (exposed for testing)
+    describeKeyEvent,
+  };
+
+  console.log("[ContentExtension.recorder] Module loaded");
+})();
@@ -0,0 +1,445 @@
+/**
+ * Content Script Tab Order Overlay
+ *
+ * Computes the sequential focus navigation order of the page and draws it
+ * as numbered badges joined by lines. The order follows the HTML focus
+ * navigation rules: positive tabindex values first (ascending, then DOM
+ * order), then tabindex="0" and natively focusable elements in DOM order.
+ * Shadow roots and same-origin iframes are treated as nested focus scopes
+ * and spliced in at the position of their host.
+ *
+ * Stops whose position in the tab sequence is far from their position in
+ * visual reading order (top-to-bottom, left-to-right) are flagged.
+ *
+ * The overlay is aria-hidden, ignores pointer events and never takes focus.
+ * Only the top frame draws it; same-origin frames are walked from there.
+ *
+ * Dependencies: content-utils.js, content-events.js
+ */
+
+(function () {
+  "use strict";
+
+  // Ensure our namespace exists
+  window.ContentExtension = window.ContentExtension || {};
+  const CE = window.ContentExtension;
+
+  const OVERLAY_ID = "nexus-tab-order-overlay";
+
+  // Rects whose tops are within this many pixels are treated as one visual row
+  const ROW_TOLERANCE = 16;
+
+  // Minimum distance between a stop's tab position and visual position before
+  // it is flagged as diverging
+  const DIVERGENCE_MIN = 3;
+
+  // Stops are numbered only up to this count to keep drawing bounded
+  const MAX_STOPS = 1000;
+
+  let active = false;
+  let host = null;
+  let shadow = null;
+  let stops = [];
+  let currentElement = null;
+  let redrawFrame = null;
+
+  /**
+   * Check whether an element is a sequential focus navigation stop
+   * @param {Element} el - Element to check
+   * @returns {boolean} True if the element is reached with Tab
+   */
+  function isTabbable(el) {
+    if (typeof el.tabIndex !== "number" || el.tabIndex < 0) return false;
+    if (el.matches(":disabled")) return false;
+    if (el.closest("[inert]")) return false;
+    if (el.localName === "input" && el.type === "hidden") return false;
+    if (el.getClientRects().length === 0) return false;
+    try {
+      const style = el.ownerDocument.defaultView.getComputedStyle(el);
+      if (style.visibility === "hidden" || style.visibility === "collapse") {
+        return false;
+      }
+    } catch (e) {}
+    return true;
+  }
+
+  /**
+   * Get the children of a node in the flat tree (slots resolve to the
+   * elements assigned to them)
+   * @param {Node} node - Document, ShadowRoot or Element
+   * @returns {Element[]} Flat-tree child elements
+   */
+  function getFlatChildren(node) {
+    if (node.localName === "slot" && typeof node.assignedElements === "function") {
+      const assigned = node.assignedElements({ flatten: true });
+      if (assigned.length) return assigned;
+    }
+    return Array.from(node.children || []);
+  }
+
+  /**
+   * Get the contentDocument of a same-origin iframe
+   * @param {Element} el - Frame element
+   * @returns {Document|null} Frame document or null if cross-origin
+   */
+  function getFrameDocument(el) {
+    if (el.localName !== "iframe" && el.localName !== "frame") return null;
+    try {
+      const doc = el.contentDocument;
+      return doc && doc.documentElement ? doc : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the viewport offset of a frame's content box in top-frame coordinates
+   * @param {Element} frame - Frame element
+   * @param {{x: number, y: number}} parentOffset - Offset of the frame's own document
+   * @returns {{x: number, y: number}} Offset of the frame's content
+   */
+  function getFrameOffset(frame, parentOffset) {
+    const rect = frame.getBoundingClientRect();
+    const style = frame.ownerDocument.defaultView.getComputedStyle(frame);
+    return {
+      x:
+        parentOffset.x +
+        rect.left +
+        frame.clientLeft +
+        (parseFloat(style.paddingLeft) || 0),
+      y:
+        parentOffset.y +
+        rect.top +
+        frame.clientTop +
+        (parseFloat(style.paddingTop) || 0),
+    };
+  }
+
+  /**
+   * Collect the ordered tab stops of one focus navigation scope
+   * @param {Node} root - Document, ShadowRoot or scope owner to walk
+   * @param {{x: number, y: number}} offset - Offset of this scope's document
+   * @param {Element|null} exclude - Subtree to skip (the inspector host)
+   * @returns {Object[]} Ordered stops ({ element, tabIndex, offset })
+   */
+  function collectScope(root, offset, exclude) {
+    const candidates = [];
+
+    const walk = (node) => {
+      for (const child of getFlatChildren(node)) {
+        if (child === exclude || child === host) continue;
+
+        const frameDoc = getFrameDocument(child);
+        if (child.shadowRoot || frameDoc) {
+          // A host with an explicit negative tabindex removes its scope
+          const skipScope =
+            child.hasAttribute("tabindex") && child.tabIndex < 0;
+          const nested = skipScope
+            ? []
+            : child.shadowRoot
+            ? collectScope(child.shadowRoot, offset, exclude)
+            : collectScope(
+                frameDoc,
+                getFrameOffset(child, offset),
+                exclude
+              );
+          candidates.push({
+            element: child,
+            tabIndex: Math.max(child.tabIndex, 0),
+            self: !frameDoc && isTabbable(child),
+            nested,
+          });
+          // Light DOM children of a shadow host are reached through its slots
+          continue;
+        }
+
+        if (isTabbable(child)) {
+          candidates.push({
+            element: child,
+            tabIndex: child.tabIndex,
+            self: true,
+            nested: [],
+          });
+        }
+        walk(child);
+      }
+    };
+    walk(root);
+
+    // Stable sort: positive tabindex ascending, then 0 in DOM order
+    const positive = candidates
+      .filter((c) => c.tabIndex > 0)
+      .sort((a, b) => a.tabIndex - b.tabIndex);
+    const zero = candidates.filter((c) => c.tabIndex === 0);
+
+    const ordered = [];
+    [...positive, ...zero].forEach((c) => {
+      if (c.self) {
+        ordered.push({ element: c.element, tabIndex: c.tabIndex, offset });
+      }
+      ordered.push(...c.nested);
+    });
+    return ordered;
+  }
+
+  /**
+   * Compute the page's tab order with geometry and divergence flags
+   * @returns {Object[]} Stops: { element, index, tabIndex, rect, diverges }
+   */
+  function computeTabOrder() {
+    const exclude = CE.utils ? CE.utils.getInspectorElement() : null;
+    const ordered = collectScope(document, { x: 0, y: 0 }, exclude).slice(
+      0,
+      MAX_STOPS
+    );
+
+    const result = ordered.map((stop, index) => {
+      const r = stop.element.getBoundingClientRect();
+      return {
+        element: stop.element,
+        index,
+        tabIndex: stop.tabIndex,
+        rect: {
+          left: r.left + stop.offset.x,
+          top: r.top + stop.offset.y,
+          width: r.width,
+          height: r.height,
+        },
+        diverges: false,
+      };
+    });
+
+    // Visual reading order: rows top-to-bottom, then left-to-right, using
+    // document coordinates so scrolling does not change the ranking
+    const visual = result.slice().sort((a, b) => {
+      const rowA = Math.round((a.rect.top + window.scrollY) / ROW_TOLERANCE);
+      const rowB = Math.round((b.rect.top + window.scrollY) / ROW_TOLERANCE);
+      return rowA !== rowB ? rowA - rowB : a.rect.left - b.rect.left;
+    });
+    const threshold = Math.max(DIVERGENCE_MIN, Math.round(result.length * 0.2));
+    visual.forEach((stop, visualIndex) => {
+      stop.visualIndex = visualIndex;
+      stop.diverges = Math.abs(visualIndex - stop.index) >= threshold;
+    });
+
+    return result;
+  }
+
+  /**
+   * Create the overlay host (closed shadow root so page styles cannot leak in)
+   */
+  function createOverlay() {
+    host = document.createElement("div");
+    host.id = OVERLAY_ID;
+    host.setAttribute("aria-hidden", "true");
+    host.style.cssText =
+      "position:fixed;inset:0;pointer-events:none;z-index:2147483646;";
+    shadow = host.attachShadow({ mode: "closed" });
+    document.documentElement.appendChild(host);
+  }
+
+  /**
+   * Draw badges, connecting lines and the legend for the current stops
+   */
+  function draw() {
+    if (!shadow) return;
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const divergent = stops.filter((s) => s.diverges).length;
+    const positive = stops.filter((s) => s.tabIndex > 0).length;
+
+    const points = stops
+      .map(
+        (s) =>
+          `${Math.round(s.rect.left + s.rect.width / 2)},${Math.round(
+            s.rect.top + s.rect.height / 2
+          )}`
+      )
+      .join(" ");
+
+    const badges = stops
+      .map((s) => {
+        const classes = ["badge"];
+        if (s.diverges) classes.push("diverges");
+        if (s.tabIndex > 0) classes.push("positive");
+        if (s.element === currentElement) classes.push("current");
+        const left = Math.max(0, Math.round(s.rect.left) - 10);
+        const top = Math.max(0, Math.round(s.rect.top) - 10);
+        return `<div class="${classes.join(" ")}" style="left:${left}px;top:${top}px">${
+          s.index + 1
+        }${s.diverges ? "!" : ""}</div>`;
+      })
+      .join("");
+
+    const outlines = stops
+      .filter((s) => s.element === currentElement)
+      .map(
+        (s) =>
+          `<div class="outline" style="left:${Math.round(
+            s.rect.left
+          )}px;top:${Math.round(s.rect.top)}px;width:${Math.round(
+            s.rect.width
+          )}px;height:${Math.round(s.rect.height)}px"></div>`
+      )
+      .join("");
+
+    shadow.innerHTML = `
+      <style>
+        :host { all: initial; }
+        svg { position: fixed; left: 0; top: 0; overflow: visible; }
+        .badge {
+          position: fixed;
+          min-width: 20px;
+          padding: 1px 4px;
+          box-sizing: border-box;
+          border: 2px solid #fff;
+          border-radius: 10px;
+          background: #683ab7;
+          color: #fff;
+          font: 600 12px/16px Inter, system-ui, sans-serif;
+          text-align: center;
+          box-shadow: 0 1px 3px rgba(45, 25, 88, 0.5);
+        }
+        .badge.positive { border-style: dashed; border-color: #ffc107; }
+        .badge.diverges { background: #b8002f; }
+        .badge.current { background: #2d1958; outline: 2px solid #ffc107; }
+        .outline {
+          position: fixed;
+          box-sizing: border-box;
+          border: 2px solid #ffc107;
+        }
+        .legend {
+          position: fixed;
+          right: 8px;
+          bottom: 8px;
+          max-width: 280px;
+          padding: 6px 10px;
+          border: 1px solid #d1c4e9;
+          border-radius: 6px;
+          background: #f3f0fa;
+          color: #2d1958;
+          font: 12px/1.4 Inter, system-ui, sans-serif;
+        }
+      </style>
+      <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <polyline points="${points}" fill="none" stroke="#683ab7"
+          stroke-width="2" stroke-opacity="0.8" stroke-dasharray="6 4" />
+      </svg>
+      ${outlines}
+      ${badges}
+      <div class="legend">
+        <strong>Tab order:</strong> ${stops.length} stops${
+      stops.length >= MAX_STOPS ? " (limit reached)" : ""
+    }<br />
+        ${positive} with positive tabindex (dashed border)<br />
+        ${divergent} out of visual order (marked !)
+      </div>
+    `;
+  }
+
+  /**
+   * Recompute geometry and redraw on the next animation frame
+   */
+  function scheduleRedraw() {
+    if (redrawFrame) return;
+    redrawFrame = requestAnimationFrame(() => {
+      redrawFrame = null;
+      if (!active) return;
+      stops = computeTabOrder();
+      draw();
+    });
+  }
+
+  /**
+   * Show the tab order overlay
+   */
+  function show() {
+    if (active || window.top !== window) return;
+    active = true;
+    createOverlay();
+    const focusState = CE.events ? CE.events.getFocusState() : null;
+    currentElement = focusState ? focusState.lastFocusedElement : null;
+    stops = computeTabOrder();
+    draw();
+    window.addEventListener("scroll", scheduleRedraw, true);
+    window.addEventListener("resize", scheduleRedraw);
+
+    const flagged = stops.filter((s) => s.diverges);
+    console.log(
+      `[ContentExtension.tabOrder] ${stops.length} tab stops, ${flagged.length} diverge from visual order`,
+      flagged.map((s) => ({
+        tabPosition: s.index + 1,
+        visualPosition: s.visualIndex + 1,
+        selector: CE.utils ? CE.utils.getUniqueSelector(s.element) : s.element,
+      }))
+    );
+  }
+
+  /**
+   * Hide the tab order overlay
+   */
+  function hide() {
+    if (!active) return;
+    active = false;
+    window.removeEventListener("scroll", scheduleRedraw, true);
+    window.removeEventListener("resize", scheduleRedraw);
+    if (redrawFrame) {
+      cancelAnimationFrame(redrawFrame);
+      redrawFrame = null;
+    }
+    if (host) host.remove();
+    host = null;
+    shadow = null;
+    stops = [];
+    currentElement = null;
+  }
+
+  /**
+   * Toggle the tab order overlay
+   * @returns {boolean} True if the overlay is now shown
+   */
+  function toggle() {
+    if (active) hide();
+    else show();
+    return active;
+  }
+
+  /**
+   * Highlight the focused stop. Called from content-events focus tracking.
+   * @param {Element} element - Newly focused element
+   */
+  function handleFocusChange(element) {
+    if (!active) return;
+    currentElement = element;
+    scheduleRedraw();
+  }
+
+  /**
+   * Check if the overlay is shown
+   * @returns {boolean} True if active
+   */
+  function isActive() {
+    return active;
+  }
+
+  /**
+   * Clean up the overlay
+   */
+  function cleanup() {
+    hide();
+  }
+
+  // Export the tab order module
+  CE.tabOrder = {
+    cleanup,
+
+    show,
+    hide,
+    toggle,
+    isActive,
+    handleFocusChange,
+    computeTabOrder,
+  };
+
+  console.log("[ContentExtension.tabOrder] Module loaded");
+})();
@@ -29,11 +29,21 @@
       "[ContentExtension.validation] Initializing validation and testing"
     );
 
-    // Check if libraries are loaded
-    setTimeout(() => {
-      checkLibraryAvailability();
-      injectLibrariesIntoPageContext();
-    }, window.NexusConstants?.TIMEOUTS?.LIBRARY_CHECK_DELAY || 100);
+    // Check if libraries are loaded. The delay is read once config.json and
+    // the user's overrides have loaded (see enhanced-constants.js).
+    const constantsReady = window.NexusConfig
+      ? window.NexusConfig.getConstants().catch(() => null)
+      : Promise.resolve(null);
+    constantsReady.then((constants) => {
+      const delay =
+        constants?.TIMEOUTS?.LIBRARY_CHECK_DELAY ||
+        window.NexusConstants?.TIMEOUTS?.LIBRARY_CHECK_DELAY ||
+        100;
+      setTimeout(() => {
+        checkLibraryAvailability();
+        injectLibrariesIntoPageContext();
+      }, delay);
+    });
   }
 
   /**
@@ -0,0 +1,17 @@
+/**
+ * DevTools Page
+ *
+ * Registers the Nexus panel and the Nexus sidebar pane of the Elements
+ * panel. Both show the accessibility info of the selected element ($0);
+ * see element-view.js.
+ */
+
+chrome.devtools.panels.create(
+  "Nexus",
+  "src/assets/nexus-icon.png",
+  "src/devtools/panel.html"
+);
+
+chrome.devtools.panels.elements.createSidebarPane("Nexus", (pane) => {
+  pane.setPage("src/devtools/sidebar.html");
+});
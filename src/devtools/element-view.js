@@ -0,0 +1,239 @@
+/**
+ * DevTools Element View
+ *
+ * Shared by the Nexus panel and the Elements sidebar pane: finds the element
+ * selected in the Elements panel ($0), asks the background for its
+ * accessibility info (the same formatAccessibilityNode data the in-page
+ * inspector shows) and renders role, name, states and the screen reader
+ * output. The screen reader string comes from the inspector's own renderer
+ * (window.NexusInspector.Content), loaded by the page before this module.
+ *
+ * $0 is only visible to code run through chrome.devtools.inspectedWindow.eval,
+ * so the selection is turned into a selector by the content script of the
+ * selected element's frame.
+ */
+
+const inspectedWindow = chrome.devtools.inspectedWindow;
+
+// Evaluated in the content script context, where $0 and the content
+// script's ContentExtension namespace are both available
+const SELECTION_EXPRESSION = `(() => {
+  let el = typeof $0 === "undefined" ? null : $0;
+  if (el && el.nodeType === Node.TEXT_NODE) el = el.parentElement;
+  if (!el || el.nodeType !== Node.ELEMENT_NODE) return { status: "no_selection" };
+  if (el.ownerDocument !== document) {
+    return { status: "other_frame", frameUrl: el.ownerDocument.URL };
+  }
+  const CE = window.ContentExtension;
+  if (!CE || !CE.utils) return { status: "not_injected" };
+  return {
+    status: "ok",
+    selector: CE.utils.getUniqueSelector(el),
+    frameUrl: window === window.top ? "" : document.URL,
+  };
+})()`;
+
+// Messages shown instead of the element info
+const STATUS_MESSAGES = {
+  no_selection: "Select an element in the Elements panel.",
+  not_injected:
+    "Nexus is not running in this page. Reload the page and select the element again.",
+  other_frame:
+    "The selected element is in a frame Nexus cannot reach (for example an about:srcdoc or sandboxed frame).",
+};
+
+/**
+ * Evaluate the selection expression in a frame's content script context
+ * @param {string} [frameURL] - Frame to evaluate in; the top frame if omitted
+ * @returns {Promise<Object>} Selection ({ status, selector, frameUrl })
+ */
+function evalSelection(frameURL) {
+  const options = { useContentScriptContext: true };
+  if (frameURL) options.frameURL = frameURL;
+  return new Promise((resolve) => {
+    inspectedWindow.eval(SELECTION_EXPRESSION, options, (result, exception) => {
+      resolve(exception || !result ? { status: "not_injected" } : result);
+    });
+  });
+}
+
+/**
+ * Find the element selected in the Elements panel. Elements of iframes,
+ * cross-origin ones included, are looked up again in their own frame.
+ * @returns {Promise<Object>} Selection ({ status, selector, frameUrl })
+ */
+async function getSelection() {
+  const selection = await evalSelection();
+  if (selection.status !== "other_frame" || !selection.frameUrl) {
+    return selection;
+  }
+  const inFrame = await evalSelection(selection.frameUrl);
+  return inFrame.status === "ok"
+    ? { ...inFrame, frameUrl: selection.frameUrl }
+    : inFrame;
+}
+
+/**
+ * Get the accessibility info of the element selected in the Elements panel
+ * @returns {Promise<{status: string, info?: Object, selector?: string,
+ *   error?: string}>} Result; status is "ok", "error" or a selection status
+ */
+export async function loadSelectedElementInfo() {
+  const selection = await getSelection();
+  if (selection.status !== "ok") return selection;
+
+  const info = await chrome.runtime.sendMessage({
+    action: "getDevtoolsElementInfo",
+    tabId: inspectedWindow.tabId,
+    elementSelector: selection.selector,
+    frameUrl: selection.frameUrl || undefined,
+  });
+  if (!info || info.error) {
+    return { status: "error", error: (info && info.error) || "No response" };
+  }
+  return { status: "ok", info, selector: selection.selector };
+}
+
+// Sequence number of the latest showSelectedElementInfo call
+let requestSeq = 0;
+
+/**
+ * Load and render the selected element's info. Failures (e.g. the service
+ * worker restarting) are rendered as errors, and a response that arrives
+ * after a newer selection was requested is dropped.
+ * @param {HTMLElement} container - Element rendered into
+ * @param {Object} [opts] - Options for renderElementInfo
+ */
+export async function showSelectedElementInfo(container, opts = {}) {
+  const seq = ++requestSeq;
+  let result;
+  try {
+    result = await loadSelectedElementInfo();
+  } catch (error) {
+    result = { status: "error", error: error.message };
+  }
+  if (seq !== requestSeq) return;
+  renderElementInfo(container, result, opts);
+}
+
+/**
+ * Apply the screen reader profile chosen in the popup. Never rejects: if the
+ * setting cannot be read, the current profile stays.
+ */
+export async function applyScreenReaderProfile() {
+  const profiles = window.NexusInspector.SRProfiles;
+  try {
+    const data = await chrome.storage.sync.get({
+      [profiles.STORAGE_KEY]: profiles.DEFAULT_PROFILE,
+    });
+    window.NexusInspector.Content.setScreenReaderProfile(
+      data[profiles.STORAGE_KEY]
+    );
+  } catch (error) {
+    console.warn("Nexus: could not apply the screen reader profile:", error);
+  }
+}
+
+/**
+ * Unwrap an AX value to text
+ * @param {*} value - Raw value
+ * @returns {string} Text
+ */
+function toText(value) {
+  const raw = window.NexusInspector.Utils.deepUnwrap(value);
+  if (raw == null) return "";
+  return typeof raw === "object" ? JSON.stringify(raw) : String(raw);
+}
+
+/**
+ * Append a term / definition pair
+ * @param {HTMLDListElement} dl - List
+ * @param {string} label - Term
+ * @param {string} value - Definition
+ */
+function addRow(dl, label, value) {
+  const dt = document.createElement("dt");
+  dt.textContent = label;
+  const dd = document.createElement("dd");
+  dd.textContent = value || "—";
+  dl.append(dt, dd);
+}
+
+/**
+ * Render a result of loadSelectedElementInfo
+ * @param {HTMLElement} container - Element rendered into
+ * @param {Object} result - Result of loadSelectedElementInfo
+ * @param {Object} [opts] - { detailed } adds description, value, ARIA
+ *   properties and name sources (panel)
+ */
+export function renderElementInfo(container, result, opts = {}) {
+  container.textContent = "";
+
+  if (result.status !== "ok") {
+    const p = document.createElement("p");
+    p.className = "nexus-devtools-message";
+    p.textContent =
+      result.status === "error"
+        ? `Unable to inspect the element: ${result.error}`
+        : STATUS_MESSAGES[result.status] || STATUS_MESSAGES.no_selection;
+    container.appendChild(p);
+    return;
+  }
+
+  const { info } = result;
+  const content = window.NexusInspector.Content;
+
+  const sr = document.createElement("div");
+  sr.className = "nexus-devtools-sr";
+  sr.setAttribute("aria-label", "Screen reader output");
+  // The inspector's renderer escapes every value it inserts
+  sr.innerHTML = content.getScreenReaderOutput(info);
+  container.appendChild(sr);
+
+  const dl = document.createElement("dl");
+  addRow(dl, "Role", toText(info.role));
+  addRow(dl, "Name", toText(info.name));
+  if (opts.detailed) {
+    addRow(dl, "Description", toText(info.description));
+    addRow(dl, "Value", toText(info.value));
+  }
+  const states = Object.entries(info.states || {}).map(
+    ([key, value]) => `${key}: ${toText(value)}`
+  );
+  addRow(dl, "States", states.join(", "));
+  if (opts.detailed) {
+    const aria = Object.entries(info.ariaProperties || {}).map(
+      ([key, value]) => `${key}="${toText(value)}"`
+    );
+    addRow(dl, "ARIA properties", aria.join(" "));
+    const sources = (info.nameSources || []).map(
+      (source) =>
+        `${source.label}${source.used ? " (used)" : ""}: ${
+          source.value || source.attributeValue || "—"
+        }`
+    );
+    addRow(dl, "Name sources", sources.join("; "));
+    if (info.ignored) {
+      const reasons = (info.ignoredReasons || []).map((r) => r.name || toText(r));
+      addRow(dl, "Ignored", reasons.join(", ") || "yes");
+    }
+  }
+  addRow(dl, "Selector", result.selector);
+  container.appendChild(dl);
+}
+
+/**
+ * Call back whenever the Elements selection, the inspected page or the
+ * screen reader profile changes
+ * @param {Function} callback - Called without arguments
+ */
+export function watchSelection(callback) {
+  chrome.devtools.panels.elements.onSelectionChanged.addListener(callback);
+  chrome.devtools.network.onNavigated.addListener(callback);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    const key = window.NexusInspector.SRProfiles.STORAGE_KEY;
+    if (area === "sync" && changes[key]) {
+      applyScreenReaderProfile().then(callback);
+    }
+  });
+}
@@ -0,0 +1,30 @@
+/**
+ * Nexus DevTools Panel
+ *
+ * Detailed view of the element selected in the Elements panel: the
+ * sidebar's role, name, states and screen reader output plus description,
+ * value, ARIA properties and name sources.
+ */
+
+import {
+  showSelectedElementInfo,
+  applyScreenReaderProfile,
+  watchSelection,
+} from "./element-view.js";
+
+const container = document.getElementById("element-info");
+const refreshBtn = document.getElementById("refresh");
+
+async function update() {
+  refreshBtn.disabled = true;
+  try {
+    await showSelectedElementInfo(container, { detailed: true });
+  } finally {
+    refreshBtn.disabled = false;
+  }
+}
+
+refreshBtn.addEventListener("click", update);
+await applyScreenReaderProfile();
+watchSelection(update);
+update();
@@ -0,0 +1,22 @@
+/**
+ * Elements Sidebar Pane
+ *
+ * Shows role, name, states and the screen reader output of the element
+ * selected in the Elements panel.
+ */
+
+import {
+  showSelectedElementInfo,
+  applyScreenReaderProfile,
+  watchSelection,
+} from "./element-view.js";
+
+const container = document.getElementById("element-info");
+
+function update() {
+  showSelectedElementInfo(container);
+}
+
+await applyScreenReaderProfile();
+watchSelection(update);
+update();
@@ -9129,8 +9129,10 @@ var AriaQuery = (function (exports) {
     return roles && roles.length > 0 ? roles[0] : null;
   }
 
+  exports.aria = libExports.aria;
   exports.elementRoles = libExports.elementRoles;
   exports.getImplicitRole = getImplicitRole;
+  exports.roles = libExports.roles;
 
   return exports;
 })({});
@@ -0,0 +1,287 @@
+/**
+ * Nexus Options Page
+ *
+ * Global inspector preferences, config.json overrides validated against
+ * the schema in settings-schema.js, and import/export of every Nexus
+ * setting as one JSON file.
+ */
+
+import { chromeAsync } from "../utils/chromeAsync.js";
+
+const settings = window.NexusSettings;
+
+/**
+ * Load the packaged config.json (the defaults the overrides replace)
+ * @returns {Promise<Object>} Parsed config, or {} if it cannot be read
+ */
+async function loadConfigDefaults() {
+  try {
+    const response = await fetch(chrome.runtime.getURL("config.json"));
+    return response.ok ? await response.json() : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Get the input id for a config path
+ * @param {string} path - "section.key"
+ * @returns {string} Element id
+ */
+function fieldId(path) {
+  return `cfg-${path.replace(".", "-")}`;
+}
+
+/**
+ * Render one number input per schema entry, grouped by config section
+ * @param {HTMLElement} container - Fields container
+ * @param {Object} defaults - Parsed config.json
+ */
+function renderConfigFields(container, defaults) {
+  container.textContent = "";
+  Object.entries(settings.CONFIG_SECTIONS).forEach(([section, title]) => {
+    const fields = settings.CONFIG_SCHEMA.filter((field) =>
+      field.path.startsWith(`${section}.`)
+    );
+    if (!fields.length) return;
+
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "config-section";
+    const legend = document.createElement("legend");
+    legend.textContent = title;
+    fieldset.appendChild(legend);
+
+    fields.forEach((field) => {
+      const id = fieldId(field.path);
+      const key = field.path.split(".")[1];
+      const fallback = defaults[section] ? defaults[section][key] : undefined;
+
+      const row = document.createElement("div");
+      row.className = "field";
+      const label = document.createElement("label");
+      label.htmlFor = id;
+      label.textContent = field.label;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.id = id;
+      input.min = field.min;
+      input.max = field.max;
+      input.step = 1;
+      input.dataset.path = field.path;
+      if (fallback !== undefined) input.placeholder = String(fallback);
+      const hint = document.createElement("span");
+      hint.className = "config-field-hint";
+      hint.id = `${id}-hint`;
+      hint.textContent =
+        `${field.min}–${field.max} ${field.unit}` +
+        (fallback !== undefined ? `, default ${fallback}` : "");
+      const error = document.createElement("span");
+      error.className = "config-field-error";
+      error.id = `${id}-error`;
+      input.setAttribute("aria-describedby", `${hint.id} ${error.id}`);
+
+      row.append(label, input, hint, error);
+      fieldset.appendChild(row);
+    });
+    container.appendChild(fieldset);
+  });
+}
+
+/**
+ * Fill the config inputs from stored overrides
+ * @param {HTMLElement} container - Fields container
+ * @param {Object} overrides - Validated overrides
+ */
+function showConfigOverrides(container, overrides) {
+  container.querySelectorAll("input[data-path]").forEach((input) => {
+    const [section, key] = input.dataset.path.split(".");
+    const value = overrides[section] ? overrides[section][key] : undefined;
+    input.value = value === undefined ? "" : String(value);
+    input.removeAttribute("aria-invalid");
+    document.getElementById(`${input.id}-error`).textContent = "";
+  });
+}
+
+/**
+ * Read and check the config inputs, marking invalid ones
+ * @param {HTMLElement} container - Fields container
+ * @returns {{overrides: Object, invalid: HTMLInputElement[]}} Overrides for
+ *   the filled-in fields and the inputs that failed validation
+ */
+function readConfigForm(container) {
+  const overrides = {};
+  const invalid = [];
+  container.querySelectorAll("input[data-path]").forEach((input) => {
+    const errorEl = document.getElementById(`${input.id}-error`);
+    const field = settings.getConfigField(input.dataset.path);
+    const raw = input.value.trim();
+    let error = "";
+    // Number inputs report "" for unparseable text; badInput tells them apart
+    if (input.validity.badInput) error = "must be a whole number";
+    else if (raw) error = settings.validateConfigValue(field, Number(raw));
+    errorEl.textContent = error ? `Value ${error}.` : "";
+    if (error) {
+      input.setAttribute("aria-invalid", "true");
+      invalid.push(input);
+      return;
+    }
+    input.removeAttribute("aria-invalid");
+    if (!raw) return;
+    const [section, key] = input.dataset.path.split(".");
+    overrides[section] = overrides[section] || {};
+    overrides[section][key] = Number(raw);
+  });
+  return { overrides, invalid };
+}
+
+/**
+ * Wire up the global inspector preferences
+ */
+async function setupPreferences() {
+  const stateSelect = document.getElementById("opt-inspector-state");
+  const profileSelect = document.getElementById("opt-sr-profile");
+  const status = document.getElementById("prefs-status");
+
+  const show = async () => {
+    const data = await chromeAsync.storage.sync.get({
+      inspectorState: "on",
+      screenReaderProfile: "default",
+    });
+    stateSelect.value = data.inspectorState;
+    if (!stateSelect.value) stateSelect.value = "on";
+    profileSelect.value = data.screenReaderProfile;
+    if (!profileSelect.value) profileSelect.value = "default";
+  };
+
+  const save = async (items) => {
+    try {
+      await chromeAsync.storage.sync.set(settings.validateSettings(items));
+      status.textContent = "Saved.";
+    } catch (error) {
+      status.textContent = `Unable to save: ${error.message}`;
+    }
+  };
+
+  stateSelect.addEventListener("change", () =>
+    save({ inspectorState: stateSelect.value })
+  );
+  profileSelect.addEventListener("change", () =>
+    save({ screenReaderProfile: profileSelect.value })
+  );
+
+  try {
+    await show();
+  } catch (error) {
+    status.textContent = `Unable to read settings: ${error.message}`;
+  }
+  return show;
+}
+
+/**
+ * Wire up the config.json overrides form
+ */
+async function setupConfigOverrides() {
+  const form = document.getElementById("config-form");
+  const container = document.getElementById("config-fields");
+  const resetBtn = document.getElementById("config-reset");
+  const status = document.getElementById("config-status");
+  const key = settings.CONFIG_OVERRIDES_KEY;
+
+  renderConfigFields(container, await loadConfigDefaults());
+
+  const show = async () => {
+    const data = await chromeAsync.storage.sync.get({ [key]: {} });
+    let overrides = {};
+    try {
+      overrides = settings.validateConfigOverrides(data[key]);
+    } catch (error) {
+      status.textContent =
+        `Stored values are invalid and were ignored: ${error.message}`;
+    }
+    showConfigOverrides(container, overrides);
+  };
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const { overrides, invalid } = readConfigForm(container);
+    if (invalid.length) {
+      status.textContent =
+        invalid.length === 1
+          ? "1 value is invalid. Nothing was saved."
+          : `${invalid.length} values are invalid. Nothing was saved.`;
+      invalid[0].focus();
+      return;
+    }
+    try {
+      await chromeAsync.storage.sync.set({
+        [key]: settings.validateConfigOverrides(overrides),
+      });
+      status.textContent = "Saved. Open pages use the new values.";
+    } catch (error) {
+      status.textContent = `Unable to save: ${error.message}`;
+    }
+  });
+
+  resetBtn.addEventListener("click", async () => {
+    try {
+      await chromeAsync.storage.sync.remove(key);
+      showConfigOverrides(container, {});
+      status.textContent = "Restored the config.json defaults.";
+    } catch (error) {
+      status.textContent = `Unable to restore defaults: ${error.message}`;
+    }
+  });
+
+  try {
+    await show();
+  } catch (error) {
+    status.textContent = `Unable to read settings: ${error.message}`;
+  }
+  return show;
+}
+
+/**
+ * Wire up settings import and export
+ * @param {Function[]} refreshers - Re-read the other sections after import
+ */
+function setupImportExport(refreshers) {
+  const exportBtn = document.getElementById("settings-export");
+  const importBtn = document.getElementById("settings-import");
+  const fileInput = document.getElementById("settings-file");
+  const status = document.getElementById("transfer-status");
+
+  exportBtn.addEventListener("click", async () => {
+    try {
+      const stored = await chromeAsync.storage.sync.get(settings.SETTINGS_KEYS);
+      window.NexusReport.download(settings.buildSettingsExport(stored));
+      status.textContent = "Settings exported.";
+    } catch (error) {
+      status.textContent = `Unable to export settings: ${error.message}`;
+    }
+  });
+
+  importBtn.addEventListener("click", () => fileInput.click());
+
+  fileInput.addEventListener("change", async () => {
+    const [file] = fileInput.files;
+    fileInput.value = "";
+    if (!file) return;
+    try {
+      // Validate the whole file before anything is written
+      const imported = settings.parseSettingsImport(await file.text());
+      const missing = settings.SETTINGS_KEYS.filter((k) => !(k in imported));
+      if (missing.length) await chromeAsync.storage.sync.remove(missing);
+      await chromeAsync.storage.sync.set(imported);
+      await Promise.all(refreshers.map((refresh) => refresh()));
+      status.textContent = `Imported settings from ${file.name}.`;
+    } catch (error) {
+      status.textContent = `Unable to import ${file.name}: ${error.message}`;
+    }
+  });
+}
+
+const refreshers = await Promise.all([
+  setupPreferences(),
+  setupConfigOverrides(),
+]);
+setupImportExport(refreshers);
@@ -0,0 +1,249 @@
+/**
+ * Accessibility Tree View
+ *
+ * Renders the formatted full-page accessibility tree (see
+ * background/axTree.js) as a WAI-ARIA APG tree view. Child groups are built
+ * lazily on first expand so very large pages stay responsive in the popup.
+ */
+
+const INITIAL_EXPANDED_LEVELS = 2;
+
+export class AXTreeView {
+  /**
+   * @param {HTMLElement} container - Element the tree is rendered into
+   * @param {Object} [opts]
+   * @param {Function} [opts.onSelect] - Called with the selected tree node
+   * @param {boolean} [opts.showIgnored=true] - Render ignored nodes
+   */
+  constructor(container, opts = {}) {
+    this.container = container;
+    this.onSelect = typeof opts.onSelect === "function" ? opts.onSelect : () => {};
+    this.showIgnored = opts.showIgnored !== false;
+    this.byId = new Map();
+    this.rootId = null;
+    this.selectedItem = null;
+    this.tree = null;
+  }
+
+  /**
+   * Replace the tree data and re-render
+   * @param {{nodes: Object[], rootId: string|null}} data - Formatted tree
+   */
+  setData(data) {
+    this.byId = new Map((data?.nodes || []).map((n) => [n.id, n]));
+    this.rootId = data?.rootId ?? null;
+    this.render();
+  }
+
+  /**
+   * Toggle rendering of ignored nodes. Children of hidden ignored nodes are
+   * hoisted to the nearest rendered ancestor, mirroring DevTools.
+   * @param {boolean} show - Whether ignored nodes are rendered
+   */
+  setShowIgnored(show) {
+    this.showIgnored = !!show;
+    this.render();
+  }
+
+  /**
+   * Get the rendered children of a node, flattening hidden ignored nodes
+   * @param {Object} node - Tree node
+   * @returns {Object[]} Child nodes to render
+   */
+  getVisibleChildren(node) {
+    const out = [];
+    for (const cid of node.childIds || []) {
+      const child = this.byId.get(cid);
+      if (!child) continue;
+      if (child.ignored && !this.showIgnored) {
+        out.push(...this.getVisibleChildren(child));
+      } else {
+        out.push(child);
+      }
+    }
+    return out;
+  }
+
+  render() {
+    this.container.textContent = "";
+    this.selectedItem = null;
+
+    const root = this.byId.get(this.rootId);
+    if (!root) {
+      const empty = document.createElement("p");
+      empty.className = "ax-tree-empty";
+      empty.textContent = "No accessibility tree loaded.";
+      this.container.appendChild(empty);
+      this.tree = null;
+      return;
+    }
+
+    this.tree = document.createElement("ul");
+    this.tree.setAttribute("role", "tree");
+    this.tree.setAttribute("aria-label", "Accessibility tree");
+    this.tree.className = "ax-tree";
+    this.tree.addEventListener("keydown", (e) => this._onKeyDown(e));
+
+    const topLevel = root.ignored && !this.showIgnored ? this.getVisibleChildren(root) : [root];
+    topLevel.forEach((node, i) => {
+      this.tree.appendChild(this._createItem(node, 1, topLevel.length, i + 1));
+    });
+    this.container.appendChild(this.tree);
+
+    const first = this.tree.querySelector('[role="treeitem"]');
+    if (first) first.tabIndex = 0;
+  }
+
+  _createItem(node, level, setSize, posInSet) {
+    const li = document.createElement("li");
+    li.setAttribute("role", "treeitem");
+    li.setAttribute("aria-level", String(level));
+    li.setAttribute("aria-setsize", String(setSize));
+    li.setAttribute("aria-posinset", String(posInSet));
+    li.setAttribute("aria-selected", "false");
+    li.tabIndex = -1;
+    li.dataset.nodeId = node.id;
+    if (node.ignored) li.classList.add("ax-node-ignored");
+
+    const label = document.createElement("span");
+    label.className = "ax-node-label";
+    const role = document.createElement("span");
+    role.className = "ax-node-role";
+    role.textContent = node.role;
+    label.appendChild(role);
+    if (node.name) {
+      const name = document.createElement("span");
+      name.className = "ax-node-name";
+      name.textContent = ` "${node.name}"`;
+      label.appendChild(name);
+    }
+    if (node.ignored) {
+      const ignored = document.createElement("span");
+      ignored.className = "ax-node-ignored-reasons";
+      ignored.textContent = node.ignoredReasons.length
+        ? ` (ignored: ${node.ignoredReasons.join(", ")})`
+        : " (ignored)";
+      label.appendChild(ignored);
+    }
+    li.appendChild(label);
+
+    label.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (li.hasAttribute("aria-expanded")) this._toggle(li);
+      this._select(li);
+    });
+
+    if (this.getVisibleChildren(node).length > 0) {
+      li.setAttribute("aria-expanded", "false");
+      if (level <= INITIAL_EXPANDED_LEVELS) this._expand(li);
+    }
+    return li;
+  }
+
+  _ensureGroup(li) {
+    let group = li.querySelector(':scope > [role="group"]');
+    if (group) return group;
+    const node = this.byId.get(li.dataset.nodeId);
+    const level = Number(li.getAttribute("aria-level")) + 1;
+    const children = this.getVisibleChildren(node);
+    group = document.createElement("ul");
+    group.setAttribute("role", "group");
+    children.forEach((child, i) => {
+      group.appendChild(this._createItem(child, level, children.length, i + 1));
+    });
+    li.appendChild(group);
+    return group;
+  }
+
+  _expand(li) {
+    if (!li.hasAttribute("aria-expanded")) return;
+    this._ensureGroup(li).hidden = false;
+    li.setAttribute("aria-expanded", "true");
+  }
+
+  _collapse(li) {
+    if (li.getAttribute("aria-expanded") !== "true") return;
+    const group = li.querySelector(':scope > [role="group"]');
+    if (group) group.hidden = true;
+    li.setAttribute("aria-expanded", "false");
+  }
+
+  _toggle(li) {
+    if (li.getAttribute("aria-expanded") === "true") this._collapse(li);
+    else this._expand(li);
+  }
+
+  _select(li) {
+    if (this.selectedItem) {
+      this.selectedItem.setAttribute("aria-selected", "false");
+    }
+    this.selectedItem = li;
+    li.setAttribute("aria-selected", "true");
+    this._focusItem(li);
+    const node = this.byId.get(li.dataset.nodeId);
+    if (node) this.onSelect(node);
+  }
+
+  _focusItem(li) {
+    this.tree.querySelectorAll('[role="treeitem"]').forEach((item) => {
+      item.tabIndex = item === li ? 0 : -1;
+    });
+    li.focus();
+  }
+
+  _visibleItems() {
+    return Array.from(this.tree.querySelectorAll('[role="treeitem"]')).filter(
+      (item) => !item.parentElement.closest('[role="group"][hidden]')
+    );
+  }
+
+  _onKeyDown(e) {
+    const li = e.target.closest('[role="treeitem"]');
+    if (!li) return;
+    const items = this._visibleItems();
+    const idx = items.indexOf(li);
+    let handled = true;
+
+    switch (e.key) {
+      case "ArrowDown":
+        if (idx < items.length - 1) this._focusItem(items[idx + 1]);
+        break;
+      case "ArrowUp":
+        if (idx > 0) this._focusItem(items[idx - 1]);
+        break;
+      case "ArrowRight":
+        if (li.getAttribute("aria-expanded") === "false") {
+          this._expand(li);
+        } else if (li.getAttribute("aria-expanded") === "true") {
+          const firstChild = li.querySelector(':scope > [role="group"] > [role="treeitem"]');
+          if (firstChild) this._focusItem(firstChild);
+        }
+        break;
+      case "ArrowLeft":
+        if (li.getAttribute("aria-expanded") === "true") {
+          this._collapse(li);
+        } else {
+          const parent = li.parentElement.closest('[role="treeitem"]');
+          if (parent) this._focusItem(parent);
+        }
+        break;
+      case "Home":
+        if (items.length) this._focusItem(items[0]);
+        break;
+      case "End":
+        if (items.length) this._focusItem(items[items.length - 1]);
+        break;
+      case "Enter":
+      case " ":
+        this._select(li);
+        break;
+      default:
+        handled = false;
+    }
+
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+}
@@ -1,15 +1,1278 @@
 import { chromeAsync } from "../utils/chromeAsync.js";
+import { AXTreeView } from "./ax-tree-view.js";
 
 const popup = document.getElementById("popup");
 
-async function safeSendMessage(tabId, message) {
+async function safeSendMessage(tabId, message, options = {}) {
   try {
-    return await chromeAsync.tabs.sendMessage(tabId, message);
+    return await chromeAsync.tabs.sendMessage(tabId, message, options);
   } catch (e) {
     return { error: e.message };
   }
 }
 
+/**
+ * List the frames of a tab, falling back to the top frame only
+ * @param {number} tabId - Tab id
+ * @returns {Promise<Object[]>} Frames ({ frameId, ... })
+ */
+async function getFrames(tabId) {
+  try {
+    const frames = await chromeAsync.webNavigation.getAllFrames({ tabId });
+    return frames && frames.length ? frames : [{ frameId: 0 }];
+  } catch (e) {
+    return [{ frameId: 0 }];
+  }
+}
+
+/**
+ * Run a content script audit in every frame of a tab
+ * @param {number} tabId - Tab id
+ * @param {Object} message - Message handled by each frame's content script
+ * @param {string} listKey - Result array the audit returns (e.g. "controls")
+ * @returns {Promise<{results: Array<{frame: Object, resp: Object}>,
+ *   failed: number}>} Answers of the frames that ran the audit, and how many
+ *   frames could not (no content script, e.g. about:blank or a blocked site)
+ * @throws {Error} When no frame ran the audit
+ */
+async function runInAllFrames(tabId, message, listKey) {
+  const results = [];
+  let failed = 0;
+  let topError = null;
+  for (const frame of await getFrames(tabId)) {
+    const resp = await safeSendMessage(tabId, message, {
+      frameId: frame.frameId,
+    });
+    if (resp && !resp.error && Array.isArray(resp[listKey])) {
+      results.push({ frame, resp });
+    } else {
+      failed++;
+      if (frame.frameId === 0) topError = (resp && resp.error) || null;
+    }
+  }
+  if (!results.length) throw new Error(topError || "No results returned");
+  return { results, failed };
+}
+
+async function getActiveTab() {
+  const tabs = await chromeAsync.tabs.query({
+    active: true,
+    currentWindow: true,
+  });
+  return tabs[0] || null;
+}
+
+/**
+ * Wire up the full-page accessibility tree explorer (Tree tab)
+ */
+function setupAccessibilityTree() {
+  const loadBtn = document.getElementById("ax-tree-load");
+  const showIgnored = document.getElementById("ax-tree-show-ignored");
+  const status = document.getElementById("ax-tree-status");
+  const details = document.getElementById("ax-tree-details");
+  let tabId = null;
+
+  const view = new AXTreeView(document.getElementById("ax-tree"), {
+    showIgnored: showIgnored.checked,
+    onSelect: async (node) => {
+      details.hidden = false;
+      document.getElementById("ax-detail-role").textContent = node.role;
+      document.getElementById("ax-detail-name").textContent =
+        node.name || "(no accessible name)";
+      document.getElementById("ax-detail-ignored").textContent = node.ignored
+        ? node.ignoredReasons.join(", ") || "yes"
+        : "no";
+
+      if (!tabId || !node.backendDOMNodeId) {
+        status.textContent = "This node has no DOM element to highlight.";
+        return;
+      }
+      try {
+        const resp = await chrome.runtime.sendMessage({
+          action: "highlightAXNode",
+          tabId,
+          backendDOMNodeId: node.backendDOMNodeId,
+        });
+        if (resp && resp.error) throw new Error(resp.error);
+        status.textContent = "";
+      } catch (error) {
+        status.textContent = `Highlight failed: ${error.message}`;
+      }
+    },
+  });
+  view.render();
+
+  showIgnored.addEventListener("change", () => {
+    view.setShowIgnored(showIgnored.checked);
+  });
+
+  loadBtn.addEventListener("click", async () => {
+    loadBtn.disabled = true;
+    status.textContent = "Loading accessibility tree…";
+    details.hidden = true;
+    try {
+      const tab = await getActiveTab();
+      tabId = tab ? tab.id : null;
+      if (!tabId) throw new Error("No active tab");
+      const resp = await chrome.runtime.sendMessage({
+        action: "getAccessibilityTree",
+        tabId,
+        refresh: true,
+      });
+      if (!resp || resp.error || !Array.isArray(resp.nodes)) {
+        throw new Error((resp && resp.error) || "No tree returned");
+      }
+      view.setData(resp);
+      const ignoredCount = resp.nodes.filter((n) => n.ignored).length;
+      status.textContent = `${resp.nodes.length} nodes (${ignoredCount} ignored)`;
+    } catch (error) {
+      status.textContent = `Unable to load tree: ${error.message}`;
+    } finally {
+      loadBtn.disabled = false;
+    }
+  });
+
+  // Remove the page overlay when the popup closes
+  window.addEventListener("pagehide", () => {
+    if (tabId) {
+      chrome.runtime.sendMessage({ action: "clearAXHighlight", tabId });
+    }
+  });
+}
+
+// Live log polling interval while the Live tab is visible
+const LIVE_LOG_POLL_MS = 1000;
+
+/**
+ * Format a timestamp as HH:MM:SS.mmm
+ * @param {number} time - Epoch milliseconds
+ * @returns {string} Formatted time
+ */
+function formatLogTime(time) {
+  const d = new Date(time);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(
+    d.getSeconds()
+  )}.${pad(d.getMilliseconds(), 3)}`;
+}
+
+/**
+ * Render a live region announcement as a list item
+ * @param {Object} entry - Entry from the content-script live region log
+ * @param {boolean} isTopFrame - Whether the entry came from the top frame
+ * @returns {HTMLLIElement} List item
+ */
+function renderLiveLogEntry(entry, isTopFrame) {
+  const li = document.createElement("li");
+  li.className = `live-entry live-${entry.politeness}`;
+
+  const meta = document.createElement("p");
+  meta.className = "live-entry-meta";
+  const time = document.createElement("time");
+  time.dateTime = new Date(entry.time).toISOString();
+  time.textContent = formatLogTime(entry.time);
+  const politeness = document.createElement("span");
+  politeness.className = "live-politeness";
+  politeness.textContent = entry.politeness;
+  const details = [
+    entry.role ? `role=${entry.role}` : "",
+    entry.atomic ? "atomic" : "",
+    entry.changes.join(" "),
+  ]
+    .filter(Boolean)
+    .join(", ");
+  meta.append(time, " ", politeness, details ? ` ${details}` : "");
+
+  const text = document.createElement("p");
+  text.className = "live-entry-text";
+  text.textContent = entry.text;
+
+  const source = document.createElement("p");
+  source.className = "live-entry-source";
+  const code = document.createElement("code");
+  code.textContent = entry.source;
+  source.append("Source: ", code);
+  if (!isTopFrame) source.append(` (frame: ${entry.url})`);
+
+  li.append(meta, text, source);
+  return li;
+}
+
+/**
+ * Render a focus-loss or keyboard-trap entry as a list item
+ * @param {Object} entry - Entry from the content-script focus monitor
+ * @param {boolean} isTopFrame - Whether the entry came from the top frame
+ * @returns {HTMLLIElement} List item
+ */
+function renderFocusIssueEntry(entry, isTopFrame) {
+  const li = document.createElement("li");
+  li.className = "live-entry focus-issue";
+
+  const meta = document.createElement("p");
+  meta.className = "live-entry-meta";
+  const time = document.createElement("time");
+  time.dateTime = new Date(entry.time).toISOString();
+  time.textContent = formatLogTime(entry.time);
+  const type = document.createElement("span");
+  type.className = "focus-issue-type";
+  type.textContent = entry.type === "keyboard-trap" ? "Keyboard trap" : "Focus lost";
+  meta.append(time, " ", type, ` key: ${entry.key}`);
+
+  const text = document.createElement("p");
+  text.className = "live-entry-text";
+  text.textContent = entry.message;
+
+  const source = document.createElement("p");
+  source.className = "live-entry-source";
+  entry.elements.forEach((selector, index) => {
+    const code = document.createElement("code");
+    code.textContent = selector;
+    source.append(index ? ", " : "Elements: ", code);
+  });
+  if (!isTopFrame) source.append(` (frame: ${entry.url})`);
+
+  li.append(meta, text, source);
+  return li;
+}
+
+/**
+ * Wire up the focus-loss and keyboard-trap log (Audit tab). Each frame's
+ * content script keeps its own log, so every frame is asked.
+ */
+function setupFocusIssueLog() {
+  const loadBtn = document.getElementById("focus-log-load");
+  const clearBtn = document.getElementById("focus-log-clear");
+  const status = document.getElementById("focus-log-status");
+  const list = document.getElementById("focus-log");
+
+  loadBtn.addEventListener("click", async () => {
+    loadBtn.disabled = true;
+    list.hidden = true;
+    list.textContent = "";
+    try {
+      const tab = await getActiveTab();
+      if (!tab) throw new Error("No active tab");
+      const entries = [];
+      for (const frame of await getFrames(tab.id)) {
+        const resp = await safeSendMessage(
+          tab.id,
+          { type: "GET_FOCUS_ISSUE_LOG" },
+          { frameId: frame.frameId }
+        );
+        if (!resp || !Array.isArray(resp.entries)) continue;
+        resp.entries.forEach((entry) =>
+          entries.push({ entry, isTopFrame: frame.frameId === 0 })
+        );
+      }
+      if (!entries.length) {
+        status.textContent =
+          "No focus issues recorded. Issues are detected while the inspector is on.";
+        return;
+      }
+      entries
+        .sort((a, b) => a.entry.time - b.entry.time)
+        .forEach(({ entry, isTopFrame }) => {
+          list.appendChild(renderFocusIssueEntry(entry, isTopFrame));
+        });
+      list.hidden = false;
+      status.textContent = `${entries.length} focus issue${
+        entries.length === 1 ? "" : "s"
+      } recorded.`;
+    } catch (error) {
+      status.textContent = `Unable to load focus issues: ${error.message}`;
+    } finally {
+      loadBtn.disabled = false;
+    }
+  });
+
+  clearBtn.addEventListener("click", async () => {
+    const tab = await getActiveTab();
+    if (tab) {
+      for (const frame of await getFrames(tab.id)) {
+        await safeSendMessage(
+          tab.id,
+          { type: "CLEAR_FOCUS_ISSUE_LOG" },
+          { frameId: frame.frameId }
+        );
+      }
+    }
+    list.textContent = "";
+    list.hidden = true;
+    status.textContent = "Log cleared.";
+  });
+}
+
+/**
+ * Render one step of a keyboard script replay
+ * @param {Object} result - Step result from the replayKeyScript action
+ * @returns {HTMLLIElement} List item
+ */
+function renderKeyStepResult(result) {
+  const changed = result.differences.length > 0;
+  const li = document.createElement("li");
+  li.className = `live-entry${changed ? " key-step-changed" : ""}`;
+
+  const meta = document.createElement("p");
+  meta.className = "live-entry-meta";
+  const outcome = document.createElement("span");
+  outcome.className = "key-step-result";
+  outcome.textContent =
+    result.captured === false ? "Not captured" : changed ? "Changed" : "Matches";
+  meta.append(`Step ${result.index + 1}: `, outcome, ` key: ${result.key}`);
+
+  const text = document.createElement("p");
+  text.className = "live-entry-text";
+  text.textContent =
+    (result.actual && result.actual.screenReader) || "(nothing focused)";
+
+  li.append(meta, text);
+  result.differences.forEach((d) => {
+    const diff = document.createElement("p");
+    diff.className = "live-entry-source";
+    diff.textContent = `${d.label}: expected “${d.expected || "—"}”, got “${
+      d.actual || "—"
+    }”`;
+    li.appendChild(diff);
+  });
+  return li;
+}
+
+/**
+ * Wire up the keyboard script recorder (Audit tab). The top frame's content
+ * script records, since the popup closes as soon as the page is used; scripts
+ * are saved in chrome.storage.local and replayed by the background.
+ */
+async function setupKeyScripts() {
+  const nameInput = document.getElementById("key-script-name");
+  const startBtn = document.getElementById("key-record-start");
+  const stopBtn = document.getElementById("key-record-stop");
+  const status = document.getElementById("key-script-status");
+  const heading = document.getElementById("key-scripts-label");
+  const list = document.getElementById("key-scripts");
+  const results = document.getElementById("key-replay-results");
+
+  const loadScripts = async () => {
+    const data = await chromeAsync.storage.local.get({ keyScripts: [] });
+    return Array.isArray(data.keyScripts) ? data.keyScripts : [];
+  };
+
+  const showRecording = (recording) => {
+    startBtn.disabled = recording;
+    stopBtn.disabled = !recording;
+  };
+
+  const replay = async (script, button) => {
+    button.disabled = true;
+    results.hidden = true;
+    results.textContent = "";
+    status.textContent = `Replaying “${script.name}”…`;
+    try {
+      const tab = await getActiveTab();
+      if (!tab) throw new Error("No active tab");
+      const resp = await chrome.runtime.sendMessage({
+        action: "replayKeyScript",
+        tabId: tab.id,
+        script,
+      });
+      if (!resp || resp.error) {
+        throw new Error((resp && resp.error) || "No response");
+      }
+      resp.steps.forEach((result) =>
+        results.appendChild(renderKeyStepResult(result))
+      );
+      results.hidden = false;
+      const notes = [];
+      const uncaptured = resp.steps.filter((r) => r.captured === false).length;
+      if (uncaptured) {
+        notes.push(
+          `${uncaptured} step${uncaptured === 1 ? " was" : "s were"} recorded without a snapshot`
+        );
+      }
+      if (!resp.startFound) notes.push("the starting element was not found");
+      if (tab.url !== script.url) notes.push("the tab shows a different page");
+      status.textContent = `${
+        resp.mismatches
+          ? `${resp.mismatches} of ${resp.steps.length} steps changed.`
+          : `All ${resp.steps.length - uncaptured} compared steps match.`
+      }${notes.length ? ` Note: ${notes.join(" and ")}.` : ""}`;
+    } catch (error) {
+      status.textContent = `Unable to replay: ${error.message}`;
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  const renderScripts = async () => {
+    const scripts = await loadScripts();
+    list.textContent = "";
+    scripts.forEach((script) => {
+      const li = document.createElement("li");
+      li.className = "key-script";
+      const label = document.createElement("span");
+      label.className = "key-script-label";
+      label.textContent = `${script.name} (${script.steps.length} step${
+        script.steps.length === 1 ? "" : "s"
+      })`;
+      label.title = script.url;
+
+      const replayBtn = document.createElement("button");
+      replayBtn.type = "button";
+      replayBtn.textContent = "Replay";
+      replayBtn.setAttribute("aria-label", `Replay ${script.name}`);
+      replayBtn.addEventListener("click", () => replay(script, replayBtn));
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.setAttribute("aria-label", `Delete ${script.name}`);
+      deleteBtn.addEventListener("click", async () => {
+        const remaining = (await loadScripts()).filter(
+          (s) => s.name !== script.name
+        );
+        await chromeAsync.storage.local.set({ keyScripts: remaining });
+        status.textContent = `Deleted “${script.name}”.`;
+        await renderScripts();
+      });
+
+      li.append(label, replayBtn, deleteBtn);
+      list.appendChild(li);
+    });
+    heading.hidden = list.hidden = !scripts.length;
+  };
+
+  startBtn.addEventListener("click", async () => {
+    const tab = await getActiveTab();
+    const resp = tab
+      ? await safeSendMessage(
+          tab.id,
+          { type: "START_KEY_RECORDING" },
+          { frameId: 0 }
+        )
+      : null;
+    if (!resp || !["recording", "already_recording"].includes(resp.status)) {
+      status.textContent = `Unable to start recording${
+        resp && resp.error ? `: ${resp.error}` : "."
+      }`;
+      return;
+    }
+    showRecording(true);
+    results.hidden = true;
+    status.textContent =
+      "Recording. Use the page with the keyboard, then reopen this popup to stop.";
+  });
+
+  stopBtn.addEventListener("click", async () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      status.textContent = "Enter a script name before stopping.";
+      nameInput.focus();
+      return;
+    }
+    stopBtn.disabled = true;
+    const tab = await getActiveTab();
+    const resp = tab
+      ? await safeSendMessage(
+          tab.id,
+          { type: "STOP_KEY_RECORDING" },
+          { frameId: 0 }
+        )
+      : null;
+    showRecording(false);
+    if (!resp || resp.status !== "stopped") {
+      status.textContent = "Recording was not running in this tab.";
+      return;
+    }
+    if (!resp.steps.length) {
+      status.textContent = "No keys were recorded.";
+      return;
+    }
+    const script = {
+      name,
+      url: resp.url,
+      createdAt: Date.now(),
+      start: resp.start,
+      steps: resp.steps,
+    };
+    // A script saved under an existing name replaces it
+    const scripts = (await loadScripts()).filter((s) => s.name !== name);
+    scripts.push(script);
+    await chromeAsync.storage.local.set({ keyScripts: scripts });
+    nameInput.value = "";
+    const uncaptured = script.steps.filter((step) => !step.snapshot).length;
+    status.textContent = `Saved “${name}” with ${script.steps.length} step${
+      script.steps.length === 1 ? "" : "s"
+    }.${
+      uncaptured
+        ? ` ${uncaptured} step${uncaptured === 1 ? " has" : "s have"} no snapshot and will not be compared.`
+        : ""
+    }${resp.truncated ? " Keys beyond the step limit were not recorded." : ""}`;
+    await renderScripts();
+  });
+
+  await renderScripts();
+  const tab = await getActiveTab();
+  if (tab) {
+    const state = await safeSendMessage(
+      tab.id,
+      { type: "GET_KEY_RECORDING_STATE" },
+      { frameId: 0 }
+    );
+    if (state && state.recording) {
+      showRecording(true);
+      status.textContent = `Recording: ${state.steps} of ${state.maxSteps} keys so far.`;
+    }
+  }
+}
+
+/**
+ * Wire up the live region announcement log (Live tab). Each frame keeps its
+ * own log, so every frame is polled while the panel is visible.
+ */
+function setupLiveRegionLog() {
+  const panel = document.getElementById("tabpanel-live");
+  const list = document.getElementById("live-log");
+  const status = document.getElementById("live-log-status");
+  const clearBtn = document.getElementById("live-log-clear");
+  // Chrome frameId -> last sequence number received from that frame
+  const lastSeq = new Map();
+  let polling = false;
+
+  const poll = async () => {
+    if (polling || panel.hidden) return;
+    polling = true;
+    try {
+      const tab = await getActiveTab();
+      if (!tab) return;
+      const frames = await getFrames(tab.id);
+      const incoming = [];
+      for (const frame of frames) {
+        const resp = await safeSendMessage(
+          tab.id,
+          {
+            type: "GET_LIVE_REGION_LOG",
+            since: lastSeq.get(frame.frameId) || 0,
+          },
+          { frameId: frame.frameId }
+        );
+        if (!resp || !Array.isArray(resp.entries)) continue;
+        resp.entries.forEach((entry) => {
+          const seen = lastSeq.get(frame.frameId) || 0;
+          lastSeq.set(frame.frameId, Math.max(seen, entry.seq));
+          incoming.push({ entry, isTopFrame: frame.frameId === 0 });
+        });
+      }
+      incoming
+        .sort((a, b) => a.entry.time - b.entry.time)
+        .forEach(({ entry, isTopFrame }) => {
+          list.appendChild(renderLiveLogEntry(entry, isTopFrame));
+        });
+      if (incoming.length) {
+        list.lastElementChild.scrollIntoView({ block: "nearest" });
+      }
+      if (!list.children.length) {
+        status.textContent = "No announcements recorded on this page yet.";
+      } else if (status.textContent) {
+        status.textContent = "";
+      }
+    } finally {
+      polling = false;
+    }
+  };
+
+  clearBtn.addEventListener("click", async () => {
+    const tab = await getActiveTab();
+    if (tab) {
+      for (const frame of await getFrames(tab.id)) {
+        await safeSendMessage(
+          tab.id,
+          { type: "CLEAR_LIVE_REGION_LOG" },
+          { frameId: frame.frameId }
+        );
+      }
+    }
+    list.textContent = "";
+    status.textContent = "Log cleared.";
+  });
+
+  poll();
+  setInterval(poll, LIVE_LOG_POLL_MS);
+}
+
+/**
+ * Render one heading or landmark entry of the outline
+ * @param {Object} entry - Outline entry from the background
+ * @param {string} label - Visible label (e.g. "H2 Pricing")
+ * @param {string} className - Indentation class
+ * @param {Function} onActivate - Called with the entry when activated
+ * @returns {HTMLLIElement} List item
+ */
+function renderOutlineEntry(entry, label, className, onActivate) {
+  const li = document.createElement("li");
+  li.className = `outline-entry ${className}`;
+  if (entry.issues.length) li.classList.add("outline-has-issues");
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "outline-target";
+  button.textContent = label;
+  button.disabled = !entry.backendDOMNodeId;
+  button.addEventListener("click", () => onActivate(entry));
+  li.appendChild(button);
+
+  entry.issues.forEach((issue) => {
+    const p = document.createElement("p");
+    p.className = "outline-issue";
+    p.textContent = issue;
+    li.appendChild(p);
+  });
+  return li;
+}
+
+/**
+ * Wire up the headings and landmarks navigator (Outline tab). Activating an
+ * entry focuses the element in the page, which the inspector then inspects.
+ */
+function setupPageOutline() {
+  const loadBtn = document.getElementById("outline-load");
+  const status = document.getElementById("outline-status");
+  const results = document.getElementById("outline-results");
+  const headingList = document.getElementById("outline-headings");
+  const landmarkList = document.getElementById("outline-landmarks");
+  let tabId = null;
+
+  const focusEntry = async (entry) => {
+    const resp = await chrome.runtime.sendMessage({
+      action: "focusAXNode",
+      tabId,
+      backendDOMNodeId: entry.backendDOMNodeId,
+    });
+    if (resp && resp.status === "focused") {
+      // Hand focus back to the page so its focus handlers inspect the element
+      window.close();
+      return;
+    }
+    status.textContent = `Unable to focus element: ${
+      (resp && resp.error) || "element not found"
+    }`;
+  };
+
+  loadBtn.addEventListener("click", async () => {
+    loadBtn.disabled = true;
+    results.hidden = true;
+    headingList.textContent = "";
+    landmarkList.textContent = "";
+    status.textContent = "Loading outline…";
+    try {
+      const tab = await getActiveTab();
+      tabId = tab ? tab.id : null;
+      if (!tabId) throw new Error("No active tab");
+      const resp = await chrome.runtime.sendMessage({
+        action: "getPageOutline",
+        tabId,
+      });
+      if (!resp || resp.error || !Array.isArray(resp.headings)) {
+        throw new Error((resp && resp.error) || "No outline returned");
+      }
+
+      resp.headings.forEach((h) => {
+        const label = `H${h.level} ${h.name || "(empty heading)"}`;
+        headingList.appendChild(
+          renderOutlineEntry(h, label, `outline-level-${Math.min(h.level, 6)}`, focusEntry)
+        );
+      });
+      resp.landmarks.forEach((l) => {
+        const label = l.name ? `${l.role} “${l.name}”` : l.role;
+        landmarkList.appendChild(
+          renderOutlineEntry(l, label, `outline-depth-${Math.min(l.depth, 4)}`, focusEntry)
+        );
+      });
+      [
+        [headingList, resp.headings, "No headings found."],
+        [landmarkList, resp.landmarks, "No landmarks found."],
+      ].forEach(([list, entries, text]) => {
+        if (entries.length) return;
+        const li = document.createElement("li");
+        li.className = "outline-empty";
+        li.textContent = text;
+        list.appendChild(li);
+      });
+
+      status.textContent =
+        `${resp.headings.length} headings, ${resp.landmarks.length} landmarks` +
+        (resp.issueCount ? `, ${resp.issueCount} issues` : ", no issues");
+      results.hidden = false;
+    } catch (error) {
+      status.textContent = `Unable to load outline: ${error.message}`;
+    } finally {
+      loadBtn.disabled = false;
+    }
+  });
+}
+
+/**
+ * Wire up the report exporter (Main tab). Every frame records the elements
+ * inspected in it and the review notes anchored in it, so entries are
+ * collected from all frames and merged.
+ */
+function setupReportExport() {
+  const formatSelect = document.getElementById("export-format");
+  const currentBtn = document.getElementById("export-current");
+  const historyBtn = document.getElementById("export-history");
+  const annotationsBtn = document.getElementById("export-annotations");
+  const status = document.getElementById("export-status");
+  const buttons = [currentBtn, historyBtn, annotationsBtn];
+
+  const setDisabled = (disabled) => {
+    buttons.forEach((button) => {
+      button.disabled = disabled;
+    });
+  };
+
+  const collectEntries = async (tabId, message) => {
+    const entries = [];
+    for (const frame of await getFrames(tabId)) {
+      const resp = await safeSendMessage(tabId, message, {
+        frameId: frame.frameId,
+      });
+      if (resp && Array.isArray(resp.entries)) entries.push(...resp.entries);
+    }
+    return entries.sort((a, b) => a.time.localeCompare(b.time));
+  };
+
+  const exportEntries = async (scope) => {
+    const annotations = scope === "annotations";
+    setDisabled(true);
+    status.textContent = annotations
+      ? "Collecting annotations…"
+      : "Collecting inspections…";
+    try {
+      const tab = await getActiveTab();
+      if (!tab) throw new Error("No active tab");
+      let entries = await collectEntries(
+        tab.id,
+        annotations
+          ? { type: "GET_ANNOTATIONS" }
+          : { type: "GET_INSPECTION_HISTORY", scope }
+      );
+      if (scope === "current") entries = entries.slice(-1);
+      if (!entries.length) {
+        status.textContent = annotations
+          ? "No annotations on this page yet. Add notes from the inspector first."
+          : "Nothing to export yet. Turn the inspector on and focus an element first.";
+        return;
+      }
+      const report = window.NexusReport.build(entries, formatSelect.value, {
+        source: tab.url,
+      });
+      window.NexusReport.download(report);
+      const noun = annotations ? "annotation" : "inspection";
+      status.textContent = `Exported ${entries.length} ${noun}${
+        entries.length === 1 ? "" : "s"
+      } as ${report.filename}.`;
+    } catch (error) {
+      status.textContent = `Unable to export: ${error.message}`;
+    } finally {
+      setDisabled(false);
+    }
+  };
+
+  currentBtn.addEventListener("click", () => exportEntries("current"));
+  historyBtn.addEventListener("click", () => exportEntries("history"));
+  annotationsBtn.addEventListener("click", () => exportEntries("annotations"));
+}
+
+/**
+ * Wire up the vision deficiency and media feature emulation controls. The
+ * background keeps the settings per tab until they are cleared, so the
+ * controls start from the tab's current emulation.
+ */
+async function setupEmulation() {
+  const visionSelect = document.getElementById("emulate-vision");
+  const mediaSelects = Array.from(
+    document.querySelectorAll("select[data-media-feature]")
+  );
+  const clearBtn = document.getElementById("emulation-clear");
+  const status = document.getElementById("emulation-status");
+  const controls = [visionSelect, ...mediaSelects, clearBtn];
+
+  const show = (settings, idleText) => {
+    visionSelect.value = settings.visionDeficiency || "none";
+    mediaSelects.forEach((select) => {
+      select.value = settings.media?.[select.dataset.mediaFeature] || "";
+    });
+    const active = [
+      visionSelect.value !== "none" &&
+        visionSelect.selectedOptions[0].textContent,
+      ...mediaSelects
+        .filter((select) => select.value)
+        .map((select) => `${select.dataset.mediaFeature}: ${select.value}`),
+    ].filter(Boolean);
+    status.textContent = active.length
+      ? `Emulating ${active.join(", ")}.`
+      : idleText;
+  };
+
+  const send = async (message, failure, idleText = "") => {
+    controls.forEach((control) => (control.disabled = true));
+    try {
+      const tab = await getActiveTab();
+      if (!tab) throw new Error("No active tab");
+      const resp = await chrome.runtime.sendMessage({ ...message, tabId: tab.id });
+      if (!resp || resp.error) {
+        throw new Error((resp && resp.error) || "No response");
+      }
+      show(resp, idleText);
+    } catch (error) {
+      status.textContent = `${failure}: ${error.message}`;
+    } finally {
+      controls.forEach((control) => (control.disabled = false));
+    }
+  };
+
+  const apply = () => {
+    const media = {};
+    mediaSelects.forEach((select) => {
+      if (select.value) media[select.dataset.mediaFeature] = select.value;
+    });
+    send(
+      { action: "setEmulation", visionDeficiency: visionSelect.value, media },
+      "Unable to apply emulation",
+      "No emulation applied."
+    );
+  };
+
+  [visionSelect, ...mediaSelects].forEach((select) =>
+    select.addEventListener("change", apply)
+  );
+  clearBtn.addEventListener("click", () =>
+    send(
+      { action: "clearEmulation" },
+      "Unable to clear emulation",
+      "Emulation cleared."
+    )
+  );
+
+  await send({ action: "getEmulation" }, "Unable to read emulation");
+}
+
+/**
+ * Wire up the screen reader verbosity profile selector. The inspector in
+ * each tab follows the stored value through chrome.storage.onChanged.
+ */
+async function setupScreenReaderProfile() {
+  const select = document.getElementById("sr-profile");
+  try {
+    const data = await chromeAsync.storage.sync.get({
+      screenReaderProfile: "default",
+    });
+    select.value = data.screenReaderProfile;
+    if (!select.value) select.value = "default";
+  } catch (error) {
+    console.error("Error loading screen reader profile:", error);
+  }
+
+  select.addEventListener("change", async () => {
+    try {
+      await chromeAsync.storage.sync.set({ screenReaderProfile: select.value });
+    } catch (error) {
+      console.error("Error saving screen reader profile:", error);
+    }
+  });
+}
+
+/**
+ * Wire up the Site tab: overrides of the global settings for the current
+ * origin and the debugger URL allow/deny rules. Open pages pick both up
+ * through chrome.storage.onChanged; the background checks the rules before
+ * every attach.
+ */
+async function setupSiteSettings() {
+  const sites = window.NexusSiteSettings;
+  const originEl = document.getElementById("site-origin");
+  const stateSelect = document.getElementById("site-inspector-state");
+  const profileSelect = document.getElementById("site-sr-profile");
+  const autoStartSelect = document.getElementById("site-auto-start");
+  const siteStatus = document.getElementById("site-settings-status");
+  const denyInput = document.getElementById("debugger-deny");
+  const allowInput = document.getElementById("debugger-allow");
+  const saveBtn = document.getElementById("debugger-rules-save");
+  const blockBtn = document.getElementById("debugger-block-site");
+  const rulesStatus = document.getElementById("debugger-rules-status");
+  const selects = [stateSelect, profileSelect, autoStartSelect];
+
+  document
+    .getElementById("open-options")
+    .addEventListener("click", () => chrome.runtime.openOptionsPage());
+
+  const tab = await getActiveTab();
+  const url = (tab && tab.url) || "";
+  const origin = sites.getOrigin(url);
+  originEl.textContent = origin || "Not available for this page";
+
+  const toLines = (list) => list.join("\n");
+  const fromLines = (text) => text.split("\n");
+
+  const showDebuggerDecision = (rules) => {
+    const decision = sites.checkDebuggerUrl(url, rules);
+    if (decision.allowed) {
+      rulesStatus.textContent = "The debugger may attach on this page.";
+    } else if (decision.reason === "deny") {
+      rulesStatus.textContent = `Blocked on this page by "${decision.pattern}".`;
+    } else {
+      rulesStatus.textContent =
+        "Blocked on this page: it matches no allow pattern.";
+    }
+    blockBtn.disabled = !origin || decision.reason === "deny";
+  };
+
+  const saveRules = async (rules, doneText) => {
+    let clean;
+    try {
+      clean = sites.normalizeDebuggerRules(rules);
+    } catch (error) {
+      rulesStatus.textContent = error.message;
+      return;
+    }
+    try {
+      await chromeAsync.storage.sync.set({ [sites.DEBUGGER_RULES_KEY]: clean });
+      denyInput.value = toLines(clean.deny);
+      allowInput.value = toLines(clean.allow);
+      showDebuggerDecision(clean);
+      rulesStatus.textContent = `${doneText} ${rulesStatus.textContent}`;
+    } catch (error) {
+      rulesStatus.textContent = `Unable to save rules: ${error.message}`;
+    }
+  };
+
+  let stored;
+  try {
+    stored = await chromeAsync.storage.sync.get({
+      [sites.SITE_SETTINGS_KEY]: {},
+      [sites.DEBUGGER_RULES_KEY]: null,
+    });
+  } catch (error) {
+    siteStatus.textContent = `Unable to read site settings: ${error.message}`;
+    return;
+  }
+
+  const override =
+    sites.getSiteOverride(stored[sites.SITE_SETTINGS_KEY], url) || {};
+  stateSelect.value = override.inspectorState || "";
+  profileSelect.value = override.screenReaderProfile || "";
+  autoStartSelect.value = override.autoStart === false ? "false" : "";
+  if (!origin) selects.forEach((select) => (select.disabled = true));
+
+  let rules = { allow: [], deny: [] };
+  try {
+    rules = sites.normalizeDebuggerRules(stored[sites.DEBUGGER_RULES_KEY]);
+  } catch (error) {
+    rulesStatus.textContent = `Stored rules are invalid: ${error.message}`;
+  }
+  denyInput.value = toLines(rules.deny);
+  allowInput.value = toLines(rules.allow);
+  if (!rulesStatus.textContent) showDebuggerDecision(rules);
+
+  selects.forEach((select) =>
+    select.addEventListener("change", async () => {
+      try {
+        const next = sites.normalizeSiteOverride({
+          inspectorState: stateSelect.value || null,
+          screenReaderProfile: profileSelect.value || null,
+          autoStart: autoStartSelect.value === "false" ? false : null,
+        });
+        const data = await chromeAsync.storage.sync.get({
+          [sites.SITE_SETTINGS_KEY]: {},
+        });
+        const all = { ...data[sites.SITE_SETTINGS_KEY] };
+        if (Object.keys(next).length) all[origin] = next;
+        else delete all[origin];
+        await chromeAsync.storage.sync.set({ [sites.SITE_SETTINGS_KEY]: all });
+        siteStatus.textContent = Object.keys(next).length
+          ? `Saved overrides for ${origin}.`
+          : `${origin} uses the global settings.`;
+      } catch (error) {
+        siteStatus.textContent = `Unable to save site settings: ${error.message}`;
+      }
+    })
+  );
+
+  saveBtn.addEventListener("click", () =>
+    saveRules(
+      { deny: fromLines(denyInput.value), allow: fromLines(allowInput.value) },
+      "Rules saved."
+    )
+  );
+
+  blockBtn.addEventListener("click", () =>
+    saveRules(
+      {
+        deny: [...fromLines(denyInput.value), new URL(url).hostname],
+        allow: fromLines(allowInput.value),
+      },
+      "Site blocked."
+    )
+  );
+}
+
+/**
+ * Render a single audit result as a list item
+ * @param {Object} result - Result from the content-script audit
+ * @returns {HTMLLIElement} List item
+ */
+function renderAuditResult(result) {
+  const li = document.createElement("li");
+  li.className = `audit-result audit-${result.severity}`;
+
+  const heading = document.createElement("p");
+  heading.className = "audit-result-heading";
+  const severity = document.createElement("span");
+  severity.className = "audit-severity";
+  severity.textContent = result.severity;
+  heading.append(severity, ` ${result.message}`);
+  li.appendChild(heading);
+
+  const rows = [
+    ["Rule", result.ruleId],
+    ["WCAG", `${result.wcag} ${result.wcagName} (Level ${result.level})`],
+  ];
+  // Accessibility tree findings name the element; DOM findings have a selector
+  if (result.element) rows.push(["Element", result.element]);
+  if (result.frameUrl) rows.push(["Frame", result.frameUrl]);
+  if (result.selector) rows.push(["Selector", result.selector]);
+  rows.push(["Fix", result.fix]);
+
+  const dl = document.createElement("dl");
+  rows.forEach(([label, value]) => {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    if (label === "Selector") {
+      const code = document.createElement("code");
+      code.textContent = value;
+      dd.appendChild(code);
+    } else {
+      dd.textContent = value;
+    }
+    dl.append(dt, dd);
+  });
+  li.appendChild(dl);
+  return li;
+}
+
+// Severity order of page audit results (most severe first)
+const AUDIT_SEVERITIES = ["critical", "serious", "moderate", "minor"];
+
+/**
+ * Wire up the rule-based page audit (Audit tab)
+ */
+function setupPageAudit() {
+  const runBtn = document.getElementById("audit-run");
+  const status = document.getElementById("audit-status");
+  const list = document.getElementById("audit-results");
+
+  runBtn.addEventListener("click", async () => {
+    runBtn.disabled = true;
+    list.hidden = true;
+    list.textContent = "";
+    status.textContent = "Auditing page…";
+    try {
+      const tab = await getActiveTab();
+      if (!tab) throw new Error("No active tab");
+      // Accessible names are checked against Chrome's accessibility tree
+      // (every frame, cross-origin iframes included). If the debugger cannot
+      // attach, the content scripts check names from the DOM instead.
+      const ax = await chrome.runtime
+        .sendMessage({ action: "runAXAudit", tabId: tab.id })
+        .catch((error) => ({ error: error.message }));
+      const axOk = !!(ax && !ax.error && Array.isArray(ax.results));
+      const { results, failed } = await runInAllFrames(
+        tab.id,
+        {
+          type: "RUN_PAGE_AUDIT",
+          skipRules: axOk ? ["missing-accessible-name"] : [],
+        },
+        "results"
+      );
+
+      const findings = axOk ? [...ax.results] : [];
+      let elements = 0;
+      let truncated = axOk && ax.truncated;
+      results.forEach(({ frame, resp }) => {
+        elements += resp.summary.elements;
+        truncated = truncated || resp.truncated;
+        resp.results.forEach((result) =>
+          findings.push(
+            frame.frameId === 0 ? result : { ...result, frameUrl: frame.url }
+          )
+        );
+      });
+      findings.sort(
+        (a, b) =>
+          AUDIT_SEVERITIES.indexOf(a.severity) -
+          AUDIT_SEVERITIES.indexOf(b.severity)
+      );
+      const counts = {};
+      AUDIT_SEVERITIES.forEach((s) => {
+        counts[s] = findings.filter((r) => r.severity === s).length;
+      });
+
+      const notes =
+        (axOk
+          ? ""
+          : " Accessible names were checked from the DOM because the accessibility tree was unavailable.") +
+        (failed
+          ? ` ${failed} frame${failed === 1 ? " was" : "s were"} not audited.`
+          : "");
+      if (findings.length === 0) {
+        status.textContent = `No issues found in ${elements} elements.${notes}`;
+        return;
+      }
+      status.textContent =
+        `${findings.length} issues: ${counts.critical} critical, ` +
+        `${counts.serious} serious, ${counts.moderate} moderate, ` +
+        `${counts.minor} minor` +
+        (truncated ? " (results truncated)" : "") +
+        (results.length > 1 ? ` across ${results.length} frames.` : ".") +
+        notes;
+      findings.forEach((result) => {
+        list.appendChild(renderAuditResult(result));
+      });
+      list.hidden = false;
+    } catch (error) {
+      status.textContent = `Unable to audit page: ${error.message}`;
+    } finally {
+      runBtn.disabled = false;
+    }
+  });
+}
+
+/**
+ * Render one control of the form field audit
+ * @param {Object} field - Control report from the content-script form audit
+ * @returns {HTMLLIElement} List item
+ */
+function renderFormField(field) {
+  const li = document.createElement("li");
+  li.className = field.issues.length
+    ? "audit-result audit-serious"
+    : "audit-result";
+
+  const heading = document.createElement("p");
+  heading.className = "audit-result-heading";
+  const control = document.createElement("span");
+  control.className = "form-field-control";
+  control.textContent = field.control;
+  heading.append(`${field.name || "(no name)"} `, control);
+  li.appendChild(heading);
+
+  const required = {
+    native: "Yes (required)",
+    aria: "Yes (aria-required)",
+    both: "Yes (required and aria-required)",
+  };
+  const rows = [
+    ["Name source", field.nameSourceLabel],
+    ["Required", required[field.required] || "No"],
+    ["Invalid", field.invalid ? "Yes" : "No"],
+  ];
+  if (field.visibleLabel) {
+    rows.splice(1, 0, ["Visible label", field.visibleLabel]);
+  }
+  if (field.invalid) rows.push(["Error message", field.errorMessage || "None"]);
+  rows.push(["Autocomplete", field.autocomplete || "None"]);
+  if (field.disabled) rows.push(["Disabled", "Yes"]);
+  if (field.frameUrl) rows.push(["Frame", field.frameUrl]);
+  rows.push(["Selector", field.selector]);
+
+  const dl = document.createElement("dl");
+  rows.forEach(([label, value]) => {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    if (label === "Selector") {
+      const code = document.createElement("code");
+      code.textContent = value;
+      dd.appendChild(code);
+    } else {
+      dd.textContent = value;
+    }
+    dl.append(dt, dd);
+  });
+  li.appendChild(dl);
+
+  if (field.issues.length) {
+    const issues = document.createElement("ul");
+    issues.className = "form-field-issues";
+    field.issues.forEach((issue) => {
+      const item = document.createElement("li");
+      item.textContent = `${issue.message} (WCAG ${issue.wcag} ${issue.wcagName})`;
+      issues.appendChild(item);
+    });
+    li.appendChild(issues);
+  }
+  return li;
+}
+
+/**
+ * Wire up the form field audit (Audit tab)
+ */
+function setupFormAudit() {
+  const runBtn = document.getElementById("form-audit-run");
+  const status = document.getElementById("form-audit-status");
+  const list = document.getElementById("form-audit-results");
+
+  runBtn.addEventListener("click", async () => {
+    runBtn.disabled = true;
+    list.hidden = true;
+    list.textContent = "";
+    status.textContent = "Auditing form fields…";
+    try {
+      const tab = await getActiveTab();
+      if (!tab) throw new Error("No active tab");
+      // Every frame audits its own document (embedded payment and login
+      // forms are often iframes); fields are listed per frame
+      const { results, failed } = await runInAllFrames(
+        tab.id,
+        { type: "RUN_FORM_AUDIT" },
+        "controls"
+      );
+      const summary = { controls: 0, withIssues: 0, issues: 0 };
+      const fields = [];
+      let truncated = false;
+      results.forEach(({ frame, resp }) => {
+        summary.controls += resp.summary.controls;
+        summary.withIssues += resp.summary.withIssues;
+        summary.issues += resp.summary.issues;
+        truncated = truncated || resp.truncated;
+        resp.controls.forEach((field) =>
+          fields.push(frame.frameId === 0 ? field : { ...field, frameUrl: frame.url })
+        );
+      });
+      const skipped = failed
+        ? ` ${failed} frame${failed === 1 ? " was" : "s were"} not audited.`
+        : "";
+      if (summary.controls === 0) {
+        status.textContent = `No form fields found.${skipped}`;
+        return;
+      }
+      status.textContent =
+        `${summary.controls} form fields, ${summary.withIssues} with issues ` +
+        `(${summary.issues} issues)` +
+        (truncated ? " (results truncated)" : "") +
+        (results.length > 1 ? ` across ${results.length} frames.` : ".") +
+        skipped;
+      fields.forEach((field) => {
+        list.appendChild(renderFormField(field));
+      });
+      list.hidden = false;
+    } catch (error) {
+      status.textContent = `Unable to audit form fields: ${error.message}`;
+    } finally {
+      runBtn.disabled = false;
+    }
+  });
+}
+
 document.addEventListener("DOMContentLoaded", async () => {
   const stateRadios = document.querySelectorAll(
     'input[name="inspector-state"]'
@@ -69,6 +1332,18 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   });
 
+  setupAccessibilityTree();
+  setupPageAudit();
+  setupFormAudit();
+  setupFocusIssueLog();
+  setupKeyScripts();
+  setupScreenReaderProfile();
+  setupSiteSettings();
+  setupLiveRegionLog();
+  setupReportExport();
+  setupEmulation();
+  setupPageOutline();
+
   // Page info
   try {
     const tabs = await chromeAsync.tabs.query({
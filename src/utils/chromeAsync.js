@@ -42,6 +42,17 @@ export const chromeAsync = {
   },
 
   tabs: {
+    get: (tabId) =>
+      new Promise((resolve, reject) => {
+        chrome.tabs.get(tabId, (tab) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else {
+            resolve(tab);
+          }
+        });
+      }),
+
     query: (queryInfo) =>
       new Promise((resolve, reject) => {
         chrome.tabs.query(queryInfo, (tabs) => {
@@ -101,6 +112,17 @@ export const chromeAsync = {
             }
           });
         }),
+
+      remove: (keys) =>
+        new Promise((resolve, reject) => {
+          chrome.storage.sync.remove(keys, () => {
+            if (chrome.runtime.lastError) {
+              reject(new Error(chrome.runtime.lastError.message));
+            } else {
+              resolve();
+            }
+          });
+        }),
     },
     local: {
       get: (keys) =>
@@ -11,7 +11,6 @@
   const CONSTANTS = {
     // Retry configurations
     RETRY_ATTEMPTS: {
-      ACCESSIBILITY_UPDATE: 8,
       DEBUGGER_CONNECTION: 3,
       ERROR_RECOVERY_MAX: 3,
     },
@@ -19,7 +18,6 @@
     // Timeout delays (in milliseconds)
     TIMEOUTS: {
       LIBRARY_CHECK_DELAY: 100,
-      ACCESSIBILITY_RETRY_BASE: 50,
       EXPONENTIAL_BACKOFF_BASE: 100,
       DEBOUNCE_DEFAULT: 150,
       CACHE_UPDATE_DEBOUNCE: 150,
@@ -2,7 +2,9 @@
  * Enhanced Constants Management
  *
  * Provides centralized configuration loading from JSON file with fallbacks
- * to hardcoded constants for backward compatibility.
+ * to hardcoded constants for backward compatibility. Values set on the
+ * options page (configOverrides, see settings-schema.js) replace the
+ * config.json values and are re-applied when they change.
  */
 
 (function () {
@@ -12,7 +14,6 @@
   const FALLBACK_CONSTANTS = {
     // Retry configurations
     RETRY_ATTEMPTS: {
-      ACCESSIBILITY_UPDATE: 8,
       DEBUGGER_CONNECTION: 3,
       ERROR_RECOVERY_MAX: 3,
     },
@@ -20,7 +21,6 @@
     // Timeout delays (in milliseconds)
     TIMEOUTS: {
       LIBRARY_CHECK_DELAY: 100,
-      ACCESSIBILITY_RETRY_BASE: 50,
       EXPONENTIAL_BACKOFF_BASE: 100,
       DEBOUNCE_DEFAULT: 150,
       CACHE_UPDATE_DEBOUNCE: 150,
@@ -73,9 +73,6 @@
   function transformConfig(config) {
     return {
       RETRY_ATTEMPTS: {
-        ACCESSIBILITY_UPDATE:
-          config.retryAttempts?.accessibilityUpdate ||
-          FALLBACK_CONSTANTS.RETRY_ATTEMPTS.ACCESSIBILITY_UPDATE,
         DEBUGGER_CONNECTION:
           config.retryAttempts?.debuggerConnection ||
           FALLBACK_CONSTANTS.RETRY_ATTEMPTS.DEBUGGER_CONNECTION,
@@ -88,9 +85,6 @@
         LIBRARY_CHECK_DELAY:
           config.timeouts?.libraryCheckDelay ||
           FALLBACK_CONSTANTS.TIMEOUTS.LIBRARY_CHECK_DELAY,
-        ACCESSIBILITY_RETRY_BASE:
-          config.timeouts?.accessibilityRetryBase ||
-          FALLBACK_CONSTANTS.TIMEOUTS.ACCESSIBILITY_RETRY_BASE,
         EXPONENTIAL_BACKOFF_BASE:
           config.timeouts?.exponentialBackoffBase ||
           FALLBACK_CONSTANTS.TIMEOUTS.EXPONENTIAL_BACKOFF_BASE,
@@ -171,6 +165,36 @@
     };
   }
 
+  /**
+   * Read the user's config.json overrides from storage
+   * @returns {Promise<Object>} Validated overrides ({} if none or invalid)
+   */
+  async function loadConfigOverrides() {
+    const settings = globalThis.NexusSettings;
+    if (!settings || !chrome.storage) return {};
+    try {
+      const key = settings.CONFIG_OVERRIDES_KEY;
+      const data = await new Promise((resolve) => {
+        chrome.storage.sync.get({ [key]: {} }, resolve);
+      });
+      return settings.validateConfigOverrides(data[key]);
+    } catch (error) {
+      console.warn("[CONSTANTS] Ignoring invalid config overrides:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Apply the user's overrides to the parsed config.json
+   * @param {Object} config - JSON configuration
+   * @param {Object} overrides - Validated overrides
+   * @returns {Object} Configuration with the overrides applied
+   */
+  function applyOverrides(config, overrides) {
+    const settings = globalThis.NexusSettings;
+    return settings ? settings.applyConfigOverrides(config, overrides) : config;
+  }
+
   /**
    * Load configuration asynchronously
    * @returns {Promise<Object>} Configuration constants
@@ -184,7 +208,9 @@
         if (response.ok) {
           const config = await response.json();
           console.log("[CONSTANTS] Configuration loaded from config.json");
-          return transformConfig(config);
+          return transformConfig(
+            applyOverrides(config, await loadConfigOverrides())
+          );
         }
       }
     } catch (error) {
@@ -240,6 +266,25 @@
     // Provide immediate access to fallback constants
     window.NexusConstants = FALLBACK_CONSTANTS;
 
+    // Reload when the options page changes the overrides
+    if (
+      globalThis.NexusSettings &&
+      typeof chrome !== "undefined" &&
+      chrome.storage &&
+      chrome.storage.onChanged
+    ) {
+      chrome.storage.onChanged.addListener((changes, area) => {
+        const key = globalThis.NexusSettings.CONFIG_OVERRIDES_KEY;
+        if (area !== "sync" || !changes[key]) return;
+        cachedConstants = null;
+        constantsPromise = null;
+        getConstants().then((constants) => {
+          window.NexusConstants = constants;
+          console.log("[CONSTANTS] Config overrides re-applied");
+        });
+      });
+    }
+
     // Export enhanced constants management
     window.NexusConfig = {
       getConstants,
@@ -11,16 +11,25 @@ class ErrorRecoveryManager {
     constructor() {
       this.retryCounters = new Map();
       // Use constants if available, fallback to defaults
-      this.maxRetries =
-        (typeof window !== "undefined" &&
-          window.NexusConstants?.RETRY_ATTEMPTS?.ERROR_RECOVERY_MAX) ||
-        3;
       this.backoffBase =
         (typeof window !== "undefined" &&
           window.NexusConstants?.ERROR_RECOVERY?.BACKOFF_BASE) ||
         1000; // 1 second base delay
     }
 
+    /**
+     * Maximum retries, read on every use: NexusConstants is replaced once
+     * config.json and the user's overrides have loaded
+     * @returns {number} Maximum retries
+     */
+    get maxRetries() {
+      return (
+        (typeof window !== "undefined" &&
+          window.NexusConstants?.RETRY_ATTEMPTS?.ERROR_RECOVERY_MAX) ||
+        3
+      );
+    }
+
     /**
      * Execute an operation with automatic retry and error recovery
      * @param {string} operationId - Unique identifier for the operation
@@ -0,0 +1,237 @@
+/**
+ * Inspection Report Exporter
+ *
+ * Serializes inspection entries (one per inspected element) into JSON, CSV
+ * or a self-contained HTML report, and downloads the result. Shared by the
+ * content scripts (inspector export buttons) and the popup.
+ *
+ * An entry is a plain, already-unwrapped object:
+ *   { time, url, selector, role, name, description, states, ariaProperties,
+ *     group, position, level, activeDescendant, screenReader, annotations }
+ * where states/ariaProperties map names to strings and annotations is the
+ * element's review notes as text.
+ */
+
+(function () {
+  "use strict";
+
+  const FORMATS = {
+    json: { extension: "json", mimeType: "application/json" },
+    csv: { extension: "csv", mimeType: "text/csv" },
+    html: { extension: "html", mimeType: "text/html" },
+  };
+
+  const COLUMNS = [
+    { key: "time", label: "Time" },
+    { key: "url", label: "URL" },
+    { key: "selector", label: "Selector" },
+    { key: "role", label: "Role" },
+    { key: "name", label: "Name" },
+    { key: "description", label: "Description" },
+    { key: "states", label: "States" },
+    { key: "ariaProperties", label: "ARIA Properties" },
+    { key: "group", label: "Group" },
+    { key: "position", label: "Position" },
+    { key: "level", label: "Level" },
+    { key: "activeDescendant", label: "Active Descendant" },
+    { key: "screenReader", label: "Screen Reader Output" },
+    { key: "annotations", label: "Annotations" },
+  ];
+
+  /**
+   * Flatten a name -> value map into "name=value; ..." text
+   * @param {Object} map - States or ARIA properties
+   * @returns {string} Flattened text
+   */
+  function formatMap(map) {
+    if (!map || typeof map !== "object") return "";
+    return Object.entries(map)
+      .map(([key, value]) => `${key}=${value}`)
+      .join("; ");
+  }
+
+  /**
+   * Get a column value as text
+   * @param {Object} entry - Inspection entry
+   * @param {string} key - Column key
+   * @returns {string} Cell text
+   */
+  function cellText(entry, key) {
+    const value = entry[key];
+    if (key === "states" || key === "ariaProperties") return formatMap(value);
+    return value == null ? "" : String(value);
+  }
+
+  /**
+   * Quote a CSV cell. Cells starting with a formula character are prefixed
+   * with an apostrophe so spreadsheets do not evaluate page-controlled text.
+   * @param {string} text - Cell text
+   * @returns {string} CSV cell
+   */
+  function csvCell(text) {
+    let value = text;
+    if (/^[=+\-@\t\r]/.test(value)) value = `'${value}`;
+    return /[",\r\n]/.test(value) || value !== text
+      ? `"${value.replace(/"/g, '""')}"`
+      : value;
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text == null ? "" : text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Serialize entries as JSON
+   * @param {Object[]} entries - Inspection entries
+   * @param {Object} meta - { generatedAt, source }
+   * @returns {string} JSON text
+   */
+  function toJSON(entries, meta) {
+    return JSON.stringify({ ...meta, entries }, null, 2);
+  }
+
+  /**
+   * Serialize entries as CSV (one row per entry, header first)
+   * @param {Object[]} entries - Inspection entries
+   * @returns {string} CSV text
+   */
+  function toCSV(entries) {
+    const rows = [COLUMNS.map((c) => csvCell(c.label)).join(",")];
+    entries.forEach((entry) => {
+      rows.push(COLUMNS.map((c) => csvCell(cellText(entry, c.key))).join(","));
+    });
+    return rows.join("\r\n") + "\r\n";
+  }
+
+  /**
+   * Serialize entries as a self-contained HTML document
+   * @param {Object[]} entries - Inspection entries
+   * @param {Object} meta - { generatedAt, source }
+   * @returns {string} HTML document
+   */
+  function toHTML(entries, meta) {
+    const sections = entries
+      .map((entry, index) => {
+        const heading = `${index + 1}. ${entry.role || "(no role)"}${
+          entry.name ? ` “${entry.name}”` : ""
+        }`;
+        const rows = COLUMNS.filter((c) => c.key !== "screenReader")
+          .map((c) => {
+            const text = cellText(entry, c.key);
+            const value =
+              c.key === "selector" || c.key === "url"
+                ? `<code>${escapeHtml(text)}</code>`
+                : escapeHtml(text || "—");
+            return `<dt>${escapeHtml(c.label)}</dt><dd>${value}</dd>`;
+          })
+          .join("");
+        return `<section>
+<h2>${escapeHtml(heading)}</h2>
+<p class="sr">${escapeHtml(entry.screenReader || "")}</p>
+<dl>${rows}</dl>
+</section>`;
+      })
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Nexus Accessibility Report</title>
+<style>
+body { font-family: Inter, system-ui, sans-serif; color: #2d1958; background: #fff; margin: 2rem; line-height: 1.4; }
+h1 { color: #683ab7; font-size: 1.5rem; }
+h2 { color: #683ab7; font-size: 1.1rem; margin: 0 0 0.5rem; }
+section { border: 1px solid #d1c4e9; border-radius: 6px; padding: 1rem; margin: 0 0 1rem; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; margin: 0; }
+dt { font-weight: 600; color: #3a2956; }
+dd { margin: 0; word-break: break-word; }
+code { font-family: "JetBrains Mono", monospace; font-size: 0.9em; }
+.sr { background: #f3f0fa; border-left: 4px solid #683ab7; padding: 0.5rem 0.75rem; margin: 0 0 0.75rem; }
+.meta { color: #3a2956; }
+</style>
+</head>
+<body>
+<h1>Nexus Accessibility Report</h1>
+<p class="meta">Generated ${escapeHtml(meta.generatedAt)} — ${entries.length} inspected element${
+      entries.length === 1 ? "" : "s"
+    }${meta.source ? ` — ${escapeHtml(meta.source)}` : ""}</p>
+${sections || "<p>No inspected elements.</p>"}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Build a report file
+   * @param {Object[]} entries - Inspection entries
+   * @param {string} format - "json", "csv" or "html"
+   * @param {Object} [meta] - Extra report metadata (e.g. { source })
+   * @returns {{filename: string, mimeType: string, content: string}} Report
+   */
+  function build(entries, format, meta = {}) {
+    const spec = FORMATS[format];
+    if (!spec) throw new Error(`Unsupported export format: ${format}`);
+    const now = new Date();
+    const fullMeta = { generatedAt: now.toISOString(), ...meta };
+    const list = Array.isArray(entries) ? entries : [];
+
+    let content;
+    if (format === "json") content = toJSON(list, fullMeta);
+    else if (format === "csv") content = toCSV(list);
+    else content = toHTML(list, fullMeta);
+
+    const stamp = fullMeta.generatedAt.replace(/[-:]/g, "").replace(/\..*$/, "");
+    return {
+      filename: `nexus-report-${stamp}.${spec.extension}`,
+      mimeType: spec.mimeType,
+      content,
+    };
+  }
+
+  /**
+   * Download a report through a temporary object URL
+   * @param {{filename: string, mimeType: string, content: string}} report
+   */
+  function download(report) {
+    const blob = new Blob([report.content], {
+      type: `${report.mimeType};charset=utf-8`,
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = report.filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  const NexusReport = {
+    FORMATS,
+    COLUMNS,
+    build,
+    download,
+    toJSON,
+    toCSV,
+    toHTML,
+  };
+
+  // Export to global scope for content scripts and the popup
+  if (typeof window !== "undefined") {
+    window.NexusReport = NexusReport;
+  }
+
+  // Export for CommonJS
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = NexusReport;
+  }
+})();
@@ -0,0 +1,291 @@
+/**
+ * Nexus Settings Schema
+ *
+ * Shared by the content scripts and the options page. Describes every
+ * setting users can change, validates values against it, and builds and
+ * reads the JSON settings file used to share a configuration.
+ *
+ * Settings live in chrome.storage.sync:
+ *
+ *   inspectorState, inspectorPreviousNonOffState, screenReaderProfile
+ *                     global inspector preferences
+ *   siteSettings, debuggerUrlRules
+ *                     per-site overrides and debugger rules (site-settings.js)
+ *   configOverrides   { [section]: { [key]: number } } - values replacing
+ *                     config.json at runtime (see enhanced-constants.js);
+ *                     missing keys keep the config.json value
+ *
+ * Dependencies: site-settings.js
+ */
+
+(function () {
+  "use strict";
+
+  const CONFIG_OVERRIDES_KEY = "configOverrides";
+
+  // Settings file identification
+  const EXPORT_FORMAT = "nexus-settings";
+  const EXPORT_VERSION = 1;
+
+  // config.json sections users may tune, in display order
+  const CONFIG_SECTIONS = {
+    timeouts: "Timing",
+    cache: "Cache",
+    batchLimits: "Validation batches",
+    retryAttempts: "Error recovery",
+  };
+
+  // Tunable config.json values. Only values the content scripts read after
+  // enhanced-constants.js has applied the overrides are listed: values read
+  // once at load, in the page context or only by the background would never
+  // change. The security limits are deliberately not user-tunable. Minimums
+  // are at least 1 because enhanced-constants.js treats 0 as "not set".
+  const CONFIG_SCHEMA = [
+    {
+      path: "timeouts.libraryCheckDelay",
+      label: "Validation library check delay",
+      unit: "ms",
+      min: 10,
+      max: 5000,
+    },
+    {
+      path: "cache.defaultTtl",
+      label: "Inspection cache lifetime",
+      unit: "ms",
+      min: 1000,
+      max: 600000,
+    },
+    {
+      path: "batchLimits.validationDefault",
+      label: "Validation batch size",
+      unit: "elements",
+      min: 1,
+      max: 100,
+    },
+    {
+      path: "batchLimits.elementsMax",
+      label: "Elements per validation request",
+      unit: "elements",
+      min: 1,
+      max: 50,
+    },
+    {
+      path: "retryAttempts.errorRecoveryMax",
+      label: "Error recovery retries",
+      unit: "attempts",
+      min: 1,
+      max: 10,
+    },
+  ];
+
+  /**
+   * Find the schema entry for a config path
+   * @param {string} path - "section.key"
+   * @returns {Object|undefined} Schema entry
+   */
+  function getConfigField(path) {
+    return CONFIG_SCHEMA.find((field) => field.path === path);
+  }
+
+  /**
+   * Check one config value against its schema entry
+   * @param {Object} field - Schema entry
+   * @param {*} value - Candidate value
+   * @returns {string} Error message, or "" if valid
+   */
+  function validateConfigValue(field, value) {
+    if (typeof value !== "number" || !Number.isInteger(value)) {
+      return "must be a whole number";
+    }
+    if (value < field.min || value > field.max) {
+      return `must be between ${field.min} and ${field.max}`;
+    }
+    return "";
+  }
+
+  /**
+   * Validate config.json overrides
+   * @param {*} overrides - Candidate overrides ({ section: { key: number } })
+   * @returns {Object} Clean overrides (empty sections dropped)
+   * @throws {Error} On unknown settings or invalid values
+   */
+  function validateConfigOverrides(overrides) {
+    if (overrides == null) return {};
+    if (typeof overrides !== "object" || Array.isArray(overrides)) {
+      throw new Error("Config overrides must be an object");
+    }
+    const out = {};
+    Object.entries(overrides).forEach(([section, values]) => {
+      if (!values || typeof values !== "object" || Array.isArray(values)) {
+        throw new Error(`Unknown setting: ${section}`);
+      }
+      Object.entries(values).forEach(([key, value]) => {
+        const path = `${section}.${key}`;
+        const field = getConfigField(path);
+        if (!field) throw new Error(`Unknown setting: ${path}`);
+        const error = validateConfigValue(field, value);
+        if (error) throw new Error(`${field.label} (${path}) ${error}`);
+        out[section] = out[section] || {};
+        out[section][key] = value;
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Apply overrides on top of the config.json values
+   * @param {Object} config - Parsed config.json
+   * @param {Object} overrides - Validated overrides
+   * @returns {Object} New config object
+   */
+  function applyConfigOverrides(config, overrides) {
+    const out = { ...config };
+    Object.entries(overrides || {}).forEach(([section, values]) => {
+      out[section] = { ...(config[section] || {}), ...values };
+    });
+    return out;
+  }
+
+  /**
+   * Validate one enumerated value
+   * @param {string[]} values - Allowed values
+   * @param {string} label - Setting name used in errors
+   * @returns {Function} Validator returning the value
+   */
+  function oneOf(values, label) {
+    return (value) => {
+      if (!values.includes(value)) {
+        throw new Error(`${label} must be one of: ${values.join(", ")}`);
+      }
+      return value;
+    };
+  }
+
+  /**
+   * Validate the siteSettings map
+   * @param {*} value - Candidate map of origin to overrides
+   * @returns {Object} Clean map
+   */
+  function validateSiteSettings(value) {
+    const sites = globalThis.NexusSiteSettings;
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new Error("Site settings must be an object");
+    }
+    const out = {};
+    Object.entries(value).forEach(([origin, override]) => {
+      if (sites.getOrigin(origin) !== origin) {
+        throw new Error(`Invalid site origin: ${origin.slice(0, 60)}`);
+      }
+      const clean = sites.normalizeSiteOverride(override);
+      if (Object.keys(clean).length) out[origin] = clean;
+    });
+    return out;
+  }
+
+  // Validators for every exported storage key
+  const SETTING_VALIDATORS = {
+    inspectorState: oneOf(["on", "mini", "off"], "inspectorState"),
+    inspectorPreviousNonOffState: oneOf(
+      ["on", "mini"],
+      "inspectorPreviousNonOffState"
+    ),
+    screenReaderProfile: (value) => {
+      if (typeof value !== "string" || !/^[a-z0-9-]{1,40}$/.test(value)) {
+        throw new Error("Invalid screen reader profile");
+      }
+      return value;
+    },
+    siteSettings: validateSiteSettings,
+    debuggerUrlRules: (value) =>
+      globalThis.NexusSiteSettings.normalizeDebuggerRules(value),
+    [CONFIG_OVERRIDES_KEY]: validateConfigOverrides,
+  };
+
+  const SETTINGS_KEYS = Object.keys(SETTING_VALIDATORS);
+
+  /**
+   * Validate a settings object (as stored or imported)
+   * @param {*} settings - Candidate settings keyed by storage key
+   * @returns {Object} Clean settings
+   * @throws {Error} On unknown keys or invalid values
+   */
+  function validateSettings(settings) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new Error("Settings must be an object");
+    }
+    const out = {};
+    Object.entries(settings).forEach(([key, value]) => {
+      const validate = SETTING_VALIDATORS[key];
+      if (!validate) throw new Error(`Unknown setting: ${key}`);
+      out[key] = validate(value);
+    });
+    return out;
+  }
+
+  /**
+   * Build the settings file for export
+   * @param {Object} stored - Values read from chrome.storage.sync
+   * @returns {{filename: string, mimeType: string, content: string}} File
+   *   in the shape NexusReport.download expects
+   */
+  function buildSettingsExport(stored) {
+    const settings = {};
+    SETTINGS_KEYS.forEach((key) => {
+      if (stored[key] !== undefined && stored[key] !== null) {
+        settings[key] = stored[key];
+      }
+    });
+    const file = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: validateSettings(settings),
+    };
+    return {
+      filename: `nexus-settings-${file.exportedAt.slice(0, 10)}.json`,
+      mimeType: "application/json",
+      content: JSON.stringify(file, null, 2),
+    };
+  }
+
+  /**
+   * Read an exported settings file
+   * @param {string} text - File contents
+   * @returns {Object} Validated settings, ready for chrome.storage.sync.set
+   * @throws {Error} If the file is not a valid Nexus settings file
+   */
+  function parseSettingsImport(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (e) {
+      throw new Error("The file is not valid JSON");
+    }
+    if (!file || file.format !== EXPORT_FORMAT) {
+      throw new Error("The file is not a Nexus settings file");
+    }
+    if (file.version !== EXPORT_VERSION) {
+      throw new Error(`Unsupported settings file version: ${file.version}`);
+    }
+    return validateSettings(file.settings);
+  }
+
+  const NexusSettings = {
+    CONFIG_OVERRIDES_KEY,
+    CONFIG_SECTIONS,
+    CONFIG_SCHEMA,
+    SETTINGS_KEYS,
+    getConfigField,
+    validateConfigValue,
+    validateConfigOverrides,
+    applyConfigOverrides,
+    validateSettings,
+    buildSettingsExport,
+    parseSettingsImport,
+  };
+
+  // Export to global scope for content scripts and the options page
+  if (typeof globalThis !== "undefined") {
+    globalThis.NexusSettings = NexusSettings;
+  }
+})();
@@ -0,0 +1,271 @@
+/**
+ * Per-Site Settings
+ *
+ * Shared by the content scripts, the popup and the background service
+ * worker. Two chrome.storage.sync keys hold the per-site configuration:
+ *
+ *   siteSettings     { [origin]: { inspectorState, screenReaderProfile,
+ *                      autoStart } } - overrides of the global settings for
+ *                      one origin; missing fields fall back to the global
+ *                      value
+ *   debuggerUrlRules { allow: string[], deny: string[] } - URL patterns
+ *                      deciding where Nexus may attach the debugger
+ *
+ * URL patterns containing "://" are matched against the whole URL, with "*"
+ * matching any run of characters ("https://*.bank.example/*"). Other
+ * patterns are host patterns: "admin.example.com" matches that host only,
+ * "*.example.com" matches example.com and all of its subdomains. A deny
+ * match always wins; when the allow list is not empty, only matching URLs
+ * are allowed.
+ */
+
+(function () {
+  "use strict";
+
+  const SITE_SETTINGS_KEY = "siteSettings";
+  const DEBUGGER_RULES_KEY = "debuggerUrlRules";
+
+  const INSPECTOR_STATES = ["on", "mini", "off"];
+
+  // Keep patterns and lists to a size chrome.storage.sync accepts
+  const MAX_PATTERNS = 100;
+  const MAX_PATTERN_LENGTH = 300;
+
+  /**
+   * Get the origin of a URL
+   * @param {string} url - URL
+   * @returns {string} Origin, or "" for URLs without one (file:, data:...)
+   */
+  function getOrigin(url) {
+    try {
+      const { origin } = new URL(url);
+      return origin && origin !== "null" ? origin : "";
+    } catch (e) {
+      return "";
+    }
+  }
+
+  /**
+   * Get the URL of the top-level page a frame belongs to. Cross-origin
+   * frames cannot read it and fall back to the top origin.
+   * @returns {string} Page URL
+   */
+  function getTopPageUrl() {
+    try {
+      return window.top.location.href;
+    } catch (e) {
+      const ancestors = window.location.ancestorOrigins;
+      return ancestors && ancestors.length
+        ? `${ancestors[ancestors.length - 1]}/`
+        : window.location.href;
+    }
+  }
+
+  /**
+   * Turn a "*" glob into an anchored regular expression
+   * @param {string} glob - Glob
+   * @returns {RegExp} Case-insensitive regular expression
+   */
+  function globToRegExp(glob) {
+    const source = glob
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${source}$`, "i");
+  }
+
+  /**
+   * Check whether a URL matches a pattern (see the module comment)
+   * @param {string} url - URL
+   * @param {string} pattern - URL or host pattern
+   * @returns {boolean} True on a match
+   */
+  function matchesUrlPattern(url, pattern) {
+    const trimmed = String(pattern || "").trim();
+    if (!trimmed || !url) return false;
+    if (trimmed.includes("://")) return globToRegExp(trimmed).test(url);
+
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch (e) {
+      return false;
+    }
+    if (!host) return false;
+    if (trimmed.startsWith("*.")) {
+      const domain = trimmed.slice(2).toLowerCase();
+      return host === domain || globToRegExp(`*.${domain}`).test(host);
+    }
+    return globToRegExp(trimmed).test(host);
+  }
+
+  /**
+   * Validate and clean a pattern list
+   * @param {*} list - Candidate list
+   * @param {string} label - List name used in errors
+   * @returns {string[]} Trimmed, de-duplicated patterns
+   * @throws {Error} On malformed lists
+   */
+  function normalizePatternList(list, label) {
+    if (list == null) return [];
+    if (!Array.isArray(list)) throw new Error(`${label} must be a list`);
+    if (list.length > MAX_PATTERNS) {
+      throw new Error(`${label} has more than ${MAX_PATTERNS} patterns`);
+    }
+    const out = [];
+    list.forEach((pattern) => {
+      if (typeof pattern !== "string") {
+        throw new Error(`${label} contains a non-text pattern`);
+      }
+      const trimmed = pattern.trim();
+      if (!trimmed) return;
+      if (trimmed.length > MAX_PATTERN_LENGTH || /\s/.test(trimmed)) {
+        throw new Error(`Invalid pattern in ${label}: ${trimmed.slice(0, 40)}`);
+      }
+      if (!out.includes(trimmed)) out.push(trimmed);
+    });
+    return out;
+  }
+
+  /**
+   * Validate debugger URL rules
+   * @param {*} rules - Candidate rules
+   * @returns {{allow: string[], deny: string[]}} Clean rules
+   * @throws {Error} On malformed rules
+   */
+  function normalizeDebuggerRules(rules) {
+    if (rules == null) return { allow: [], deny: [] };
+    if (typeof rules !== "object" || Array.isArray(rules)) {
+      throw new Error("Debugger rules must be an object");
+    }
+    return {
+      allow: normalizePatternList(rules.allow, "Allow list"),
+      deny: normalizePatternList(rules.deny, "Deny list"),
+    };
+  }
+
+  /**
+   * Decide whether the debugger may attach to a URL
+   * @param {string} url - Page URL
+   * @param {Object} rules - Debugger rules ({ allow, deny })
+   * @returns {{allowed: boolean, pattern: string, reason: string}} Decision;
+   *   pattern is the deny pattern that matched, if any
+   */
+  function checkDebuggerUrl(url, rules) {
+    const { allow, deny } = normalizeDebuggerRules(rules);
+    const denied = deny.find((pattern) => matchesUrlPattern(url, pattern));
+    if (denied) {
+      return { allowed: false, pattern: denied, reason: "deny" };
+    }
+    const allowed = allow.some((pattern) => matchesUrlPattern(url, pattern));
+    if (allow.length && !allowed) {
+      return { allowed: false, pattern: "", reason: "not_allowed" };
+    }
+    return { allowed: true, pattern: "", reason: "" };
+  }
+
+  /**
+   * Validate one origin's overrides
+   * @param {*} override - Candidate override
+   * @returns {Object} Clean override (only the fields that are set)
+   * @throws {Error} On invalid values
+   */
+  function normalizeSiteOverride(override) {
+    if (!override || typeof override !== "object" || Array.isArray(override)) {
+      throw new Error("Site settings must be an object");
+    }
+    const out = {};
+    if (override.inspectorState != null) {
+      if (!INSPECTOR_STATES.includes(override.inspectorState)) {
+        throw new Error(`Invalid inspector state: ${override.inspectorState}`);
+      }
+      out.inspectorState = override.inspectorState;
+    }
+    if (override.screenReaderProfile != null) {
+      if (
+        typeof override.screenReaderProfile !== "string" ||
+        !/^[a-z0-9-]{1,40}$/.test(override.screenReaderProfile)
+      ) {
+        throw new Error("Invalid screen reader profile");
+      }
+      out.screenReaderProfile = override.screenReaderProfile;
+    }
+    if (override.autoStart != null) {
+      if (typeof override.autoStart !== "boolean") {
+        throw new Error("autoStart must be true or false");
+      }
+      out.autoStart = override.autoStart;
+    }
+    return out;
+  }
+
+  /**
+   * Get the overrides stored for a URL's origin
+   * @param {Object} siteSettings - Value of the siteSettings key
+   * @param {string} url - Page URL
+   * @returns {Object|null} Override, or null if the origin has none
+   */
+  function getSiteOverride(siteSettings, url) {
+    const origin = getOrigin(url);
+    if (!origin || !siteSettings || typeof siteSettings !== "object") {
+      return null;
+    }
+    const override = siteSettings[origin];
+    return override && typeof override === "object" ? override : null;
+  }
+
+  /**
+   * Combine the global settings with a page's site overrides and rules
+   * @param {string} url - Page URL
+   * @param {Object} stored - Storage values: { inspectorState,
+   *   screenReaderProfile, siteSettings, debuggerUrlRules }
+   * @returns {{origin: string, override: Object|null, inspectorState: string,
+   *   screenReaderProfile: string, autoStart: boolean,
+   *   debugger: Object}} Effective settings for the page; debugger is the
+   *   checkDebuggerUrl decision
+   */
+  function resolveSiteSettings(url, stored) {
+    const override = getSiteOverride(stored[SITE_SETTINGS_KEY], url) || {};
+    let debuggerCheck;
+    try {
+      debuggerCheck = checkDebuggerUrl(url, stored[DEBUGGER_RULES_KEY]);
+    } catch (e) {
+      // Unreadable rules block nothing rather than everything
+      debuggerCheck = { allowed: true, pattern: "", reason: "" };
+    }
+    const globalState = INSPECTOR_STATES.includes(stored.inspectorState)
+      ? stored.inspectorState
+      : "on";
+    return {
+      origin: getOrigin(url),
+      override: Object.keys(override).length ? override : null,
+      inspectorState: INSPECTOR_STATES.includes(override.inspectorState)
+        ? override.inspectorState
+        : globalState,
+      screenReaderProfile:
+        override.screenReaderProfile || stored.screenReaderProfile || "",
+      autoStart: override.autoStart !== false,
+      debugger: debuggerCheck,
+    };
+  }
+
+  const NexusSiteSettings = {
+    SITE_SETTINGS_KEY,
+    DEBUGGER_RULES_KEY,
+    INSPECTOR_STATES,
+    getOrigin,
+    getTopPageUrl,
+    matchesUrlPattern,
+    checkDebuggerUrl,
+    normalizeDebuggerRules,
+    normalizeSiteOverride,
+    getSiteOverride,
+    resolveSiteSettings,
+  };
+
+  // Export to global scope for content scripts, the popup and the service
+  // worker (which imports this file for its side effect)
+  if (typeof globalThis !== "undefined") {
+    globalThis.NexusSiteSettings = NexusSiteSettings;
+  }
+})();
@@ -3,6 +3,11 @@
  *
  * Consolidated validation logic to eliminate duplication between
  * content-validation.js and libs/validation-functions.js
+ *
+ * Also checks an element's aria-* attributes against the aria-query role
+ * definitions (unsupported or prohibited attributes, missing required
+ * attributes, invalid values and ID references to missing elements). The
+ * inspector shows these as warnings.
  */
 
 (function () {
@@ -12,6 +17,7 @@
    * @typedef {Object} ValidationOptions
    * @property {boolean} [verbose=false] - Enable verbose logging
    * @property {boolean} [useLibraries=true] - Use accessibility libraries for validation
+   * @property {boolean} [checkAria=true] - Check aria-* attributes (see validateAriaAttributes)
    */
 
   /**
@@ -49,10 +55,206 @@
    * @property {LibraryResults} libraryResults - Results from accessibility libraries
    * @property {FallbackResults} fallbackResults - Results from fallback computations
    * @property {ComparisonResults} comparison - Comparison between library and fallback results
+   * @property {AriaIssue[]} [ariaIssues] - Problems with the element's aria-* attributes
    * @property {string} [libraryError] - Error message if library validation failed
    * @property {string} [fallbackError] - Error message if fallback validation failed
    */
 
+  /**
+   * @typedef {Object} AriaIssue
+   * @property {string} type - "unsupported", "prohibited", "required",
+   *   "invalid-value" or "missing-id"
+   * @property {string} attribute - The aria-* attribute concerned
+   * @property {string} message - Human-readable description
+   */
+
+  // ARIA 1.3 globals not yet listed in the bundled aria-query role props
+  const EXTRA_GLOBAL_ATTRIBUTES = [
+    "aria-description",
+    "aria-braillelabel",
+    "aria-brailleroledescription",
+  ];
+
+  // Required states an explicitly-roled native control already exposes
+  // (e.g. <input type="checkbox" role="switch"> needs no aria-checked)
+  const NATIVE_REQUIRED_SOURCES = {
+    "aria-checked": (el) =>
+      el.tagName === "INPUT" && ["checkbox", "radio"].includes(el.type),
+    "aria-valuenow": (el) =>
+      (el.tagName === "INPUT" && ["range", "number"].includes(el.type)) ||
+      el.tagName === "PROGRESS" ||
+      el.tagName === "METER",
+  };
+
+  /**
+   * Get the ARIA role the element's attributes are checked against
+   * @param {Element} el - Element
+   * @param {Map} roles - aria-query roles map
+   * @returns {{role: string|null, explicit: boolean}} First valid explicit
+   *   role token, otherwise the implicit role
+   */
+  function getAriaRole(el, roles) {
+    const explicit = (el.getAttribute("role") || "")
+      .trim()
+      .toLowerCase()
+      .split(/\s+/)
+      .find((token) => token && roles.has(token) && !roles.get(token).abstract);
+    if (explicit) return { role: explicit, explicit: true };
+
+    let implicit = null;
+    try {
+      if (window.DOMAccessibilityAPI) {
+        implicit = window.DOMAccessibilityAPI.getRole(el);
+      }
+      if (!implicit && window.AriaQuery.getImplicitRole) {
+        implicit = window.AriaQuery.getImplicitRole(el);
+      }
+    } catch (error) {
+      implicit = null;
+    }
+    return {
+      role: implicit && roles.has(implicit) ? implicit : null,
+      explicit: false,
+    };
+  }
+
+  /**
+   * Check an attribute value against its aria-query definition
+   * @param {string} value - Attribute value (non-empty)
+   * @param {Object} definition - aria-query attribute definition ({ type, values })
+   * @returns {string|null} Problem description, or null when valid
+   */
+  function checkAriaValue(value, definition) {
+    const allowed = (definition.values || []).map(String);
+    const tokens = value.trim().split(/\s+/);
+    switch (definition.type) {
+      case "boolean":
+        if (["true", "false"].includes(value)) return null;
+        if (definition.allowundefined && value === "undefined") return null;
+        return "expected true or false";
+      case "tristate":
+        if (["true", "false", "mixed", "undefined"].includes(value)) return null;
+        return "expected true, false or mixed";
+      case "token":
+        return allowed.includes(value)
+          ? null
+          : `expected one of ${allowed.join(", ")}`;
+      case "tokenlist": {
+        const invalid = tokens.filter((token) => !allowed.includes(token));
+        return invalid.length
+          ? `unknown token${invalid.length === 1 ? "" : "s"} ${invalid.join(", ")}`
+          : null;
+      }
+      case "integer":
+        return /^-?\d+$/.test(value.trim()) ? null : "expected an integer";
+      case "number":
+        return value.trim() !== "" && Number.isFinite(Number(value))
+          ? null
+          : "expected a number";
+      case "id":
+        return tokens.length === 1 ? null : "expected a single ID";
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Validate an element's aria-* attributes against the aria-query role
+   * definitions
+   * @param {Element} el - Element to check
+   * @returns {{role: string|null, issues: AriaIssue[]}} Role the attributes
+   *   were checked against and the problems found
+   */
+  function validateAriaAttributes(el) {
+    const result = { role: null, issues: [] };
+    if (!el || typeof el.getAttribute !== "function") return result;
+    if (!window.AriaQuery || !window.AriaQuery.roles || !window.AriaQuery.aria) {
+      return result;
+    }
+
+    const { roles, aria } = window.AriaQuery;
+    const { role, explicit } = getAriaRole(el, roles);
+    result.role = role;
+    // Without a known role only the global attributes are supported
+    const definition = roles.get(role || "roletype");
+    const supported = definition.props || {};
+    const prohibited = role ? definition.prohibitedProps || [] : [];
+    const root = el.getRootNode ? el.getRootNode() : document;
+    const lookup =
+      root && typeof root.getElementById === "function" ? root : document;
+    const add = (type, attribute, message) =>
+      result.issues.push({ type, attribute, message });
+
+    Array.from(el.attributes)
+      .filter((attr) => attr.name.startsWith("aria-"))
+      .forEach(({ name, value }) => {
+        const attrDefinition = aria.get(name);
+        if (!attrDefinition) {
+          add("unsupported", name, `${name} is not an ARIA attribute`);
+          return;
+        }
+        if (prohibited.includes(name)) {
+          add("prohibited", name, `${name} is not allowed on role ${role}`);
+        } else if (
+          !(name in supported) &&
+          !EXTRA_GLOBAL_ATTRIBUTES.includes(name)
+        ) {
+          add(
+            "unsupported",
+            name,
+            role
+              ? `${name} is not supported on role ${role}`
+              : `${name} is not supported on elements without a role`
+          );
+        }
+
+        // Empty values are treated as absent by browsers
+        if (value.trim() === "") return;
+        const problem = checkAriaValue(value, attrDefinition);
+        if (problem) {
+          add("invalid-value", name, `${name}="${value}": ${problem}`);
+        }
+        if (attrDefinition.type === "id" || attrDefinition.type === "idlist") {
+          const missing = value
+            .trim()
+            .split(/\s+/)
+            .filter((id) => !lookup.getElementById(id));
+          if (missing.length) {
+            add(
+              "missing-id",
+              name,
+              `${name} references missing ID${
+                missing.length === 1 ? "" : "s"
+              } ${missing.join(", ")}`
+            );
+          }
+        }
+      });
+
+    // Native elements supply the states their implicit role requires
+    if (explicit) {
+      Object.entries(definition.requiredProps || {}).forEach(
+        ([name, defaultValue]) => {
+          // Attributes with a default value are never really missing
+          if (defaultValue !== null || el.hasAttribute(name)) return;
+          const native = NATIVE_REQUIRED_SOURCES[name];
+          if (native && native(el)) return;
+          // A collapsed combobox has no popup to point aria-controls at
+          if (
+            role === "combobox" &&
+            name === "aria-controls" &&
+            el.getAttribute("aria-expanded") !== "true"
+          ) {
+            return;
+          }
+          add("required", name, `Role ${role} requires ${name}`);
+        }
+      );
+    }
+
+    return result;
+  }
+
   /**
    * Core validation logic for accessibility libraries
    * @param {Element} el - Element to test
@@ -65,7 +267,7 @@
       return null;
     }
 
-    const { verbose = false, useLibraries = true } = options;
+    const { verbose = false, useLibraries = true, checkAria = true } = options;
 
     if (verbose) {
       console.group(
@@ -127,6 +329,18 @@
       }
     }
 
+    if (checkAria) {
+      try {
+        results.ariaIssues = validateAriaAttributes(el).issues;
+        if (verbose) {
+          console.log("[VALIDATION] ARIA attribute issues:", results.ariaIssues);
+        }
+      } catch (error) {
+        console.error("[VALIDATION] Error checking ARIA attributes:", error);
+        results.ariaIssues = [];
+      }
+    }
+
     if (verbose) {
       console.groupEnd();
     }
@@ -253,6 +467,7 @@
   if (typeof window !== "undefined") {
     window.ValidationCore = {
       validateAccessibilityLibrariesCore,
+      validateAriaAttributes,
       batchValidateAccessibilityCore,
       compareValidationResults,
     };
@@ -262,6 +477,7 @@
   if (typeof module !== "undefined" && module.exports) {
     module.exports = {
       validateAccessibilityLibrariesCore,
+      validateAriaAttributes,
       batchValidateAccessibilityCore,
       compareValidationResults,
     };
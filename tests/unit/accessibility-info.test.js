@@ -0,0 +1,290 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  installFakeChrome,
+  loadFixture,
+  muteConsole,
+} from "./helpers/fake-chrome.js";
+
+const chrome = installFakeChrome({ fixture: loadFixture("button-direct") });
+const {
+  formatAccessibilityNode,
+  formatNameSources,
+  getAccessibilityInfoForElement,
+} = await import("../../src/background/accessibilityInfo.js");
+const { connectionManager } = await import(
+  "../../src/background/connectionManager.js"
+);
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+const commandsFor = (method) =>
+  chrome.debugger.commands.filter((c) => c.method === method);
+
+describe("formatAccessibilityNode", () => {
+  test("unwraps role, name, description and value AXValues", () => {
+    const out = formatAccessibilityNode({
+      role: { type: "role", value: "slider" },
+      name: { type: "computedString", value: "Volume" },
+      description: { type: "computedString", value: "Master output" },
+      value: { type: "string", value: "40" },
+      backendDOMNodeId: 7,
+    });
+    assert.equal(out.role, "slider");
+    assert.equal(out.name, "Volume");
+    assert.equal(out.description, "Master output");
+    assert.equal(out.value, "40");
+    assert.equal(out.backendDOMNodeId, 7);
+  });
+
+  test("splits aria-* properties from states", () => {
+    const out = formatAccessibilityNode({
+      role: { type: "role", value: "combobox" },
+      properties: [
+        { name: "expanded", value: { type: "booleanOrUndefined", value: true } },
+        { name: "aria-controls", value: { type: "idrefList", value: "list1" } },
+        { name: "hasPopup", value: { type: "token", value: "listbox" } },
+      ],
+    });
+    assert.deepEqual(out.states, { expanded: true, hasPopup: "listbox" });
+    assert.deepEqual(out.ariaProperties, { "aria-controls": "list1" });
+  });
+
+  test("keeps ignored reasons and defaults missing fields", () => {
+    const out = formatAccessibilityNode({
+      ignored: true,
+      ignoredReasons: [{ name: "ariaHiddenElement" }],
+    });
+    assert.equal(out.role, null);
+    assert.equal(out.name, null);
+    assert.equal(out.ignored, true);
+    assert.deepEqual(out.ignoredReasons, [{ name: "ariaHiddenElement" }]);
+    assert.equal(out.backendDOMNodeId, null);
+  });
+
+  test("derives position in set and level from the fetched relatives", () => {
+    const item = (nodeId, role, extra = {}) => ({
+      nodeId,
+      parentId: "1",
+      role: { type: "role", value: role },
+      ...extra,
+    });
+    const target = item("4", "treeitem", {
+      properties: [{ name: "level", value: { type: "integer", value: 2 } }],
+    });
+    const relatives = [
+      {
+        nodeId: "1",
+        role: { type: "role", value: "group" },
+        childIds: ["2", "3", "4", "5"],
+      },
+      item("2", "treeitem"),
+      item("3", "generic", { ignored: true }),
+      target,
+      item("5", "treeitem"),
+    ];
+    const out = formatAccessibilityNode(target, relatives);
+    assert.equal(out.posinset, 2);
+    assert.equal(out.setsize, 3);
+    assert.equal(out.level, 2);
+
+    // Without the relatives only the level is known
+    const alone = formatAccessibilityNode(target);
+    assert.deepEqual(
+      [alone.posinset, alone.setsize, alone.level],
+      [null, null, 2]
+    );
+  });
+});
+
+describe("formatNameSources", () => {
+  test("lists the sources that supplied a name and marks the one used", () => {
+    const sources = formatNameSources({
+      type: "computedString",
+      value: "Billing address",
+      sources: [
+        {
+          type: "relatedElement",
+          attribute: "aria-labelledby",
+          attributeValue: {
+            type: "idrefList",
+            value: "billing-heading",
+            relatedNodes: [
+              { idref: "billing-heading", text: "Billing address", backendDOMNodeId: 31 },
+            ],
+          },
+          value: { type: "computedString", value: "Billing address" },
+        },
+        {
+          type: "attribute",
+          attribute: "aria-label",
+          attributeValue: { type: "string", value: "Address" },
+          superseded: true,
+        },
+        { type: "relatedElement", nativeSource: "labelfor" },
+        { type: "attribute", attribute: "title" },
+      ],
+    });
+    assert.deepEqual(
+      sources.map((s) => [s.label, s.value, s.attributeValue, s.used, s.superseded]),
+      [
+        ["aria-labelledby", "Billing address", "billing-heading", true, false],
+        ["aria-label", "", "Address", false, true],
+      ]
+    );
+    assert.deepEqual(sources[0].relatedNodes, [
+      { idref: "billing-heading", text: "Billing address", backendDOMNodeId: 31 },
+    ]);
+  });
+
+  test("labels native and content sources", () => {
+    const sources = formatNameSources({
+      sources: [
+        {
+          type: "relatedElement",
+          nativeSource: "labelfor",
+          nativeSourceValue: {
+            type: "nodeList",
+            relatedNodes: [{ text: "Email", backendDOMNodeId: 12 }],
+          },
+          value: { type: "computedString", value: "Email" },
+        },
+        {
+          type: "contents",
+          value: { type: "computedString", value: "ignored" },
+          superseded: true,
+        },
+      ],
+    });
+    assert.deepEqual(
+      sources.map((s) => [s.label, s.used]),
+      [
+        ["<label for>", true],
+        ["Contents", false],
+      ]
+    );
+  });
+
+  test("is attached to formatted nodes", () => {
+    const out = formatAccessibilityNode({ name: { value: "Plain" } });
+    assert.deepEqual(out.nameSources, []);
+  });
+});
+
+describe("getAccessibilityInfoForElement", () => {
+  test("rejects invalid tab IDs", async () => {
+    await assert.rejects(
+      () => getAccessibilityInfoForElement(-1, 0, null, null, true),
+      /Invalid tab ID/
+    );
+  });
+
+  test("resolves the focused element through the direct reference path", async () => {
+    const info = await getAccessibilityInfoForElement(1, 0, null, null, true);
+
+    assert.equal(info.role, "button");
+    assert.equal(info.name, "Menu");
+    assert.equal(info.states.expanded, true);
+    assert.equal(info.states.hasPopup, "menu");
+    assert.equal(info.backendDOMNodeId, 24);
+
+    // The evaluated element is converted with DOM.requestNode before the AX lookup
+    const [requestNode] = commandsFor("DOM.requestNode");
+    assert.equal(requestNode.params.objectId, "-3184732919291043811.1.4");
+    const [axTree] = commandsFor("Accessibility.getPartialAXTree");
+    assert.deepEqual(axTree.params, { nodeId: 12, fetchRelatives: true });
+  });
+
+  test("adds background colors on the direct reference path", async () => {
+    const info = await getAccessibilityInfoForElement(1, 0, null, null, true);
+
+    assert.deepEqual(info.backgroundColors.backgroundColors, [
+      "rgb(104, 58, 183)",
+    ]);
+    const colors = commandsFor("CSS.getBackgroundColors").at(-1);
+    assert.deepEqual(colors.params, { nodeId: 12 });
+  });
+
+  test("resolves a selector, adding group, ARIA attributes and background colors", async () => {
+    const info = await getAccessibilityInfoForElement(1, 0, "#menu", null, false);
+
+    assert.equal(info.role, "button");
+    assert.deepEqual(info.group, { role: "group", label: "Toolbar" });
+    assert.deepEqual(info.ariaProperties, {
+      "aria-haspopup": "menu",
+      "aria-expanded": "true",
+    });
+    assert.deepEqual(info.backgroundColors.backgroundColors, [
+      "rgb(104, 58, 183)",
+    ]);
+    assert.equal(info.backendDOMNodeId, 24);
+  });
+
+  test("reuses the cached nodeId for a repeated selector", async () => {
+    const before = commandsFor("DOM.querySelector").length;
+    const info = await getAccessibilityInfoForElement(1, 0, "#menu", null, false);
+    assert.equal(info.role, "button");
+    assert.equal(commandsFor("DOM.querySelector").length, before);
+  });
+
+  test("reports a missing node", async () => {
+    const fixture = loadFixture("button-direct");
+    // document.querySelector(...) evaluates to null; DOM.querySelector finds nothing
+    fixture.responses["Runtime.evaluate"] = {
+      result: { type: "object", subtype: "null", value: null },
+    };
+    fixture.responses["DOM.querySelector"] = { nodeId: 0 };
+    chrome.setFixture(fixture);
+    try {
+      const info = await getAccessibilityInfoForElement(
+        1,
+        0,
+        "#does-not-exist",
+        null,
+        false
+      );
+      assert.deepEqual(info, { error: "Node not found" });
+    } finally {
+      chrome.setFixture(loadFixture("button-direct"));
+    }
+  });
+
+  test("routes cross-origin iframe lookups through the auto-attached session", async () => {
+    chrome.setFixture(loadFixture("payment-oopif"));
+    try {
+      chrome.debugger.onEvent.emit({ tabId: 5 }, "Target.attachedToTarget", {
+        sessionId: "SESSION-PAY",
+        targetInfo: {
+          targetId: "9E8D7C6B5A4F3E2D1C0B9A8F7E6D5C4B",
+          type: "iframe",
+          url: "https://pay.test/widget?amount=42",
+        },
+        waitingForDebugger: false,
+      });
+      assert.equal(
+        connectionManager.getSessionForFrame(
+          5,
+          "9E8D7C6B5A4F3E2D1C0B9A8F7E6D5C4B"
+        ),
+        "SESSION-PAY"
+      );
+
+      const info = await getAccessibilityInfoForElement(5, 3, null, null, true);
+      assert.equal(info.role, "textbox");
+      assert.equal(info.name, "Card number");
+      assert.equal(info.states.required, true);
+
+      const world = commandsFor("Page.createIsolatedWorld").at(-1);
+      assert.equal(world.target.sessionId, "SESSION-PAY");
+      assert.equal(world.params.frameId, "9E8D7C6B5A4F3E2D1C0B9A8F7E6D5C4B");
+      const axTree = commandsFor("Accessibility.getPartialAXTree").at(-1);
+      assert.deepEqual(axTree.target, { tabId: 5, sessionId: "SESSION-PAY" });
+    } finally {
+      chrome.setFixture(loadFixture("button-direct"));
+    }
+  });
+});
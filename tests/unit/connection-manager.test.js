@@ -0,0 +1,196 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  installFakeChrome,
+  loadFixture,
+  muteConsole,
+} from "./helpers/fake-chrome.js";
+
+const chrome = installFakeChrome({
+  fixture: loadFixture("button-direct"),
+  tabs: [
+    ...[1, 2, 3, 4].map((id) => ({ id, url: "https://example.test/" })),
+    { id: 5, url: "https://online.bank.example/accounts" },
+  ],
+});
+const { connectionManager } = await import(
+  "../../src/background/connectionManager.js"
+);
+const { frameSessions } = await import("../../src/background/state.js");
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+const commandsFor = (tabId, method) =>
+  chrome.debugger.commands.filter(
+    (c) => c.target.tabId === tabId && c.method === method
+  );
+
+describe("DebuggerConnectionManager", () => {
+  test("attaches once and enables domains and iframe auto-attach", async () => {
+    const seen = await connectionManager.executeWithDebugger(1, (ctx) => ({
+      tabId: ctx.tabId,
+      state: ctx.connection.state,
+    }));
+    await connectionManager.executeWithDebugger(1, () => null);
+
+    assert.deepEqual(seen, { tabId: 1, state: "ATTACHED" });
+    assert.equal(chrome.debugger.isAttached(1), true);
+    for (const method of [
+      "DOM.enable",
+      "Accessibility.enable",
+      "Page.enable",
+      "Runtime.enable",
+    ]) {
+      assert.equal(commandsFor(1, method).length, 1, method);
+    }
+    const [autoAttach] = commandsFor(1, "Target.setAutoAttach");
+    assert.deepEqual(autoAttach.params, {
+      autoAttach: true,
+      waitForDebuggerOnStart: false,
+      flatten: true,
+    });
+    assert.ok(chrome.alarms.created.has("detach-1"));
+  });
+
+  test("serializes operations per tab", async () => {
+    const order = [];
+    let release;
+    const first = connectionManager.executeWithDebugger(2, async () => {
+      order.push("first:start");
+      await new Promise((resolve) => {
+        release = resolve;
+      });
+      order.push("first:end");
+    });
+    const second = connectionManager.executeWithDebugger(2, async () => {
+      order.push("second");
+    });
+
+    // Let the first operation start, then finish it
+    while (!release) await new Promise((r) => setTimeout(r, 5));
+    release();
+    await Promise.all([first, second]);
+    assert.deepEqual(order, ["first:start", "first:end", "second"]);
+  });
+
+  test("surfaces attach failures and stays detached", async () => {
+    // Another client (e.g. DevTools) already holds the tab
+    chrome.debugger.attach({ tabId: 3 }, "1.3");
+    await assert.rejects(
+      () => connectionManager.executeWithDebugger(3, () => null),
+      /already attached/
+    );
+    assert.equal(connectionManager.getConnectionState(3).state, "DETACHED");
+  });
+
+  test("tracks auto-attached iframe sessions", async () => {
+    await connectionManager.executeWithDebugger(4, () => null);
+    chrome.debugger.onEvent.emit({ tabId: 4 }, "Target.attachedToTarget", {
+      sessionId: "SESSION-A",
+      targetInfo: { targetId: "FRAME-A", type: "iframe" },
+      waitingForDebugger: false,
+    });
+    // Workers and other target types are not frames
+    chrome.debugger.onEvent.emit({ tabId: 4 }, "Target.attachedToTarget", {
+      sessionId: "SESSION-W",
+      targetInfo: { targetId: "WORKER", type: "worker" },
+      waitingForDebugger: false,
+    });
+
+    assert.equal(connectionManager.getSessionForFrame(4, "FRAME-A"), "SESSION-A");
+    assert.equal(connectionManager.getSessionForFrame(4, "WORKER"), undefined);
+    await frameSessions.get(4).get("FRAME-A").ready;
+
+    const sessionMethods = chrome.debugger.commands
+      .filter((c) => c.target.sessionId === "SESSION-A")
+      .map((c) => c.method);
+    assert.deepEqual(sessionMethods, [
+      "DOM.enable",
+      "Accessibility.enable",
+      "Page.enable",
+      "Runtime.enable",
+      "Target.setAutoAttach",
+    ]);
+    assert.equal(connectionManager.getStats().totalFrameSessions, 1);
+
+    chrome.debugger.onEvent.emit({ tabId: 4 }, "Target.detachedFromTarget", {
+      sessionId: "SESSION-A",
+      targetId: "FRAME-A",
+    });
+    assert.equal(connectionManager.getSessionForFrame(4, "FRAME-A"), undefined);
+  });
+
+  test("resets state and sessions when the debugger detaches", async () => {
+    chrome.debugger.onEvent.emit({ tabId: 4 }, "Target.attachedToTarget", {
+      sessionId: "SESSION-B",
+      targetInfo: { targetId: "FRAME-B", type: "iframe" },
+      waitingForDebugger: false,
+    });
+    chrome.debugger.onDetach.emit({ tabId: 4 }, "canceled_by_user");
+
+    assert.equal(connectionManager.getConnectionState(4).state, "DETACHED");
+    assert.equal(connectionManager.getSessionForFrame(4, "FRAME-B"), undefined);
+  });
+
+  test("never attaches to URLs on the deny list", async () => {
+    const setRules = async (rules) => {
+      await chrome.storage.sync.set({ debuggerUrlRules: rules });
+      chrome.storage.onChanged.emit(
+        { debuggerUrlRules: { newValue: rules } },
+        "sync"
+      );
+    };
+
+    await setRules({ allow: [], deny: ["*.bank.example"] });
+    await assert.rejects(
+      () => connectionManager.executeWithDebugger(5, () => null),
+      /blocked on this site by the rule "\*\.bank\.example"/
+    );
+    assert.equal(chrome.debugger.isAttached(5), false);
+
+    // A tab that is already attached is released once its site is blocked
+    await connectionManager.executeWithDebugger(1, () => null);
+    await setRules({ allow: ["https://*.bank.example/*"], deny: [] });
+    await assert.rejects(
+      () => connectionManager.executeWithDebugger(1, () => null),
+      /not in the allow list/
+    );
+    assert.equal(chrome.debugger.isAttached(1), false);
+
+    // Blocked origins embedded in an allowed page are detached, not debugged
+    await setRules({ allow: [], deny: ["*.bank.example"] });
+    await connectionManager.executeWithDebugger(2, () => null);
+    chrome.debugger.onEvent.emit(
+      { tabId: 2, sessionId: "SESSION-PARENT" },
+      "Target.attachedToTarget",
+      {
+        sessionId: "SESSION-BANK",
+        targetInfo: {
+          targetId: "FRAME-BANK",
+          type: "iframe",
+          url: "https://pay.bank.example/widget",
+        },
+        waitingForDebugger: false,
+      }
+    );
+    await assert.rejects(
+      frameSessions.get(2).get("FRAME-BANK").ready,
+      /blocked on this site by the rule "\*\.bank\.example"/
+    );
+    assert.equal(connectionManager.getSessionForFrame(2, "FRAME-BANK"), undefined);
+    const detach = commandsFor(2, "Target.detachFromTarget");
+    assert.equal(detach.length, 1);
+    assert.deepEqual(detach[0].params, { sessionId: "SESSION-BANK" });
+    assert.equal(detach[0].target.sessionId, "SESSION-PARENT");
+    assert.equal(
+      chrome.debugger.commands.filter((c) => c.target.sessionId === "SESSION-BANK")
+        .length,
+      0
+    );
+    await setRules({ allow: [], deny: [] });
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Fake chrome.* API for headless tests
+ *
+ * Implements the parts of chrome.runtime, chrome.tabs, chrome.storage,
+ * chrome.debugger, chrome.scripting, chrome.webNavigation, chrome.alarms and
+ * chrome.permissions the background modules use, with callback signatures
+ * and chrome.runtime.lastError like the real API.
+ *
+ * chrome.debugger.sendCommand replays recorded CDP responses (see
+ * loadFixture). Every command is logged to chrome.debugger.commands so tests
+ * can assert on the CDP traffic.
+ */
+
+import { readFileSync } from "node:fs";
+
+/**
+ * Load a recorded CDP fixture from tests/unit/fixtures
+ * @param {string} name - Fixture file name without extension
+ * @returns {Object} Fixture: { frames?, responses: { [method]: response | response[] } }
+ */
+export function loadFixture(name) {
+  const url = new URL(`../fixtures/${name}.json`, import.meta.url);
+  return JSON.parse(readFileSync(url, "utf8"));
+}
+
+/**
+ * Create a chrome.* event object (addListener / removeListener / emit)
+ * @returns {Object} Event
+ */
+function createEvent() {
+  const listeners = new Set();
+  return {
+    addListener: (fn) => listeners.add(fn),
+    removeListener: (fn) => listeners.delete(fn),
+    hasListener: (fn) => listeners.has(fn),
+    // Test-only: dispatch to every listener
+    emit: (...args) => {
+      const results = [];
+      listeners.forEach((fn) => results.push(fn(...args)));
+      return results;
+    },
+  };
+}
+
+/**
+ * Create an in-memory chrome.storage area
+ * @returns {Object} Storage area
+ */
+function createStorageArea() {
+  const data = {};
+  return {
+    data,
+    get(keys, callback) {
+      let out = {};
+      if (keys == null) out = { ...data };
+      else if (typeof keys === "string") {
+        if (keys in data) out[keys] = data[keys];
+      } else if (Array.isArray(keys)) {
+        keys.forEach((k) => {
+          if (k in data) out[k] = data[k];
+        });
+      } else {
+        Object.entries(keys).forEach(([k, fallback]) => {
+          out[k] = k in data ? data[k] : fallback;
+        });
+      }
+      const result = structuredClone(out);
+      if (callback) callback(result);
+      return Promise.resolve(result);
+    },
+    set(items, callback) {
+      Object.assign(data, structuredClone(items));
+      if (callback) callback();
+      return Promise.resolve();
+    },
+    remove(keys, callback) {
+      [].concat(keys).forEach((k) => delete data[k]);
+      if (callback) callback();
+      return Promise.resolve();
+    },
+    clear(callback) {
+      Object.keys(data).forEach((k) => delete data[k]);
+      if (callback) callback();
+      return Promise.resolve();
+    },
+  };
+}
+
+/**
+ * Create a fake chrome object
+ * @param {Object} [options]
+ * @param {Object} [options.fixture] - Recorded CDP fixture (see loadFixture)
+ * @param {Object[]} [options.tabs] - Tabs known to chrome.tabs.get/query
+ * @returns {Object} Fake chrome API
+ */
+export function createFakeChrome(options = {}) {
+  let fixture = options.fixture || { responses: {} };
+  // Per-method cursor into recorded response sequences
+  let cursors = new Map();
+  const tabs = options.tabs || [{ id: 1, url: "https://example.test/", active: true }];
+  const attached = new Set();
+
+  const chrome = {
+    runtime: {
+      id: "fake-extension-id",
+      lastError: undefined,
+      onMessage: createEvent(),
+      sendMessage: async () => undefined,
+      getURL: (path) => `chrome-extension://fake-extension-id/${path}`,
+    },
+    tabs: {
+      onRemoved: createEvent(),
+      // Test-only: messages sent to content scripts ({ tabId, message, options })
+      sent: [],
+      // Test-only: reply for content script messages
+      messageHandler: () => ({ status: "ok" }),
+      get(tabId, callback) {
+        const tab = tabs.find((t) => t.id === tabId);
+        return callWithLastError(
+          callback,
+          tab ? null : `No tab with id: ${tabId}`,
+          tab
+        );
+      },
+      query(queryInfo, callback) {
+        return callWithLastError(callback, null, tabs.slice());
+      },
+      sendMessage(tabId, message, opts, callback) {
+        if (typeof opts === "function") {
+          callback = opts;
+          opts = {};
+        }
+        chrome.tabs.sent.push({ tabId, message, options: opts || {} });
+        const reply = chrome.tabs.messageHandler(tabId, message, opts || {});
+        return callWithLastError(callback, null, reply);
+      },
+    },
+    storage: {
+      local: createStorageArea(),
+      sync: createStorageArea(),
+      session: createStorageArea(),
+      onChanged: createEvent(),
+    },
+    debugger: {
+      onEvent: createEvent(),
+      onDetach: createEvent(),
+      // Test-only: CDP traffic ({ target, method, params })
+      commands: [],
+      attach(target, version, callback) {
+        const error = attached.has(target.tabId)
+          ? "Another debugger is already attached to the tab"
+          : null;
+        if (!error) attached.add(target.tabId);
+        return callWithLastError(callback, error);
+      },
+      detach(target, callback) {
+        const error = attached.has(target.tabId)
+          ? null
+          : "Debugger is not attached to the tab";
+        attached.delete(target.tabId);
+        return callWithLastError(callback, error);
+      },
+      sendCommand(target, method, params, callback) {
+        chrome.debugger.commands.push({ target, method, params });
+        let result;
+        let error = null;
+        try {
+          result = replay(method, params, target);
+        } catch (e) {
+          error = e.message;
+        }
+        return callWithLastError(callback, error, result);
+      },
+      isAttached: (tabId) => attached.has(tabId),
+    },
+    scripting: {
+      // Test-only: injected scripts ({ target, files, func })
+      executed: [],
+      executeScript(injection, callback) {
+        chrome.scripting.executed.push(injection);
+        return callWithLastError(callback, null, [{ frameId: 0, result: undefined }]);
+      },
+    },
+    webNavigation: {
+      getAllFrames(details, callback) {
+        const frames = (fixture.frames || [{ frameId: 0, url: tabs[0].url }]).map(
+          (f) => ({ parentFrameId: -1, ...f })
+        );
+        return callWithLastError(callback, null, frames);
+      },
+    },
+    alarms: {
+      onAlarm: createEvent(),
+      // Test-only: created alarms by name
+      created: new Map(),
+      create(name, info) {
+        chrome.alarms.created.set(name, info);
+      },
+      clear(name, callback) {
+        const had = chrome.alarms.created.delete(name);
+        if (callback) callback(had);
+        return Promise.resolve(had);
+      },
+      getAll(callback) {
+        const all = Array.from(chrome.alarms.created.entries()).map(
+          ([name, info]) => ({ name, ...info })
+        );
+        if (callback) callback(all);
+        return Promise.resolve(all);
+      },
+    },
+    permissions: {
+      request: (perms, callback) => callWithLastError(callback, null, false),
+      contains: (perms, callback) => callWithLastError(callback, null, true),
+    },
+
+    // Test-only: swap the recorded CDP responses
+    setFixture(next) {
+      fixture = next;
+      cursors = new Map();
+    },
+  };
+
+  /**
+   * Look up the recorded response for a command. A response list is replayed
+   * in order and its last entry repeats; { "error": "..." } entries reject.
+   * Session-specific responses live under "sessions": { [sessionId]: {...} }.
+   */
+  function replay(method, params, target) {
+    const scope =
+      target && target.sessionId && fixture.sessions
+        ? fixture.sessions[target.sessionId] || {}
+        : fixture.responses || {};
+    if (!(method in scope)) return {};
+    const recorded = scope[method];
+    let entry = recorded;
+    if (Array.isArray(recorded)) {
+      const key = `${(target && target.sessionId) || ""}:${method}`;
+      const index = cursors.get(key) || 0;
+      cursors.set(key, index + 1);
+      entry = recorded[Math.min(index, recorded.length - 1)];
+    }
+    if (entry && typeof entry === "object" && "error" in entry) {
+      throw new Error(entry.error);
+    }
+    return structuredClone(entry);
+  }
+
+  /**
+   * Complete a chrome API call: set lastError while the callback runs, and
+   * return a promise for promise-style callers
+   */
+  function callWithLastError(callback, error, result) {
+    if (callback) {
+      chrome.runtime.lastError = error ? { message: error } : undefined;
+      try {
+        callback(result);
+      } finally {
+        chrome.runtime.lastError = undefined;
+      }
+      return undefined;
+    }
+    return error ? Promise.reject(new Error(error)) : Promise.resolve(result);
+  }
+
+  return chrome;
+}
+
+/**
+ * Install a fake chrome as the global before importing background modules
+ * (several of them register chrome listeners at import time)
+ * @param {Object} [options] - See createFakeChrome
+ * @returns {Object} Fake chrome API
+ */
+export function installFakeChrome(options = {}) {
+  const chrome = createFakeChrome(options);
+  globalThis.chrome = chrome;
+  return chrome;
+}
+
+/**
+ * Silence console output from the modules under test
+ * @returns {Function} Restore function
+ */
+export function muteConsole() {
+  const original = {};
+  ["log", "info", "debug", "warn", "error"].forEach((level) => {
+    original[level] = console[level];
+    console[level] = () => {};
+  });
+  return () => Object.assign(console, original);
+}
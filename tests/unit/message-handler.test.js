@@ -0,0 +1,497 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  installFakeChrome,
+  loadFixture,
+  muteConsole,
+} from "./helpers/fake-chrome.js";
+
+const chrome = installFakeChrome({ fixture: loadFixture("button-direct") });
+const { MessageHandler } = await import("../../src/background/message-handler.js");
+const { CacheManager } = await import("../../src/background/cache-manager.js");
+const { loadStoredEmulation } = await import("../../src/background/emulation.js");
+const { tabEmulation } = await import("../../src/background/state.js");
+
+const handler = new MessageHandler(new CacheManager());
+const contentSender = { tab: { id: 1 }, frameId: 0 };
+const popupSender = { id: chrome.runtime.id };
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+const axLookups = () =>
+  chrome.debugger.commands.filter(
+    (c) => c.method === "Accessibility.getPartialAXTree"
+  ).length;
+
+describe("MessageHandler.handle", () => {
+  test("answers keepAlive", async () => {
+    assert.deepEqual(await handler.handle({ action: "keepAlive" }, contentSender), {
+      status: "alive",
+    });
+  });
+
+  test("rejects actions outside the allow list", async () => {
+    assert.deepEqual(await handler.handle({ action: "evaluate" }, contentSender), {
+      error: "Invalid action: evaluate",
+    });
+  });
+
+  test("rejects messages from other extensions", async () => {
+    assert.deepEqual(
+      await handler.handle({ action: "keepAlive" }, { id: "another-extension" }),
+      { error: "Invalid sender" }
+    );
+  });
+
+  test("rejects malformed element requests", async () => {
+    const res = await handler.handle(
+      { action: "getBackendNodeIdAndAccessibleInfo", elementSelector: 42 },
+      contentSender
+    );
+    assert.deepEqual(res, { error: "Invalid elementSelector" });
+  });
+
+  test("returns accessibility info for the inspected element", async () => {
+    const info = await handler.handle(
+      {
+        action: "getBackendNodeIdAndAccessibleInfo",
+        useDirectReference: true,
+        elementSelector: "#menu",
+        frameId: 0,
+      },
+      contentSender
+    );
+    assert.equal(info.role, "button");
+    assert.equal(info.name, "Menu");
+    assert.equal(info.backendDOMNodeId, 24);
+    assert.equal(chrome.debugger.isAttached(1), true);
+  });
+
+  test("serves repeated direct requests from the micro-cache", async () => {
+    const before = axLookups();
+    const info = await handler.handle(
+      { action: "getBackendNodeIdAndAccessibleInfo", useDirectReference: true },
+      contentSender
+    );
+    assert.equal(info.role, "button");
+    assert.equal(axLookups(), before);
+  });
+
+  test("pushes updated info when CDP reports the inspected node changed", async () => {
+    const fixture = loadFixture("button-direct");
+    const [button] = fixture.responses["Accessibility.getPartialAXTree"].nodes;
+    button.properties.find((p) => p.name === "expanded").value.value = "false";
+    chrome.setFixture(fixture);
+    chrome.tabs.sent.length = 0;
+
+    chrome.debugger.onEvent.emit({ tabId: 1 }, "Accessibility.nodesUpdated", {
+      nodes: [button],
+    });
+    // Updates are coalesced before the push
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    const pushes = chrome.tabs.sent.filter(
+      (s) => s.message.type === "AX_NODE_UPDATED"
+    );
+    assert.equal(pushes.length, 1);
+    assert.equal(pushes[0].message.backendNodeId, 24);
+    assert.equal(pushes[0].message.info.states.expanded, "false");
+    // Pushed info keeps what the initial inspection showed
+    const lookup = chrome.debugger.commands
+      .filter((c) => c.method === "Accessibility.getPartialAXTree")
+      .at(-1);
+    assert.deepEqual(lookup.params, { backendNodeId: 24, fetchRelatives: true });
+    assert.deepEqual(pushes[0].message.info.group, {
+      role: "group",
+      label: "Toolbar",
+    });
+    assert.deepEqual(pushes[0].message.info.backgroundColors.backgroundColors, [
+      "rgb(104, 58, 183)",
+    ]);
+    assert.deepEqual(pushes[0].options, { frameId: 0 });
+  });
+
+  test("builds the page outline for the popup", async () => {
+    const outline = await handler.handle(
+      { action: "getPageOutline", tabId: 1 },
+      popupSender
+    );
+    assert.deepEqual(
+      outline.headings.map((h) => [h.level, h.name]),
+      [
+        [1, "Toolbar demo"],
+        [3, "Actions"],
+      ]
+    );
+    assert.deepEqual(outline.headings[1].issues, [
+      "Skipped heading level: h1 followed by h3",
+    ]);
+    assert.deepEqual(
+      outline.landmarks.map((l) => l.role),
+      ["main"]
+    );
+    assert.equal(outline.issueCount, 1);
+  });
+
+  test("applies and remembers vision and media emulation per tab", async () => {
+    const settings = await handler.handle(
+      {
+        action: "setEmulation",
+        tabId: 1,
+        visionDeficiency: "protanopia",
+        media: { "prefers-reduced-motion": "reduce", "forced-colors": "" },
+      },
+      popupSender
+    );
+    const expected = {
+      visionDeficiency: "protanopia",
+      media: { "prefers-reduced-motion": "reduce" },
+    };
+    assert.deepEqual(settings, expected);
+
+    const sent = chrome.debugger.commands.filter((c) =>
+      c.method.startsWith("Emulation.")
+    );
+    assert.deepEqual(sent.slice(-2).map((c) => [c.method, c.params]), [
+      ["Emulation.setEmulatedVisionDeficiency", { type: "protanopia" }],
+      [
+        "Emulation.setEmulatedMedia",
+        { features: [{ name: "prefers-reduced-motion", value: "reduce" }] },
+      ],
+    ]);
+    assert.deepEqual(
+      await handler.handle({ action: "getEmulation", tabId: 1 }, popupSender),
+      expected
+    );
+  });
+
+  test("keeps emulation across a service worker restart", async () => {
+    const expected = {
+      visionDeficiency: "protanopia",
+      media: { "prefers-reduced-motion": "reduce" },
+    };
+    assert.deepEqual(chrome.storage.session.data["emulation:1"], expected);
+
+    // A restart starts with empty module state
+    tabEmulation.clear();
+    await loadStoredEmulation();
+    assert.deepEqual(
+      await handler.handle({ action: "getEmulation", tabId: 1 }, popupSender),
+      expected
+    );
+  });
+
+  test("rejects unsupported emulation values", async () => {
+    const res = await handler.handle(
+      { action: "setEmulation", tabId: 1, media: { "forced-colors": "maybe" } },
+      popupSender
+    );
+    assert.deepEqual(res, { error: "Invalid media feature: forced-colors" });
+  });
+
+  test("clears emulation on request", async () => {
+    const res = await handler.handle(
+      { action: "clearEmulation", tabId: 1 },
+      popupSender
+    );
+    assert.deepEqual(res, {
+      status: "cleared",
+      visionDeficiency: "none",
+      media: {},
+    });
+    assert.equal("emulation:1" in chrome.storage.session.data, false);
+    const sent = chrome.debugger.commands.filter((c) =>
+      c.method.startsWith("Emulation.")
+    );
+    assert.deepEqual(sent.slice(-2).map((c) => c.params), [
+      { type: "none" },
+      { features: [] },
+    ]);
+  });
+
+  test("looks picked elements up by selector, bypassing the result cache", async () => {
+    const msg = {
+      action: "getBackendNodeIdAndAccessibleInfo",
+      elementSelector: "#menu",
+      refresh: true,
+    };
+    const first = await handler.handle(msg, contentSender);
+    const before = axLookups();
+    const second = await handler.handle(msg, contentSender);
+    assert.equal(first.role, "button");
+    assert.equal(second.name, "Menu");
+    assert.ok(axLookups() > before);
+  });
+
+  test("returns accessibility info for the DevTools selection", async () => {
+    const info = await handler.handle(
+      {
+        action: "getDevtoolsElementInfo",
+        tabId: 1,
+        elementSelector: "#menu",
+        frameUrl: "https://example.test/",
+      },
+      popupSender
+    );
+    assert.equal(info.role, "button");
+    assert.equal(info.name, "Menu");
+  });
+
+  test("resolves DevTools selections inside cross-origin iframes", async () => {
+    chrome.setFixture(loadFixture("payment-oopif"));
+    const targetInfo = {
+      targetId: "9E8D7C6B5A4F3E2D1C0B9A8F7E6D5C4B",
+      type: "iframe",
+      url: "https://pay.test/widget?amount=42",
+    };
+    try {
+      chrome.debugger.onEvent.emit({ tabId: 1 }, "Target.attachedToTarget", {
+        sessionId: "SESSION-PAY",
+        targetInfo,
+        waitingForDebugger: false,
+      });
+      // The widget changed its fragment after load; DevTools reports the new URL
+      const info = await handler.handle(
+        {
+          action: "getDevtoolsElementInfo",
+          tabId: 1,
+          elementSelector: "#card-number",
+          frameUrl: "https://pay.test/widget?amount=42#step2",
+        },
+        popupSender
+      );
+      assert.equal(info.role, "textbox");
+      assert.equal(info.name, "Card number");
+      const lookup = chrome.debugger.commands
+        .filter((c) => c.method === "Accessibility.getPartialAXTree")
+        .at(-1);
+      assert.equal(lookup.target.sessionId, "SESSION-PAY");
+
+      const missing = await handler.handle(
+        {
+          action: "getDevtoolsElementInfo",
+          tabId: 1,
+          elementSelector: "#card-number",
+          frameUrl: "https://ads.test/banner",
+        },
+        popupSender
+      );
+      assert.match(missing.error, /no longer in the page/);
+    } finally {
+      chrome.debugger.onEvent.emit({ tabId: 1 }, "Target.detachedFromTarget", {
+        sessionId: "SESSION-PAY",
+        targetId: targetInfo.targetId,
+      });
+      chrome.setFixture(loadFixture("button-direct"));
+    }
+  });
+
+  test("audits accessible names in every frame's accessibility tree", async () => {
+    chrome.setFixture(loadFixture("payment-oopif"));
+    const targetInfo = {
+      targetId: "9E8D7C6B5A4F3E2D1C0B9A8F7E6D5C4B",
+      type: "iframe",
+      url: "https://pay.test/widget?amount=42",
+    };
+    try {
+      chrome.debugger.onEvent.emit({ tabId: 1 }, "Target.attachedToTarget", {
+        sessionId: "SESSION-PAY",
+        targetInfo,
+        waitingForDebugger: false,
+      });
+      const audit = await handler.handle(
+        { action: "runAXAudit", tabId: 1 },
+        popupSender
+      );
+      assert.equal(audit.frames, 2);
+      assert.equal(audit.truncated, false);
+      // The named card field and the ignored button are not reported
+      assert.equal(audit.results.length, 1);
+      assert.deepEqual(
+        {
+          ruleId: audit.results[0].ruleId,
+          role: audit.results[0].role,
+          element: audit.results[0].element,
+          frameUrl: audit.results[0].frameUrl,
+        },
+        {
+          ruleId: "missing-accessible-name",
+          role: "textbox",
+          element: "input#cvc.field",
+          frameUrl: "https://pay.test/widget?amount=42",
+        }
+      );
+      const trees = chrome.debugger.commands.filter(
+        (c) => c.method === "Accessibility.getFullAXTree"
+      );
+      assert.equal(trees.at(-1).target.sessionId, "SESSION-PAY");
+      assert.deepEqual(trees.at(-1).params, {
+        frameId: "9E8D7C6B5A4F3E2D1C0B9A8F7E6D5C4B",
+      });
+    } finally {
+      chrome.debugger.onEvent.emit({ tabId: 1 }, "Target.detachedFromTarget", {
+        sessionId: "SESSION-PAY",
+        targetId: targetInfo.targetId,
+      });
+      chrome.setFixture(loadFixture("button-direct"));
+    }
+  });
+
+  test("refuses DevTools requests from content scripts", async () => {
+    const res = await handler.handle(
+      {
+        action: "getDevtoolsElementInfo",
+        tabId: 2,
+        elementSelector: "#menu",
+      },
+      contentSender
+    );
+    assert.deepEqual(res, {
+      error: "getDevtoolsElementInfo is only accepted from extension pages",
+    });
+  });
+
+  test("requires the inspected tab for DevTools requests", async () => {
+    const res = await handler.handle(
+      { action: "getDevtoolsElementInfo", elementSelector: "#menu" },
+      popupSender
+    );
+    assert.deepEqual(res, { error: "Invalid tabId" });
+  });
+
+  test("replays keyboard scripts and reports changed announcements", async () => {
+    const expanded = {
+      selector: "#menu",
+      role: "button",
+      name: "Menu",
+      states: { expanded: "true" },
+      screenReader: "Menu, button, expanded",
+    };
+    const snapshots = [
+      expanded,
+      { ...expanded, states: { expanded: "false" }, screenReader: "Menu, button, collapsed" },
+    ];
+    const previousHandler = chrome.tabs.messageHandler;
+    chrome.tabs.messageHandler = (tabId, message) =>
+      message.type === "PREPARE_KEY_REPLAY"
+        ? { status: "ready" }
+        : { status: "ok", snapshot: snapshots.shift() };
+    const step = { code: "Enter", keyCode: 13, modifiers: 0, snapshot: expanded };
+
+    try {
+      const res = await handler.handle(
+        {
+          action: "replayKeyScript",
+          tabId: 1,
+          script: {
+            start: { selector: "#menu" },
+            steps: [
+              { ...step, key: "Enter", text: "\r" },
+              { ...step, key: "Tab", code: "Tab", keyCode: 9, modifiers: 8 },
+            ],
+          },
+        },
+        popupSender
+      );
+      assert.equal(res.status, "completed");
+      assert.equal(res.startFound, true);
+      assert.equal(res.mismatches, 1);
+      assert.deepEqual(res.steps.map((s) => s.key), ["Enter", "Shift+Tab"]);
+      assert.deepEqual(res.steps[0].differences, []);
+      assert.deepEqual(
+        res.steps[1].differences.map((d) => [d.field, d.actual]),
+        [
+          ["screenReader", "Menu, button, collapsed"],
+          ["states", "expanded=false"],
+        ]
+      );
+    } finally {
+      chrome.tabs.messageHandler = previousHandler;
+    }
+
+    const keys = chrome.debugger.commands
+      .filter((c) => c.method === "Input.dispatchKeyEvent")
+      .map((c) => [c.params.type, c.params.key, c.params.modifiers]);
+    assert.deepEqual(keys, [
+      ["keyDown", "Enter", 0],
+      ["keyUp", "Enter", 0],
+      ["rawKeyDown", "Tab", 8],
+      ["keyUp", "Tab", 8],
+    ]);
+    assert.deepEqual(chrome.tabs.sent.at(-3).message, {
+      type: "PREPARE_KEY_REPLAY",
+      selector: "#menu",
+    });
+  });
+
+  test("replays steps recorded without a snapshot without comparing them", async () => {
+    const previousHandler = chrome.tabs.messageHandler;
+    chrome.tabs.messageHandler = (tabId, message) =>
+      message.type === "PREPARE_KEY_REPLAY"
+        ? { status: "ready" }
+        : { status: "ok", snapshot: { role: "button", name: "Menu" } };
+    const before = chrome.debugger.commands.length;
+
+    try {
+      const res = await handler.handle(
+        {
+          action: "replayKeyScript",
+          tabId: 1,
+          script: {
+            steps: [
+              { key: "ArrowDown", code: "ArrowDown", keyCode: 40, modifiers: 0, snapshot: null },
+              {
+                key: "Escape",
+                code: "Escape",
+                keyCode: 27,
+                modifiers: 0,
+                snapshot: { role: "button", name: "Menu" },
+              },
+            ],
+          },
+        },
+        popupSender
+      );
+      assert.equal(res.mismatches, 0);
+      assert.deepEqual(
+        res.steps.map((s) => [s.key, s.captured, s.differences.length]),
+        [
+          ["ArrowDown", false, 0],
+          ["Escape", true, 0],
+        ]
+      );
+    } finally {
+      chrome.tabs.messageHandler = previousHandler;
+    }
+
+    const keys = chrome.debugger.commands
+      .slice(before)
+      .filter((c) => c.method === "Input.dispatchKeyEvent" && c.params.type !== "keyUp")
+      .map((c) => c.params.key);
+    assert.deepEqual(keys, ["ArrowDown", "Escape"]);
+  });
+
+  test("rejects malformed keyboard scripts", async () => {
+    const res = await handler.handle(
+      {
+        action: "replayKeyScript",
+        tabId: 1,
+        script: { steps: [{ key: "Tab", code: "Tab", keyCode: "9", modifiers: 0 }] },
+      },
+      popupSender
+    );
+    assert.deepEqual(res, {
+      error: "Failed to replay keyboard script: Invalid key in step 1",
+    });
+  });
+
+  test("schedules a detach on request", async () => {
+    const res = await handler.handle({ action: "detachDebugger" }, contentSender);
+    assert.deepEqual(res, { status: "scheduled_detach", tabId: 1 });
+    assert.ok(chrome.alarms.created.has("detach-1"));
+  });
+});
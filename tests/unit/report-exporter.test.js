@@ -0,0 +1,87 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+// Classic script: it registers window.NexusReport
+globalThis.window = globalThis;
+await import("../../src/utils/report-exporter.js");
+const { COLUMNS, toCSV, toHTML } = window.NexusReport;
+
+/**
+ * Serialize one entry and return its data row
+ * @param {Object} entry - Inspection entry
+ * @returns {string} CSV row without the header and line ending
+ */
+function csvRow(entry) {
+  const csv = toCSV([entry]);
+  assert.ok(csv.endsWith("\r\n"));
+  const header = COLUMNS.map((c) => c.label).join(",");
+  assert.ok(csv.startsWith(`${header}\r\n`));
+  return csv.slice(header.length + 2, -2);
+}
+
+// Expected row with only the given column set
+const rowWith = (key, cell) =>
+  COLUMNS.map((c) => (c.key === key ? cell : "")).join(",");
+
+describe("toCSV", () => {
+  test("prefixes cells that start with a formula character", () => {
+    [
+      ['=HYPERLINK("https://evil.test")', `"'=HYPERLINK(""https://evil.test"")"`],
+      ["+1 555 0100", `"'+1 555 0100"`],
+      ["-2+3", `"'-2+3"`],
+      ["@SUM(A1:A2)", `"'@SUM(A1:A2)"`],
+    ].forEach(([name, cell]) => {
+      assert.equal(csvRow({ name }), rowWith("name", cell));
+    });
+  });
+
+  test("quotes cells with quotes, commas and newlines", () => {
+    assert.equal(
+      csvRow({ name: 'Say "hi"' }),
+      rowWith("name", '"Say ""hi"""')
+    );
+    assert.equal(
+      csvRow({ description: "Line one\nLine two, continued" }),
+      rowWith("description", '"Line one\nLine two, continued"')
+    );
+    assert.equal(csvRow({ role: "button" }), rowWith("role", "button"));
+  });
+
+  test("flattens states and ARIA properties", () => {
+    assert.equal(
+      csvRow({ states: { expanded: "false", focusable: "true" } }),
+      rowWith("states", "expanded=false; focusable=true")
+    );
+  });
+});
+
+describe("toHTML", () => {
+  test("escapes page-controlled text", () => {
+    const html = toHTML(
+      [
+        {
+          role: "button",
+          name: '<script>alert("x")</script>',
+          selector: "button[data-x='<img src=x onerror=alert(1)>']",
+          screenReader: "<b>Save</b>, button",
+        },
+      ],
+      { generatedAt: "2026-01-01T00:00:00.000Z", source: "<i>popup</i>" }
+    );
+    assert.ok(!html.includes("<script>"));
+    assert.ok(!html.includes("<img"));
+    assert.ok(!html.includes("<b>"));
+    assert.ok(!html.includes("<i>"));
+    assert.ok(
+      html.includes(
+        "<h2>1. button “&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;”</h2>"
+      )
+    );
+    assert.ok(
+      html.includes(
+        "<code>button[data-x=&#39;&lt;img src=x onerror=alert(1)&gt;&#39;]</code>"
+      )
+    );
+    assert.ok(html.includes("— &lt;i&gt;popup&lt;/i&gt;</p>"));
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { installFakeChrome, muteConsole } from "./helpers/fake-chrome.js";
+
+// Classic scripts: they register NexusSiteSettings / NexusSettings globally
+await import("../../src/utils/site-settings.js");
+await import("../../src/utils/settings-schema.js");
+const settings = globalThis.NexusSettings;
+
+describe("config overrides", () => {
+  test("accept schema values and apply them over config.json", () => {
+    const overrides = settings.validateConfigOverrides({
+      cache: { defaultTtl: 60000 },
+      timeouts: { libraryCheckDelay: 300 },
+    });
+    const config = settings.applyConfigOverrides(
+      {
+        cache: { defaultTtl: 30000, maxEntries: 500 },
+        timeouts: { debounceDefault: 150, libraryCheckDelay: 100 },
+        security: { maxSelectorLength: 1000 },
+      },
+      overrides
+    );
+    assert.deepEqual(config, {
+      cache: { defaultTtl: 60000, maxEntries: 500 },
+      timeouts: { debounceDefault: 150, libraryCheckDelay: 300 },
+      security: { maxSelectorLength: 1000 },
+    });
+  });
+
+  test("reject unknown settings, fractions and out-of-range values", () => {
+    assert.throws(
+      () => settings.validateConfigOverrides({ security: { maxSelectorLength: 10 } }),
+      /Unknown setting: security\.maxSelectorLength/
+    );
+    assert.throws(
+      () => settings.validateConfigOverrides({ cache: { defaultTtl: 1500.5 } }),
+      /must be a whole number/
+    );
+    assert.throws(
+      () => settings.validateConfigOverrides({ retryAttempts: { errorRecoveryMax: 0 } }),
+      /Error recovery retries \(retryAttempts\.errorRecoveryMax\) must be between 1 and 10/
+    );
+  });
+});
+
+describe("config overrides in content scripts", () => {
+  test("change the values read by scripts loaded before the overrides", async () => {
+    const chrome = installFakeChrome();
+    await chrome.storage.sync.set({
+      configOverrides: {
+        cache: { defaultTtl: 5000 },
+        retryAttempts: { errorRecoveryMax: 6 },
+      },
+    });
+    const config = JSON.parse(
+      readFileSync(new URL("../../config.json", import.meta.url), "utf8")
+    );
+    // config.json arrives only after the consumers loaded, as on a real page
+    let deliverConfig;
+    const configLoaded = new Promise((resolve) => {
+      deliverConfig = () => resolve({ ok: true, json: async () => config });
+    });
+    globalThis.window = globalThis;
+    globalThis.fetch = () => configLoaded;
+    const restoreConsole = muteConsole();
+    try {
+      await import("../../src/utils/enhanced-constants.js");
+      await import("../../src/utils/errorRecovery.js");
+      await import("../../src/content/content-cache.js");
+      deliverConfig();
+      await window.NexusConfig.getConstants();
+    } finally {
+      restoreConsole();
+    }
+
+    assert.equal(window.errorRecovery.maxRetries, 6);
+
+    const cache = window.ContentExtension.cache;
+    const element = {};
+    const now = mock.method(Date, "now", () => 1000000);
+    cache.setCached(element, { role: "button", name: "Save" });
+    now.mock.mockImplementation(() => 1000000 + 4000);
+    assert.ok(cache.getCached(element), "still cached before the override TTL");
+    now.mock.mockImplementation(() => 1000000 + 6000);
+    assert.equal(cache.getCached(element), null, "expired after the override TTL");
+    now.mock.restore();
+  });
+});
+
+describe("settings files", () => {
+  test("round-trip every exported setting", () => {
+    const stored = {
+      inspectorState: "mini",
+      screenReaderProfile: "nvda",
+      siteSettings: { "https://app.example": { inspectorState: "off" } },
+      debuggerUrlRules: { allow: [], deny: ["*.bank.example"] },
+      configOverrides: { batchLimits: { elementsMax: 8 } },
+    };
+    const file = settings.buildSettingsExport(stored);
+    assert.equal(file.mimeType, "application/json");
+    assert.match(file.filename, /^nexus-settings-\d{4}-\d{2}-\d{2}\.json$/);
+    assert.deepEqual(settings.parseSettingsImport(file.content), stored);
+  });
+
+  test("reject files that are not valid Nexus settings", () => {
+    assert.throws(() => settings.parseSettingsImport("{"), /not valid JSON/);
+    assert.throws(
+      () => settings.parseSettingsImport('{"format":"other"}'),
+      /not a Nexus settings file/
+    );
+    const file = (values) =>
+      JSON.stringify({ format: "nexus-settings", version: 1, settings: values });
+    assert.throws(
+      () => settings.parseSettingsImport(file({ miniMode: true })),
+      /Unknown setting: miniMode/
+    );
+    assert.throws(
+      () =>
+        settings.parseSettingsImport(
+          file({ siteSettings: { "example.com": { inspectorState: "off" } } })
+        ),
+      /Invalid site origin: example\.com/
+    );
+    assert.throws(
+      () =>
+        settings.parseSettingsImport(
+          file({ debuggerUrlRules: { deny: ["two words"] } })
+        ),
+      /Invalid pattern in Deny list/
+    );
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { runInThisContext } from "node:vm";
+
+// Classic scripts: the aria-query bundle declares a global AriaQuery and
+// core.js registers window.ValidationCore
+globalThis.window = globalThis;
+runInThisContext(
+  readFileSync(new URL("../../src/libs/aria-query.js", import.meta.url), "utf8")
+);
+await import("../../src/utils/validation/core.js");
+const { validateAriaAttributes } = window.ValidationCore;
+
+/**
+ * Minimal element: attributes, tag name and a root holding the given ids
+ * @param {string} tagName - Upper-case tag name
+ * @param {Object} attrs - Attribute name -> value
+ * @param {string[]} [ids] - Ids present in the element's document
+ * @returns {Object} Element-like object
+ */
+function element(tagName, attrs, ids = []) {
+  const root = {
+    getElementById: (id) => (ids.includes(id) ? { id } : null),
+  };
+  return {
+    tagName,
+    type: attrs.type,
+    attributes: Object.entries(attrs).map(([name, value]) => ({ name, value })),
+    getAttribute: (name) => (name in attrs ? attrs[name] : null),
+    hasAttribute: (name) => name in attrs,
+    getRootNode: () => root,
+  };
+}
+
+const issuesOf = (el) =>
+  validateAriaAttributes(el).issues.map(({ type, attribute }) => [
+    type,
+    attribute,
+  ]);
+
+describe("validateAriaAttributes", () => {
+  test("flags attributes the role does not support", () => {
+    const result = validateAriaAttributes(
+      element("DIV", { role: "button", "aria-checked": "true" })
+    );
+    assert.equal(result.role, "button");
+    assert.deepEqual(result.issues, [
+      {
+        type: "unsupported",
+        attribute: "aria-checked",
+        message: "aria-checked is not supported on role button",
+      },
+    ]);
+  });
+
+  test("flags attributes the role prohibits", () => {
+    assert.deepEqual(
+      issuesOf(element("SPAN", { role: "generic", "aria-label": "Price" })),
+      [["prohibited", "aria-label"]]
+    );
+  });
+
+  test("flags a slider without aria-valuenow", () => {
+    const result = validateAriaAttributes(
+      element("DIV", {
+        role: "slider",
+        "aria-valuemin": "0",
+        "aria-valuemax": "10",
+      })
+    );
+    assert.deepEqual(result.issues, [
+      {
+        type: "required",
+        attribute: "aria-valuenow",
+        message: "Role slider requires aria-valuenow",
+      },
+    ]);
+  });
+
+  test("accepts a native range input as a slider without aria-valuenow", () => {
+    assert.deepEqual(
+      issuesOf(element("INPUT", { type: "range", role: "slider" })),
+      []
+    );
+  });
+
+  test("flags values outside the attribute's tokens", () => {
+    const result = validateAriaAttributes(
+      element("DIV", { role: "status", "aria-live": "loud" })
+    );
+    assert.deepEqual(result.issues, [
+      {
+        type: "invalid-value",
+        attribute: "aria-live",
+        message: 'aria-live="loud": expected one of assertive, off, polite',
+      },
+    ]);
+  });
+
+  test("flags ID references to missing elements", () => {
+    const result = validateAriaAttributes(
+      element(
+        "INPUT",
+        { type: "text", role: "textbox", "aria-describedby": "hint error" },
+        ["hint"]
+      )
+    );
+    assert.deepEqual(result.issues, [
+      {
+        type: "missing-id",
+        attribute: "aria-describedby",
+        message: "aria-describedby references missing ID error",
+      },
+    ]);
+  });
+});